@@ -0,0 +1,11 @@
+import { Stack } from 'expo-router';
+
+export default function AuthLayout() {
+    return (
+        <Stack screenOptions={{ headerShown: false }}>
+            <Stack.Screen name="sign-in" />
+            <Stack.Screen name="sign-up" />
+            <Stack.Screen name="forgot-password" />
+        </Stack>
+    );
+}
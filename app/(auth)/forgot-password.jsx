@@ -0,0 +1,110 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import { useState } from 'react';
+import { StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import ResponsiveCard from '../../components/layout/ResponsiveCard';
+import ResponsiveLayout from '../../components/layout/ResponsiveLayout';
+import PrimaryButton from '../../components/ui/PrimaryButton';
+import { useTheme } from '../../components/ui/ThemeProvider';
+import authService from '../../utils/authService';
+import { toast } from '../../utils/toast';
+import { ValidationRules } from '../../utils/validation';
+
+export default function ForgotPasswordScreen() {
+    const { theme } = useTheme();
+    const router = useRouter();
+    const [email, setEmail] = useState('');
+    const [sent, setSent] = useState(false);
+    const [submitting, setSubmitting] = useState(false);
+
+    const handleReset = async () => {
+        const error = ValidationRules.email(email.trim());
+        if (error) {
+            toast(error, 'error');
+            return;
+        }
+
+        setSubmitting(true);
+        try {
+            await authService.resetPassword(email);
+            setSent(true);
+        } catch (err) {
+            toast(err.message || 'Could not send reset email', 'error');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <ResponsiveLayout>
+            <View style={styles.header}>
+                <Ionicons name="key-outline" size={48} color={theme.primary} />
+                <Text style={[styles.title, { color: theme.text }]}>Reset your password</Text>
+                <Text style={[styles.subtitle, { color: theme.subText }]}>
+                    {sent
+                        ? `We sent a reset link to ${email.trim()}. Follow it, then sign in with your new password.`
+                        : "Enter your account email and we'll send you a reset link."}
+                </Text>
+            </View>
+
+            {!sent && (
+                <ResponsiveCard size="large">
+                    <TextInput
+                        value={email}
+                        onChangeText={setEmail}
+                        placeholder="Email"
+                        placeholderTextColor={theme.subText}
+                        autoCapitalize="none"
+                        autoComplete="email"
+                        keyboardType="email-address"
+                        style={[styles.input, { borderColor: theme.muted, backgroundColor: theme.background, color: theme.text }]}
+                    />
+                    <PrimaryButton
+                        title={submitting ? 'Sending…' : 'Send Reset Link'}
+                        onPress={handleReset}
+                        disabled={submitting}
+                        active
+                        style={{ marginTop: 8 }}
+                    />
+                </ResponsiveCard>
+            )}
+
+            <TouchableOpacity onPress={() => router.back()} style={styles.link}>
+                <Text style={[styles.linkText, { color: theme.primary }]}>Back to sign in</Text>
+            </TouchableOpacity>
+        </ResponsiveLayout>
+    );
+}
+
+const styles = StyleSheet.create({
+    header: {
+        alignItems: 'center',
+        marginTop: 32,
+        marginBottom: 16,
+    },
+    title: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        marginTop: 12,
+        textAlign: 'center',
+    },
+    subtitle: {
+        fontSize: 14,
+        marginTop: 6,
+        textAlign: 'center',
+    },
+    input: {
+        borderWidth: 1,
+        padding: 10,
+        borderRadius: 8,
+        marginBottom: 8,
+    },
+    link: {
+        alignItems: 'center',
+        paddingVertical: 12,
+    },
+    linkText: {
+        fontSize: 14,
+        fontWeight: '600',
+    },
+});
@@ -0,0 +1,155 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { useState } from 'react';
+import { StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import ResponsiveCard from '../../components/layout/ResponsiveCard';
+import ResponsiveLayout from '../../components/layout/ResponsiveLayout';
+import PrimaryButton from '../../components/ui/PrimaryButton';
+import { useTheme } from '../../components/ui/ThemeProvider';
+import authService from '../../utils/authService';
+import macrooMigration from '../../utils/macrooMigration';
+import { setStorageBackend, STORAGE_BACKENDS } from '../../utils/repository';
+import { toast } from '../../utils/toast';
+import { CommonSchemas, validateAndShowError } from '../../utils/validation';
+
+export default function SignInScreen() {
+    const { theme } = useTheme();
+    const router = useRouter();
+    const { upgrade } = useLocalSearchParams();
+    const isUpgrade = upgrade === '1';
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    const handleSignIn = async () => {
+        if (!validateAndShowError({ email: email.trim(), password }, CommonSchemas.signIn)) return;
+
+        setSubmitting(true);
+        try {
+            if (isUpgrade) {
+                const { migration } = await authService.upgradeLocalAccount({ email, password }, true);
+                await setStorageBackend(STORAGE_BACKENDS.REMOTE);
+                const failures = macrooMigration.countFailures(migration);
+                if (failures > 0) {
+                    toast(`Signed in, but ${failures} item(s) could not be uploaded and remain on this device.`, 'warning');
+                } else {
+                    toast('Signed in. Your data on this device has been uploaded.', 'success');
+                }
+            } else {
+                await authService.signIn({ email, password });
+                toast('Welcome back!', 'success');
+            }
+            router.replace('/');
+        } catch (error) {
+            toast(error.message || 'Sign in failed', 'error');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleContinueLocally = async () => {
+        await authService.continueWithoutAccount();
+        router.replace('/');
+    };
+
+    const inputStyle = [styles.input, { borderColor: theme.muted, backgroundColor: theme.background, color: theme.text }];
+
+    return (
+        <ResponsiveLayout>
+            <View style={styles.header}>
+                <Ionicons name="nutrition-outline" size={48} color={theme.primary} />
+                <Text style={[styles.title, { color: theme.text }]}>
+                    {isUpgrade ? 'Sign in to sync' : 'Welcome to Macroo'}
+                </Text>
+                <Text style={[styles.subtitle, { color: theme.subText }]}>
+                    {isUpgrade
+                        ? 'What you logged on this device will be uploaded to your account.'
+                        : 'Sign in to keep your meals in sync across devices.'}
+                </Text>
+            </View>
+
+            <ResponsiveCard size="large">
+                <TextInput
+                    value={email}
+                    onChangeText={setEmail}
+                    placeholder="Email"
+                    placeholderTextColor={theme.subText}
+                    autoCapitalize="none"
+                    autoComplete="email"
+                    keyboardType="email-address"
+                    style={inputStyle}
+                />
+                <TextInput
+                    value={password}
+                    onChangeText={setPassword}
+                    placeholder="Password"
+                    placeholderTextColor={theme.subText}
+                    autoComplete="password"
+                    secureTextEntry
+                    style={inputStyle}
+                />
+                <PrimaryButton
+                    title={submitting ? 'Signing in…' : 'Sign In'}
+                    onPress={handleSignIn}
+                    disabled={submitting}
+                    active
+                    style={{ marginTop: 8 }}
+                />
+
+                <TouchableOpacity onPress={() => router.push('/forgot-password')} style={styles.link}>
+                    <Text style={[styles.linkText, { color: theme.primary }]}>Forgot password?</Text>
+                </TouchableOpacity>
+            </ResponsiveCard>
+
+            <TouchableOpacity
+                onPress={() => router.push({ pathname: '/sign-up', params: isUpgrade ? { upgrade: '1' } : {} })}
+                style={styles.link}
+            >
+                <Text style={[styles.linkText, { color: theme.subText }]}>
+                    No account yet? <Text style={{ color: theme.primary }}>Create one</Text>
+                </Text>
+            </TouchableOpacity>
+
+            {!isUpgrade && (
+                <TouchableOpacity onPress={handleContinueLocally} style={styles.link}>
+                    <Text style={[styles.linkText, { color: theme.subText }]}>
+                        Continue without an account
+                    </Text>
+                </TouchableOpacity>
+            )}
+        </ResponsiveLayout>
+    );
+}
+
+const styles = StyleSheet.create({
+    header: {
+        alignItems: 'center',
+        marginTop: 32,
+        marginBottom: 16,
+    },
+    title: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        marginTop: 12,
+        textAlign: 'center',
+    },
+    subtitle: {
+        fontSize: 14,
+        marginTop: 6,
+        textAlign: 'center',
+    },
+    input: {
+        borderWidth: 1,
+        padding: 10,
+        borderRadius: 8,
+        marginBottom: 8,
+    },
+    link: {
+        alignItems: 'center',
+        paddingVertical: 12,
+    },
+    linkText: {
+        fontSize: 14,
+        fontWeight: '600',
+    },
+});
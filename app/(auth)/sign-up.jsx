@@ -0,0 +1,154 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { useState } from 'react';
+import { StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import ResponsiveCard from '../../components/layout/ResponsiveCard';
+import ResponsiveLayout from '../../components/layout/ResponsiveLayout';
+import PrimaryButton from '../../components/ui/PrimaryButton';
+import { useTheme } from '../../components/ui/ThemeProvider';
+import authService from '../../utils/authService';
+import macrooMigration from '../../utils/macrooMigration';
+import { setStorageBackend, STORAGE_BACKENDS } from '../../utils/repository';
+import { toast } from '../../utils/toast';
+import { CommonSchemas, validateAndShowError } from '../../utils/validation';
+
+export default function SignUpScreen() {
+    const { theme } = useTheme();
+    const router = useRouter();
+    const { upgrade } = useLocalSearchParams();
+    const isUpgrade = upgrade === '1';
+    const [name, setName] = useState('');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    const handleSignUp = async () => {
+        if (!validateAndShowError({ email: email.trim(), password }, CommonSchemas.signUp)) return;
+
+        setSubmitting(true);
+        try {
+            const credentials = { name, email, password };
+            const { needsConfirmation, migration } = isUpgrade
+                ? await authService.upgradeLocalAccount(credentials)
+                : await authService.signUp(credentials);
+
+            if (needsConfirmation) {
+                toast('Check your inbox to confirm your email, then sign in.', 'info');
+                router.replace({ pathname: '/sign-in', params: isUpgrade ? { upgrade: '1' } : {} });
+                return;
+            }
+
+            if (isUpgrade) {
+                await setStorageBackend(STORAGE_BACKENDS.REMOTE);
+                const failures = macrooMigration.countFailures(migration);
+                if (failures > 0) {
+                    toast(`Account created, but ${failures} item(s) could not be uploaded and remain on this device.`, 'warning');
+                } else {
+                    toast('Account created. Your data on this device has been uploaded.', 'success');
+                }
+            } else {
+                toast('Account created!', 'success');
+            }
+            router.replace('/');
+        } catch (error) {
+            toast(error.message || 'Could not create account', 'error');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const inputStyle = [styles.input, { borderColor: theme.muted, backgroundColor: theme.background, color: theme.text }];
+
+    return (
+        <ResponsiveLayout>
+            <View style={styles.header}>
+                <Ionicons name="person-add-outline" size={48} color={theme.primary} />
+                <Text style={[styles.title, { color: theme.text }]}>Create your account</Text>
+                <Text style={[styles.subtitle, { color: theme.subText }]}>
+                    {isUpgrade
+                        ? 'Everything you logged on this device will be uploaded to your new account.'
+                        : 'Your meals, water and profile are stored securely in the cloud.'}
+                </Text>
+            </View>
+
+            <ResponsiveCard size="large">
+                <TextInput
+                    value={name}
+                    onChangeText={setName}
+                    placeholder="Name (optional)"
+                    placeholderTextColor={theme.subText}
+                    autoComplete="name"
+                    style={inputStyle}
+                />
+                <TextInput
+                    value={email}
+                    onChangeText={setEmail}
+                    placeholder="Email"
+                    placeholderTextColor={theme.subText}
+                    autoCapitalize="none"
+                    autoComplete="email"
+                    keyboardType="email-address"
+                    style={inputStyle}
+                />
+                <TextInput
+                    value={password}
+                    onChangeText={setPassword}
+                    placeholder="Password (at least 8 characters)"
+                    placeholderTextColor={theme.subText}
+                    autoComplete="password-new"
+                    secureTextEntry
+                    style={inputStyle}
+                />
+                <PrimaryButton
+                    title={submitting ? 'Creating account…' : 'Create Account'}
+                    onPress={handleSignUp}
+                    disabled={submitting}
+                    active
+                    style={{ marginTop: 8 }}
+                />
+            </ResponsiveCard>
+
+            <TouchableOpacity
+                onPress={() => router.replace({ pathname: '/sign-in', params: isUpgrade ? { upgrade: '1' } : {} })}
+                style={styles.link}
+            >
+                <Text style={[styles.linkText, { color: theme.subText }]}>
+                    Already have an account? <Text style={{ color: theme.primary }}>Sign in</Text>
+                </Text>
+            </TouchableOpacity>
+        </ResponsiveLayout>
+    );
+}
+
+const styles = StyleSheet.create({
+    header: {
+        alignItems: 'center',
+        marginTop: 32,
+        marginBottom: 16,
+    },
+    title: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        marginTop: 12,
+        textAlign: 'center',
+    },
+    subtitle: {
+        fontSize: 14,
+        marginTop: 6,
+        textAlign: 'center',
+    },
+    input: {
+        borderWidth: 1,
+        padding: 10,
+        borderRadius: 8,
+        marginBottom: 8,
+    },
+    link: {
+        alignItems: 'center',
+        paddingVertical: 12,
+    },
+    linkText: {
+        fontSize: 14,
+        fontWeight: '600',
+    },
+});
@@ -5,6 +5,7 @@ import {
   Animated,
   Image,
   Modal,
+  Platform,
   ScrollView,
   StyleSheet,
   Text,
@@ -21,9 +22,17 @@ import ResponsiveLayout from '../../components/layout/ResponsiveLayout';
 import PrimaryButton from '../../components/ui/PrimaryButton';
 import SegmentedControl from '../../components/ui/SegmentedControl';
 import { useTheme } from '../../components/ui/ThemeProvider';
+import { formatTimeOfDay, fromDisplayTime, fromTimeOfDay, toDisplayTime } from '../../utils/dateUtils';
 import { getMealTypeRecommendations, recommendFoods } from '../../utils/recommendations';
-import { findFoodByName, getFoodDatabase, saveMeal, saveWaterEntry } from '../../utils/supabaseStorage';
+import { calculateMealNutrients, findFoodByName, formatServing, formatUnit, getFoods, getServingUnits, RECIPE_SERVING_UNIT, saveFoodFromSource, saveMeal, saveWaterEntry, SERVING_UNITS, toGrams } from '../../utils/repository';
 import { toast } from '../../utils/toast';
+let DateTimePicker = null;
+try {
+  // optional dependency - use if available
+  DateTimePicker = require('@react-native-community/datetimepicker').default;
+} catch {
+  DateTimePicker = null;
+}
 
 export default function AddMealScreen() {
   const { theme } = useTheme();
@@ -31,6 +40,10 @@ export default function AddMealScreen() {
   const [foodList, setFoodList] = useState([]);
   const [selectedFood, setSelectedFood] = useState(null);
   const [quantity, setQuantity] = useState('');
+  const [unit, setUnit] = useState(SERVING_UNITS.GRAM);
+  const [eatenTime, setEatenTime] = useState(null); // 'HH:MM', null while the meal is eaten now
+  const [timeModalVisible, setTimeModalVisible] = useState(false);
+  const [timeInput, setTimeInput] = useState('');
   const [waterMl, setWaterMl] = useState('250');
   const [addMode, setAddMode] = useState('search'); // 'search', 'template', 'camera', 'barcode'
   const [recommendations, setRecommendations] = useState([]);
@@ -54,8 +67,16 @@ export default function AddMealScreen() {
     loadMealTypeRecommendations();
   }, [mealType]);
 
+  // Units differ per food, so a new food starts in grams; a recipe starts in servings
+  const selectedIsRecipe = !!selectedFood?.recipe;
+  useEffect(() => {
+    setUnit(selectedIsRecipe ? RECIPE_SERVING_UNIT : SERVING_UNITS.GRAM);
+  }, [selectedFood?.name, selectedIsRecipe]);
+
+  const servingUnits = selectedFood ? getServingUnits(selectedFood) : [];
+
   const loadFoodList = async () => {
-    const saved = await getFoodDatabase();
+    const saved = await getFoods();
     setFoodList(saved);
   };
 
@@ -83,40 +104,46 @@ export default function AddMealScreen() {
       return;
     }
 
-    const qty = parseFloat(quantity);
-    if (isNaN(qty) || qty <= 0 || qty > 10000) {
-      toast('Please enter a valid quantity (1-10000g)', 'error');
+    if (!selectedFood) {
+      toast('Please select a food', 'error');
       return;
     }
 
-    if (!selectedFood) {
-      toast('Please select a food', 'error');
+    const qty = parseFloat(quantity);
+    const grams = isNaN(qty) ? NaN : toGrams(selectedFood, qty, unit);
+    if (isNaN(grams) || qty <= 0 || grams > 10000) {
+      toast('Please enter a valid quantity (up to 10000g)', 'error');
       return;
     }
 
     // Prepare meal data and show confirmation dialog
-    const nutrients = {
-      calories: Math.round((selectedFood.calories * qty) / 100),
-      protein: Math.round(((selectedFood.protein * qty) / 100) * 10) / 10,
-      carbs: Math.round(((selectedFood.carbs * qty) / 100) * 10) / 10,
-      fat: Math.round(((selectedFood.fat * qty) / 100) * 10) / 10,
-    };
+    const nutrients = calculateMealNutrients(selectedFood, grams);
 
     setPendingMealData({
       selectedFood,
       quantity: qty,
+      unit,
+      grams,
       mealType,
       nutrients,
-      mealPhoto
+      mealPhoto,
+      consumedAt: eatenTime ? fromTimeOfDay(eatenTime) : null,
     });
     setShowMealConfirmDialog(true);
   };
 
   const confirmAddMeal = async () => {
-    const { selectedFood, quantity: qty, mealType, nutrients, mealPhoto } = pendingMealData;
+    const { selectedFood, quantity: qty, unit, mealType, nutrients, mealPhoto, consumedAt } = pendingMealData;
 
-    // Find the food in Supabase to get its ID
-    const foodInDatabase = await findFoodByName(selectedFood.name);
+    // Find the stored food to get its ID; a product from a food source is added to your foods first
+    let foodInDatabase = await findFoodByName(selectedFood.name);
+    if (!foodInDatabase && selectedFood.source) {
+      try {
+        foodInDatabase = await saveFoodFromSource(selectedFood);
+      } catch (error) {
+        console.error('❌ Failed to add product to foods:', error);
+      }
+    }
     if (!foodInDatabase) {
       toast('Food not found in database. Please add it first.', 'error');
       setShowMealConfirmDialog(false);
@@ -124,12 +151,12 @@ export default function AddMealScreen() {
     }
 
     const newMeal = {
-      foodId: foodInDatabase.id,
       mealType: mealType.toLowerCase(),
-      quantity: qty,
-      servingSize: selectedFood.serving_size || '100g',
-      date: new Date().toISOString().split("T")[0],
+      unit,
+      unitAmount: qty,
+      consumedAt: (consumedAt || new Date()).toISOString(),
       notes: mealPhoto ? 'Meal photo attached' : null,
+      food: foodInDatabase,
     };
 
     await saveMeal(newMeal);
@@ -155,18 +182,19 @@ export default function AddMealScreen() {
       const mealEmoji = mealEmojis[meal.toLowerCase()] || '🍽️';
 
       if (calories >= 300) {
-        return `${mealEmoji} ${food} (${quantity}g) added to ${meal}! ${calories} cals - ${randomEncouragement} 💪`;
+        return `${mealEmoji} ${food} (${quantity}) added to ${meal}! ${calories} cals - ${randomEncouragement} 💪`;
       } else if (calories >= 150) {
-        return `${mealEmoji} ${food} (${quantity}g) logged for ${meal}! ${calories} cals - ${randomEncouragement} ⭐`;
+        return `${mealEmoji} ${food} (${quantity}) logged for ${meal}! ${calories} cals - ${randomEncouragement} ⭐`;
       } else {
-        return `${mealEmoji} ${food} (${quantity}g) tracked as ${meal}! ${calories} cals - ${randomEncouragement} ✨`;
+        return `${mealEmoji} ${food} (${quantity}) tracked as ${meal}! ${calories} cals - ${randomEncouragement} ✨`;
       }
     };
 
-    toast(getFoodMessage(selectedFood.name, qty, mealType, nutrients.calories), 'success');
+    toast(getFoodMessage(selectedFood.name, formatServing(qty, unit), mealType, nutrients.calories), 'success');
     setQuantity('');
     setSelectedFood(null);
     setMealPhoto(null);
+    setEatenTime(null);
     setShowMealConfirmDialog(false);
     setPendingMealData(null);
 
@@ -189,11 +217,7 @@ export default function AddMealScreen() {
   const confirmAddWater = async () => {
     const { amount: ml } = pendingWaterData;
 
-    await saveWaterEntry({
-      amount: ml,
-      date: new Date().toISOString().split('T')[0],
-      time: new Date().toTimeString().split(' ')[0]
-    });
+    await saveWaterEntry(ml);
 
     // simple scale animation to indicate success
     Animated.sequence([
@@ -231,18 +255,12 @@ export default function AddMealScreen() {
     await handleAddMeal();
   };
 
-  const handleBarcodeFood = (foodInfo) => {
-    // Convert barcode food info to our food format
-    const food = {
-      name: `${foodInfo.brand ? foodInfo.brand + ' ' : ''}${foodInfo.name}`,
-      calories: foodInfo.nutrients.calories || 0,
-      protein: foodInfo.nutrients.protein || 0,
-      carbs: foodInfo.nutrients.carbs || 0,
-      fat: foodInfo.nutrients.fat || 0,
-    };
+  const handleBarcodeFood = (food) => {
+    // Start from one serving when the product lists one
+    const serving = getServingUnits(food).find(u => u.unit !== SERVING_UNITS.GRAM && u.unit !== SERVING_UNITS.MILLILITRE);
 
     setSelectedFood(food);
-    setQuantity(foodInfo.servingSize ? foodInfo.servingSize.toString() : '100');
+    setQuantity(String(serving ? serving.grams : 100));
     setShowBarcodeScanner(false);
     toast('Product found!', 'success');
   };
@@ -489,16 +507,65 @@ export default function AddMealScreen() {
       )}
 
       <ResponsiveCard size="medium" style={{ marginBottom: 16 }}>
-        <Text style={[styles.label, { color: theme.text }]}>Quantity (grams)</Text>
+        <Text style={[styles.label, { color: theme.text }]}>
+          Quantity ({unit === SERVING_UNITS.GRAM ? 'grams' : formatUnit(unit, 2)})
+        </Text>
+        {servingUnits.length > 1 && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.unitRow}>
+            {servingUnits.map(option => (
+              <TouchableOpacity
+                key={option.unit}
+                style={[
+                  styles.recommendationChip,
+                  {
+                    backgroundColor: unit === option.unit ? theme.primary : theme.muted,
+                    borderColor: theme.primary,
+                  }
+                ]}
+                onPress={() => setUnit(option.unit)}
+                accessibilityRole="radio"
+                accessibilityState={{ selected: unit === option.unit }}
+              >
+                <Text style={[
+                  styles.recommendationText,
+                  { color: unit === option.unit ? theme.onPrimary : theme.text }
+                ]}>
+                  {option.unit === SERVING_UNITS.GRAM ? 'g' : `${formatUnit(option.unit)} (${option.grams}g)`}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        )}
         <TextInput
           value={quantity}
           onChangeText={setQuantity}
           keyboardType="numeric"
-          placeholder="e.g. 100"
+          placeholder={unit === SERVING_UNITS.GRAM ? 'e.g. 100' : 'e.g. 1'}
           placeholderTextColor={theme.subText}
           style={[styles.input, { borderColor: theme.muted, color: theme.text }]}
         />
 
+        <View style={styles.eatenAtRow}>
+          <Text style={[styles.eatenAtLabel, { color: theme.text }]}>Eaten at</Text>
+          <TouchableOpacity
+            style={[styles.recommendationChip, { backgroundColor: theme.muted, borderColor: theme.primary }]}
+            onPress={() => {
+              setTimeInput(eatenTime || formatTimeOfDay(new Date()));
+              setTimeModalVisible(true);
+            }}
+            accessibilityLabel="Change when this meal was eaten"
+          >
+            <Text style={[styles.recommendationText, { color: theme.text }]}>
+              🕒 {eatenTime || 'Now'}
+            </Text>
+          </TouchableOpacity>
+          {eatenTime && (
+            <TouchableOpacity onPress={() => setEatenTime(null)} accessibilityLabel="Eaten now">
+              <Text style={{ color: theme.primary }}>Now</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
         <Animated.View style={{ transform: [{ scale: addScale }] }}>
           <PrimaryButton
             title="Add Meal"
@@ -556,6 +623,63 @@ export default function AddMealScreen() {
         />
       </Modal>
 
+      {/* Meal Time Picker */}
+      <Modal visible={timeModalVisible} transparent animationType="fade" onRequestClose={() => setTimeModalVisible(false)}>
+        <View style={styles.modalOverlay}>
+          <View style={[styles.confirmDialog, { backgroundColor: theme.card }]}>
+            <Text style={[styles.confirmTitle, { color: theme.text }]}>When did you eat it?</Text>
+            {DateTimePicker ? (
+              <DateTimePicker
+                value={toDisplayTime(timeInput)}
+                mode="time"
+                display={Platform.OS === 'ios' ? 'spinner' : 'clock'}
+                onChange={(e, d) => {
+                  if (d) setTimeInput(fromDisplayTime(d));
+                  // Android shows its own dialog, which closes on pick or cancel
+                  if (Platform.OS === 'android') {
+                    setTimeModalVisible(false);
+                    if (d && e?.type === 'set') setEatenTime(fromDisplayTime(d));
+                  }
+                }}
+              />
+            ) : (
+              <TextInput
+                value={timeInput}
+                onChangeText={setTimeInput}
+                placeholder="HH:MM"
+                placeholderTextColor={theme.subText}
+                style={[styles.input, { borderColor: theme.muted, color: theme.text }]}
+              />
+            )}
+            <Text style={[styles.confirmText, { color: theme.subText }]}>
+              A time later than now is logged for yesterday.
+            </Text>
+            <View style={styles.confirmButtons}>
+              <TouchableOpacity
+                style={[styles.confirmButton, styles.cancelButton, { backgroundColor: theme.muted }]}
+                onPress={() => setTimeModalVisible(false)}
+              >
+                <Text style={[styles.confirmButtonText, { color: theme.text }]}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.confirmButton, styles.confirmButtonPrimary, { backgroundColor: theme.primary }]}
+                onPress={() => {
+                  const picked = fromTimeOfDay(timeInput);
+                  if (!picked) {
+                    toast('Enter a time like 08:30', 'error');
+                    return;
+                  }
+                  setEatenTime(formatTimeOfDay(picked));
+                  setTimeModalVisible(false);
+                }}
+              >
+                <Text style={[styles.confirmButtonText, { color: theme.onPrimary || '#fff' }]}>Set Time</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
       {/* Meal Confirmation Dialog */}
       <Modal
         visible={showMealConfirmDialog}
@@ -571,7 +695,9 @@ export default function AddMealScreen() {
             {pendingMealData && (
               <View style={styles.confirmContent}>
                 <Text style={[styles.confirmText, { color: theme.subText }]}>
-                  Add {pendingMealData.selectedFood?.name} ({pendingMealData.quantity}g) to {pendingMealData.mealType}?
+                  Add {pendingMealData.selectedFood?.name} ({formatServing(pendingMealData.quantity, pendingMealData.unit)}
+                  {pendingMealData.unit !== SERVING_UNITS.GRAM ? `, ${pendingMealData.grams}g` : ''}) to {pendingMealData.mealType}
+                  {pendingMealData.consumedAt ? ` at ${formatTimeOfDay(pendingMealData.consumedAt)}` : ''}?
                 </Text>
                 <Text style={[styles.confirmNutrition, { color: theme.text }]}>
                   {pendingMealData.nutrients?.calories} calories
@@ -657,6 +783,16 @@ const styles = StyleSheet.create({
     padding: 8,
     marginBottom: 12,
   },
+  eatenAtRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 12,
+  },
+  eatenAtLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
   separator: {
     height: 1,
     marginVertical: 24,
@@ -699,6 +835,9 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: '500',
   },
+  unitRow: {
+    marginBottom: 12,
+  },
   searchSection: {
     marginBottom: 16,
   },
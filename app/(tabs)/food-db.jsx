@@ -2,11 +2,14 @@ import { Ionicons } from '@expo/vector-icons';
 import { useFocusEffect } from 'expo-router';
 import React, { useEffect, useState } from 'react';
 import { Dimensions, Modal, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import ChangeHistory from '../../components/ChangeHistory';
+import RecipeForm from '../../components/forms/RecipeForm';
 import ResponsiveCard from '../../components/layout/ResponsiveCard';
 import ResponsiveLayout from '../../components/layout/ResponsiveLayout';
 import PrimaryButton from '../../components/ui/PrimaryButton';
 import { useTheme } from '../../components/ui/ThemeProvider';
-import { deleteFoodFromDatabase, getFoodDatabase, saveFoodToDatabase, updateFoodInDatabase } from '../../utils/supabaseStorage';
+import { LIVE_TOPICS, useLiveUpdates } from '../../utils/liveStore';
+import { deleteFood, getFoods, HISTORY_TYPES, restoreFromTrash, saveFood, TRASH_TYPES, updateFood } from '../../utils/repository';
 import { toast } from '../../utils/toast';
 
 export default function FoodDbScreen() {
@@ -27,8 +30,11 @@ export default function FoodDbScreen() {
     const [editCarbs, setEditCarbs] = useState('');
     const [editFat, setEditFat] = useState('');
 
+    // { recipeFood } while the recipe builder is open; recipeFood is null for a new recipe
+    const [recipeForm, setRecipeForm] = useState(null);
+
     const load = async () => {
-        const data = await getFoodDatabase();
+        const data = await getFoods();
         setFoods(data || []);
     };
 
@@ -45,6 +51,9 @@ export default function FoodDbScreen() {
         }, [])
     );
 
+    // Foods added or edited on another device appear without a manual refresh
+    useLiveUpdates([LIVE_TOPICS.FOODS], load);
+
     const handleAddFood = async () => {
         if (!newFood || !newCalories || !newProtein || !newCarbs || !newFat) {
             toast('Please fill all food details', 'error');
@@ -82,7 +91,7 @@ export default function FoodDbScreen() {
             fat: Math.round(fat * 10) / 10,
         };
 
-        await saveFoodToDatabase(newFoodItem);
+        await saveFood(newFoodItem);
         await load();
         toast(`🍽️ ${newFoodItem.name} added to database!`, 'success');
         setNewFood('');
@@ -93,6 +102,11 @@ export default function FoodDbScreen() {
     };
 
     const openEdit = (f) => {
+        // A recipe's nutrients come from its ingredients, so it is edited in the recipe builder
+        if (f.recipe) {
+            setRecipeForm({ recipeFood: f });
+            return;
+        }
         setEditingFood(f);
         setEditName(f.name);
         setEditCalories(String(f.calories || ''));
@@ -135,13 +149,45 @@ export default function FoodDbScreen() {
             carbs: editCarbs ? Math.round(carbs * 10) / 10 : editingFood.carbs,
             fat: editFat ? Math.round(fat * 10) / 10 : editingFood.fat,
         };
-        await updateFoodInDatabase(editingFood.id, updated);
+        await updateFood(editingFood.id, updated, editingFood);
         setEditModalVisible(false);
         setEditingFood(null);
         await load();
         toast('Food updated', 'success');
     };
 
+    const handleRecipeSaved = async () => {
+        setRecipeForm(null);
+        await load();
+    };
+
+    const handleFoodReverted = async () => {
+        setEditModalVisible(false);
+        setEditingFood(null);
+        await load();
+    };
+
+    const handleDelete = async (food) => {
+        await deleteFood(food.id);
+        await load();
+        toast({
+            message: `${food.name} moved to trash`,
+            type: 'error',
+            action: {
+                label: 'Undo',
+                onPress: async () => {
+                    try {
+                        await restoreFromTrash(TRASH_TYPES.FOOD, food.id);
+                        await load();
+                        toast('Food restored', 'success');
+                    } catch (error) {
+                        toast(error.message, 'error');
+                    }
+                },
+            },
+        });
+    };
+
     return (
         <ResponsiveLayout>
             <Text style={[styles.heading, { color: theme.text }]}>Food Database</Text>
@@ -164,6 +210,14 @@ export default function FoodDbScreen() {
                 </View>
             </ResponsiveCard>
 
+            <ResponsiveCard size="large" style={{ marginBottom: 16 }}>
+                <Text style={[styles.subheading, { color: theme.text }]}>Recipes</Text>
+                <Text style={[styles.meta, { color: theme.subText, marginTop: 0, marginBottom: 12 }]}>
+                    Combine foods into a dish you cook often. Nutrition per serving is worked out from the ingredients and stays up to date when you edit them.
+                </Text>
+                <PrimaryButton title="New Recipe" icon="restaurant-outline" onPress={() => setRecipeForm({ recipeFood: null })} />
+            </ResponsiveCard>
+
             {foods.length === 0 ? (
                 <ResponsiveCard size="medium">
                     <Text style={{ color: theme.subText, textAlign: 'center' }}>No foods in the database.</Text>
@@ -186,17 +240,17 @@ export default function FoodDbScreen() {
                                 <Text style={[styles.meta, { color: theme.subText }]} numberOfLines={1}>
                                     {f.calories} kcal/100g • P {f.protein} • C {f.carbs} • F {f.fat}
                                 </Text>
+                                {f.recipe && (
+                                    <Text style={[styles.meta, { color: theme.primary }]} numberOfLines={1}>
+                                        Recipe • {f.recipe.ingredients.length} ingredients • {f.recipe.servings} {f.recipe.servings === 1 ? 'serving' : 'servings'} of {f.servingUnits.serving}g
+                                    </Text>
+                                )}
                             </View>
                             <View style={{ flexDirection: 'row', gap: 12, alignItems: 'center', flexShrink: 0 }}>
                                 <TouchableOpacity onPress={() => openEdit(f)} style={{ padding: 6 }} accessibilityLabel="Edit food">
                                     <Ionicons name="pencil" size={18} color={theme.primary} />
                                 </TouchableOpacity>
-                                <TouchableOpacity onPress={async () => {
-                                    const removed = f; // Store the food data for undo
-                                    await deleteFoodFromDatabase(f.id);
-                                    await load();
-                                    toast({ message: 'Food deleted', type: 'error', action: { label: 'Undo', onPress: async () => { if (removed) { await saveFoodToDatabase(removed); await load(); toast('Restored', 'success'); } } } });
-                                }} style={{ padding: 6 }} accessibilityLabel="Delete food">
+                                <TouchableOpacity onPress={() => handleDelete(f)} style={{ padding: 6 }} accessibilityLabel="Delete food">
                                     <Ionicons name="trash" size={18} color={theme.danger} />
                                 </TouchableOpacity>
                             </View>
@@ -205,6 +259,13 @@ export default function FoodDbScreen() {
                 ))
             )}
 
+            {/* Recipe Builder */}
+            <Modal visible={!!recipeForm} animationType="slide" onRequestClose={() => setRecipeForm(null)}>
+                {recipeForm && (
+                    <RecipeForm recipeFood={recipeForm.recipeFood} onSaved={handleRecipeSaved} onCancel={() => setRecipeForm(null)} />
+                )}
+            </Modal>
+
             {/* Edit Modal */}
             <Modal visible={editModalVisible} animationType="slide" transparent={true} onRequestClose={() => setEditModalVisible(false)}>
                 <View style={{ flex: 1, backgroundColor: theme.name === 'dark' ? 'rgba(255,255,255,0.04)' : 'rgba(0,0,0,0.3)', justifyContent: 'center', padding: 24 }}>
@@ -219,6 +280,9 @@ export default function FoodDbScreen() {
                             <PrimaryButton title="Cancel" onPress={() => setEditModalVisible(false)} style={{ marginRight: 8 }} />
                             <PrimaryButton title="Save" onPress={handleSaveEdit} />
                         </View>
+                        {editingFood && (
+                            <ChangeHistory type={HISTORY_TYPES.FOOD} id={editingFood.id} onReverted={handleFoodReverted} />
+                        )}
                     </View>
                 </View>
             </Modal>
@@ -2,6 +2,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { useFocusEffect } from 'expo-router';
 import { useCallback, useState } from 'react';
 import { Dimensions, Modal, Platform, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import ChangeHistory from '../../components/ChangeHistory';
 import MacroRatioPieChart from '../../components/charts/MacroRatioPieChart';
 import { MultiProgressRing, ProgressRing } from '../../components/charts/ProgressRing';
 import DailyNutritionSummary from '../../components/DailyNutritionSummary';
@@ -9,11 +10,13 @@ import HydrationProgress from '../../components/HydrationProgress';
 import ResponsiveCard from '../../components/layout/ResponsiveCard';
 import ResponsiveLayout from '../../components/layout/ResponsiveLayout';
 import PrimaryButton from '../../components/ui/PrimaryButton';
+import SyncStatusBadge from '../../components/ui/SyncStatusBadge';
 import { useTheme } from '../../components/ui/ThemeProvider';
 import { checkMealAchievements, initializeAchievements } from '../../utils/achievements';
+import { formatTimeOfDay, today } from '../../utils/dateUtils';
+import { affectsDate, LIVE_EVENTS, LIVE_TOPICS, useLiveUpdates } from '../../utils/liveStore';
 import { generateNutritionInsights } from '../../utils/recommendations';
-import { getCustomMacroTargets, suggestCalories } from '../../utils/storage';
-import { deleteMeal, getMeals, getProfile, getWaterEntries, updateMeal } from '../../utils/supabaseStorage';
+import { deleteMeal, formatServing, formatUnit, getCustomMacroTargets, getDailyTotal, getMeals, getProfile, HISTORY_TYPES, restoreFromTrash, SERVING_UNITS, suggestCalories, TRASH_TYPES, updateMeal } from '../../utils/repository';
 import { toast } from '../../utils/toast';
 
 const screenWidth = Dimensions.get('window').width;
@@ -36,41 +39,21 @@ export default function HomeScreen() {
   const [refreshTrigger, setRefreshTrigger] = useState(0);
 
   const loadMeals = async () => {
-    const today = new Date().toISOString().slice(0, 10);
-    const filtered = await getMeals(today); // Get only today's meals
-
-    const sum = filtered.reduce(
-      (acc, m) => ({
-        calories: acc.calories + (m.calories || 0),
-        protein: acc.protein + (m.protein || 0),
-        carbs: acc.carbs + (m.carbs || 0),
-        fat: acc.fat + (m.fat || 0),
-      }),
-      { calories: 0, protein: 0, carbs: 0, fat: 0 }
-    );
-
-    // Round totals for consistent display
-    sum.calories = Math.round(sum.calories);
-    sum.protein = Math.round(sum.protein * 10) / 10;
-    sum.carbs = Math.round(sum.carbs * 10) / 10;
-    sum.fat = Math.round(sum.fat * 10) / 10;
+    const date = today();
+    const [filtered, dayTotal] = await Promise.all([
+      getMeals(date), // Get only today's meals
+      getDailyTotal(date),
+    ]);
 
     setTodayMeals(filtered);
-    setTotals(sum);
+    setTotals({ calories: dayTotal.calories, protein: dayTotal.protein, carbs: dayTotal.carbs, fat: dayTotal.fat });
+    setTodayWater(dayTotal.water);
 
     // Initialize achievements system
     await initializeAchievements();
 
     // Check achievements
-    await checkMealAchievements(filtered);
-
-    // compute today's water total
-    const waters = await getWaterEntries();
-    const todayDate = new Date().toISOString().slice(0, 10);
-    const todaySum = (waters || [])
-      .filter(w => w.date === todayDate)
-      .reduce((s, w) => s + (w.amount || 0), 0);
-    setTodayWater(todaySum);
+    await checkMealAchievements();
 
     const prof = await getProfile();
     // Convert glasses to ml (assuming 250ml per glass)
@@ -94,9 +77,24 @@ export default function HomeScreen() {
   };
 
   const handleDeleteMeal = async (mealId) => {
-    const removed = await deleteMeal(mealId);
+    await deleteMeal(mealId);
     await loadMeals();
-    toast({ message: 'Meal deleted', type: 'error', action: { label: 'Undo', onPress: async () => { if (removed) { await saveMeal(removed); await loadMeals(); toast('Restored meal', 'success'); } } } });
+    toast({
+      message: 'Meal moved to trash',
+      type: 'error',
+      action: {
+        label: 'Undo',
+        onPress: async () => {
+          try {
+            await restoreFromTrash(TRASH_TYPES.MEAL, mealId);
+            await loadMeals();
+            toast('Meal restored', 'success');
+          } catch (error) {
+            toast(error.message, 'error');
+          }
+        },
+      },
+    });
   };
 
   const [editModalVisible, setEditModalVisible] = useState(false);
@@ -105,20 +103,26 @@ export default function HomeScreen() {
 
   const openEditMeal = (meal) => {
     setEditingMeal(meal);
-    setEditQuantity(String(meal.quantity || ''));
+    setEditQuantity(String(meal.unitAmount || ''));
     setEditModalVisible(true);
   };
 
   const handleSaveMealEdit = async () => {
     if (!editingMeal) return;
-    const updated = { quantity: parseFloat(editQuantity) || editingMeal.quantity };
-    await updateMeal(editingMeal.id, updated);
+    const updated = { unitAmount: parseFloat(editQuantity) || editingMeal.unitAmount };
+    await updateMeal(editingMeal.id, updated, editingMeal);
     setEditModalVisible(false);
     setEditingMeal(null);
     await loadMeals();
     toast('Meal updated successfully!', 'success');
   };
 
+  const handleMealReverted = async () => {
+    setEditModalVisible(false);
+    setEditingMeal(null);
+    await loadMeals();
+  };
+
   useFocusEffect(
     useCallback(() => {
       // refresh today when screen focuses
@@ -126,6 +130,20 @@ export default function HomeScreen() {
     }, [])
   );
 
+  // Meals, water and goals changed on another device show up without leaving the screen.
+  // A food edit can change today's totals; a newly created food cannot.
+  useLiveUpdates(
+    [LIVE_TOPICS.MEALS, LIVE_TOPICS.WATER, LIVE_TOPICS.FOODS, LIVE_TOPICS.PROFILE],
+    loadMeals,
+    {
+      filter: (change) => {
+        if (change.topic === LIVE_TOPICS.FOODS) return change.event !== LIVE_EVENTS.INSERT;
+        if (change.topic === LIVE_TOPICS.PROFILE) return true;
+        return affectsDate(change, today());
+      },
+    }
+  );
+
   // monthly data moved to Monthly tab
 
   // simplified: we won't show nutrient chart on home — monthly tab handles trends
@@ -138,13 +156,14 @@ export default function HomeScreen() {
     <ResponsiveLayout>
       <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
         <Text style={[styles.heading, { color: theme.text }]}>Today's Summary</Text>
+        <SyncStatusBadge onSynced={loadMeals} />
       </View>
 
       {/* MyFitnessPal-Style Daily Summary */}
       <DailyNutritionSummary
         key={refreshTrigger}
         userId="current_user"
-        date={new Date().toISOString().slice(0, 10)}
+        date={today()}
       />
 
       <ResponsiveCard size="large">
@@ -269,7 +288,7 @@ export default function HomeScreen() {
                     </View>
                   </View>
                   <Text style={[styles.foodName, { color: theme.text }]} numberOfLines={2}>
-                    🍽️ {meal.food || meal.foodName}
+                    🍽️ {meal.foodName}
                   </Text>
                 </View>
                 <View style={styles.mealActions}>
@@ -291,7 +310,8 @@ export default function HomeScreen() {
                   <Text style={[styles.calorieLabel, { color: theme.subText }]}>kcal</Text>
                 </View>
                 <Text style={[styles.quantityText, { color: theme.subText }]}>
-                  {meal.quantity}g
+                  {meal.consumedAt ? `${formatTimeOfDay(meal.consumedAt)} · ` : ''}
+                  {meal.unit === SERVING_UNITS.GRAM ? `${meal.quantity}g` : `${formatServing(meal.unitAmount, meal.unit)} · ${meal.quantity}g`}
                 </Text>
               </View>
 
@@ -318,6 +338,11 @@ export default function HomeScreen() {
                   <Text style={[styles.macroLabel, { color: theme.subText }]}>Fat</Text>
                 </View>
               </View>
+              {(meal.fiber > 0 || meal.sugar > 0 || meal.sodium > 0) && (
+                <Text style={[styles.microText, { color: theme.subText }]}>
+                  Fiber {(meal.fiber || 0).toFixed(1)}g · Sugar {(meal.sugar || 0).toFixed(1)}g · Sodium {Math.round(meal.sodium || 0)}mg
+                </Text>
+              )}
             </ResponsiveCard>
           ))
         )}
@@ -327,11 +352,14 @@ export default function HomeScreen() {
           <View style={{ backgroundColor: theme.card, borderRadius: 12, padding: 16 }}>
             <Text style={{ fontWeight: '700', fontSize: 16, marginBottom: 8, color: theme.text }}>Edit Meal</Text>
             <Text style={{ color: theme.subText, marginBottom: 8 }}>{editingMeal?.food}</Text>
-            <TextInput value={editQuantity} onChangeText={setEditQuantity} placeholder="Quantity (g)" keyboardType="numeric" style={{ borderWidth: 1, borderColor: theme.muted, padding: 10, borderRadius: 8, marginBottom: 8, color: theme.text }} />
+            <TextInput value={editQuantity} onChangeText={setEditQuantity} placeholder={`Quantity (${editingMeal?.unit === SERVING_UNITS.GRAM ? 'g' : formatUnit(editingMeal?.unit, 2)})`} keyboardType="numeric" style={{ borderWidth: 1, borderColor: theme.muted, padding: 10, borderRadius: 8, marginBottom: 8, color: theme.text }} />
             <View style={{ flexDirection: 'row', justifyContent: 'flex-end', gap: 8 }}>
               <PrimaryButton title="Cancel" onPress={() => setEditModalVisible(false)} style={{ marginRight: 8 }} />
               <PrimaryButton title="Save" onPress={handleSaveMealEdit} />
             </View>
+            {editingMeal && (
+              <ChangeHistory type={HISTORY_TYPES.MEAL} id={editingMeal.id} onReverted={handleMealReverted} />
+            )}
           </View>
         </View>
       </Modal>
@@ -505,6 +533,11 @@ const styles = StyleSheet.create({
     textTransform: 'uppercase',
     letterSpacing: 0.5,
   },
+  microText: {
+    fontSize: 12,
+    marginTop: 8,
+    textAlign: 'center',
+  },
   macroSeparator: {
     width: 1,
     height: 20,
@@ -6,7 +6,9 @@ import ResponsiveCard, { StatsCard } from '../../components/layout/ResponsiveCar
 import ResponsiveLayout from '../../components/layout/ResponsiveLayout';
 import SegmentedControl from '../../components/ui/SegmentedControl';
 import { useTheme } from '../../components/ui/ThemeProvider';
-import { getMeals } from '../../utils/supabaseStorage';
+import { addDays, fromDisplayDate, isDateString, today, toDisplayDate } from '../../utils/dateUtils';
+import { LIVE_TOPICS, useLiveUpdates } from '../../utils/liveStore';
+import { emptyDailyTotal, getDailyTotal, getDailyTotals, getMeals } from '../../utils/repository';
 let DateTimePicker = null;
 try {
     // optional dependency - use if available
@@ -19,29 +21,38 @@ const screenWidth = Dimensions.get('window').width;
 
 export default function MonthlyScreen() {
     const { theme } = useTheme();
-    const [selectedDate, setSelectedDate] = useState(new Date());
+    const [selectedDate, setSelectedDate] = useState(() => toDisplayDate(today()));
     const [meals, setMeals] = useState([]);
     const [chartData, setChartData] = useState(null);
     const [nutrient, setNutrient] = useState('all');
     const [viewMode, setViewMode] = useState('month'); // 'month' or 'day' or 'all'
-    const [dailyTotals, setDailyTotals] = useState({ calories: 0, protein: 0, carbs: 0, fat: 0 });
+    const [dailyTotals, setDailyTotals] = useState({ calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, sugar: 0, sodium: 0 });
     const [dateModalVisible, setDateModalVisible] = useState(false);
     const [dateInput, setDateInput] = useState('');
     const chartAnim = useRef(new Animated.Value(0)).current;
 
     const load = async () => {
-        const all = await getMeals();
-        const entries = all || [];
-        setMeals(entries);
+        const dayStr = fromDisplayDate(selectedDate);
+        const rangeEnd = today();
+
+        // Only the selected day and the charted 30 days are fetched, never the whole history
+        const [dayMeals, dayTotal, monthTotals] = await Promise.all([
+            getMeals(dayStr),
+            getDailyTotal(dayStr),
+            getDailyTotals(addDays(rangeEnd, -29), rangeEnd),
+        ]);
+        setMeals(dayMeals);
 
         // DAILY totals for selectedDate
-        const dayStr = selectedDate.toISOString().slice(0, 10);
-        const dayMeals = entries.filter(m => m.date === dayStr);
-        const sumCal = Math.round(dayMeals.reduce((s, m) => s + (m.calories || 0), 0));
-        const sumP = Math.round(dayMeals.reduce((s, m) => s + (m.protein || 0), 0));
-        const sumC = Math.round(dayMeals.reduce((s, m) => s + (m.carbs || 0), 0));
-        const sumF = Math.round(dayMeals.reduce((s, m) => s + (m.fat || 0), 0));
-        setDailyTotals({ calories: sumCal, protein: sumP, carbs: sumC, fat: sumF });
+        setDailyTotals({
+            calories: dayTotal.calories,
+            protein: Math.round(dayTotal.protein),
+            carbs: Math.round(dayTotal.carbs),
+            fat: Math.round(dayTotal.fat),
+            fiber: Math.round(dayTotal.fiber),
+            sugar: Math.round(dayTotal.sugar),
+            sodium: dayTotal.sodium,
+        });
 
         // MONTHLY (last 30 days) chart build
         const labels = [];
@@ -49,25 +60,31 @@ export default function MonthlyScreen() {
         const dataProtein = [];
         const dataCarbs = [];
         const dataFat = [];
+        const dataFiber = [];
+        const dataSugar = [];
+        const dataSodium = [];
         for (let i = 29; i >= 0; i--) {
-            const d = new Date();
-            d.setDate(d.getDate() - i);
-            const dayKey = d.toISOString().slice(0, 10);
-            const dayMeals = entries.filter(m => m.date === dayKey);
-            dataCalories.push(Math.round(dayMeals.reduce((s, m) => s + (m.calories || 0), 0)));
-            dataProtein.push(Math.round(dayMeals.reduce((s, m) => s + (m.protein || 0), 0)));
-            dataCarbs.push(Math.round(dayMeals.reduce((s, m) => s + (m.carbs || 0), 0)));
-            dataFat.push(Math.round(dayMeals.reduce((s, m) => s + (m.fat || 0), 0)));
-            const dd = String(d.getDate()).padStart(2, '0');
-            const mm = String(d.getMonth() + 1).padStart(2, '0');
+            const dayKey = addDays(rangeEnd, -i);
+            const day = monthTotals.find(t => t.date === dayKey) || emptyDailyTotal(dayKey);
+            dataCalories.push(day.calories);
+            dataProtein.push(Math.round(day.protein));
+            dataCarbs.push(Math.round(day.carbs));
+            dataFat.push(Math.round(day.fat));
+            dataFiber.push(Math.round(day.fiber));
+            dataSugar.push(Math.round(day.sugar));
+            dataSodium.push(day.sodium);
+            const [, mm, dd] = dayKey.split('-');
             labels.push(i % 5 === 0 ? `${dd}/${mm}` : '');
         }
 
-        // Only show macro nutrients (protein/carbs/fat) on the chart
+        // 'All' charts the macros; fiber, sugar and sodium (mg, a different scale) are charted on their own
         const datasets = [];
         if (nutrient === 'all' || nutrient === 'protein') datasets.push({ data: dataProtein, color: () => theme.success, strokeWidth: 2 });
         if (nutrient === 'all' || nutrient === 'carbs') datasets.push({ data: dataCarbs, color: () => theme.primary, strokeWidth: 2 });
         if (nutrient === 'all' || nutrient === 'fat') datasets.push({ data: dataFat, color: () => theme.fat, strokeWidth: 2 });
+        if (nutrient === 'fiber') datasets.push({ data: dataFiber, color: () => theme.success, strokeWidth: 2 });
+        if (nutrient === 'sugar') datasets.push({ data: dataSugar, color: () => theme.danger, strokeWidth: 2 });
+        if (nutrient === 'sodium') datasets.push({ data: dataSodium, color: () => theme.primary, strokeWidth: 2 });
 
         const flat = datasets.length ? [].concat(...datasets.map(s => s.data)) : [0];
         const rawMax = Math.max(...flat, 0);
@@ -95,6 +112,9 @@ export default function MonthlyScreen() {
         }, [])
     );
 
+    // The selected day or the charted month may change on another device
+    useLiveUpdates([LIVE_TOPICS.MEALS, LIVE_TOPICS.WATER, LIVE_TOPICS.FOODS], load);
+
     // Recompute whenever these change (date, nutrient selection)
     useEffect(() => {
         load();
@@ -123,8 +143,6 @@ export default function MonthlyScreen() {
         setSelectedDate(d);
     };
 
-    const mealsForSelected = meals.filter(m => m.date === selectedDate.toISOString().slice(0, 10));
-
     return (
         <ResponsiveLayout>
             <Text style={[styles.heading, { color: theme.text }]}>📊 Nutrition History</Text>
@@ -196,13 +214,31 @@ export default function MonthlyScreen() {
                         color={theme.fat}
                         style={styles.statsCardFixed}
                     />
+                    <StatsCard
+                        label="🌾 Fiber"
+                        value={`${dailyTotals.fiber} g`}
+                        color={theme.success}
+                        style={styles.statsCardFixed}
+                    />
+                    <StatsCard
+                        label="🍬 Sugar"
+                        value={`${dailyTotals.sugar} g`}
+                        color={theme.danger}
+                        style={styles.statsCardFixed}
+                    />
+                    <StatsCard
+                        label="🧂 Sodium"
+                        value={`${dailyTotals.sodium} mg`}
+                        color={theme.primary}
+                        style={styles.statsCardFixed}
+                    />
                 </ScrollView>
 
                 {/* Daily Meals Section */}
                 <View style={styles.dailyMealsSection}>
                     <Text style={[styles.sectionTitle, { color: theme.text }]}>🍽️ Daily Meals</Text>
-                    {mealsForSelected.length === 0 ? <Text style={{ marginTop: 8, color: theme.subText }}>No meals for this day.</Text> : (
-                        mealsForSelected.map((m, i) => (
+                    {meals.length === 0 ? <Text style={{ marginTop: 8, color: theme.subText }}>No meals for this day.</Text> : (
+                        meals.map((m, i) => (
                             <View key={i} style={{ marginTop: 8 }}>
                                 <Text style={{ fontWeight: '700', color: theme.text }}>{m.mealType} • {m.foodName}</Text>
                                 <Text style={{ color: theme.text }}>{(m.calories || 0).toFixed(1)} kcal</Text>
@@ -229,6 +265,12 @@ export default function MonthlyScreen() {
                             options={[{ key: 'all', label: 'All' }, { key: 'protein', label: 'Protein' }, { key: 'carbs', label: 'Carbs' }, { key: 'fat', label: 'Fat' }]}
                             value={nutrient}
                             onChange={(k) => setNutrient(k)}
+                            style={{ marginBottom: 8 }}
+                        />
+                        <SegmentedControl
+                            options={[{ key: 'fiber', label: 'Fiber' }, { key: 'sugar', label: 'Sugar' }, { key: 'sodium', label: 'Sodium (mg)' }]}
+                            value={nutrient}
+                            onChange={(k) => setNutrient(k)}
                         />
                         {/* integrated 'All' option is now part of the macro segmented control above */}
                     </View>
@@ -260,13 +302,12 @@ export default function MonthlyScreen() {
                                     <View style={{ flexDirection: 'row', justifyContent: 'flex-end', gap: 8 }}>
                                         <TouchableOpacity onPress={() => setDateModalVisible(false)} style={{ padding: 8, cursor: Platform.OS === 'web' ? 'pointer' : 'default' }}><Text style={{ color: theme.subText }}>Cancel</Text></TouchableOpacity>
                                         <TouchableOpacity onPress={() => {
-                                            const d = new Date(dateInput);
-                                            if (!isNaN(d)) {
-                                                setSelectedDate(d);
+                                            if (isDateString(dateInput)) {
+                                                setSelectedDate(toDisplayDate(dateInput));
                                                 setDateModalVisible(false);
                                                 load();
                                             } else {
-                                                setDateInput(selectedDate.toISOString().slice(0, 10));
+                                                setDateInput(fromDisplayDate(selectedDate));
                                             }
                                         }} style={{ padding: 8, cursor: Platform.OS === 'web' ? 'pointer' : 'default' }}><Text style={{ color: theme.primary }}>Go</Text></TouchableOpacity>
                                     </View>
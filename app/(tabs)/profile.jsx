@@ -11,6 +11,7 @@ import {
     TouchableOpacity,
     View
 } from 'react-native';
+import ChangeHistory from '../../components/ChangeHistory';
 import ExportBackupManager from '../../components/forms/ExportBackupManager';
 import ProfileEditForm from '../../components/forms/ProfileEditForm';
 import ProfileSetupWizard from '../../components/forms/ProfileSetupWizard';
@@ -20,8 +21,11 @@ import HealthInsights from '../../components/modern/HealthInsights';
 import HamburgerMenu, { MenuItem, MenuSection } from '../../components/navigation/HamburgerMenu';
 import ThemeDialog from '../../components/ui/ThemeDialog';
 import { useTheme } from '../../components/ui/ThemeProvider';
+import authService, { AUTH_STATUS } from '../../utils/authService';
+import { getDeviceTimeZone } from '../../utils/dateUtils';
 import { calculateBMI, getBMICategory } from '../../utils/healthCalculations';
-import { getProfile, saveProfile } from '../../utils/storage';
+import { getProfile, getStorageBackend, HISTORY_TYPES, saveProfile, setStorageBackend, STORAGE_BACKENDS } from '../../utils/repository';
+import syncQueue from '../../utils/syncQueue';
 
 const ProfileScreen = () => {
     const { theme, toggle, paletteName, setPalette, palettesList } = useTheme();
@@ -34,9 +38,14 @@ const ProfileScreen = () => {
     const [notificationsEnabled, setNotificationsEnabled] = useState(true);
     const [isMenuOpen, setIsMenuOpen] = useState(false);
     const [themeDialogOpen, setThemeDialogOpen] = useState(false);
+    const [storageBackend, setStorageBackendState] = useState(STORAGE_BACKENDS.REMOTE);
+    const [authState, setAuthState] = useState(authService.getState());
+    const isSignedIn = authState.status === AUTH_STATUS.AUTHENTICATED;
 
     useEffect(() => {
         loadUserProfile();
+        getStorageBackend().then(setStorageBackendState);
+        return authService.subscribe(setAuthState);
     }, []);
 
     const loadUserProfile = async () => {
@@ -74,7 +83,7 @@ const ProfileScreen = () => {
 
     const handleProfileSave = async (updatedProfile) => {
         try {
-            await saveProfile(updatedProfile);
+            await saveProfile(updatedProfile, profile);
             setProfile(updatedProfile);
             setShowEditModal(false);
             Alert.alert('Success', 'Profile updated successfully!');
@@ -90,6 +99,74 @@ const ProfileScreen = () => {
         AsyncStorage.setItem('notificationsEnabled', JSON.stringify(value));
     };
 
+    const handleStorageBackendChange = () => {
+        const switchTo = async (backend) => {
+            await setStorageBackend(backend);
+            setStorageBackendState(backend);
+            loadUserProfile();
+        };
+
+        Alert.alert(
+            'Data Storage',
+            'Choose where your foods, meals and profile are stored. Data is not copied between locations.',
+            [
+                { text: 'Cloud', onPress: () => switchTo(STORAGE_BACKENDS.REMOTE) },
+                { text: 'This device', onPress: () => switchTo(STORAGE_BACKENDS.LOCAL) },
+                { text: 'Cancel', style: 'cancel' },
+            ]
+        );
+    };
+
+    const handleTimeZoneChange = () => {
+        const deviceTimeZone = getDeviceTimeZone();
+        const choose = async (timeZone) => {
+            try {
+                const updatedProfile = { ...profile, timeZone };
+                await saveProfile(updatedProfile, profile);
+                setProfile(updatedProfile);
+            } catch (error) {
+                console.error('Error saving time zone:', error);
+                Alert.alert('Error', 'Could not change the time zone. Please try again.');
+            }
+        };
+
+        Alert.alert(
+            'Time Zone',
+            'Your days start at midnight in this time zone. Meals already logged keep the day they were logged on.',
+            [
+                { text: 'Follow this device', onPress: () => choose(null) },
+                { text: `Keep ${deviceTimeZone}`, onPress: () => choose(deviceTimeZone) },
+                { text: 'Cancel', style: 'cancel' },
+            ]
+        );
+    };
+
+    const handleSignOut = async () => {
+        // Queued changes are cleared on sign-out, so send them first and warn about any that are left
+        const unsynced = await syncQueue.flushBeforeSignOut();
+        Alert.alert(
+            'Sign Out',
+            unsynced > 0
+                ? `${unsynced} ${unsynced === 1 ? 'change has' : 'changes have'} not synced yet and will be lost if you sign out now. Connect to the internet first to keep them.`
+                : 'Your data stays in your account. You can sign back in at any time.',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Sign Out',
+                    style: 'destructive',
+                    onPress: async () => {
+                        try {
+                            await authService.signOut();
+                        } catch (error) {
+                            console.error('Error signing out:', error);
+                            Alert.alert('Error', 'Could not sign out. Please try again.');
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
     const handleDataImported = () => {
         loadUserProfile();
         setShowExportModal(false);
@@ -285,6 +362,36 @@ const ProfileScreen = () => {
                 />
             </ResponsiveCard>
 
+            {/* Profile History */}
+            <ResponsiveCard size="medium" style={{ marginBottom: 16 }}>
+                <ChangeHistory type={HISTORY_TYPES.PROFILE} onReverted={loadUserProfile} />
+            </ResponsiveCard>
+
+            {/* Account */}
+            <ResponsiveCard size="medium" style={{ marginBottom: 16 }}>
+                <Text style={[styles.sectionTitle, { color: theme.text }]}>Account</Text>
+
+                <ProfileItem
+                    icon={isSignedIn ? 'person-circle-outline' : 'phone-portrait-outline'}
+                    label={isSignedIn ? 'Signed in as' : 'Not signed in'}
+                    value={isSignedIn ? authState.user?.email : 'This device only'}
+                />
+
+                {isSignedIn ? (
+                    <ProfileItem
+                        icon="log-out-outline"
+                        label="Sign Out"
+                        onPress={handleSignOut}
+                    />
+                ) : (
+                    <ProfileItem
+                        icon="cloud-upload-outline"
+                        label="Create Account to Sync"
+                        onPress={() => router.push({ pathname: '/sign-up', params: { upgrade: '1' } })}
+                    />
+                )}
+            </ResponsiveCard>
+
             {/* Settings */}
             <ResponsiveCard size="medium" style={{ marginBottom: 16 }}>
                 <Text style={[styles.sectionTitle, { color: theme.text }]}>Settings</Text>
@@ -301,18 +408,46 @@ const ProfileScreen = () => {
                         />
                     }
                 />
+
+                <ProfileItem
+                    icon="time-outline"
+                    label="Time Zone"
+                    value={profile?.timeZone || (getDeviceTimeZone() ? `Device (${getDeviceTimeZone()})` : 'Device')}
+                    onPress={handleTimeZoneChange}
+                />
             </ResponsiveCard>
 
             {/* Data Management */}
             <ResponsiveCard size="medium" style={{ marginBottom: 16 }}>
                 <Text style={[styles.sectionTitle, { color: theme.text }]}>Data Management</Text>
 
+                {isSignedIn && (
+                    <ProfileItem
+                        icon="server-outline"
+                        label="Data Storage"
+                        value={storageBackend === STORAGE_BACKENDS.LOCAL ? 'This device' : 'Cloud'}
+                        onPress={handleStorageBackendChange}
+                    />
+                )}
+
                 <ProfileItem
                     icon="download-outline"
                     label="Export & Backup"
                     onPress={() => setShowExportModal(true)}
                 />
 
+                <ProfileItem
+                    icon="trash-outline"
+                    label="Trash"
+                    onPress={() => router.push('/trash')}
+                />
+
+                <ProfileItem
+                    icon="medkit-outline"
+                    label="Diagnostics"
+                    onPress={() => router.push('/diagnostics')}
+                />
+
                 <ProfileItem
                     icon="analytics-outline"
                     label="Usage Statistics"
@@ -2,9 +2,11 @@ import { useFonts } from 'expo-font';
 import { Stack } from 'expo-router';
 import { useEffect } from 'react';
 import AppInitializer from '../components/AppInitializer';
+import AuthGate from '../components/AuthGate';
 import ErrorBoundary from '../components/ui/ErrorBoundary';
+import SyncConflictDialog from '../components/ui/SyncConflictDialog';
 import ThemeProvider from '../components/ui/ThemeProvider';
-import ToastHost from '../components/ui/Toast';
+import { ToastHost } from '../components/ui/Toast';
 import { setupGlobalErrorHandlers } from '../utils/globalErrorHandler';
 
 export default function RootLayout() {
@@ -26,10 +28,17 @@ export default function RootLayout() {
         <ThemeProvider>
             <ErrorBoundary showDetails={__DEV__}>
                 <AppInitializer>
-                    <Stack screenOptions={{ headerShown: false }}>
-                        <Stack.Screen name="(tabs)" options={{ headerShown: false }} />
-                        <Stack.Screen name="summary" options={{ headerShown: false }} />
-                    </Stack>
+                    <AuthGate>
+                        <Stack screenOptions={{ headerShown: false }}>
+                            <Stack.Screen name="(tabs)" options={{ headerShown: false }} />
+                            <Stack.Screen name="(auth)" options={{ headerShown: false }} />
+                            <Stack.Screen name="onboarding" options={{ headerShown: false, gestureEnabled: false }} />
+                            <Stack.Screen name="summary" options={{ headerShown: false }} />
+                            <Stack.Screen name="trash" options={{ headerShown: false }} />
+                            <Stack.Screen name="diagnostics" options={{ headerShown: false }} />
+                        </Stack>
+                    </AuthGate>
+                    <SyncConflictDialog />
                     <ToastHost />
                 </AppInitializer>
             </ErrorBoundary>
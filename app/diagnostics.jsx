@@ -0,0 +1,272 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect, useRouter } from 'expo-router';
+import { useCallback, useState } from 'react';
+import { ActivityIndicator, Alert, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import ResponsiveCard from '../components/layout/ResponsiveCard';
+import ResponsiveLayout from '../components/layout/ResponsiveLayout';
+import PrimaryButton from '../components/ui/PrimaryButton';
+import { useTheme } from '../components/ui/ThemeProvider';
+import { formatTimeOfDay } from '../utils/dateUtils';
+import { runDiagnostics, SEVERITY } from '../utils/diagnostics';
+import { getStorageBackend, STORAGE_BACKENDS } from '../utils/repository';
+import { isSelfCheckAvailable, runSelfCheck } from '../utils/selfCheck';
+import { toast } from '../utils/toast';
+
+const SEVERITY_DETAILS = {
+    [SEVERITY.ERROR]: { icon: 'alert-circle', color: 'danger', name: 'Errors' },
+    [SEVERITY.WARNING]: { icon: 'warning', color: 'fat', name: 'Warnings' },
+    [SEVERITY.INFO]: { icon: 'information-circle', color: 'primary', name: 'Notes' },
+};
+
+export default function Diagnostics() {
+    const { theme } = useTheme();
+    const router = useRouter();
+    const [report, setReport] = useState(null);
+    const [backend, setBackend] = useState(null);
+    const [running, setRunning] = useState(true);
+    const [fixingId, setFixingId] = useState(null);
+    const [selfCheck, setSelfCheck] = useState(null);
+    const [selfChecking, setSelfChecking] = useState(false);
+
+    const run = async () => {
+        setRunning(true);
+        try {
+            const [result, activeBackend] = await Promise.all([runDiagnostics(), getStorageBackend()]);
+            setReport(result);
+            setBackend(activeBackend);
+        } catch (error) {
+            toast(`Couldn't check your data: ${error.message}`, 'error');
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    useFocusEffect(
+        useCallback(() => {
+            run();
+        }, [])
+    );
+
+    const handleSelfCheck = async () => {
+        setSelfChecking(true);
+        try {
+            setSelfCheck(await runSelfCheck());
+        } catch (error) {
+            toast(error.message, 'error');
+        } finally {
+            setSelfChecking(false);
+        }
+    };
+
+    const handleFix = (finding) => {
+        Alert.alert(
+            finding.fix.label,
+            `${finding.title}\n\n${finding.detail}`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Fix',
+                    onPress: async () => {
+                        setFixingId(finding.id);
+                        try {
+                            await finding.fix.apply();
+                            toast('Fixed', 'success');
+                            await run();
+                        } catch (error) {
+                            toast(error.message, 'error');
+                        } finally {
+                            setFixingId(null);
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    const renderFinding = (finding) => {
+        const details = SEVERITY_DETAILS[finding.severity];
+        return (
+            <ResponsiveCard key={finding.id} size="medium" style={styles.card}>
+                <View style={styles.row}>
+                    <Ionicons name={details.icon} size={20} color={theme[details.color]} />
+                    <View style={styles.info}>
+                        <Text style={[styles.label, { color: theme.text }]}>{finding.title}</Text>
+                        <Text style={[styles.meta, { color: theme.subText }]}>{finding.detail}</Text>
+                    </View>
+                </View>
+                {finding.fix && (
+                    <View style={styles.fixRow}>
+                        {fixingId === finding.id ? (
+                            <ActivityIndicator color={theme.primary} />
+                        ) : (
+                            <TouchableOpacity onPress={() => handleFix(finding)} style={[styles.fixButton, { borderColor: theme.primary }]} accessibilityLabel={finding.fix.label}>
+                                <Ionicons name="construct-outline" size={16} color={theme.primary} />
+                                <Text style={[styles.fixText, { color: theme.primary }]}>{finding.fix.label}</Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                )}
+            </ResponsiveCard>
+        );
+    };
+
+    const renderReport = () => {
+        const { findings, counts, checkedAt } = report;
+        const source = backend === STORAGE_BACKENDS.LOCAL ? 'this device' : 'the cloud';
+
+        return (
+            <>
+                <Text style={[styles.subheading, { color: theme.subText }]}>
+                    Checked {counts.foods} foods, {counts.meals} meals and {counts.waterEntries} water entries on {source} at {formatTimeOfDay(checkedAt)}.
+                </Text>
+
+                {findings.length === 0 ? (
+                    <ResponsiveCard size="medium">
+                        <View style={styles.empty}>
+                            <Ionicons name="checkmark-circle-outline" size={32} color={theme.success || theme.primary} />
+                            <Text style={[styles.emptyText, { color: theme.subText }]}>No problems found</Text>
+                        </View>
+                    </ResponsiveCard>
+                ) : (
+                    Object.entries(SEVERITY_DETAILS).map(([severity, details]) => {
+                        const group = findings.filter(finding => finding.severity === severity);
+                        if (group.length === 0) return null;
+                        return (
+                            <View key={severity}>
+                                <Text style={[styles.sectionTitle, { color: theme.text }]}>{details.name} ({group.length})</Text>
+                                {group.map(renderFinding)}
+                            </View>
+                        );
+                    })
+                )}
+            </>
+        );
+    };
+
+    return (
+        <ResponsiveLayout>
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => router.back()} style={styles.backButton} accessibilityLabel="Go back">
+                    <Ionicons name="chevron-back" size={24} color={theme.text} />
+                </TouchableOpacity>
+                <Text style={[styles.heading, { color: theme.text }]}>Diagnostics</Text>
+            </View>
+
+            {running && !report ? (
+                <ActivityIndicator color={theme.primary} style={styles.loading} />
+            ) : report ? (
+                renderReport()
+            ) : null}
+
+            <PrimaryButton title={running ? 'Checking...' : 'Check Again'} onPress={run} disabled={running} style={styles.rerun} />
+
+            {/* Only offered with the in-memory database, where writing test data is harmless */}
+            {isSelfCheckAvailable() && (
+                <>
+                    <Text style={[styles.sectionTitle, { color: theme.text }]}>Sync Self-Check</Text>
+                    <Text style={[styles.subheading, { color: theme.subText }]}>
+                        Logs a test meal through cloud storage into the in-memory database, reads it back and deletes it.
+                    </Text>
+                    {selfCheck && (
+                        <ResponsiveCard size="medium" style={styles.card}>
+                            {selfCheck.steps.map(step => (
+                                <View key={step.name} style={[styles.row, styles.step]}>
+                                    <Ionicons
+                                        name={step.passed ? 'checkmark-circle' : 'close-circle'}
+                                        size={20}
+                                        color={step.passed ? theme.success || theme.primary : theme.danger}
+                                    />
+                                    <View style={styles.info}>
+                                        <Text style={[styles.label, { color: theme.text }]}>{step.name}</Text>
+                                        {step.error && <Text style={[styles.meta, { color: theme.subText }]}>{step.error}</Text>}
+                                    </View>
+                                </View>
+                            ))}
+                        </ResponsiveCard>
+                    )}
+                    <PrimaryButton title={selfChecking ? 'Running...' : 'Run Self-Check'} onPress={handleSelfCheck} disabled={selfChecking} style={styles.rerun} />
+                </>
+            )}
+        </ResponsiveLayout>
+    );
+}
+
+const styles = StyleSheet.create({
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 4,
+    },
+    backButton: {
+        padding: 4,
+        marginRight: 8,
+    },
+    heading: {
+        fontSize: 24,
+        fontWeight: '700',
+    },
+    subheading: {
+        fontSize: 14,
+        marginBottom: 16,
+    },
+    sectionTitle: {
+        fontSize: 16,
+        fontWeight: '600',
+        marginBottom: 8,
+    },
+    loading: {
+        marginTop: 32,
+    },
+    empty: {
+        alignItems: 'center',
+        paddingVertical: 24,
+        gap: 8,
+    },
+    emptyText: {
+        fontSize: 16,
+    },
+    card: {
+        marginBottom: 12,
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+        gap: 12,
+    },
+    step: {
+        paddingVertical: 4,
+    },
+    info: {
+        flex: 1,
+    },
+    label: {
+        fontSize: 16,
+        fontWeight: '600',
+    },
+    meta: {
+        fontSize: 13,
+        marginTop: 2,
+    },
+    fixRow: {
+        flexDirection: 'row',
+        justifyContent: 'flex-end',
+        marginTop: 8,
+    },
+    fixButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+        borderWidth: 1,
+        borderRadius: 8,
+        paddingVertical: 6,
+        paddingHorizontal: 10,
+    },
+    fixText: {
+        fontSize: 13,
+        fontWeight: '600',
+    },
+    rerun: {
+        marginTop: 8,
+        marginBottom: 24,
+    },
+});
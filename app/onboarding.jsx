@@ -0,0 +1,79 @@
+import { useRouter } from 'expo-router';
+import { useCallback, useEffect, useState } from 'react';
+import { View } from 'react-native';
+import ProfileEditForm from '../components/forms/ProfileEditForm';
+import ProfileSetupWizard from '../components/forms/ProfileSetupWizard';
+import { useTheme } from '../components/ui/ThemeProvider';
+import essentialStorage from '../utils/essentialStorage';
+import { getProfile, saveProfile } from '../utils/repository';
+import { toast } from '../utils/toast';
+
+const DEFAULT_PROFILE = {
+    name: 'User',
+    age: 25,
+    gender: 'other',
+    height: 170,
+    weight: 70,
+    activityLevel: 'moderate',
+    goal: 'maintain',
+    dailyCaloriesTarget: 2000,
+    dailyWaterTarget: 8,
+};
+
+export default function OnboardingScreen() {
+    const { theme } = useTheme();
+    const router = useRouter();
+    const [profile, setProfile] = useState(DEFAULT_PROFILE);
+    const [showEditForm, setShowEditForm] = useState(false);
+
+    const finishOnboarding = useCallback(async () => {
+        await essentialStorage.setOnboardingCompleted(true);
+        router.replace('/');
+    }, [router]);
+
+    useEffect(() => {
+        const checkExistingProfile = async () => {
+            // Accounts that already have a profile (e.g. signing in on a new device) skip onboarding
+            const existing = await getProfile();
+            if (existing?.weight && existing?.height) {
+                await finishOnboarding();
+            } else if (existing) {
+                setProfile({ ...DEFAULT_PROFILE, ...existing });
+            }
+        };
+        checkExistingProfile();
+    }, [finishOnboarding]);
+
+    const handleProfileSave = async (updatedProfile) => {
+        await saveProfile(updatedProfile);
+        toast('Profile saved. Happy tracking!', 'success');
+        await finishOnboarding();
+    };
+
+    const handleSkip = async () => {
+        try {
+            await saveProfile(profile);
+        } catch (error) {
+            console.error('Error saving default profile:', error);
+        }
+        await finishOnboarding();
+    };
+
+    return (
+        <View style={{ flex: 1, backgroundColor: theme.background }}>
+            {showEditForm ? (
+                <ProfileEditForm
+                    profile={profile}
+                    visible={showEditForm}
+                    onSave={handleProfileSave}
+                    onCancel={handleSkip}
+                />
+            ) : (
+                <ProfileSetupWizard
+                    onComplete={() => setShowEditForm(true)}
+                    onSkip={handleSkip}
+                />
+            )}
+        </View>
+    );
+}
@@ -5,7 +5,9 @@ import DailyCalorieChart from '../components/charts/DailyCalorieChart';
 import DailyNutritionSummary from '../components/DailyNutritionSummary';
 import HydrationProgress from '../components/HydrationProgress';
 import { useTheme } from '../components/ui/ThemeProvider';
-import { getMeals, getProfile, getWaterEntries } from '../utils/supabaseStorage';
+import { today } from '../utils/dateUtils';
+import { affectsDate, LIVE_TOPICS, useLiveUpdates } from '../utils/liveStore';
+import { getDailyTotal, getMeals, getProfile } from '../utils/repository';
 
 export default function Summary() {
     const { theme } = useTheme();
@@ -43,15 +45,29 @@ export default function Summary() {
         }, [])
     );
 
+    // Today's meals, water and goals edited on another device update in place
+    useLiveUpdates(
+        [LIVE_TOPICS.MEALS, LIVE_TOPICS.WATER, LIVE_TOPICS.PROFILE],
+        () => {
+            loadSummaryData();
+            setRefreshTrigger(prev => prev + 1);
+        },
+        {
+            filter: (change) => change.topic === LIVE_TOPICS.PROFILE
+                || affectsDate(change, today()),
+        }
+    );
+
     const loadSummaryData = async () => {
         try {
-            // Get today's date
-            const today = new Date().toISOString().slice(0, 10);
+            const date = today();
 
-            // getMeals() already filters by today's date by default
-            const todaysMeals = await getMeals(today);
-            const waterEntries = await getWaterEntries(today);
-            const profile = await getProfile();
+            // Totals come precomputed; meals are only needed for the per-meal breakdown
+            const [todaysMeals, dayTotal, profile] = await Promise.all([
+                getMeals(date),
+                getDailyTotal(date),
+                getProfile(),
+            ]);
 
             // Calculate calories by meal type
             const mealCalories = {
@@ -61,22 +77,8 @@ export default function Summary() {
                 snacks: 0,
             };
 
-            let totalCalories = 0;
-            let totalProtein = 0;
-            let totalCarbs = 0;
-            let totalFat = 0;
-
             todaysMeals.forEach(meal => {
                 const calories = meal.calories || 0;
-                const protein = meal.protein || 0;
-                const carbs = meal.carbs || 0;
-                const fat = meal.fat || 0;
-
-                totalCalories += calories;
-                totalProtein += protein;
-                totalCarbs += carbs;
-                totalFat += fat;
-
                 const mealType = meal.mealType?.toLowerCase() || 'snacks';
                 if (mealType === 'breakfast') mealCalories.breakfast += calories;
                 else if (mealType === 'lunch') mealCalories.lunch += calories;
@@ -84,15 +86,12 @@ export default function Summary() {
                 else mealCalories.snacks += calories;
             });
 
-            // Calculate today's water intake (waterEntries already filtered by date)
-            const totalWater = waterEntries.reduce((sum, entry) => sum + (entry.amount || 0), 0);
-
             // Get calorie goal from profile
             const calorieGoal = profile?.dailyCaloriesTarget || 1950;
 
             setSummaryData({
                 calories: {
-                    consumed: Math.round(totalCalories),
+                    consumed: dayTotal.calories,
                     goal: calorieGoal,
                     breakfast: Math.round(mealCalories.breakfast),
                     lunch: Math.round(mealCalories.lunch),
@@ -100,12 +99,12 @@ export default function Summary() {
                     snacks: Math.round(mealCalories.snacks),
                 },
                 macroNutrients: {
-                    protein: { consumed: Math.round(totalProtein), goal: Math.round(calorieGoal * 0.25 / 4) },
-                    carbs: { consumed: Math.round(totalCarbs), goal: Math.round(calorieGoal * 0.45 / 4) },
-                    fat: { consumed: Math.round(totalFat), goal: Math.round(calorieGoal * 0.30 / 9) },
+                    protein: { consumed: Math.round(dayTotal.protein), goal: Math.round(calorieGoal * 0.25 / 4) },
+                    carbs: { consumed: Math.round(dayTotal.carbs), goal: Math.round(calorieGoal * 0.45 / 4) },
+                    fat: { consumed: Math.round(dayTotal.fat), goal: Math.round(calorieGoal * 0.30 / 9) },
                 },
                 hydration: {
-                    current: Math.round(totalWater),
+                    current: dayTotal.water,
                     goal: (profile?.dailyWaterTarget || 12) * 250, // Convert glasses to ml (default 3000ml)
                     maxRecommended: 4000,
                 },
@@ -122,8 +121,9 @@ export default function Summary() {
 
                 {/* Daily Nutrition Summary */}
                 <DailyNutritionSummary
+                    key={refreshTrigger}
                     userId="current_user"
-                    date={new Date().toISOString().slice(0, 10)}
+                    date={today()}
                 />
                 <View style={{ marginBottom: 24 }} />
 
@@ -0,0 +1,191 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect, useRouter } from 'expo-router';
+import { useCallback, useState } from 'react';
+import { ActivityIndicator, Alert, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import ResponsiveCard from '../components/layout/ResponsiveCard';
+import ResponsiveLayout from '../components/layout/ResponsiveLayout';
+import { useTheme } from '../components/ui/ThemeProvider';
+import { LIVE_TOPICS, useLiveUpdates } from '../utils/liveStore';
+import { getTrash, purgeFromTrash, restoreFromTrash, TRASH_TYPES } from '../utils/repository';
+import { toast } from '../utils/toast';
+
+const TYPE_DETAILS = {
+    [TRASH_TYPES.FOOD]: { icon: 'nutrition-outline', name: 'Food' },
+    [TRASH_TYPES.MEAL]: { icon: 'restaurant-outline', name: 'Meal' },
+    [TRASH_TYPES.TEMPLATE]: { icon: 'albums-outline', name: 'Template' },
+};
+
+const daysLeft = (expiresAt) => Math.max(0, Math.ceil((new Date(expiresAt) - Date.now()) / (24 * 60 * 60 * 1000)));
+
+export default function Trash() {
+    const { theme } = useTheme();
+    const router = useRouter();
+    const [items, setItems] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [busyKey, setBusyKey] = useState(null);
+
+    const load = async () => {
+        setItems(await getTrash());
+        setLoading(false);
+    };
+
+    useFocusEffect(
+        useCallback(() => {
+            load();
+        }, [])
+    );
+
+    // Items deleted, restored or purged on another device come and go without a manual refresh
+    useLiveUpdates([LIVE_TOPICS.FOODS, LIVE_TOPICS.MEALS], load);
+
+    const handleRestore = async (entry) => {
+        setBusyKey(`${entry.type}:${entry.id}`);
+        try {
+            await restoreFromTrash(entry.type, entry.id);
+            toast(`${entry.label} restored`, 'success');
+            await load();
+        } catch (error) {
+            toast(error.message, 'error');
+        } finally {
+            setBusyKey(null);
+        }
+    };
+
+    const handlePurge = (entry) => {
+        Alert.alert(
+            'Delete Forever',
+            `${entry.label} will be permanently deleted. This can't be undone.`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Delete',
+                    style: 'destructive',
+                    onPress: async () => {
+                        setBusyKey(`${entry.type}:${entry.id}`);
+                        try {
+                            await purgeFromTrash(entry.type, entry.id);
+                            await load();
+                        } catch (error) {
+                            toast(error.message, 'error');
+                        } finally {
+                            setBusyKey(null);
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    return (
+        <ResponsiveLayout>
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => router.back()} style={styles.backButton} accessibilityLabel="Go back">
+                    <Ionicons name="chevron-back" size={24} color={theme.text} />
+                </TouchableOpacity>
+                <Text style={[styles.heading, { color: theme.text }]}>Trash</Text>
+            </View>
+            <Text style={[styles.subheading, { color: theme.subText }]}>
+                Deleted meals, foods and templates are kept here for 30 days.
+            </Text>
+
+            {loading ? (
+                <ActivityIndicator color={theme.primary} style={styles.loading} />
+            ) : items.length === 0 ? (
+                <ResponsiveCard size="medium">
+                    <View style={styles.empty}>
+                        <Ionicons name="trash-outline" size={32} color={theme.subText} />
+                        <Text style={[styles.emptyText, { color: theme.subText }]}>Trash is empty</Text>
+                    </View>
+                </ResponsiveCard>
+            ) : (
+                items.map(entry => {
+                    const key = `${entry.type}:${entry.id}`;
+                    const details = TYPE_DETAILS[entry.type];
+                    const remaining = daysLeft(entry.expiresAt);
+                    return (
+                        <ResponsiveCard key={key} size="medium" style={styles.card}>
+                            <View style={styles.row}>
+                                <Ionicons name={details.icon} size={20} color={theme.primary} />
+                                <View style={styles.info}>
+                                    <Text style={[styles.label, { color: theme.text }]} numberOfLines={1}>{entry.label}</Text>
+                                    <Text style={[styles.meta, { color: theme.subText }]}>
+                                        {details.name} • {remaining === 1 ? '1 day' : `${remaining} days`} left
+                                    </Text>
+                                </View>
+                                {busyKey === key ? (
+                                    <ActivityIndicator color={theme.primary} />
+                                ) : (
+                                    <View style={styles.actions}>
+                                        <TouchableOpacity onPress={() => handleRestore(entry)} style={styles.actionButton} accessibilityLabel={`Restore ${entry.label}`}>
+                                            <Ionicons name="arrow-undo" size={18} color={theme.primary} />
+                                        </TouchableOpacity>
+                                        <TouchableOpacity onPress={() => handlePurge(entry)} style={styles.actionButton} accessibilityLabel={`Delete ${entry.label} forever`}>
+                                            <Ionicons name="close-circle" size={18} color={theme.danger} />
+                                        </TouchableOpacity>
+                                    </View>
+                                )}
+                            </View>
+                        </ResponsiveCard>
+                    );
+                })
+            )}
+        </ResponsiveLayout>
+    );
+}
+
+const styles = StyleSheet.create({
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 4,
+    },
+    backButton: {
+        padding: 4,
+        marginRight: 8,
+    },
+    heading: {
+        fontSize: 24,
+        fontWeight: '700',
+    },
+    subheading: {
+        fontSize: 14,
+        marginBottom: 16,
+    },
+    loading: {
+        marginTop: 32,
+    },
+    empty: {
+        alignItems: 'center',
+        paddingVertical: 24,
+        gap: 8,
+    },
+    emptyText: {
+        fontSize: 16,
+    },
+    card: {
+        marginBottom: 12,
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 12,
+    },
+    info: {
+        flex: 1,
+    },
+    label: {
+        fontSize: 16,
+        fontWeight: '600',
+    },
+    meta: {
+        fontSize: 13,
+        marginTop: 2,
+    },
+    actions: {
+        flexDirection: 'row',
+        gap: 12,
+    },
+    actionButton: {
+        padding: 6,
+    },
+});
@@ -1,14 +1,16 @@
 import * as SplashScreen from 'expo-splash-screen';
 import { useCallback, useEffect, useState } from 'react';
 import SplashScreenComponent from '../components/SplashScreen';
+import authService from '../utils/authService';
 import essentialStorage from '../utils/essentialStorage';
-import supabase from '../utils/supabaseClient';
+import macrooDatabase from '../utils/macrooDatabase';
+import realtimeService from '../utils/realtimeService';
+import { getProfile } from '../utils/repository';
+import syncQueue from '../utils/syncQueue';
 
 // Keep native splash screen visible
 SplashScreen.preventAutoHideAsync();
 
-const DEMO_USER_ID = '00000000-0000-0000-0000-000000000001';
-
 export default function AppInitializer({ children }) {
     const [isLoading, setIsLoading] = useState(true);
     const [showCustomSplash, setShowCustomSplash] = useState(true);
@@ -23,8 +25,8 @@ export default function AppInitializer({ children }) {
                 testDatabaseConnection(),
                 // Load critical user data
                 loadEssentialData(),
-                // Initialize user if needed
-                ensureUserExists(),
+                // Restore the signed-in session (or local-only mode)
+                authService.initialize(),
             ]);
 
             console.log('✅ App initialization completed');
@@ -32,11 +34,20 @@ export default function AppInitializer({ children }) {
             console.error('❌ App initialization failed:', error);
             // Continue anyway - app should work offline
         }
+
+        // Count days in the profile's time zone before any screen asks for "today"
+        await getProfile();
+
+        // Replay anything logged while offline; the queue keeps retrying on its own
+        syncQueue.start();
+        // Push changes made on other devices into every mounted screen
+        realtimeService.start();
     }, []);
 
     const testDatabaseConnection = async () => {
         try {
-            const { error } = await supabase.from('foods').select('count').limit(1);
+            // Whichever database is configured, which may be the in-memory stand-in
+            const { error } = await macrooDatabase.supabase.from('foods').select('count').limit(1);
             if (error) throw error;
             console.log('✅ Database connection verified');
         } catch (error) {
@@ -54,42 +65,10 @@ export default function AppInitializer({ children }) {
             await essentialStorage.setAppInitialized(true);
             await essentialStorage.setLastSync();
 
-            // Load user preferences if they exist
-            const preferences = await essentialStorage.getUserPreferences();
-            if (!preferences.onboardingCompleted) {
-                await essentialStorage.setOnboardingCompleted(false);
-            }
-
             console.log('✅ Essential data loaded');
         } catch (error) {
             console.error('Error loading essential data:', error);
         }
-    }; const ensureUserExists = async () => {
-        try {
-            const { data: existingUser } = await supabase
-                .from('users')
-                .select('id')
-                .eq('id', DEMO_USER_ID)
-                .single();
-
-            if (!existingUser) {
-                const { error } = await supabase
-                    .from('users')
-                    .insert([{
-                        id: DEMO_USER_ID,
-                        name: 'Demo User',
-                        email: 'demo@macroo.app'
-                    }]);
-
-                if (error && !error.message.includes('duplicate')) {
-                    throw error;
-                }
-            }
-            console.log('✅ User account verified');
-        } catch (error) {
-            console.log('⚠️ User initialization warning:', error.message);
-            // Non-critical error, continue
-        }
     };
 
     useEffect(() => {
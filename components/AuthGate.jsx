@@ -0,0 +1,48 @@
+import { useRootNavigationState, useRouter, useSegments } from 'expo-router';
+import { useEffect, useState } from 'react';
+import authService, { AUTH_STATUS } from '../utils/authService';
+import essentialStorage from '../utils/essentialStorage';
+
+/**
+ * Routes signed-out users to the sign-in screens and new users through onboarding.
+ * Local-only users may still open the auth screens to upgrade to an account.
+ */
+export default function AuthGate({ children }) {
+    const router = useRouter();
+    const segments = useSegments();
+    const navigationState = useRootNavigationState();
+    const [authState, setAuthState] = useState(authService.getState());
+
+    useEffect(() => authService.subscribe(setAuthState), []);
+
+    useEffect(() => {
+        if (!navigationState?.key || authState.status === AUTH_STATUS.LOADING) return;
+
+        let cancelled = false;
+        const inAuthGroup = segments[0] === '(auth)';
+        const inOnboarding = segments[0] === 'onboarding';
+
+        const route = async () => {
+            if (authState.status === AUTH_STATUS.SIGNED_OUT) {
+                if (!inAuthGroup) router.replace('/sign-in');
+                return;
+            }
+
+            const onboarded = await essentialStorage.isOnboardingCompleted();
+            if (cancelled) return;
+
+            if (!onboarded) {
+                if (!inOnboarding) router.replace('/onboarding');
+            } else if (inOnboarding || (inAuthGroup && authState.status === AUTH_STATUS.AUTHENTICATED)) {
+                router.replace('/');
+            }
+        };
+
+        route();
+        return () => {
+            cancelled = true;
+        };
+    }, [authState.status, segments, navigationState?.key, router]);
+
+    return children;
+}
@@ -0,0 +1,241 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useEffect, useState } from 'react';
+import { ActivityIndicator, Alert, ScrollView, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { formatTimeOfDay, toLocalDate } from '../utils/dateUtils';
+import { getChangeHistory, revertChange } from '../utils/repository';
+import { toast } from '../utils/toast';
+import { useTheme } from './ui/ThemeProvider';
+
+const FIELD_LABELS = {
+    name: 'Name',
+    calories: 'Calories',
+    protein: 'Protein',
+    carbs: 'Carbs',
+    fat: 'Fat',
+    fiber: 'Fiber',
+    sugar: 'Sugar',
+    sodium: 'Sodium',
+    servingSize: 'Serving',
+    servingUnits: 'Serving units',
+    category: 'Category',
+    brand: 'Brand',
+    barcode: 'Barcode',
+    foodId: 'Food',
+    mealType: 'Meal',
+    quantity: 'Grams',
+    unit: 'Unit',
+    unitAmount: 'Amount',
+    date: 'Day',
+    consumedAt: 'Eaten at',
+    notes: 'Notes',
+    age: 'Age',
+    gender: 'Gender',
+    height: 'Height',
+    weight: 'Weight',
+    activityLevel: 'Activity level',
+    goal: 'Goal',
+    dailyCaloriesTarget: 'Calorie target',
+    dailyProteinTarget: 'Protein target',
+    dailyCarbsTarget: 'Carbs target',
+    dailyFatTarget: 'Fat target',
+    dailyWaterTarget: 'Water target',
+    timeZone: 'Time zone',
+};
+
+const formatWhen = (value) => `${toLocalDate(value)} ${formatTimeOfDay(value)}`;
+
+const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (field === 'consumedAt') return formatWhen(value);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+// Moving to the trash and back is an update of deletedAt, but reads better as its own action
+const describeEntry = (entry) => {
+    if (entry.action === 'insert') return 'Created';
+    if (entry.action === 'delete') return 'Deleted for good';
+    const trashed = entry.changes.find(change => change.field === 'deletedAt');
+    if (trashed) return trashed.after ? 'Moved to the trash' : 'Restored from the trash';
+    return 'Edited';
+};
+
+/**
+ * Recorded versions of a meal, food or the profile, each of which can be reverted.
+ * Collapsed until opened, so it only queries Supabase when someone looks.
+ * @param {string} type - One of HISTORY_TYPES
+ * @param {string|null} id - Meal or food id; null for the profile
+ * @param {Function} onReverted - Called after a revert so the screen reloads what it shows
+ */
+const ChangeHistory = ({ type, id = null, onReverted }) => {
+    const { theme } = useTheme();
+    const [open, setOpen] = useState(false);
+    const [history, setHistory] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [revertingId, setRevertingId] = useState(null);
+
+    useEffect(() => {
+        setOpen(false);
+        setHistory([]);
+    }, [type, id]);
+
+    const load = async () => {
+        setLoading(true);
+        try {
+            setHistory(await getChangeHistory(type, id));
+        } catch (error) {
+            toast(`Couldn't load the history: ${error.message}`, 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const toggle = () => {
+        if (!open) load();
+        setOpen(!open);
+    };
+
+    const handleRevert = (entry) => {
+        Alert.alert(
+            'Revert',
+            `Go back to how this was before the change on ${formatWhen(entry.changedAt)}?`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Revert',
+                    onPress: async () => {
+                        setRevertingId(entry.id);
+                        try {
+                            await revertChange(type, id, entry);
+                            toast('Reverted to the earlier version', 'success');
+                            onReverted?.();
+                            await load();
+                        } catch (error) {
+                            toast(error.message, 'error');
+                        } finally {
+                            setRevertingId(null);
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    const renderEntry = (entry) => {
+        const fields = entry.action === 'update'
+            ? entry.changes.filter(change => change.field !== 'deletedAt')
+            : [];
+
+        return (
+            <View key={entry.id} style={[styles.entry, { borderColor: theme.muted }]}>
+                <View style={styles.entryHeader}>
+                    <View style={styles.entryInfo}>
+                        <Text style={[styles.entryTitle, { color: theme.text }]}>{describeEntry(entry)}</Text>
+                        <Text style={[styles.entryMeta, { color: theme.subText }]}>
+                            {/* Row level security only lets the owner write, so a missing actor is an admin edit */}
+                            {formatWhen(entry.changedAt)} · {entry.changedBy ? 'You' : 'Outside the app'}
+                        </Text>
+                    </View>
+                    {entry.action === 'update' && (revertingId === entry.id ? (
+                        <ActivityIndicator color={theme.primary} />
+                    ) : (
+                        <TouchableOpacity onPress={() => handleRevert(entry)} style={styles.revertButton} accessibilityLabel="Revert this change">
+                            <Ionicons name="arrow-undo" size={16} color={theme.primary} />
+                            <Text style={[styles.revertText, { color: theme.primary }]}>Revert</Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+                {fields.map(change => (
+                    <Text key={change.field} style={[styles.change, { color: theme.subText }]}>
+                        {FIELD_LABELS[change.field] || change.field}: {formatValue(change.field, change.before)} → {formatValue(change.field, change.after)}
+                    </Text>
+                ))}
+            </View>
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            <TouchableOpacity onPress={toggle} style={styles.header} accessibilityLabel={open ? 'Hide history' : 'Show history'}>
+                <Ionicons name="time-outline" size={18} color={theme.subText} />
+                <Text style={[styles.headerText, { color: theme.text }]}>History</Text>
+                <Ionicons name={open ? 'chevron-up' : 'chevron-down'} size={18} color={theme.subText} />
+            </TouchableOpacity>
+
+            {open && (loading ? (
+                <ActivityIndicator color={theme.primary} style={styles.loading} />
+            ) : history === null ? (
+                <Text style={[styles.empty, { color: theme.subText }]}>History is kept for data stored in the cloud.</Text>
+            ) : history.length === 0 ? (
+                <Text style={[styles.empty, { color: theme.subText }]}>No changes recorded yet.</Text>
+            ) : (
+                <ScrollView style={styles.list} nestedScrollEnabled>
+                    {history.map(renderEntry)}
+                </ScrollView>
+            ))}
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        marginTop: 8,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        paddingVertical: 8,
+    },
+    headerText: {
+        flex: 1,
+        fontSize: 15,
+        fontWeight: '600',
+    },
+    loading: {
+        marginVertical: 12,
+    },
+    empty: {
+        fontSize: 13,
+        paddingVertical: 8,
+    },
+    list: {
+        maxHeight: 280,
+    },
+    entry: {
+        borderTopWidth: 1,
+        paddingVertical: 8,
+    },
+    entryHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+    },
+    entryInfo: {
+        flex: 1,
+    },
+    entryTitle: {
+        fontSize: 14,
+        fontWeight: '600',
+    },
+    entryMeta: {
+        fontSize: 12,
+        marginTop: 2,
+    },
+    change: {
+        fontSize: 13,
+        marginTop: 4,
+    },
+    revertButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 4,
+        padding: 6,
+    },
+    revertText: {
+        fontSize: 13,
+        fontWeight: '600',
+    },
+});
+
+export default ChangeHistory;
@@ -2,7 +2,8 @@ import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useEffect, useState } from 'react';
 import { Dimensions, ScrollView, StyleSheet, Text, View } from 'react-native';
-import { getMeals, getProfile, getWaterEntries } from '../utils/supabaseStorage';
+import { today } from '../utils/dateUtils';
+import { getDailyTotal, getProfile } from '../utils/repository';
 import { ProgressRing } from './charts/ProgressRing';
 import { useTheme } from './ui/ThemeProvider';
 
@@ -27,29 +28,12 @@ const DailyNutritionSummary = ({ userId, date }) => {
     }, [userId, date]);
 
     const loadDailyNutrition = async () => {
-        // Implementation to calculate daily nutrition from meals
         try {
-            const [meals, profile, waterEntries] = await Promise.all([
-                getMeals(date), // Pass date to get only meals for that date
+            const [totals, profile] = await Promise.all([
+                getDailyTotal(date || today()),
                 getProfile(),
-                getWaterEntries(date) // Get water entries for the specific date
             ]);
 
-            // Use all meals since we already filtered by date
-            const todaysMeals = meals;
-
-            // Calculate totals (nutrition is already calculated per meal in Supabase format)
-            const totals = todaysMeals.reduce((acc, meal) => {
-                acc.calories += meal.calories || 0;
-                acc.protein += meal.protein || 0;
-                acc.carbs += meal.carbs || 0;
-                acc.fat += meal.fat || 0;
-                return acc;
-            }, { calories: 0, protein: 0, carbs: 0, fat: 0 });
-
-            // Calculate water intake
-            const totalWaterMl = waterEntries.reduce((total, entry) => total + (entry.amount || 0), 0);
-
             // Convert profile water target from glasses to ml (assuming 250ml per glass)
             // Default to 12 glasses (3000ml) if no profile target is set
             const waterGoalMl = (profile?.dailyWaterTarget || 12) * 250;
@@ -61,7 +45,7 @@ const DailyNutritionSummary = ({ userId, date }) => {
             const carbsGoal = Math.round(calorieGoal * 0.45 / 4); // 45% of calories from carbs (4 cal/g)
             const fatGoal = Math.round(calorieGoal * 0.30 / 9); // 30% of calories from fat (9 cal/g)
 
-            setNutrition({
+            setNutrition(prev => ({
                 calories: {
                     consumed: Math.round(totals.calories),
                     goal: calorieGoal,
@@ -79,10 +63,13 @@ const DailyNutritionSummary = ({ userId, date }) => {
                     consumed: Math.round(totals.fat),
                     goal: fatGoal
                 },
-            });
+                fiber: { ...prev.fiber, consumed: Math.round(totals.fiber) },
+                sugar: { ...prev.sugar, consumed: Math.round(totals.sugar) },
+                sodium: { ...prev.sodium, consumed: totals.sodium },
+            }));
 
             setWaterIntake({
-                consumed: Math.round(totalWaterMl),
+                consumed: totals.water,
                 goal: waterGoalMl
             });
         } catch (error) {
@@ -229,6 +216,34 @@ const DailyNutritionSummary = ({ userId, date }) => {
                 />
             </View>
 
+            {/* Fiber is a target; sugar and sodium are limits, so bars turn red past them */}
+            <View style={[styles.macrosSection, { backgroundColor: theme.card }]}>
+                <Text style={[styles.sectionTitle, { color: theme.text }]}>
+                    Fiber, Sugar & Sodium
+                </Text>
+
+                <MacroProgressBar
+                    label="Fiber"
+                    consumed={nutrition.fiber.consumed}
+                    goal={nutrition.fiber.goal}
+                    unit="g"
+                />
+
+                <MacroProgressBar
+                    label="Sugar"
+                    consumed={nutrition.sugar.consumed}
+                    goal={nutrition.sugar.goal}
+                    unit="g"
+                />
+
+                <MacroProgressBar
+                    label="Sodium"
+                    consumed={nutrition.sodium.consumed}
+                    goal={nutrition.sodium.goal}
+                    unit="mg"
+                />
+            </View>
+
             {/* Quick Stats */}
             <View style={styles.quickStats}>
                 <View style={styles.statItem}>
@@ -1,6 +1,7 @@
 // Macroo Diet Tracker - Supabase Connection Test
 import { useEffect, useState } from 'react';
 import { Alert, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import authService from '../utils/authService';
 import macrooDatabase from '../utils/macrooDatabase';
 import supabase from '../utils/supabaseClient';
 
@@ -47,6 +48,7 @@ export default function MacrooSupabaseTest() {
                 const testFoodItem = allFoods.find(f => f.name === 'Test Food - Macroo');
                 if (testFoodItem) {
                     await macrooDatabase.deleteFood(testFoodItem.id);
+                    await macrooDatabase.purgeFood(testFoodItem.id);
                     results.push('✅ Successfully cleaned up test food');
                 }
             } catch (err) {
@@ -66,64 +68,74 @@ export default function MacrooSupabaseTest() {
         setTestResults(results);
     };
 
+    const describeReport = (report) => Object.entries(report.entities)
+        .filter(([, result]) => result.items.length > 0 || result.error)
+        .map(([entity, result]) => result.error
+            ? `❌ ${entity}: ${result.error}`
+            : `${result.failed > 0 ? '⚠️' : '📦'} ${entity}: ${result.create} new, ${result.merge} merged, ${result.skip} skipped, ${result.failed} failed`);
+
+    const runMigration = async (macrooMigration, userId) => {
+        try {
+            setTestResults(prev => [...prev, '🚀 Starting migration...']);
+            const report = await macrooMigration.migrateAllData(userId);
+            setTestResults(prev => [...prev, ...describeReport(report)]);
+
+            if (report.success) {
+                setTestResults(prev => [...prev, '✅ Migration completed successfully!']);
+                Alert.alert('Migration Complete', 'Your data has been successfully migrated to Supabase!');
+            } else {
+                const failures = macrooMigration.countFailures(report);
+                setTestResults(prev => [...prev, `⚠️ ${failures} item(s) failed`]);
+                Alert.alert('Migration Incomplete', `${failures} item(s) could not be migrated. Run the migration again to retry them; migrated items will not be duplicated.`);
+            }
+        } catch (error) {
+            console.error('Migration error details:', error);
+            setTestResults(prev => [...prev, `❌ Migration failed: ${error.message || 'Unknown error occurred'}`]);
+            Alert.alert('Migration Failed', error.message || 'Unknown error occurred');
+        }
+    };
+
     const runMigrationTest = async () => {
-        Alert.alert(
-            'Migrate to Supabase',
-            'This will migrate your AsyncStorage data to Supabase. Your local data will be preserved. Continue?',
-            [
-                { text: 'Cancel', style: 'cancel' },
-                {
-                    text: 'Start Migration',
-                    onPress: async () => {
-                        try {
-                            setTestResults(prev => [...prev, '🚀 Starting migration...']);
-                            setTestResults(prev => [...prev, '🔍 Checking database connection...']);
-
-                            // Test database connection first
-                            const { error: connectionError } = await supabase.from('foods').select('count').limit(1);
-                            if (connectionError) {
-                                throw new Error(`Database connection failed: ${connectionError.message}`);
-                            }
-
-                            setTestResults(prev => [...prev, '✅ Database connection verified']);
-
-                            const macrooMigration = (await import('../utils/macrooMigration')).default;
-                            const needsMigration = await macrooMigration.isMigrationNeeded();
-
-                            if (needsMigration) {
-                                setTestResults(prev => [...prev, '📦 Found data to migrate']);
-                                setTestResults(prev => [...prev, '👤 Creating user account...']);
-
-                                // Run the full migration with better error reporting
-                                await macrooMigration.migrateAllData('00000000-0000-0000-0000-000000000001');
-
-                                setTestResults(prev => [...prev, '✅ Migration completed successfully!']);
-                                Alert.alert('Migration Complete', 'Your data has been successfully migrated to Supabase!');
-                            } else {
-                                setTestResults(prev => [...prev, '⚠️ No AsyncStorage data found to migrate']);
-                                Alert.alert('No Migration Needed', 'No AsyncStorage data found to migrate.');
-                            }
-                        } catch (error) {
-                            console.error('Migration error details:', error);
-                            const errorMsg = error.message || 'Unknown error occurred';
-                            setTestResults(prev => [...prev, `❌ Migration failed: ${errorMsg}`]);
-
-                            // Provide more helpful error messages
-                            let userFriendlyMsg = errorMsg;
-                            if (errorMsg.includes('duplicate')) {
-                                userFriendlyMsg = 'Some data already exists in the database. Migration partially completed.';
-                            } else if (errorMsg.includes('foreign key')) {
-                                userFriendlyMsg = 'Database relationship error. Please contact support.';
-                            } else if (errorMsg.includes('connection')) {
-                                userFriendlyMsg = 'Cannot connect to database. Please check your internet connection.';
-                            }
-
-                            Alert.alert('Migration Failed', userFriendlyMsg);
-                        }
-                    }
-                }
-            ]
-        );
+        try {
+            setTestResults(prev => [...prev, '🔍 Checking database connection...']);
+
+            // Test database connection first
+            const { error: connectionError } = await supabase.from('foods').select('count').limit(1);
+            if (connectionError) {
+                throw new Error(`Database connection failed: ${connectionError.message}`);
+            }
+
+            setTestResults(prev => [...prev, '✅ Database connection verified']);
+
+            const userId = authService.requireUserId();
+            const macrooMigration = (await import('../utils/macrooMigration')).default;
+            const needsMigration = await macrooMigration.isMigrationNeeded();
+
+            if (!needsMigration) {
+                setTestResults(prev => [...prev, '⚠️ No AsyncStorage data found to migrate']);
+                Alert.alert('No Migration Needed', 'No AsyncStorage data found to migrate.');
+                return;
+            }
+
+            // Preview first: nothing is written until the user confirms
+            setTestResults(prev => [...prev, '🔎 Checking what would be migrated...']);
+            const preview = await macrooMigration.dryRun(userId);
+            const summary = describeReport(preview);
+            setTestResults(prev => [...prev, ...summary]);
+
+            Alert.alert(
+                'Migrate to Supabase',
+                `${summary.join('\n') || 'Everything is already migrated.'}\n\nYour local data will be preserved. Continue?`,
+                [
+                    { text: 'Cancel', style: 'cancel' },
+                    { text: 'Start Migration', onPress: () => runMigration(macrooMigration, userId) },
+                ]
+            );
+        } catch (error) {
+            console.error('Migration check failed:', error);
+            setTestResults(prev => [...prev, `❌ Migration check failed: ${error.message}`]);
+            Alert.alert('Migration Failed', error.message);
+        }
     };
 
     useEffect(() => {
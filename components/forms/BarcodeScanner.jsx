@@ -11,6 +11,8 @@ import {
     useColorScheme,
     View,
 } from 'react-native';
+import { lookupBarcode } from '../../utils/repository';
+import ProductForm from './ProductForm';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 
@@ -20,6 +22,7 @@ const BarcodeScanner = ({ onFoodFound, onClose, onError }) => {
     const [scanned, setScanned] = useState(false);
     const [isLoading, setIsLoading] = useState(false);
     const [torchEnabled, setTorchEnabled] = useState(false);
+    const [newProduct, setNewProduct] = useState(null); // { barcode, initial } while the create form is open
 
     const isDark = colorScheme === 'dark';
     const colors = {
@@ -46,16 +49,20 @@ const BarcodeScanner = ({ onFoodFound, onClose, onError }) => {
         setIsLoading(true);
 
         try {
-            // Look up food information using barcode
-            const foodInfo = await lookupBarcode(data);
+            // Your foods first, then products scanned before, then the food sources
+            const food = await lookupBarcode(data);
 
-            if (foodInfo) {
-                onFoodFound(foodInfo);
+            if (food && food.complete !== false) {
+                onFoodFound(food);
             } else {
+                // A source may know the product's name but not its nutrition
                 Alert.alert(
                     'Product Not Found',
-                    'Could not find nutrition information for this product. Try searching manually.',
+                    food
+                        ? `${food.name} has no nutrition information yet. Add it from the label to log it.`
+                        : 'Could not find nutrition information for this product. Add it from the label or search manually.',
                     [
+                        { text: 'Create Product', onPress: () => setNewProduct({ barcode: data, initial: food }) },
                         { text: 'Scan Again', onPress: () => setScanned(false) },
                         { text: 'Cancel', onPress: onClose },
                     ]
@@ -76,79 +83,24 @@ const BarcodeScanner = ({ onFoodFound, onClose, onError }) => {
         }
     };
 
-    // Mock barcode lookup function - in a real app, this would call a food database API
-    const lookupBarcode = async (barcode) => {
-        // Simulate API call delay
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-        // Mock database of common barcodes
-        const mockDatabase = {
-            '012000161155': {
-                name: 'Coca-Cola Classic 12oz Can',
-                brand: 'Coca-Cola',
-                nutrients: {
-                    calories: 140,
-                    protein: 0,
-                    carbs: 39,
-                    fat: 0,
-                    fiber: 0,
-                    sugar: 39,
-                    sodium: 45,
-                },
-                servingSize: 355, // ml
-                servingUnit: 'ml',
-            },
-            '041130002120': {
-                name: 'Cheerios Original',
-                brand: 'General Mills',
-                nutrients: {
-                    calories: 110,
-                    protein: 3,
-                    carbs: 22,
-                    fat: 2,
-                    fiber: 3,
-                    sugar: 2,
-                    sodium: 160,
-                },
-                servingSize: 28, // grams
-                servingUnit: 'g',
-            },
-            '051000012043': {
-                name: 'Oreo Original Cookies',
-                brand: 'Nabisco',
-                nutrients: {
-                    calories: 160,
-                    protein: 2,
-                    carbs: 25,
-                    fat: 7,
-                    fiber: 1,
-                    sugar: 14,
-                    sodium: 135,
-                },
-                servingSize: 34, // grams (3 cookies)
-                servingUnit: 'g',
-            }
-        };
-
-        // Check if barcode exists in mock database
-        if (mockDatabase[barcode]) {
-            return mockDatabase[barcode];
-        }
-
-        // In a real app, you would call APIs like:
-        // - Open Food Facts API
-        // - USDA FoodData Central API
-        // - Edamam Food Database API
-        // - FatSecret API
-
-        // For now, return null to simulate "not found"
-        return null;
-    };
-
     const toggleTorch = () => {
         setTorchEnabled(!torchEnabled);
     };
 
+    if (newProduct) {
+        return (
+            <ProductForm
+                barcode={newProduct.barcode}
+                initial={newProduct.initial}
+                onSaved={onFoodFound}
+                onCancel={() => {
+                    setNewProduct(null);
+                    setScanned(false);
+                }}
+            />
+        );
+    }
+
     if (hasPermission === null) {
         return (
             <View style={[styles.container, { backgroundColor: colors.background }]}>
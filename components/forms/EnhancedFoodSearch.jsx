@@ -72,7 +72,7 @@ const EnhancedFoodSearch = ({
     const searchMultipleSources = async (query) => {
         try {
             // Use the enhanced search function from storage
-            const { searchFoodsEnhanced } = require('../../utils/supabaseStorage');
+            const { searchFoodsEnhanced } = require('../../utils/repository');
 
             const results = await searchFoodsEnhanced(query, {
                 limit: 20,
@@ -84,17 +84,11 @@ const EnhancedFoodSearch = ({
         } catch (error) {
             console.error('Enhanced search failed, falling back to local:', error);
 
-            // Fallback to basic local search
-            const { getFoodDatabase } = require('../../utils/supabaseStorage');
-            const database = await getFoodDatabase();
+            // Fallback to your own foods only
+            const { searchFoods } = require('../../utils/repository');
+            const matches = await searchFoods(query, { limit: 20 });
 
-            return database
-                .filter(food =>
-                    food.name.toLowerCase().includes(query.toLowerCase()) ||
-                    food.brand?.toLowerCase().includes(query.toLowerCase())
-                )
-                .slice(0, 20)
-                .map(food => ({ ...food, source: 'Local' }));
+            return matches.map(food => ({ ...food, source: 'Local' }));
         }
     };
 
@@ -111,13 +105,8 @@ const EnhancedFoodSearch = ({
     const searchLocalDatabase = async (query) => {
         // Implementation for searching your local food database
         // This replaces EDAMAM API calls
-        const { getFoodDatabase } = require('../../utils/supabaseStorage');
-        const database = await getFoodDatabase();
-
-        return database.filter(food =>
-            food.name.toLowerCase().includes(query.toLowerCase()) ||
-            food.brand?.toLowerCase().includes(query.toLowerCase())
-        );
+        const { searchFoods } = require('../../utils/repository');
+        return searchFoods(query);
     };
 
     const renderFoodItem = ({ item }) => (
@@ -161,7 +150,7 @@ const EnhancedFoodSearch = ({
 
     const saveRecentSearch = async (food) => {
         try {
-            const { saveRecentFood } = require('../../utils/supabaseStorage');
+            const { saveRecentFood } = require('../../utils/repository');
             await saveRecentFood(food);
         } catch (error) {
             console.error('Failed to save recent food:', error);
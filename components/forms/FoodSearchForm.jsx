@@ -1,6 +1,6 @@
 import { Ionicons } from '@expo/vector-icons';
 import PropTypes from 'prop-types';
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import {
     FlatList,
     Modal,
@@ -11,66 +11,51 @@ import {
     View
 } from 'react-native';
 import { FOOD_CATEGORIES } from '../../types';
-import { getFoodDatabase, searchFoods } from '../../utils/supabaseStorage';
+import { SEARCH_SORTS, searchFoods } from '../../utils/repository';
 import { useTheme } from '../ui/ThemeProvider';
 
+// Foods are searched a page at a time; the next page loads when the list is scrolled to the end.
+// The category and sort go with the search, so they cover every match and not just loaded pages.
+const PAGE_SIZE = 30;
+const SEARCH_DELAY_MS = 300;
+
 const FoodSearchForm = ({ onFoodSelect, selectedFood, showFilters = true }) => {
     const { theme } = useTheme();
     const [searchQuery, setSearchQuery] = useState('');
     const [foods, setFoods] = useState([]);
-    const [filteredFoods, setFilteredFoods] = useState([]);
     const [selectedCategory, setSelectedCategory] = useState('all');
-    const [sortBy, setSortBy] = useState('name'); // name, calories, protein
+    const [sortBy, setSortBy] = useState(SEARCH_SORTS.RELEVANCE);
     const [loading, setLoading] = useState(false);
+    const [hasMore, setHasMore] = useState(false);
     const [showFiltersModal, setShowFiltersModal] = useState(false);
+    const latestSearch = useRef(null);
 
-    useEffect(() => {
-        loadFoods();
-    }, []);
-
-    useEffect(() => {
-        filterAndSortFoods();
-    }, [foods, searchQuery, selectedCategory, sortBy]);
-
-    const loadFoods = async () => {
+    const loadFoods = useCallback(async (offset) => {
+        const search = { query: searchQuery, category: selectedCategory === 'all' ? null : selectedCategory, sortBy };
         setLoading(true);
         try {
-            const allFoods = await getFoodDatabase();
-            setFoods(allFoods);
+            const page = await searchFoods(search.query, { ...search, limit: PAGE_SIZE, offset });
+            // A newer search, filter or sort started while this page was loading
+            if (latestSearch.current !== loadFoods) return;
+            setFoods(current => (offset === 0 ? page : [...current, ...page]));
+            setHasMore(page.length >= PAGE_SIZE);
         } catch (error) {
-            console.error('Failed to load foods:', error);
+            console.error('Failed to search foods:', error);
         } finally {
             setLoading(false);
         }
-    };
+    }, [searchQuery, selectedCategory, sortBy]);
 
-    const filterAndSortFoods = async () => {
-        let filtered = foods;
-
-        // Apply search filter
-        if (searchQuery.trim()) {
-            filtered = await searchFoods(searchQuery);
-        }
+    useEffect(() => {
+        latestSearch.current = loadFoods;
+        const timer = setTimeout(() => loadFoods(0), searchQuery.trim() ? SEARCH_DELAY_MS : 0);
+        return () => clearTimeout(timer);
+    }, [loadFoods, searchQuery]);
 
-        // Apply category filter
-        if (selectedCategory !== 'all') {
-            filtered = filtered.filter(food => food.category === selectedCategory);
+    const loadMoreFoods = () => {
+        if (hasMore && !loading) {
+            loadFoods(foods.length);
         }
-
-        // Apply sorting
-        filtered.sort((a, b) => {
-            switch (sortBy) {
-                case 'calories':
-                    return b.calories - a.calories;
-                case 'protein':
-                    return b.protein - a.protein;
-                case 'name':
-                default:
-                    return a.name.localeCompare(b.name);
-            }
-        });
-
-        setFilteredFoods(filtered);
     };
 
     const handleFoodPress = (food) => {
@@ -168,7 +153,7 @@ const FoodSearchForm = ({ onFoodSelect, selectedFood, showFilters = true }) => {
             {/* Quick Stats */}
             <View style={styles.quickStats}>
                 <Text style={[styles.statsText, { color: theme.subText }]}>
-                    {filteredFoods.length} foods found
+                    {foods.length}{hasMore ? '+' : ''} foods found
                 </Text>
             </View>
 
@@ -177,12 +162,14 @@ const FoodSearchForm = ({ onFoodSelect, selectedFood, showFilters = true }) => {
 
             {/* Food List */}
             <FlatList
-                data={filteredFoods}
-                keyExtractor={(item) => item.name}
+                data={foods}
+                keyExtractor={(item) => item.id || item.name}
                 renderItem={renderFoodItem}
                 style={styles.foodList}
                 contentContainerStyle={styles.foodListContent}
                 showsVerticalScrollIndicator={false}
+                onEndReached={loadMoreFoods}
+                onEndReachedThreshold={0.5}
                 ListEmptyComponent={
                     <View style={styles.emptyContainer}>
                         <Ionicons name="restaurant-outline" size={48} color={theme.subText} />
@@ -216,9 +203,10 @@ const FoodSearchForm = ({ onFoodSelect, selectedFood, showFilters = true }) => {
                         </Text>
                         <View style={styles.sortOptions}>
                             {[
-                                { key: 'name', label: 'Name (A-Z)' },
-                                { key: 'calories', label: 'Calories (High to Low)' },
-                                { key: 'protein', label: 'Protein (High to Low)' },
+                                { key: SEARCH_SORTS.RELEVANCE, label: 'Best Match' },
+                                { key: SEARCH_SORTS.NAME, label: 'Name (A-Z)' },
+                                { key: SEARCH_SORTS.CALORIES, label: 'Calories (High to Low)' },
+                                { key: SEARCH_SORTS.PROTEIN, label: 'Protein (High to Low)' },
                             ].map((option) => (
                                 <TouchableOpacity
                                     key={option.key}
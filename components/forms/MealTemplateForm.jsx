@@ -12,7 +12,8 @@ import {
     View,
 } from 'react-native';
 import { MEAL_TYPES } from '../../types';
-import { deleteMealTemplate, getMealTemplates, saveMealTemplate } from '../../utils/supabaseStorage';
+import { deleteMealTemplate, getMealTemplates, restoreFromTrash, saveMealTemplate, TRASH_TYPES } from '../../utils/repository';
+import { toast } from '../../utils/toast';
 import { useTheme } from '../ui/ThemeProvider';
 
 const MealTemplateForm = ({ onTemplateSelect, onTemplateCreate }) => {
@@ -70,6 +71,16 @@ const MealTemplateForm = ({ onTemplateSelect, onTemplateCreate }) => {
         }
     };
 
+    const handleRestoreTemplate = async (templateId) => {
+        try {
+            await restoreFromTrash(TRASH_TYPES.TEMPLATE, templateId);
+            await loadTemplates();
+            toast('Template restored', 'success');
+        } catch (error) {
+            toast(error.message, 'error');
+        }
+    };
+
     const handleDeleteTemplate = async (templateId) => {
         Alert.alert(
             'Delete Template',
@@ -83,6 +94,11 @@ const MealTemplateForm = ({ onTemplateSelect, onTemplateCreate }) => {
                         try {
                             await deleteMealTemplate(templateId);
                             setTemplates(templates.filter(t => t.id !== templateId));
+                            toast({
+                                message: 'Template moved to trash',
+                                type: 'error',
+                                action: { label: 'Undo', onPress: () => handleRestoreTemplate(templateId) },
+                            });
                         } catch (error) {
                             console.error('Failed to delete template:', error);
                             Alert.alert('Error', 'Failed to delete meal template');
@@ -102,7 +118,7 @@ const MealTemplateForm = ({ onTemplateSelect, onTemplateCreate }) => {
     const toggleFavorite = async (template) => {
         try {
             const updatedTemplate = { ...template, isFavorite: !template.isFavorite };
-            await saveMealTemplate(updatedTemplate);
+            await saveMealTemplate(updatedTemplate, template);
             setTemplates(templates.map(t =>
                 t.id === template.id ? updatedTemplate : t
             ));
@@ -0,0 +1,197 @@
+import { Ionicons } from '@expo/vector-icons';
+import PropTypes from 'prop-types';
+import { useState } from 'react';
+import {
+    KeyboardAvoidingView,
+    Platform,
+    ScrollView,
+    StyleSheet,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import { saveFood } from '../../utils/repository';
+import { toast } from '../../utils/toast';
+import PrimaryButton from '../ui/PrimaryButton';
+import { useTheme } from '../ui/ThemeProvider';
+
+// Same limits as adding a food in the Food Database
+const NUTRIENT_FIELDS = [
+    { key: 'calories', label: 'Calories (per 100g)', max: 9000 },
+    { key: 'protein', label: 'Protein (g per 100g)', max: 100 },
+    { key: 'carbs', label: 'Carbs (g per 100g)', max: 100 },
+    { key: 'fat', label: 'Fat (g per 100g)', max: 100 },
+];
+
+const toText = (value) => (value ? String(value) : '');
+
+/**
+ * Create a food for a barcode no database or source knows.
+ * `initial` pre-fills what a source did know, e.g. the name of a product listed without nutrients.
+ */
+const ProductForm = ({ barcode, initial, onSaved, onCancel }) => {
+    const { theme } = useTheme();
+    const [name, setName] = useState(initial?.name || '');
+    const [brand, setBrand] = useState(initial?.brand || '');
+    const [nutrients, setNutrients] = useState(() =>
+        Object.fromEntries(NUTRIENT_FIELDS.map(({ key }) => [key, toText(initial?.[key])]))
+    );
+    const [servingGrams, setServingGrams] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    const inputStyle = [styles.input, { borderColor: theme.muted, backgroundColor: theme.background, color: theme.text }];
+
+    const handleSave = async () => {
+        if (name.trim().length < 2) {
+            toast('Please enter the product name', 'error');
+            return;
+        }
+
+        const values = {};
+        for (const { key, label, max } of NUTRIENT_FIELDS) {
+            const value = parseFloat(nutrients[key]);
+            if (isNaN(value) || value < 0 || value > max) {
+                toast(`Please enter valid ${label.toLowerCase()} (0-${max})`, 'error');
+                return;
+            }
+            values[key] = Math.round(value * 10) / 10;
+        }
+
+        const grams = servingGrams ? parseFloat(servingGrams) : null;
+        if (grams !== null && (isNaN(grams) || grams <= 0 || grams > 10000)) {
+            toast('Please enter a valid serving size in grams', 'error');
+            return;
+        }
+
+        setSaving(true);
+        try {
+            const saved = await saveFood({
+                name: name.trim(),
+                brand: brand.trim() || null,
+                barcode,
+                ...values,
+                servingSize: grams ? `1 serving (${grams}g)` : '100g',
+                isCustom: true,
+            });
+            toast(`🍽️ ${saved.name} added to your foods!`, 'success');
+            onSaved(saved);
+        } catch (error) {
+            console.error('❌ Failed to save product:', error);
+            toast(error.message || 'Could not save the product', 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <KeyboardAvoidingView
+            style={[styles.container, { backgroundColor: theme.background }]}
+            behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+        >
+            <View style={[styles.header, { borderBottomColor: theme.muted }]}>
+                <TouchableOpacity onPress={onCancel} style={styles.headerButton}>
+                    <Ionicons name="arrow-back" size={24} color={theme.text} />
+                </TouchableOpacity>
+                <Text style={[styles.headerTitle, { color: theme.text }]}>New Product</Text>
+                <View style={styles.headerButton} />
+            </View>
+
+            <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+                <View style={[styles.barcodeRow, { backgroundColor: theme.card }]}>
+                    <Ionicons name="barcode-outline" size={20} color={theme.primary} />
+                    <Text style={[styles.barcodeText, { color: theme.text }]}>{barcode}</Text>
+                </View>
+                <Text style={[styles.hint, { color: theme.subText }]}>
+                    No nutrition data was found for this barcode. Copy it from the label and the product is
+                    recognised next time you scan it.
+                </Text>
+
+                <TextInput value={name} onChangeText={setName} placeholder="Product name" placeholderTextColor={theme.subText} style={inputStyle} />
+                <TextInput value={brand} onChangeText={setBrand} placeholder="Brand (optional)" placeholderTextColor={theme.subText} style={inputStyle} />
+                {NUTRIENT_FIELDS.map(({ key, label }) => (
+                    <TextInput
+                        key={key}
+                        value={nutrients[key]}
+                        onChangeText={(text) => setNutrients(prev => ({ ...prev, [key]: text }))}
+                        placeholder={label}
+                        keyboardType="numeric"
+                        placeholderTextColor={theme.subText}
+                        style={inputStyle}
+                    />
+                ))}
+                <TextInput value={servingGrams} onChangeText={setServingGrams} placeholder="Serving size in grams (optional)" keyboardType="numeric" placeholderTextColor={theme.subText} style={inputStyle} />
+
+                <View style={styles.actions}>
+                    <PrimaryButton title="Cancel" onPress={onCancel} disabled={saving} />
+                    <PrimaryButton title={saving ? 'Saving...' : 'Save Product'} onPress={handleSave} disabled={saving} active />
+                </View>
+            </ScrollView>
+        </KeyboardAvoidingView>
+    );
+};
+
+ProductForm.propTypes = {
+    barcode: PropTypes.string.isRequired,
+    initial: PropTypes.object,
+    onSaved: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired,
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingHorizontal: 20,
+        paddingTop: 60,
+        paddingBottom: 16,
+        borderBottomWidth: 1,
+    },
+    headerButton: {
+        padding: 8,
+        width: 40,
+    },
+    headerTitle: {
+        fontSize: 18,
+        fontWeight: '600',
+    },
+    content: {
+        padding: 20,
+    },
+    barcodeRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        padding: 12,
+        borderRadius: 8,
+        marginBottom: 12,
+    },
+    barcodeText: {
+        fontSize: 16,
+        fontWeight: '600',
+        marginLeft: 8,
+        letterSpacing: 1,
+    },
+    hint: {
+        fontSize: 14,
+        lineHeight: 20,
+        marginBottom: 16,
+    },
+    input: {
+        borderWidth: 1,
+        padding: 10,
+        borderRadius: 8,
+        marginBottom: 8,
+    },
+    actions: {
+        flexDirection: 'row',
+        justifyContent: 'flex-end',
+        gap: 8,
+        marginTop: 8,
+    },
+});
+
+export default ProductForm;
@@ -0,0 +1,409 @@
+import { Ionicons } from '@expo/vector-icons';
+import PropTypes from 'prop-types';
+import { useEffect, useRef, useState } from 'react';
+import {
+    KeyboardAvoidingView,
+    Platform,
+    ScrollView,
+    StyleSheet,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import {
+    calculateRecipeNutrition,
+    findIngredientFood,
+    formatUnit,
+    getFoods,
+    getServingUnits,
+    saveRecipe,
+    searchFoods,
+    SERVING_UNITS,
+    toIngredient,
+    updateRecipe,
+} from '../../utils/repository';
+import { toast } from '../../utils/toast';
+import PrimaryButton from '../ui/PrimaryButton';
+import { useTheme } from '../ui/ThemeProvider';
+
+const SEARCH_DELAY_MS = 300;
+const MAX_SEARCH_RESULTS = 8;
+
+// Same limits as adding a food in the Food Database
+const PER_100G_LIMITS = { calories: 9000, protein: 100, carbs: 100, fat: 100 };
+
+const toText = (value) => (value ? String(value) : '');
+
+/**
+ * Form state for an ingredient: what is saved, plus the units its food can be measured in
+ */
+const toRow = (ingredient, food) => ({
+    ingredient,
+    amount: toText(ingredient.unitAmount),
+    units: food
+        ? getServingUnits(food)
+        // The food is gone: only its own unit and grams are left
+        : [
+            { unit: SERVING_UNITS.GRAM, grams: 1 },
+            ...(ingredient.unit !== SERVING_UNITS.GRAM && ingredient.unitAmount > 0
+                ? [{ unit: ingredient.unit, grams: ingredient.quantity / ingredient.unitAmount }]
+                : []),
+        ],
+});
+
+const formatNutrients = (nutrients) =>
+    `${nutrients.calories} kcal • P ${nutrients.protein}g • C ${nutrients.carbs}g • F ${nutrients.fat}g`;
+
+/**
+ * Build or edit a recipe from ingredient foods. Nutrition per serving and per 100g is worked out
+ * as ingredients are added, from the cooked weight of the whole batch and the number of servings.
+ * @param {Object} recipeFood - The recipe food to edit; a new recipe is created without it
+ */
+const RecipeForm = ({ recipeFood, onSaved, onCancel }) => {
+    const { theme } = useTheme();
+    const [name, setName] = useState(recipeFood?.name || '');
+    const [servings, setServings] = useState(toText(recipeFood?.recipe?.servings || 1));
+    const [yieldWeight, setYieldWeight] = useState(toText(recipeFood?.recipe?.yieldWeight));
+    const [rows, setRows] = useState([]);
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const latestQuery = useRef(query);
+    const recipeId = recipeFood?.id;
+    const savedRecipe = recipeFood?.recipe;
+
+    const inputStyle = [styles.input, { borderColor: theme.muted, backgroundColor: theme.background, color: theme.text }];
+
+    // Ingredients of an existing recipe take the current nutrients and units of their foods
+    useEffect(() => {
+        if (!savedRecipe) return;
+        const loadIngredients = async () => {
+            const foods = await getFoods();
+            const { recipe: current } = calculateRecipeNutrition(savedRecipe, foods);
+            setRows(current.ingredients.map(ingredient =>
+                toRow(ingredient, findIngredientFood(ingredient, foods))
+            ));
+        };
+        loadIngredients();
+    }, [savedRecipe]);
+
+    useEffect(() => {
+        latestQuery.current = query;
+        if (!query.trim()) {
+            setResults([]);
+            return undefined;
+        }
+        const timer = setTimeout(async () => {
+            const found = await searchFoods(query, { limit: MAX_SEARCH_RESULTS + 1 });
+            // A newer search started while this one was loading
+            if (latestQuery.current !== query) return;
+            // A recipe can't be one of its own ingredients
+            setResults(found.filter(food => food.id !== recipeId).slice(0, MAX_SEARCH_RESULTS));
+        }, SEARCH_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [query, recipeId]);
+
+    const recipe = {
+        servings: parseFloat(servings) || 1,
+        yieldWeight: parseFloat(yieldWeight) || 0,
+        ingredients: rows.map(row => row.ingredient),
+    };
+    const nutrition = calculateRecipeNutrition(recipe);
+
+    const addIngredient = (food) => {
+        if (rows.some(row => row.ingredient.foodId === food.id)) {
+            toast(`${food.name} is already in the recipe`, 'info');
+            return;
+        }
+        setRows(prev => [...prev, toRow(toIngredient(food, 100), food)]);
+        setQuery('');
+        setResults([]);
+    };
+
+    const updateRow = (index, amount, unit) => {
+        setRows(prev => prev.map((row, i) => {
+            if (i !== index) return row;
+            const value = parseFloat(amount) || 0;
+            const grams = row.units.find(option => option.unit === unit)?.grams || 1;
+            const ingredient = { ...row.ingredient, unit, unitAmount: value, quantity: Math.round(value * grams * 10) / 10 };
+            return { ...row, amount, ingredient };
+        }));
+    };
+
+    const removeRow = (index) => {
+        setRows(prev => prev.filter((_, i) => i !== index));
+    };
+
+    const handleSave = async () => {
+        if (name.trim().length < 2) {
+            toast('Please enter the recipe name', 'error');
+            return;
+        }
+        if (rows.length === 0) {
+            toast('Add at least one ingredient', 'error');
+            return;
+        }
+        if (rows.some(row => !(row.ingredient.quantity > 0))) {
+            toast('Please enter an amount for every ingredient', 'error');
+            return;
+        }
+        const servingCount = parseFloat(servings);
+        if (isNaN(servingCount) || servingCount < 1 || servingCount > 100) {
+            toast('Please enter the number of servings (1-100)', 'error');
+            return;
+        }
+        const cookedWeight = yieldWeight ? parseFloat(yieldWeight) : null;
+        if (cookedWeight !== null && (isNaN(cookedWeight) || cookedWeight <= 0 || cookedWeight > 100000)) {
+            toast('Please enter the cooked weight in grams', 'error');
+            return;
+        }
+        if (Object.entries(PER_100G_LIMITS).some(([field, max]) => nutrition.per100g[field] > max)) {
+            toast('The cooked weight is too low for these ingredients', 'error');
+            return;
+        }
+
+        setSaving(true);
+        try {
+            const details = { ...recipe, name, category: recipeFood?.category };
+            const saved = recipeFood
+                ? await updateRecipe(recipeFood.id, details, recipeFood)
+                : await saveRecipe(details);
+            toast(`🍲 ${name.trim()} ${recipeFood ? 'updated' : 'added to your foods'}!`, 'success');
+            onSaved(saved);
+        } catch (error) {
+            console.error('❌ Failed to save recipe:', error);
+            toast(error.message || 'Could not save the recipe', 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <KeyboardAvoidingView
+            style={[styles.container, { backgroundColor: theme.background }]}
+            behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+        >
+            <View style={[styles.header, { borderBottomColor: theme.muted }]}>
+                <TouchableOpacity onPress={onCancel} style={styles.headerButton}>
+                    <Ionicons name="arrow-back" size={24} color={theme.text} />
+                </TouchableOpacity>
+                <Text style={[styles.headerTitle, { color: theme.text }]}>{recipeFood ? 'Edit Recipe' : 'New Recipe'}</Text>
+                <View style={styles.headerButton} />
+            </View>
+
+            <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+                <TextInput value={name} onChangeText={setName} placeholder="Recipe name, e.g. Dal Tadka" placeholderTextColor={theme.subText} style={inputStyle} />
+                <TextInput value={servings} onChangeText={setServings} placeholder="Number of servings" keyboardType="numeric" placeholderTextColor={theme.subText} style={inputStyle} />
+                <TextInput
+                    value={yieldWeight}
+                    onChangeText={setYieldWeight}
+                    placeholder={`Cooked weight in grams (raw: ${nutrition.rawWeight}g)`}
+                    keyboardType="numeric"
+                    placeholderTextColor={theme.subText}
+                    style={inputStyle}
+                />
+                <Text style={[styles.hint, { color: theme.subText }]}>
+                    Weigh the whole pot once cooked: water boils off or soaks in, which changes the nutrition per 100g.
+                    Leave it empty to use the raw weight of the ingredients.
+                </Text>
+
+                <Text style={[styles.sectionTitle, { color: theme.text }]}>Ingredients</Text>
+                {rows.map((row, index) => (
+                    <View key={`${row.ingredient.foodId}-${index}`} style={[styles.ingredient, { backgroundColor: theme.card, borderColor: theme.muted }]}>
+                        <View style={styles.ingredientHeader}>
+                            <Text style={[styles.ingredientName, { color: theme.text }]} numberOfLines={1}>{row.ingredient.name}</Text>
+                            <TouchableOpacity onPress={() => removeRow(index)} style={styles.removeButton} accessibilityLabel={`Remove ${row.ingredient.name}`}>
+                                <Ionicons name="close" size={18} color={theme.danger} />
+                            </TouchableOpacity>
+                        </View>
+                        <View style={styles.amountRow}>
+                            <TextInput
+                                value={row.amount}
+                                onChangeText={(text) => updateRow(index, text, row.ingredient.unit)}
+                                keyboardType="numeric"
+                                placeholder="Amount"
+                                placeholderTextColor={theme.subText}
+                                style={[inputStyle, styles.amountInput]}
+                            />
+                            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                                {row.units.map(option => (
+                                    <TouchableOpacity
+                                        key={option.unit}
+                                        style={[styles.unitChip, { backgroundColor: row.ingredient.unit === option.unit ? theme.primary : theme.muted }]}
+                                        onPress={() => updateRow(index, row.amount, option.unit)}
+                                        accessibilityRole="radio"
+                                        accessibilityState={{ selected: row.ingredient.unit === option.unit }}
+                                    >
+                                        <Text style={[styles.unitText, { color: row.ingredient.unit === option.unit ? theme.onPrimary : theme.text }]}>
+                                            {option.unit === SERVING_UNITS.GRAM ? 'g' : formatUnit(option.unit)}
+                                        </Text>
+                                    </TouchableOpacity>
+                                ))}
+                            </ScrollView>
+                        </View>
+                        {row.ingredient.unit !== SERVING_UNITS.GRAM && (
+                            <Text style={[styles.ingredientGrams, { color: theme.subText }]}>{row.ingredient.quantity}g</Text>
+                        )}
+                    </View>
+                ))}
+
+                <TextInput value={query} onChangeText={setQuery} placeholder="Add an ingredient..." placeholderTextColor={theme.subText} style={inputStyle} />
+                {results.map(food => (
+                    <TouchableOpacity key={food.id} style={[styles.result, { borderColor: theme.muted }]} onPress={() => addIngredient(food)}>
+                        <Ionicons name="add-circle-outline" size={18} color={theme.primary} />
+                        <View style={styles.resultInfo}>
+                            <Text style={[styles.resultName, { color: theme.text }]} numberOfLines={1}>{food.name}</Text>
+                            <Text style={[styles.resultDetails, { color: theme.subText }]}>{food.calories} kcal/100g</Text>
+                        </View>
+                    </TouchableOpacity>
+                ))}
+
+                <View style={[styles.summary, { backgroundColor: theme.card }]}>
+                    <Text style={[styles.summaryTitle, { color: theme.text }]}>
+                        Per serving ({nutrition.servingWeight}g)
+                    </Text>
+                    <Text style={[styles.summaryText, { color: theme.primary }]}>{formatNutrients(nutrition.perServing)}</Text>
+                    <Text style={[styles.summaryTitle, { color: theme.text }]}>Per 100g</Text>
+                    <Text style={[styles.summaryText, { color: theme.subText }]}>{formatNutrients(nutrition.per100g)}</Text>
+                </View>
+
+                <View style={styles.actions}>
+                    <PrimaryButton title="Cancel" onPress={onCancel} disabled={saving} />
+                    <PrimaryButton title={saving ? 'Saving...' : 'Save Recipe'} onPress={handleSave} disabled={saving} active />
+                </View>
+            </ScrollView>
+        </KeyboardAvoidingView>
+    );
+};
+
+RecipeForm.propTypes = {
+    recipeFood: PropTypes.object,
+    onSaved: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired,
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingHorizontal: 20,
+        paddingTop: 60,
+        paddingBottom: 16,
+        borderBottomWidth: 1,
+    },
+    headerButton: {
+        padding: 8,
+        width: 40,
+    },
+    headerTitle: {
+        fontSize: 18,
+        fontWeight: '600',
+    },
+    content: {
+        padding: 20,
+    },
+    input: {
+        borderWidth: 1,
+        padding: 10,
+        borderRadius: 8,
+        marginBottom: 8,
+    },
+    hint: {
+        fontSize: 12,
+        lineHeight: 18,
+        marginBottom: 16,
+    },
+    sectionTitle: {
+        fontSize: 16,
+        fontWeight: '700',
+        marginBottom: 8,
+    },
+    ingredient: {
+        borderWidth: 1,
+        borderRadius: 10,
+        padding: 10,
+        marginBottom: 8,
+    },
+    ingredientHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        marginBottom: 6,
+    },
+    ingredientName: {
+        flex: 1,
+        fontSize: 15,
+        fontWeight: '600',
+    },
+    removeButton: {
+        padding: 4,
+    },
+    amountRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    amountInput: {
+        width: 90,
+        marginBottom: 0,
+        marginRight: 8,
+    },
+    unitChip: {
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 16,
+        marginRight: 6,
+    },
+    unitText: {
+        fontSize: 12,
+        fontWeight: '600',
+    },
+    ingredientGrams: {
+        fontSize: 12,
+        marginTop: 4,
+    },
+    result: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 8,
+        borderBottomWidth: 1,
+    },
+    resultInfo: {
+        flex: 1,
+        marginLeft: 8,
+    },
+    resultName: {
+        fontSize: 14,
+        fontWeight: '600',
+    },
+    resultDetails: {
+        fontSize: 12,
+    },
+    summary: {
+        borderRadius: 10,
+        padding: 12,
+        marginTop: 16,
+    },
+    summaryTitle: {
+        fontSize: 13,
+        fontWeight: '600',
+        marginTop: 4,
+    },
+    summaryText: {
+        fontSize: 13,
+        marginTop: 2,
+        marginBottom: 4,
+    },
+    actions: {
+        flexDirection: 'row',
+        justifyContent: 'flex-end',
+        gap: 8,
+        marginTop: 16,
+    },
+});
+
+export default RecipeForm;
@@ -6,6 +6,8 @@ export default function SegmentedControl({ options = [], value, onChange, style
     const { theme } = useTheme();
     const [width, setWidth] = useState(0);
     const indicator = useRef(new Animated.Value(0)).current;
+    // No option is highlighted when the value belongs to another control
+    const selected = options.some(o => o.key === value);
 
     useEffect(() => {
         const idx = Math.max(0, options.findIndex(o => o.key === value));
@@ -16,7 +18,7 @@ export default function SegmentedControl({ options = [], value, onChange, style
 
     return (
         <View style={[styles.wrap, { backgroundColor: theme.pillBg }, style]} onLayout={(e) => setWidth(e.nativeEvent.layout.width)}>
-            {width > 0 && options.length ? (
+            {width > 0 && options.length && selected ? (
                 <Animated.View style={[styles.indicator, { width: width / options.length - 6, backgroundColor: theme.primary, transform: [{ translateX: indicator }], top: 3, left: 3 }]} />
             ) : null}
             {options.map((opt, i) => {
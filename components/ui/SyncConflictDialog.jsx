@@ -0,0 +1,219 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useEffect, useState } from 'react';
+import { Modal, ScrollView, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { borderRadius, shadows, spacing, typography } from '../../utils/responsive';
+import syncQueue from '../../utils/syncQueue';
+import PrimaryButton from './PrimaryButton';
+import SecondaryButton from './SecondaryButton';
+import { useTheme } from './ThemeProvider';
+
+// 'daily_calorie_target' / 'dailyCaloriesTarget' -> 'Daily calorie target' / 'Daily calories target'
+const formatField = (field) => {
+    const words = field.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const formatValue = (value) => {
+    if (value == null || value === '') return '—';
+    if (Array.isArray(value)) return `${value.length} ${value.length === 1 ? 'item' : 'items'}`;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+/**
+ * Asks the user to settle edits that clashed with a newer version from another device,
+ * one conflict at a time. Each field can keep this device's value or the other device's.
+ */
+export default function SyncConflictDialog() {
+    const { theme } = useTheme();
+    const [conflicts, setConflicts] = useState([]);
+    const [choices, setChoices] = useState({});
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => syncQueue.subscribeConflicts(setConflicts), []);
+
+    const conflict = conflicts[0];
+
+    // Default every field to this device's value, since that is the edit the user just made
+    useEffect(() => {
+        if (!conflict) return;
+        setChoices(Object.fromEntries(conflict.fields.map(({ field }) => [field, 'local'])));
+    }, [conflict]);
+
+    if (!conflict) return null;
+
+    const resolve = async (resolution) => {
+        setSaving(true);
+        try {
+            await syncQueue.resolveConflict(conflict.id, resolution);
+        } catch (error) {
+            console.error('Error resolving sync conflict:', error);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const Option = ({ field, side, value }) => {
+        const selected = choices[field] === side;
+        return (
+            <TouchableOpacity
+                style={[
+                    styles.option,
+                    {
+                        backgroundColor: selected ? theme.primaryLight : 'transparent',
+                        borderColor: selected ? theme.primary : theme.border,
+                    },
+                ]}
+                onPress={() => setChoices(prev => ({ ...prev, [field]: side }))}
+                accessibilityRole="radio"
+                accessibilityState={{ selected }}
+            >
+                <Text style={[styles.optionLabel, { color: theme.subText }]}>
+                    {side === 'local' ? 'This device' : 'Other device'}
+                </Text>
+                <Text style={[styles.optionValue, { color: selected ? theme.primary : theme.text }]} numberOfLines={2}>
+                    {formatValue(value)}
+                </Text>
+            </TouchableOpacity>
+        );
+    };
+
+    return (
+        <Modal visible transparent animationType="fade" onRequestClose={() => resolve({})}>
+            <View style={styles.overlay}>
+                <View style={[styles.dialog, { backgroundColor: theme.card, borderColor: theme.border }]}>
+                    <View style={[styles.header, { borderBottomColor: theme.border }]}>
+                        <Ionicons name="git-merge-outline" size={22} color={theme.primary} />
+                        <View style={styles.headerText}>
+                            <Text style={[styles.title, { color: theme.text }]}>Edited on two devices</Text>
+                            <Text style={[styles.subtitle, { color: theme.subText }]}>
+                                {conflict.label} changed elsewhere before your edit synced. Choose which values to keep.
+                            </Text>
+                        </View>
+                    </View>
+
+                    <ScrollView style={styles.content} bounces={false}>
+                        {conflict.fields.map(({ field, local, remote }) => (
+                            <View key={field} style={styles.field}>
+                                <Text style={[styles.fieldName, { color: theme.text }]}>{formatField(field)}</Text>
+                                <View style={styles.options}>
+                                    <Option field={field} side="local" value={local} />
+                                    <Option field={field} side="remote" value={remote} />
+                                </View>
+                            </View>
+                        ))}
+                        {Object.keys(conflict.merged).length > 0 && (
+                            <Text style={[styles.note, { color: theme.subText }]}>
+                                Your other changes ({Object.keys(conflict.merged).map(formatField).join(', ')}) did not clash and will be saved.
+                            </Text>
+                        )}
+                    </ScrollView>
+
+                    <View style={[styles.actions, { borderTopColor: theme.border }]}>
+                        <SecondaryButton
+                            title="Keep Other"
+                            onPress={() => resolve({})}
+                            disabled={saving}
+                            style={styles.action}
+                        />
+                        <PrimaryButton
+                            title={saving ? 'Saving…' : 'Save Choices'}
+                            onPress={() => resolve(choices)}
+                            disabled={saving}
+                            active
+                            style={styles.action}
+                        />
+                    </View>
+                    {conflicts.length > 1 && (
+                        <Text style={[styles.remaining, { color: theme.subText }]}>
+                            {conflicts.length - 1} more to review
+                        </Text>
+                    )}
+                </View>
+            </View>
+        </Modal>
+    );
+}
+
+const styles = StyleSheet.create({
+    overlay: {
+        flex: 1,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: spacing.lg,
+    },
+    dialog: {
+        width: '100%',
+        maxWidth: 420,
+        maxHeight: '80%',
+        borderRadius: borderRadius.lg,
+        borderWidth: 1,
+        ...shadows.heavy,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+        gap: spacing.sm,
+        padding: spacing.lg,
+        borderBottomWidth: 1,
+    },
+    headerText: {
+        flex: 1,
+    },
+    title: {
+        ...typography.lg,
+        fontWeight: '600',
+    },
+    subtitle: {
+        ...typography.sm,
+        marginTop: 4,
+    },
+    content: {
+        padding: spacing.lg,
+    },
+    field: {
+        marginBottom: spacing.md,
+    },
+    fieldName: {
+        ...typography.md,
+        fontWeight: '600',
+        marginBottom: spacing.xs,
+    },
+    options: {
+        flexDirection: 'row',
+        gap: spacing.sm,
+    },
+    option: {
+        flex: 1,
+        padding: spacing.sm,
+        borderRadius: borderRadius.md,
+        borderWidth: 1,
+    },
+    optionLabel: {
+        ...typography.xs,
+        marginBottom: 2,
+    },
+    optionValue: {
+        ...typography.md,
+        fontWeight: '500',
+    },
+    note: {
+        ...typography.sm,
+        marginBottom: spacing.md,
+    },
+    actions: {
+        flexDirection: 'row',
+        gap: spacing.sm,
+        padding: spacing.md,
+        borderTopWidth: 1,
+    },
+    action: {
+        flex: 1,
+    },
+    remaining: {
+        ...typography.xs,
+        textAlign: 'center',
+        paddingBottom: spacing.sm,
+    },
+});
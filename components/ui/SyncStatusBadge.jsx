@@ -0,0 +1,53 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useEffect, useRef, useState } from 'react';
+import { StyleSheet, Text, TouchableOpacity } from 'react-native';
+import syncQueue from '../../utils/syncQueue';
+import { useTheme } from './ThemeProvider';
+
+// Shows how many offline changes are still waiting to reach Supabase; tap to retry now
+export default function SyncStatusBadge({ style, onSynced }) {
+    const { theme } = useTheme();
+    const [status, setStatus] = useState(syncQueue.getStatus());
+    const onSyncedRef = useRef(onSynced);
+    onSyncedRef.current = onSynced;
+
+    useEffect(() => {
+        let previousPending = syncQueue.getStatus().pending;
+        return syncQueue.subscribe((next) => {
+            setStatus(next);
+            if (previousPending > 0 && next.pending === 0) onSyncedRef.current?.();
+            previousPending = next.pending;
+        });
+    }, []);
+
+    if (!status.pending) return null;
+
+    const label = status.syncing
+        ? `Syncing ${status.pending} ${status.pending === 1 ? 'change' : 'changes'}…`
+        : `${status.pending} ${status.pending === 1 ? 'change' : 'changes'} pending`;
+
+    return (
+        <TouchableOpacity
+            onPress={() => syncQueue.flush()}
+            style={[styles.badge, { backgroundColor: theme.pillBg, borderColor: theme.border }, style]}
+            accessibilityLabel={label}
+            activeOpacity={0.8}
+        >
+            <Ionicons name={status.syncing ? 'sync-outline' : 'cloud-offline-outline'} size={14} color={theme.subText} />
+            <Text style={[styles.label, { color: theme.subText }]}>{label}</Text>
+        </TouchableOpacity>
+    );
+}
+
+const styles = StyleSheet.create({
+    badge: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+        paddingVertical: 4,
+        paddingHorizontal: 10,
+        borderRadius: 12,
+        borderWidth: 1,
+    },
+    label: { fontSize: 12, fontWeight: '600' },
+});
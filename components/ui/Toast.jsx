@@ -1,8 +1,54 @@
-import { useEffect, useRef } from 'react';
-import { Animated, StyleSheet, Text, View } from 'react-native';
+import { useEffect, useRef, useState } from 'react';
+import { Animated, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
 import { useTheme } from './ThemeProvider';
 
-export default function Toast({ message, type = 'success', visible, onHide, duration = 3000 }) {
+// The mounted ToastHost; until it mounts, showToast only logs
+let hostListener = null;
+let nextToastId = 1;
+
+/**
+ * Show a toast from anywhere, usually through utils/toast
+ * @param {string|Object} messageOrObj - A message, or { message, type, duration, action }
+ *   where action is { label, onPress }, e.g. an Undo button
+ */
+export const showToast = (messageOrObj, type = 'info', duration = 2500) => {
+    const options = typeof messageOrObj === 'string' ? { message: messageOrObj, type, duration } : messageOrObj;
+    if (!hostListener) {
+        console.log('Toast:', options.message);
+        return;
+    }
+    hostListener({ type, duration, ...options, id: nextToastId++ });
+};
+
+/**
+ * Renders the toasts requested with showToast. Mounted once in the root layout.
+ */
+export function ToastHost() {
+    const [current, setCurrent] = useState(null);
+
+    useEffect(() => {
+        hostListener = setCurrent;
+        return () => {
+            if (hostListener === setCurrent) hostListener = null;
+        };
+    }, []);
+
+    if (!current) return null;
+
+    return (
+        <Toast
+            key={current.id}
+            message={current.message}
+            type={current.type}
+            duration={current.duration}
+            action={current.action}
+            visible
+            onHide={() => setCurrent(prev => (prev?.id === current.id ? null : prev))}
+        />
+    );
+}
+
+export default function Toast({ message, type = 'success', visible, onHide, duration = 3000, action = null }) {
     const { theme } = useTheme();
     const fadeAnim = useRef(new Animated.Value(0)).current;
     const slideAnim = useRef(new Animated.Value(-100)).current;
@@ -54,8 +100,13 @@ export default function Toast({ message, type = 'success', visible, onHide, dura
         }
     };
 
+    const handleAction = () => {
+        hideToast();
+        action.onPress();
+    };
+
     return (
-        <View style={styles.container}>
+        <View style={styles.container} pointerEvents="box-none">
             <Animated.View
                 style={[
                     styles.toast,
@@ -67,6 +118,11 @@ export default function Toast({ message, type = 'success', visible, onHide, dura
                 ]}
             >
                 <Text style={styles.message}>{message}</Text>
+                {action && (
+                    <TouchableOpacity onPress={handleAction} style={styles.action} accessibilityRole="button">
+                        <Text style={styles.actionLabel}>{action.label}</Text>
+                    </TouchableOpacity>
+                )}
             </Animated.View>
         </View>
     );
@@ -82,6 +138,8 @@ const styles = StyleSheet.create({
         alignItems: 'center',
     },
     toast: {
+        flexDirection: 'row',
+        alignItems: 'center',
         paddingHorizontal: 20,
         paddingVertical: 12,
         borderRadius: 8,
@@ -102,4 +160,14 @@ const styles = StyleSheet.create({
         fontWeight: '600',
         fontSize: 14,
     },
+    action: {
+        marginLeft: 16,
+        paddingVertical: 2,
+    },
+    actionLabel: {
+        color: '#FFFFFF',
+        fontWeight: '700',
+        fontSize: 14,
+        textDecorationLine: 'underline',
+    },
 });
\ No newline at end of file
@@ -0,0 +1,41 @@
+// External food databases used by food search and barcode lookups
+// Keys are read from EXPO_PUBLIC_* environment variables. A source missing its keys is skipped.
+
+export const FOOD_SOURCE_IDS = {
+    USDA: 'usda',
+    OPEN_FOOD_FACTS: 'openfoodfacts',
+    NUTRITIONIX: 'nutritionix',
+};
+
+const list = (value, fallback) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback);
+
+export const FOOD_SOURCES_CONFIG = {
+    // Sources are asked in this order until a search has enough results
+    order: list(process.env.EXPO_PUBLIC_FOOD_SOURCES, [
+        FOOD_SOURCE_IDS.USDA,
+        FOOD_SOURCE_IDS.OPEN_FOOD_FACTS,
+        FOOD_SOURCE_IDS.NUTRITIONIX,
+    ]),
+
+    // Answer every request from utils/foodSources/fixtures instead of the network
+    useFixtures: process.env.EXPO_PUBLIC_FOOD_SOURCES_FIXTURES === 'true',
+
+    // How long a search, barcode or detail response is reused, and how many are kept
+    cache: {
+        ttlMinutes: 24 * 60,
+        maxEntries: 100,
+    },
+
+    [FOOD_SOURCE_IDS.USDA]: {
+        // DEMO_KEY works without registering but allows 30 requests an hour
+        apiKey: process.env.EXPO_PUBLIC_USDA_API_KEY || 'DEMO_KEY',
+    },
+    [FOOD_SOURCE_IDS.OPEN_FOOD_FACTS]: {
+        // Open Food Facts asks every app to identify itself
+        userAgent: 'Macroo Diet Tracker - https://github.com/macroo',
+    },
+    [FOOD_SOURCE_IDS.NUTRITIONIX]: {
+        appId: process.env.EXPO_PUBLIC_NUTRITIONIX_APP_ID || null,
+        appKey: process.env.EXPO_PUBLIC_NUTRITIONIX_APP_KEY || null,
+    },
+};
@@ -14,6 +14,27 @@ export const SUPABASE_CONFIG = {
     // serviceRoleKey: 'YOUR_SUPABASE_SERVICE_ROLE_KEY', // Uncomment if needed
 };
 
+// Where MacrooDatabase keeps its data:
+// - supabase: the hosted project above
+// - memory: an in-memory stand-in with the same tables and constraints, empty on every launch
+// - file: the in-memory stand-in, saved in AsyncStorage so it survives a reload
+export const DATABASE_BACKENDS = {
+    SUPABASE: 'supabase',
+    MEMORY: 'memory',
+    FILE: 'file',
+};
+
+// Set EXPO_PUBLIC_DATABASE_BACKEND to work without the hosted project, e.g. offline or in tests
+export const DATABASE_BACKEND = process.env.EXPO_PUBLIC_DATABASE_BACKEND || DATABASE_BACKENDS.SUPABASE;
+
+// With the in-memory database, sign-in is handled on the device too (utils/memoryAuth.jsx).
+// The app starts signed in as this user; its account accepts any password.
+export const MEMORY_AUTH_USER = {
+    id: '00000000-0000-4000-8000-000000000001',
+    email: 'demo@macroo.local',
+    name: 'Demo',
+};
+
 // Supabase table names
 export const TABLES = {
     USERS: 'users',
@@ -24,6 +45,8 @@ export const TABLES = {
     MEAL_TEMPLATES: 'meal_templates',
     ACHIEVEMENTS: 'achievements',
     WEEKLY_CHALLENGES: 'weekly_challenges',
+    DAILY_TOTALS: 'daily_totals',
+    CHANGE_LOG: 'change_log',
 };
 
 // API endpoints for different operations
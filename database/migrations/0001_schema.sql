@@ -1,5 +1,5 @@
 -- Diet Tracker App Database Schema for Supabase
--- Copy and paste this into Supabase SQL Editor
+-- Applied by `npm run migrate`, or paste the numbered migrations into the Supabase SQL Editor in order
 
 -- Enable UUID extension (Supabase has this enabled by default)
 -- CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
@@ -129,6 +129,8 @@ CREATE INDEX idx_meal_entries_user_date ON meal_entries(user_id, date);
 CREATE INDEX idx_meal_entries_food_id ON meal_entries(food_id);
 CREATE INDEX idx_water_entries_user_date ON water_entries(user_id, date);
 
+-- Row Level Security is enabled separately: see 0004_row_level_security.sql
+
 -- Insert demo user
 INSERT INTO users (id, email, name) VALUES 
 ('00000000-0000-0000-0000-000000000001', 'demo@macroo.app', 'Demo User');
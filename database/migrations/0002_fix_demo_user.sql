@@ -1,5 +1,5 @@
 -- Migration to fix demo user and ensure proper setup
--- Run this in your Supabase SQL Editor
+-- Applied by `npm run migrate` after 0001_schema.sql
 
 -- 1. First, insert the demo user if it doesn't exist
 INSERT INTO users (id, email, name) 
@@ -7,7 +7,7 @@ VALUES ('00000000-0000-0000-0000-000000000001', 'demo@macroo.app', 'Demo User')
 ON CONFLICT (id) DO NOTHING;
 
 -- 2. Verify the user_profiles table has the correct structure
--- (This should already be correct from your schema.sql)
+-- (This should already be correct from 0001_schema.sql)
 SELECT column_name, data_type 
 FROM information_schema.columns 
 WHERE table_name = 'user_profiles' 
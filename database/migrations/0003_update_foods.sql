@@ -1,5 +1,5 @@
 -- Migration to update foods table with comprehensive nutritional data
--- Run this migration if you have an existing database that needs updates
+-- Applied by `npm run migrate` after 0002_fix_demo_user.sql
 
 -- Add new columns to foods table if they don't exist
 ALTER TABLE foods 
@@ -94,5 +94,3 @@ WHERE updated_at < CURRENT_TIMESTAMP - INTERVAL '1 day';
 
 -- Refresh materialized views if any exist
 -- (Add specific view refresh commands if your database uses them)
-
-COMMIT;
\ No newline at end of file
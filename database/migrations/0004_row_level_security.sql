@@ -0,0 +1,141 @@
+-- Migration to enable Row Level Security on every table
+-- Applied by `npm run migrate` after 0003_update_foods.sql (safe to run more than once)
+--
+-- Every row belongs to the Supabase Auth user in its user_id column (users.id for the
+-- users table). Global foods (is_custom = false) can be read by anyone but only
+-- changed with the service role key, e.g. from the SQL Editor.
+-- auth.uid() is wrapped in a sub-select so Postgres evaluates it once per statement.
+
+-- 1. Enable RLS
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE foods ENABLE ROW LEVEL SECURITY;
+ALTER TABLE meal_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE water_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE meal_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE achievements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE weekly_challenges ENABLE ROW LEVEL SECURITY;
+
+-- 2. Users: each account sees and edits only its own record
+DROP POLICY IF EXISTS "Users can view their own record" ON users;
+CREATE POLICY "Users can view their own record" ON users
+    FOR SELECT TO authenticated
+    USING (id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "Users can create their own record" ON users;
+CREATE POLICY "Users can create their own record" ON users
+    FOR INSERT TO authenticated
+    WITH CHECK (id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "Users can update their own record" ON users;
+CREATE POLICY "Users can update their own record" ON users
+    FOR UPDATE TO authenticated
+    USING (id = (SELECT auth.uid()))
+    WITH CHECK (id = (SELECT auth.uid()));
+
+-- 3. Foods: global foods are read-only, custom foods belong to their creator
+DROP POLICY IF EXISTS "Anyone can view global foods" ON foods;
+CREATE POLICY "Anyone can view global foods" ON foods
+    FOR SELECT TO anon, authenticated
+    USING (is_custom = false);
+
+DROP POLICY IF EXISTS "Users can view their custom foods" ON foods;
+CREATE POLICY "Users can view their custom foods" ON foods
+    FOR SELECT TO authenticated
+    USING (is_custom = true AND user_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "Users can create custom foods" ON foods;
+CREATE POLICY "Users can create custom foods" ON foods
+    FOR INSERT TO authenticated
+    WITH CHECK (is_custom = true AND user_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "Users can update their custom foods" ON foods;
+CREATE POLICY "Users can update their custom foods" ON foods
+    FOR UPDATE TO authenticated
+    USING (is_custom = true AND user_id = (SELECT auth.uid()))
+    WITH CHECK (is_custom = true AND user_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "Users can delete their custom foods" ON foods;
+CREATE POLICY "Users can delete their custom foods" ON foods
+    FOR DELETE TO authenticated
+    USING (is_custom = true AND user_id = (SELECT auth.uid()));
+
+-- 4. Meal entries: owned by the user, and may only reference foods the user can see
+DROP POLICY IF EXISTS "Users can view their meals" ON meal_entries;
+CREATE POLICY "Users can view their meals" ON meal_entries
+    FOR SELECT TO authenticated
+    USING (user_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "Users can create their meals" ON meal_entries;
+CREATE POLICY "Users can create their meals" ON meal_entries
+    FOR INSERT TO authenticated
+    WITH CHECK (
+        user_id = (SELECT auth.uid())
+        AND (food_id IS NULL OR EXISTS (
+            SELECT 1 FROM foods f
+            WHERE f.id = meal_entries.food_id
+              AND (f.is_custom = false OR f.user_id = (SELECT auth.uid()))
+        ))
+    );
+
+DROP POLICY IF EXISTS "Users can update their meals" ON meal_entries;
+CREATE POLICY "Users can update their meals" ON meal_entries
+    FOR UPDATE TO authenticated
+    USING (user_id = (SELECT auth.uid()))
+    WITH CHECK (
+        user_id = (SELECT auth.uid())
+        AND (food_id IS NULL OR EXISTS (
+            SELECT 1 FROM foods f
+            WHERE f.id = meal_entries.food_id
+              AND (f.is_custom = false OR f.user_id = (SELECT auth.uid()))
+        ))
+    );
+
+DROP POLICY IF EXISTS "Users can delete their meals" ON meal_entries;
+CREATE POLICY "Users can delete their meals" ON meal_entries
+    FOR DELETE TO authenticated
+    USING (user_id = (SELECT auth.uid()));
+
+-- 5. Remaining per-user tables: full access to the user's own rows only
+DROP POLICY IF EXISTS "Users manage their water entries" ON water_entries;
+CREATE POLICY "Users manage their water entries" ON water_entries
+    FOR ALL TO authenticated
+    USING (user_id = (SELECT auth.uid()))
+    WITH CHECK (user_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "Users manage their profile" ON user_profiles;
+CREATE POLICY "Users manage their profile" ON user_profiles
+    FOR ALL TO authenticated
+    USING (user_id = (SELECT auth.uid()))
+    WITH CHECK (user_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "Users manage their meal templates" ON meal_templates;
+CREATE POLICY "Users manage their meal templates" ON meal_templates
+    FOR ALL TO authenticated
+    USING (user_id = (SELECT auth.uid()))
+    WITH CHECK (user_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "Users manage their achievements" ON achievements;
+CREATE POLICY "Users manage their achievements" ON achievements
+    FOR ALL TO authenticated
+    USING (user_id = (SELECT auth.uid()))
+    WITH CHECK (user_id = (SELECT auth.uid()));
+
+DROP POLICY IF EXISTS "Users manage their weekly challenges" ON weekly_challenges;
+CREATE POLICY "Users manage their weekly challenges" ON weekly_challenges
+    FOR ALL TO authenticated
+    USING (user_id = (SELECT auth.uid()))
+    WITH CHECK (user_id = (SELECT auth.uid()));
+
+-- 6. Indexes used by the policies
+CREATE INDEX IF NOT EXISTS idx_meal_templates_user_id ON meal_templates(user_id);
+CREATE INDEX IF NOT EXISTS idx_achievements_user_id ON achievements(user_id);
+CREATE INDEX IF NOT EXISTS idx_weekly_challenges_user_id ON weekly_challenges(user_id);
+
+-- 7. Verify RLS is enabled everywhere
+SELECT
+    tablename,
+    CASE WHEN rowsecurity THEN '✅ RLS enabled' ELSE '❌ RLS disabled' END as status
+FROM pg_tables
+WHERE schemaname = 'public'
+ORDER BY tablename;
@@ -0,0 +1,151 @@
+-- Migration to add materialized daily nutrition totals
+-- Applied by `npm run migrate` after 0004_row_level_security.sql (safe to run more than once)
+--
+-- daily_totals holds one row per user and date. Triggers on meal_entries, water_entries
+-- and foods recompute the affected days, so charts, streaks and reports read a handful
+-- of rows instead of every logged meal.
+
+-- 1. Table
+CREATE TABLE IF NOT EXISTS daily_totals (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    calories DECIMAL(10,2) NOT NULL DEFAULT 0,
+    protein DECIMAL(10,2) NOT NULL DEFAULT 0,
+    carbs DECIMAL(10,2) NOT NULL DEFAULT 0,
+    fat DECIMAL(10,2) NOT NULL DEFAULT 0,
+    fiber DECIMAL(10,2) NOT NULL DEFAULT 0,
+    sugar DECIMAL(10,2) NOT NULL DEFAULT 0,
+    sodium DECIMAL(10,2) NOT NULL DEFAULT 0,
+    water INTEGER NOT NULL DEFAULT 0, -- ml
+    meal_count INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, date)
+);
+
+-- 2. Recompute one user's day from its meals and water entries.
+-- Foods store nutrition per 100g and meal quantities are grams.
+-- SECURITY DEFINER lets the triggers write although users only have read access.
+CREATE OR REPLACE FUNCTION refresh_daily_totals(p_user_id UUID, p_date DATE)
+RETURNS VOID AS $$
+DECLARE
+    meal_totals RECORD;
+    water_total INTEGER;
+BEGIN
+    IF p_user_id IS NULL OR p_date IS NULL THEN
+        RETURN;
+    END IF;
+
+    SELECT
+        COALESCE(SUM(f.calories * me.quantity / 100), 0) AS calories,
+        COALESCE(SUM(f.protein * me.quantity / 100), 0) AS protein,
+        COALESCE(SUM(f.carbs * me.quantity / 100), 0) AS carbs,
+        COALESCE(SUM(f.fat * me.quantity / 100), 0) AS fat,
+        COALESCE(SUM(f.fiber * me.quantity / 100), 0) AS fiber,
+        COALESCE(SUM(f.sugar * me.quantity / 100), 0) AS sugar,
+        COALESCE(SUM(f.sodium * me.quantity / 100), 0) AS sodium,
+        COUNT(me.id) AS meal_count
+    INTO meal_totals
+    FROM meal_entries me
+    LEFT JOIN foods f ON f.id = me.food_id
+    WHERE me.user_id = p_user_id AND me.date = p_date;
+
+    SELECT COALESCE(SUM(amount), 0)
+    INTO water_total
+    FROM water_entries
+    WHERE user_id = p_user_id AND date = p_date;
+
+    -- Days with nothing logged have no row
+    IF meal_totals.meal_count = 0 AND water_total = 0 THEN
+        DELETE FROM daily_totals WHERE user_id = p_user_id AND date = p_date;
+        RETURN;
+    END IF;
+
+    INSERT INTO daily_totals (user_id, date, calories, protein, carbs, fat, fiber, sugar, sodium, water, meal_count, updated_at)
+    VALUES (
+        p_user_id, p_date,
+        meal_totals.calories, meal_totals.protein, meal_totals.carbs, meal_totals.fat,
+        meal_totals.fiber, meal_totals.sugar, meal_totals.sodium,
+        water_total, meal_totals.meal_count, CURRENT_TIMESTAMP
+    )
+    ON CONFLICT (user_id, date) DO UPDATE SET
+        calories = EXCLUDED.calories,
+        protein = EXCLUDED.protein,
+        carbs = EXCLUDED.carbs,
+        fat = EXCLUDED.fat,
+        fiber = EXCLUDED.fiber,
+        sugar = EXCLUDED.sugar,
+        sodium = EXCLUDED.sodium,
+        water = EXCLUDED.water,
+        meal_count = EXCLUDED.meal_count,
+        updated_at = EXCLUDED.updated_at;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- 3. Entry triggers: refresh the old day too when an entry moves to another date or user
+CREATE OR REPLACE FUNCTION refresh_daily_totals_for_entry()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM refresh_daily_totals(OLD.user_id, OLD.date);
+    END IF;
+    IF TG_OP = 'INSERT' OR (TG_OP = 'UPDATE' AND (NEW.user_id, NEW.date) IS DISTINCT FROM (OLD.user_id, OLD.date)) THEN
+        PERFORM refresh_daily_totals(NEW.user_id, NEW.date);
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS refresh_daily_totals_on_meal_entries ON meal_entries;
+CREATE TRIGGER refresh_daily_totals_on_meal_entries
+    AFTER INSERT OR UPDATE OR DELETE ON meal_entries
+    FOR EACH ROW EXECUTE FUNCTION refresh_daily_totals_for_entry();
+
+DROP TRIGGER IF EXISTS refresh_daily_totals_on_water_entries ON water_entries;
+CREATE TRIGGER refresh_daily_totals_on_water_entries
+    AFTER INSERT OR UPDATE OR DELETE ON water_entries
+    FOR EACH ROW EXECUTE FUNCTION refresh_daily_totals_for_entry();
+
+-- 4. Editing a food's nutrition changes every day it was logged on
+CREATE OR REPLACE FUNCTION refresh_daily_totals_for_food()
+RETURNS TRIGGER AS $$
+DECLARE
+    day RECORD;
+BEGIN
+    FOR day IN
+        SELECT DISTINCT user_id, date FROM meal_entries WHERE food_id = NEW.id
+    LOOP
+        PERFORM refresh_daily_totals(day.user_id, day.date);
+    END LOOP;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS refresh_daily_totals_on_foods ON foods;
+CREATE TRIGGER refresh_daily_totals_on_foods
+    AFTER UPDATE OF calories, protein, carbs, fat, fiber, sugar, sodium ON foods
+    FOR EACH ROW EXECUTE FUNCTION refresh_daily_totals_for_food();
+
+-- 5. Row Level Security: read-only for the owner, written only by the triggers
+ALTER TABLE daily_totals ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their daily totals" ON daily_totals;
+CREATE POLICY "Users can view their daily totals" ON daily_totals
+    FOR SELECT TO authenticated
+    USING (user_id = (SELECT auth.uid()));
+
+REVOKE EXECUTE ON FUNCTION refresh_daily_totals(UUID, DATE) FROM PUBLIC, anon, authenticated;
+
+-- 6. Backfill existing history
+SELECT refresh_daily_totals(days.user_id, days.date)
+FROM (
+    SELECT user_id, date FROM meal_entries
+    UNION
+    SELECT user_id, date FROM water_entries
+) days;
+
+-- 7. Verify: totals should match a direct aggregate
+SELECT
+    COUNT(*) as days_with_totals,
+    COALESCE(SUM(meal_count), 0) as meals_counted,
+    (SELECT COUNT(*) FROM meal_entries) as meal_entries
+FROM daily_totals;
@@ -0,0 +1,38 @@
+-- Migration to stream changes to the app with Supabase Realtime
+-- Applied by `npm run migrate` after 0005_daily_totals.sql (safe to run more than once)
+--
+-- The app listens for inserts, updates and deletes on these tables so screens update live
+-- when the same account changes data on another device. Realtime applies the RLS policies,
+-- so each user only receives their own rows (plus global foods). Delete events carry only
+-- the row id.
+
+-- 1. Add the tables to the realtime publication (skipping any already in it).
+-- A plain Postgres without Supabase Realtime has no publication; nothing to do there.
+DO $$
+DECLARE
+    table_name TEXT;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        RAISE NOTICE 'supabase_realtime publication not found, skipping';
+        RETURN;
+    END IF;
+
+    FOREACH table_name IN ARRAY ARRAY['meal_entries', 'water_entries', 'foods', 'user_profiles']
+    LOOP
+        IF NOT EXISTS (
+            SELECT 1 FROM pg_publication_tables
+            WHERE pubname = 'supabase_realtime'
+              AND schemaname = 'public'
+              AND tablename = table_name
+        ) THEN
+            EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', table_name);
+        END IF;
+    END LOOP;
+END;
+$$;
+
+-- 2. Verify
+SELECT tablename, '✅ streaming' as status
+FROM pg_publication_tables
+WHERE pubname = 'supabase_realtime' AND schemaname = 'public'
+ORDER BY tablename;
@@ -0,0 +1,92 @@
+-- Migration to soft delete foods, meals and meal templates
+-- Applied by `npm run migrate` after 0006_realtime.sql (safe to run more than once)
+--
+-- Deleting sets deleted_at instead of removing the row, so the app can offer undo and a
+-- Trash screen. The app purges rows that have been in the trash for 30 days. Every query
+-- the app makes filters on deleted_at IS NULL.
+
+-- 1. Columns
+ALTER TABLE foods ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE meal_entries ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE meal_templates ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+-- 2. A deleted food no longer blocks adding another food with the same name
+ALTER TABLE foods DROP CONSTRAINT IF EXISTS foods_name_user_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_foods_name_user_id_active
+    ON foods(name, user_id) WHERE deleted_at IS NULL;
+
+-- 3. Indexes for live rows and for the trash
+CREATE INDEX IF NOT EXISTS idx_meal_entries_user_date_active
+    ON meal_entries(user_id, date) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_meal_entries_user_deleted
+    ON meal_entries(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_foods_user_deleted
+    ON foods(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_meal_templates_user_deleted
+    ON meal_templates(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- 4. Daily totals leave out deleted meals. Deleting and restoring are updates on the same
+-- day, which the existing entry trigger already recomputes.
+CREATE OR REPLACE FUNCTION refresh_daily_totals(p_user_id UUID, p_date DATE)
+RETURNS VOID AS $$
+DECLARE
+    meal_totals RECORD;
+    water_total INTEGER;
+BEGIN
+    IF p_user_id IS NULL OR p_date IS NULL THEN
+        RETURN;
+    END IF;
+
+    SELECT
+        COALESCE(SUM(f.calories * me.quantity / 100), 0) AS calories,
+        COALESCE(SUM(f.protein * me.quantity / 100), 0) AS protein,
+        COALESCE(SUM(f.carbs * me.quantity / 100), 0) AS carbs,
+        COALESCE(SUM(f.fat * me.quantity / 100), 0) AS fat,
+        COALESCE(SUM(f.fiber * me.quantity / 100), 0) AS fiber,
+        COALESCE(SUM(f.sugar * me.quantity / 100), 0) AS sugar,
+        COALESCE(SUM(f.sodium * me.quantity / 100), 0) AS sodium,
+        COUNT(me.id) AS meal_count
+    INTO meal_totals
+    FROM meal_entries me
+    LEFT JOIN foods f ON f.id = me.food_id
+    WHERE me.user_id = p_user_id AND me.date = p_date AND me.deleted_at IS NULL;
+
+    SELECT COALESCE(SUM(amount), 0)
+    INTO water_total
+    FROM water_entries
+    WHERE user_id = p_user_id AND date = p_date;
+
+    -- Days with nothing logged have no row
+    IF meal_totals.meal_count = 0 AND water_total = 0 THEN
+        DELETE FROM daily_totals WHERE user_id = p_user_id AND date = p_date;
+        RETURN;
+    END IF;
+
+    INSERT INTO daily_totals (user_id, date, calories, protein, carbs, fat, fiber, sugar, sodium, water, meal_count, updated_at)
+    VALUES (
+        p_user_id, p_date,
+        meal_totals.calories, meal_totals.protein, meal_totals.carbs, meal_totals.fat,
+        meal_totals.fiber, meal_totals.sugar, meal_totals.sodium,
+        water_total, meal_totals.meal_count, CURRENT_TIMESTAMP
+    )
+    ON CONFLICT (user_id, date) DO UPDATE SET
+        calories = EXCLUDED.calories,
+        protein = EXCLUDED.protein,
+        carbs = EXCLUDED.carbs,
+        fat = EXCLUDED.fat,
+        fiber = EXCLUDED.fiber,
+        sugar = EXCLUDED.sugar,
+        sodium = EXCLUDED.sodium,
+        water = EXCLUDED.water,
+        meal_count = EXCLUDED.meal_count,
+        updated_at = EXCLUDED.updated_at;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION refresh_daily_totals(UUID, DATE) FROM PUBLIC, anon, authenticated;
+
+-- 5. Recompute days that already have deleted meals (none on a fresh install)
+SELECT refresh_daily_totals(days.user_id, days.date)
+FROM (
+    SELECT DISTINCT user_id, date FROM meal_entries WHERE deleted_at IS NOT NULL
+) days;
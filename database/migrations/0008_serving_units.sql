@@ -0,0 +1,22 @@
+-- Migration for unit-aware serving sizes
+-- Applied by `npm run migrate` after 0007_soft_delete.sql (safe to run more than once)
+--
+-- Nutrition stays per 100g and meal_entries.quantity stays in grams, so daily totals and
+-- every existing query keep working. The app converts what was entered ("2 pieces") to grams
+-- and records the entered unit and amount next to it.
+
+-- 1. Grams in one unit of a food, e.g. {"piece": 30, "tbsp": 13.6}. Units that are not listed
+-- are derived from serving_size in the app ('1 piece (30g)' is a 30g piece).
+ALTER TABLE foods ADD COLUMN IF NOT EXISTS serving_units JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- 2. What was entered for each meal. Existing entries were entered in grams.
+ALTER TABLE meal_entries ADD COLUMN IF NOT EXISTS unit VARCHAR(30) NOT NULL DEFAULT 'g';
+ALTER TABLE meal_entries ADD COLUMN IF NOT EXISTS unit_amount DECIMAL(8,2);
+UPDATE meal_entries SET unit_amount = quantity WHERE unit_amount IS NULL;
+
+-- 3. Oils are lighter than water, so their spoons and cups weigh less than the same volume of water
+UPDATE foods SET serving_units = '{"ml": 0.92, "tsp": 4.6, "tbsp": 13.8, "cup": 218}'::jsonb
+WHERE user_id IS NULL AND name IN ('Olive Oil', 'Coconut Oil') AND serving_units = '{}'::jsonb;
+
+UPDATE foods SET serving_units = '{"ml": 0.91, "tsp": 4.5, "tbsp": 13.6, "cup": 216}'::jsonb
+WHERE user_id IS NULL AND name = 'Ghee' AND serving_units = '{}'::jsonb;
@@ -0,0 +1,8 @@
+-- Migration for a profile time zone
+-- Applied by `npm run migrate` after 0008_serving_units.sql (safe to run more than once)
+--
+-- Meals and water are bucketed by meal_entries.date and water_entries.date, which the app
+-- works out in the user's time zone when the entry is logged. This column holds the zone
+-- picked in Profile; NULL means the app follows the device's zone.
+
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64);
@@ -0,0 +1,16 @@
+-- Migration to record when each meal was eaten
+-- Applied by `npm run migrate` after 0009_profile_time_zone.sql (safe to run more than once)
+--
+-- created_at is when the entry was logged, which can be hours after the meal. consumed_at is
+-- the time the user picked in Add Meal, and is what meal timing insights, the early
+-- breakfast challenge and exports use. date stays the day bucket for totals.
+
+-- 1. Column. Existing entries were logged as they were eaten, as far as we know.
+ALTER TABLE meal_entries ADD COLUMN IF NOT EXISTS consumed_at TIMESTAMPTZ;
+UPDATE meal_entries SET consumed_at = created_at AT TIME ZONE 'UTC' WHERE consumed_at IS NULL;
+ALTER TABLE meal_entries ALTER COLUMN consumed_at SET DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE meal_entries ALTER COLUMN consumed_at SET NOT NULL;
+
+-- 2. Meals for a day are listed in the order they were eaten
+CREATE INDEX IF NOT EXISTS idx_meal_entries_user_date_consumed
+    ON meal_entries(user_id, date, consumed_at) WHERE deleted_at IS NULL;
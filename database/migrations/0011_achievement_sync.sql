@@ -0,0 +1,46 @@
+-- Migration to store achievement and weekly challenge progress per user
+-- Applied by `npm run migrate` after 0010_meal_consumed_at.sql (safe to run more than once)
+--
+-- The app saves the whole achievement list and the current week's challenges at once, as
+-- upserts matched on the achievement id, or on the challenge id and week. Fields the tables
+-- have no column for (progress, icon, reward, the exact week bounds) live in metadata.
+
+-- 1. One row per achievement and per challenge and week. Duplicates left by earlier
+-- uploads keep the row that is furthest along.
+DELETE FROM achievements a
+USING achievements b
+WHERE a.user_id = b.user_id
+  AND a.achievement_type = b.achievement_type
+  AND (COALESCE((a.metadata->>'progress')::NUMERIC, 0), a.id::TEXT)
+    < (COALESCE((b.metadata->>'progress')::NUMERIC, 0), b.id::TEXT);
+
+DELETE FROM weekly_challenges a
+USING weekly_challenges b
+WHERE a.user_id = b.user_id
+  AND a.challenge_type = b.challenge_type
+  AND a.start_date = b.start_date
+  AND (COALESCE(a.current_value, 0), a.id::TEXT) < (COALESCE(b.current_value, 0), b.id::TEXT);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_achievements_user_type
+    ON achievements(user_id, achievement_type);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_weekly_challenges_user_type_week
+    ON weekly_challenges(user_id, challenge_type, start_date);
+
+-- 2. Achievements that are not unlocked yet are stored too, so unlocked_at has no default.
+-- It becomes TIMESTAMPTZ so the app reads back the instant it wrote.
+ALTER TABLE achievements ALTER COLUMN unlocked_at DROP DEFAULT;
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'achievements' AND column_name = 'unlocked_at'
+          AND data_type = 'timestamp without time zone'
+    ) THEN
+        ALTER TABLE achievements
+            ALTER COLUMN unlocked_at TYPE TIMESTAMPTZ USING unlocked_at AT TIME ZONE 'UTC';
+    END IF;
+END $$;
+
+-- 3. App fields of a challenge without a column: type, reward, icon, startsAt and endsAt
+ALTER TABLE weekly_challenges ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
@@ -0,0 +1,92 @@
+-- Migration to keep a history of every change to meals, foods and profiles
+-- Applied by `npm run migrate` after 0011_achievement_sync.sql (safe to run more than once)
+--
+-- Triggers copy the row before and after each insert, update and delete into change_log,
+-- with the account that made the change and when. The app reads it for the history panels
+-- and reverts by saving an earlier version, which is logged like any other edit. Rows are
+-- never updated or deleted, not even by the service role.
+
+-- 1. Table
+CREATE TABLE IF NOT EXISTS change_log (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL,
+    table_name VARCHAR(50) NOT NULL,
+    record_id UUID NOT NULL,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+    before JSONB,
+    after JSONB,
+    changed_by UUID,
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_change_log_record
+    ON change_log(user_id, table_name, record_id, changed_at DESC);
+
+-- 2. Owners can read their history. There are no write policies: only the triggers add rows.
+ALTER TABLE change_log ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own change history" ON change_log;
+CREATE POLICY "Users can view their own change history" ON change_log
+    FOR SELECT TO authenticated
+    USING (user_id = (SELECT auth.uid()));
+
+CREATE OR REPLACE FUNCTION prevent_change_log_edits()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'change_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS change_log_append_only ON change_log;
+CREATE TRIGGER change_log_append_only
+    BEFORE UPDATE OR DELETE ON change_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_change_log_edits();
+
+-- 3. Logging. changed_by is NULL for changes made outside the app, e.g. in the SQL Editor.
+CREATE OR REPLACE FUNCTION log_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    old_row JSONB := CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE to_jsonb(OLD) END;
+    new_row JSONB := CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE to_jsonb(NEW) END;
+    row_data JSONB := COALESCE(new_row, old_row);
+BEGIN
+    -- Global foods have no owner to show a history to
+    IF row_data->>'user_id' IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    -- Saves that only touch updated_at are not worth a version
+    IF TG_OP = 'UPDATE' AND (old_row - 'updated_at') = (new_row - 'updated_at') THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO change_log (user_id, table_name, record_id, action, before, after, changed_by)
+    VALUES (
+        (row_data->>'user_id')::UUID,
+        TG_TABLE_NAME,
+        (row_data->>'id')::UUID,
+        LOWER(TG_OP),
+        old_row,
+        new_row,
+        auth.uid()
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION log_change() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS log_meal_entries_changes ON meal_entries;
+CREATE TRIGGER log_meal_entries_changes
+    AFTER INSERT OR UPDATE OR DELETE ON meal_entries
+    FOR EACH ROW EXECUTE FUNCTION log_change();
+
+DROP TRIGGER IF EXISTS log_foods_changes ON foods;
+CREATE TRIGGER log_foods_changes
+    AFTER INSERT OR UPDATE OR DELETE ON foods
+    FOR EACH ROW EXECUTE FUNCTION log_change();
+
+DROP TRIGGER IF EXISTS log_user_profiles_changes ON user_profiles;
+CREATE TRIGGER log_user_profiles_changes
+    AFTER INSERT OR UPDATE OR DELETE ON user_profiles
+    FOR EACH ROW EXECUTE FUNCTION log_change();
@@ -0,0 +1,69 @@
+-- Migration to search foods in the database instead of downloading the whole table
+-- Applied by `npm run migrate` after 0012_change_log.sql (safe to run more than once)
+--
+-- search_foods(query, result_limit, result_offset) returns one page of the foods the caller
+-- can see, best match first. A food matches when its name or brand contains the query, shares
+-- enough trigrams with it to be a typo of it ('chiken' finds 'Chicken Breast'), or matches it
+-- as full text. An empty query pages through every visible food by name.
+
+-- 1. Trigram and full-text indexes
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_foods_name_trgm
+    ON foods USING GIN (name gin_trgm_ops) WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_foods_brand_trgm
+    ON foods USING GIN (brand gin_trgm_ops) WHERE deleted_at IS NULL;
+
+-- search_foods repeats this expression word for word so the planner can use the index
+CREATE INDEX IF NOT EXISTS idx_foods_search_text
+    ON foods USING GIN (to_tsvector('simple', COALESCE(name, '') || ' ' || COALESCE(brand, '')))
+    WHERE deleted_at IS NULL;
+
+-- 2. Search function
+-- SECURITY INVOKER keeps row level security in force; the visibility check repeats it so the
+-- function also returns the right rows to the service role. Pages hold at most 100 foods.
+CREATE OR REPLACE FUNCTION search_foods(
+    query TEXT,
+    result_limit INTEGER DEFAULT 20,
+    result_offset INTEGER DEFAULT 0
+)
+RETURNS SETOF foods AS $$
+    WITH search AS (
+        SELECT
+            lower(trim(COALESCE(query, ''))) AS phrase,
+            -- The query as a LIKE pattern, with its own % and _ taken literally
+            '%' || replace(replace(replace(lower(trim(COALESCE(query, ''))), '\', '\\'), '%', '\%'), '_', '\_') || '%' AS pattern,
+            plainto_tsquery('simple', COALESCE(query, '')) AS terms
+    )
+    SELECT f.*
+    FROM foods f, search
+    WHERE f.deleted_at IS NULL
+      AND (f.is_custom = false OR f.user_id = (SELECT auth.uid()))
+      AND (
+          search.phrase = ''
+          OR f.name ILIKE search.pattern
+          OR f.brand ILIKE search.pattern
+          OR search.phrase <% f.name
+          OR search.phrase <% f.brand
+          OR to_tsvector('simple', COALESCE(f.name, '') || ' ' || COALESCE(f.brand, '')) @@ search.terms
+      )
+    ORDER BY
+        -- The whole name, then names starting with the query, then the closest matches
+        lower(f.name) = search.phrase DESC,
+        lower(f.name) LIKE search.phrase || '%' DESC,
+        GREATEST(
+            word_similarity(search.phrase, f.name),
+            0.6 * word_similarity(search.phrase, COALESCE(f.brand, ''))
+        )
+        + ts_rank(to_tsvector('simple', COALESCE(f.name, '') || ' ' || COALESCE(f.brand, '')), search.terms) DESC,
+        f.name,
+        f.id
+    LIMIT LEAST(GREATEST(COALESCE(result_limit, 20), 1), 100)
+    OFFSET GREATEST(COALESCE(result_offset, 0), 0);
+$$ LANGUAGE sql STABLE SECURITY INVOKER
+SET search_path = public
+-- Looser than the default 0.6, so a typo or two in a short word still matches
+SET pg_trgm.word_similarity_threshold = 0.4;
+
+GRANT EXECUTE ON FUNCTION search_foods(TEXT, INTEGER, INTEGER) TO anon, authenticated;
@@ -0,0 +1,12 @@
+-- Migration for recipes: foods made of other foods
+-- Applied by `npm run migrate` after 0013_food_search.sql (safe to run more than once)
+--
+-- A recipe is stored as a food, so meals, search_foods and daily totals use it unchanged.
+-- Its per-100g nutrients are worked out by the app from the ingredients and the cooked weight,
+-- and worked out again whenever one of the ingredient foods is edited.
+
+-- What a recipe is made of, in the app's own shape; NULL for plain foods:
+-- {"servings": 4, "yieldWeight": 1200, "ingredients": [{"foodId": "...", "name": "Toor Dal",
+--   "quantity": 250, "unit": "g", "unitAmount": 250, "nutrients": {"calories": 343, ...}}]}
+-- Each ingredient keeps the per-100g nutrients of its food, so the recipe still adds up if the food is deleted.
+ALTER TABLE foods ADD COLUMN IF NOT EXISTS recipe JSONB;
@@ -0,0 +1,64 @@
+-- Migration to filter and sort food search results in the database
+-- Applied by `npm run migrate` after 0014_recipes.sql (safe to run more than once)
+--
+-- search_foods gains a category filter and a sort order, so a category or a sort by calories
+-- covers every match and not only the pages the app has loaded so far. Matching is unchanged
+-- from 0013_food_search.sql.
+
+-- 1. Replace the three-argument version; a second overload would make calls ambiguous
+DROP FUNCTION IF EXISTS search_foods(TEXT, INTEGER, INTEGER);
+
+-- 2. Search function
+-- food_category: only foods in this category; NULL for every category
+-- sort_by: 'relevance' (best match first; by name for an empty query), 'name', or 'calories' and
+-- 'protein' (highest first). Ties keep the relevance order.
+CREATE OR REPLACE FUNCTION search_foods(
+    query TEXT,
+    result_limit INTEGER DEFAULT 20,
+    result_offset INTEGER DEFAULT 0,
+    food_category TEXT DEFAULT NULL,
+    sort_by TEXT DEFAULT 'relevance'
+)
+RETURNS SETOF foods AS $$
+    WITH search AS (
+        SELECT
+            lower(trim(COALESCE(query, ''))) AS phrase,
+            -- The query as a LIKE pattern, with its own % and _ taken literally
+            '%' || replace(replace(replace(lower(trim(COALESCE(query, ''))), '\', '\\'), '%', '\%'), '_', '\_') || '%' AS pattern,
+            plainto_tsquery('simple', COALESCE(query, '')) AS terms
+    )
+    SELECT f.*
+    FROM foods f, search
+    WHERE f.deleted_at IS NULL
+      AND (f.is_custom = false OR f.user_id = (SELECT auth.uid()))
+      AND (food_category IS NULL OR f.category = food_category)
+      AND (
+          search.phrase = ''
+          OR f.name ILIKE search.pattern
+          OR f.brand ILIKE search.pattern
+          OR search.phrase <% f.name
+          OR search.phrase <% f.brand
+          OR to_tsvector('simple', COALESCE(f.name, '') || ' ' || COALESCE(f.brand, '')) @@ search.terms
+      )
+    ORDER BY
+        CASE WHEN sort_by = 'calories' THEN f.calories END DESC NULLS LAST,
+        CASE WHEN sort_by = 'protein' THEN f.protein END DESC NULLS LAST,
+        CASE WHEN sort_by = 'name' THEN lower(f.name) END,
+        -- The whole name, then names starting with the query, then the closest matches
+        lower(f.name) = search.phrase DESC,
+        lower(f.name) LIKE search.phrase || '%' DESC,
+        GREATEST(
+            word_similarity(search.phrase, f.name),
+            0.6 * word_similarity(search.phrase, COALESCE(f.brand, ''))
+        )
+        + ts_rank(to_tsvector('simple', COALESCE(f.name, '') || ' ' || COALESCE(f.brand, '')), search.terms) DESC,
+        f.name,
+        f.id
+    LIMIT LEAST(GREATEST(COALESCE(result_limit, 20), 1), 100)
+    OFFSET GREATEST(COALESCE(result_offset, 0), 0);
+$$ LANGUAGE sql STABLE SECURITY INVOKER
+SET search_path = public
+-- Looser than the default 0.6, so a typo or two in a short word still matches
+SET pg_trgm.word_similarity_threshold = 0.4;
+
+GRANT EXECUTE ON FUNCTION search_foods(TEXT, INTEGER, INTEGER, TEXT, TEXT) TO anon, authenticated;
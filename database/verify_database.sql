@@ -5,7 +5,7 @@
 SELECT 
     table_name,
     CASE 
-        WHEN table_name IN ('users', 'foods', 'meal_entries', 'water_entries', 'user_profiles', 'meal_templates', 'achievements', 'weekly_challenges') 
+        WHEN table_name IN ('users', 'foods', 'meal_entries', 'water_entries', 'user_profiles', 'meal_templates', 'achievements', 'weekly_challenges', 'daily_totals') 
         THEN '✅ Required table exists'
         ELSE '❌ Unexpected table'
     END as status
@@ -139,6 +139,28 @@ SELECT
     END as goal_status
 FROM user_profiles up;
 
+-- 11. Row Level Security status and policies
+SELECT
+    t.tablename,
+    CASE WHEN t.rowsecurity THEN '✅ RLS enabled' ELSE '❌ RLS disabled' END as rls_status,
+    COUNT(p.policyname) as policies
+FROM pg_tables t
+LEFT JOIN pg_policies p ON p.schemaname = t.schemaname AND p.tablename = t.tablename
+WHERE t.schemaname = 'public'
+GROUP BY t.tablename, t.rowsecurity
+ORDER BY t.tablename;
+
+-- 12. Daily totals drift check: rows whose meal count no longer matches meal_entries
+SELECT
+    dt.user_id,
+    dt.date,
+    dt.meal_count,
+    COUNT(me.id) as actual_meals
+FROM daily_totals dt
+LEFT JOIN meal_entries me ON me.user_id = dt.user_id AND me.date = dt.date
+GROUP BY dt.user_id, dt.date, dt.meal_count
+HAVING dt.meal_count <> COUNT(me.id);
+
 -- Expected Results Guide:
 -- - All required tables should exist
 -- - Demo user should exist with ID '00000000-0000-0000-0000-000000000001'
@@ -146,4 +168,6 @@ FROM user_profiles up;
 -- - Default foods should be populated (40+ entries)
 -- - Activity levels should only be: sedentary, lightly_active, moderately_active, very_active, extremely_active
 -- - Goals should only be: lose_weight, maintain_weight, gain_weight
+-- - Every table should have RLS enabled with at least one policy
+-- - The daily totals drift check should return no rows
 -- - No orphaned meal entries should exist
\ No newline at end of file
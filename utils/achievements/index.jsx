@@ -1,6 +1,6 @@
 // Achievement system for the diet tracker app
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getAchievements, updateAchievement } from '../storage';
+import { addDays, daysAgo, today } from '../dateUtils';
+import { getAchievements, getDailyTotals, saveAchievements, updateAchievement } from '../repository';
 
 // Default achievements that get initialized when the app first runs
 export const DEFAULT_ACHIEVEMENTS = [
@@ -120,7 +120,7 @@ export const initializeAchievements = async () => {
 
         if (existingAchievements.length === 0) {
             // First time setup - save default achievements
-            await AsyncStorage.setItem('achievements', JSON.stringify(DEFAULT_ACHIEVEMENTS));
+            await saveAchievements(DEFAULT_ACHIEVEMENTS);
             return DEFAULT_ACHIEVEMENTS;
         }
 
@@ -130,7 +130,7 @@ export const initializeAchievements = async () => {
 
         if (newAchievements.length > 0) {
             const updatedAchievements = [...existingAchievements, ...newAchievements];
-            await AsyncStorage.setItem('achievements', JSON.stringify(updatedAchievements));
+            await saveAchievements(updatedAchievements);
             return updatedAchievements;
         }
 
@@ -141,33 +141,36 @@ export const initializeAchievements = async () => {
     }
 };
 
+// Longest streak an achievement needs, plus today
+const STREAK_WINDOW_DAYS = 31;
+
 // Check and update achievements based on user actions
-export const checkMealAchievements = async (meals) => {
+export const checkMealAchievements = async () => {
     try {
-        const achievements = await getAchievements();
+        const [achievements, days] = await Promise.all([
+            getAchievements(),
+            getDailyTotals(daysAgo(STREAK_WINDOW_DAYS - 1), today()),
+        ]);
+        const loggedDates = new Set(days.filter(d => d.mealCount > 0).map(d => d.date));
         let updatedAny = false;
 
         // First meal achievement
         const firstMealAchievement = achievements.find(a => a.id === 'first_meal');
-        if (firstMealAchievement && meals.length >= 1 && firstMealAchievement.progress === 0) {
+        if (firstMealAchievement && loggedDates.size >= 1 && firstMealAchievement.progress === 0) {
             await updateAchievement('first_meal', 1);
             updatedAny = true;
         }
 
         // Streak calculations
-        const today = new Date().toISOString().split('T')[0];
         let streakCount = 0;
-        let currentDate = new Date();
+        let dateStr = today();
 
         // Calculate consecutive days with meals
-        while (streakCount < 31) { // Max 31 days to check
-            const dateStr = currentDate.toISOString().split('T')[0];
-            const dayMeals = meals.filter(m => m.date === dateStr);
-
-            if (dayMeals.length === 0) break;
+        while (streakCount < STREAK_WINDOW_DAYS) {
+            if (!loggedDates.has(dateStr)) break;
 
             streakCount++;
-            currentDate.setDate(currentDate.getDate() - 1);
+            dateStr = addDays(dateStr, -1);
         }
 
         // Week streak achievement
@@ -193,9 +196,9 @@ export const checkMealAchievements = async (meals) => {
 
 export const checkHydrationAchievements = async (waterEntries, dailyGoal = 2000) => {
     try {
-        const today = new Date().toISOString().split('T')[0];
+        const todayStr = today();
         const todayWater = waterEntries
-            .filter(w => w.date === today)
+            .filter(w => w.date === todayStr)
             .reduce((sum, w) => sum + (w.amount || 0), 0);
 
         let updatedAny = false;
@@ -208,10 +211,9 @@ export const checkHydrationAchievements = async (waterEntries, dailyGoal = 2000)
 
         // Calculate hydration streak
         let streakCount = 0;
-        let currentDate = new Date();
+        let dateStr = todayStr;
 
         while (streakCount < 8) { // Check up to 8 days
-            const dateStr = currentDate.toISOString().split('T')[0];
             const dayWater = waterEntries
                 .filter(w => w.date === dateStr)
                 .reduce((sum, w) => sum + (w.amount || 0), 0);
@@ -219,7 +221,7 @@ export const checkHydrationAchievements = async (waterEntries, dailyGoal = 2000)
             if (dayWater < dailyGoal) break;
 
             streakCount++;
-            currentDate.setDate(currentDate.getDate() - 1);
+            dateStr = addDays(dateStr, -1);
         }
 
         // Week hydration streak
@@ -239,8 +241,8 @@ export const checkNutritionAchievements = async (meals, targets) => {
     try {
         if (!targets) return false;
 
-        const today = new Date().toISOString().split('T')[0];
-        const todayMeals = meals.filter(m => m.date === today);
+        const todayStr = today();
+        const todayMeals = meals.filter(m => m.date === todayStr);
 
         const todayTotals = todayMeals.reduce((totals, meal) => ({
             calories: totals.calories + (meal.calories || 0),
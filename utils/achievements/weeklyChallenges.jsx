@@ -1,5 +1,6 @@
 // Weekly challenges system to engage users with nutrition and hydration goals
-import { getWeeklyChallenges, updateChallengeProgress } from '../storage';
+import { addDays, startOfWeek, today, toDisplayDate, toLocalHours } from '../dateUtils';
+import { getWeeklyChallenges, saveWeeklyChallenges, updateChallengeProgress } from '../repository';
 
 // Default weekly challenges that rotate
 export const DEFAULT_WEEKLY_CHALLENGES = [
@@ -84,30 +85,28 @@ export const DEFAULT_WEEKLY_CHALLENGES = [
 export const initializeWeeklyChallenges = async () => {
     try {
         const existingChallenges = await getWeeklyChallenges();
-        const now = new Date();
-        const startOfWeek = new Date(now.setDate(now.getDate() - now.getDay()));
-        startOfWeek.setHours(0, 0, 0, 0);
-        const endOfWeek = new Date(startOfWeek);
-        endOfWeek.setDate(endOfWeek.getDate() + 6);
+        // The week runs Sunday to Saturday in the user's time zone
+        const weekStart = startOfWeek();
+        const startOfWeekDate = toDisplayDate(weekStart);
+        const endOfWeek = toDisplayDate(addDays(weekStart, 6));
         endOfWeek.setHours(23, 59, 59, 999);
 
         // Check if we need to generate new challenges (new week or no challenges)
         const needsNewChallenges = existingChallenges.length === 0 ||
-            existingChallenges.every(challenge => new Date(challenge.endDate) < startOfWeek);
+            existingChallenges.every(challenge => new Date(challenge.endDate) < startOfWeekDate);
 
         if (needsNewChallenges) {
             // Generate 3 random challenges for this week
             const shuffled = [...DEFAULT_WEEKLY_CHALLENGES].sort(() => 0.5 - Math.random());
             const selectedChallenges = shuffled.slice(0, 3).map(challenge => ({
                 ...challenge,
-                id: `${challenge.id}_${startOfWeek.getTime()}`,
-                startDate: startOfWeek.toISOString(),
+                id: `${challenge.id}_${startOfWeekDate.getTime()}`,
+                startDate: startOfWeekDate.toISOString(),
                 endDate: endOfWeek.toISOString(),
                 progress: 0,
             }));
 
-            const { AsyncStorage } = require('@react-native-async-storage/async-storage');
-            await AsyncStorage.setItem('weekly_challenges', JSON.stringify(selectedChallenges));
+            await saveWeeklyChallenges(selectedChallenges);
             return selectedChallenges;
         }
 
@@ -123,7 +122,7 @@ export const checkHydrationChallenges = async (waterEntries, dailyGoal = 2000) =
     try {
         const challenges = await getWeeklyChallenges();
         const now = new Date();
-        const today = now.toISOString().split('T')[0];
+        const todayStr = today();
 
         for (const challenge of challenges) {
             if (challenge.type !== 'hydration' || new Date(challenge.endDate) < now) continue;
@@ -132,7 +131,7 @@ export const checkHydrationChallenges = async (waterEntries, dailyGoal = 2000) =
                 case 'hydration_champion':
                     // Check if user met daily goal today
                     const todayWater = waterEntries
-                        .filter(w => w.timestamp?.startsWith(today))
+                        .filter(w => w.date === todayStr)
                         .reduce((sum, w) => sum + (w.amount || 0), 0);
 
                     if (todayWater >= dailyGoal) {
@@ -147,8 +146,8 @@ export const checkHydrationChallenges = async (waterEntries, dailyGoal = 2000) =
                     // Check if user drank 500ml within first hour of waking (simplified: before 9 AM)
                     const morningWater = waterEntries
                         .filter(w => {
-                            if (!w.timestamp?.startsWith(today)) return false;
-                            const hour = new Date(w.timestamp).getHours();
+                            if (w.date !== todayStr || !w.time) return false;
+                            const hour = parseInt(w.time.split(':')[0], 10);
                             return hour >= 6 && hour < 9;
                         })
                         .reduce((sum, w) => sum + (w.amount || 0), 0);
@@ -171,18 +170,18 @@ export const checkNutritionChallenges = async (meals, customTargets) => {
     try {
         const challenges = await getWeeklyChallenges();
         const now = new Date();
-        const today = now.toISOString().split('T')[0];
+        const todayStr = today();
 
         for (const challenge of challenges) {
             if (challenge.type !== 'nutrition' || new Date(challenge.endDate) < now) continue;
 
-            const todayMeals = meals.filter(m => m.timestamp?.startsWith(today));
+            const todayMeals = meals.filter(m => m.date === todayStr);
 
             switch (challenge.id.split('_')[0] + '_' + challenge.id.split('_')[1]) {
                 case 'protein_power':
                     if (!customTargets?.protein) break;
 
-                    const totalProtein = todayMeals.reduce((sum, m) => sum + (m.nutrients?.protein || 0), 0);
+                    const totalProtein = todayMeals.reduce((sum, m) => sum + (m.protein || 0), 0);
                     if (totalProtein >= customTargets.protein) {
                         const newProgress = Math.min(challenge.progress + 1, challenge.target);
                         if (newProgress > challenge.progress) {
@@ -195,7 +194,7 @@ export const checkNutritionChallenges = async (meals, customTargets) => {
                     // Count meals with vegetables (simplified: look for veggie keywords)
                     const veggieKeywords = ['salad', 'broccoli', 'spinach', 'carrot', 'tomato', 'cucumber', 'pepper', 'onion', 'lettuce'];
                     const veggieCount = todayMeals.filter(meal =>
-                        veggieKeywords.some(keyword => meal.food.toLowerCase().includes(keyword))
+                        veggieKeywords.some(keyword => meal.foodName.toLowerCase().includes(keyword))
                     ).length;
 
                     if (veggieCount >= 2) {
@@ -210,9 +209,9 @@ export const checkNutritionChallenges = async (meals, customTargets) => {
                     if (!customTargets) break;
 
                     const todayTotals = todayMeals.reduce((totals, meal) => ({
-                        protein: totals.protein + (meal.nutrients?.protein || 0),
-                        carbs: totals.carbs + (meal.nutrients?.carbs || 0),
-                        fat: totals.fat + (meal.nutrients?.fat || 0),
+                        protein: totals.protein + (meal.protein || 0),
+                        carbs: totals.carbs + (meal.carbs || 0),
+                        fat: totals.fat + (meal.fat || 0),
                     }), { protein: 0, carbs: 0, fat: 0 });
 
                     const proteinWithin = Math.abs(todayTotals.protein - customTargets.protein) <= (customTargets.protein * 0.1);
@@ -237,12 +236,12 @@ export const checkConsistencyChallenges = async (meals) => {
     try {
         const challenges = await getWeeklyChallenges();
         const now = new Date();
-        const today = now.toISOString().split('T')[0];
+        const todayStr = today();
 
         for (const challenge of challenges) {
             if (challenge.type !== 'consistency' || new Date(challenge.endDate) < now) continue;
 
-            const todayMeals = meals.filter(m => m.timestamp?.startsWith(today));
+            const todayMeals = meals.filter(m => m.date === todayStr);
 
             switch (challenge.id.split('_')[0] + '_' + challenge.id.split('_')[1]) {
                 case 'consistent_logger':
@@ -256,8 +255,8 @@ export const checkConsistencyChallenges = async (meals) => {
 
                 case 'early_breakfast':
                     const breakfastMeals = todayMeals.filter(meal => {
-                        const hour = new Date(meal.timestamp).getHours();
-                        return meal.type === 'Breakfast' && hour < 9;
+                        if (meal.mealType !== 'breakfast' || !meal.consumedAt) return false;
+                        return toLocalHours(meal.consumedAt) < 9;
                     });
 
                     if (breakfastMeals.length > 0) {
@@ -0,0 +1,299 @@
+// Macroo Diet Tracker - Authentication via Supabase Auth
+// Tracks the signed-in user (or local-only mode) and hands the user id to the storage layer.
+// With the in-memory database, `auth` is the on-device stand-in from utils/memoryAuth.jsx.
+import { AppState } from 'react-native';
+import { DATABASE_BACKEND, DATABASE_BACKENDS, TABLES } from '../config/supabase';
+import essentialStorage from './essentialStorage';
+import macrooDatabase from './macrooDatabase';
+import macrooMigration from './macrooMigration';
+import { auth } from './supabaseClient';
+
+export const AUTH_STATUS = {
+    LOADING: 'loading',
+    SIGNED_OUT: 'signed_out',
+    AUTHENTICATED: 'authenticated',
+    LOCAL: 'local', // Using the app without an account; data stays on the device
+};
+
+const LOCAL_MODE = 'local';
+
+class AuthService {
+    constructor() {
+        this.session = null;
+        this.localMode = false;
+        this.ready = false;
+        this.initializing = null;
+        this.listeners = new Set();
+        this.authSubscription = null;
+        this.appStateSubscription = null;
+    }
+
+    // ==================== LIFECYCLE ====================
+
+    /**
+     * Restore the persisted session and start listening for auth changes. Safe to call repeatedly.
+     */
+    initialize() {
+        if (!this.initializing) {
+            this.initializing = this.restoreSession();
+        }
+        return this.initializing;
+    }
+
+    async restoreSession() {
+        try {
+            this.localMode = (await essentialStorage.getAuthMode()) === LOCAL_MODE;
+
+            const { data, error } = await auth.getSession();
+            if (error) throw error;
+            this.session = data.session;
+
+            // The in-memory database may start empty, without the row the user's data points at
+            if (DATABASE_BACKEND !== DATABASE_BACKENDS.SUPABASE && this.session?.user) {
+                await this.ensureUserRecord(this.session.user);
+            }
+        } catch (error) {
+            // A stored session that cannot be refreshed offline is kept by supabase-js and retried later
+            console.error('❌ Error restoring session:', error);
+        }
+
+        if (!this.authSubscription) {
+            const { data } = auth.onAuthStateChange((event, session) => {
+                this.session = session;
+                if (event === 'SIGNED_IN' && session?.user) {
+                    this.ensureUserRecord(session.user);
+                }
+                this.notify();
+            });
+            this.authSubscription = data.subscription;
+        }
+
+        // Tokens are only refreshed while the app is in the foreground
+        if (!this.appStateSubscription) {
+            this.appStateSubscription = AppState.addEventListener('change', (state) => {
+                if (state === 'active') {
+                    auth.startAutoRefresh();
+                } else {
+                    auth.stopAutoRefresh();
+                }
+            });
+        }
+
+        this.ready = true;
+        console.log(`🔐 Auth restored: ${this.getStatus()}`);
+        this.notify();
+        return this.getState();
+    }
+
+    // ==================== STATE ====================
+
+    getStatus() {
+        if (!this.ready) return AUTH_STATUS.LOADING;
+        if (this.session?.user) return AUTH_STATUS.AUTHENTICATED;
+        if (this.localMode) return AUTH_STATUS.LOCAL;
+        return AUTH_STATUS.SIGNED_OUT;
+    }
+
+    getState() {
+        return {
+            status: this.getStatus(),
+            user: this.session?.user || null,
+        };
+    }
+
+    getUser() {
+        return this.session?.user || null;
+    }
+
+    /**
+     * Id of the signed-in user, or null in local-only mode / when signed out
+     */
+    getUserId() {
+        return this.session?.user?.id || null;
+    }
+
+    /**
+     * Id of the signed-in user; throws when nobody is signed in
+     */
+    requireUserId() {
+        const userId = this.getUserId();
+        if (!userId) {
+            throw new Error('You need to be signed in to sync with the cloud');
+        }
+        return userId;
+    }
+
+    isLocalMode() {
+        return this.localMode && !this.session?.user;
+    }
+
+    /**
+     * Listen for sign-in, sign-out and local mode changes
+     * @param {Function} listener - Receives { status, user }
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        listener(this.getState());
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        const state = this.getState();
+        this.listeners.forEach(listener => {
+            try {
+                listener(state);
+            } catch (error) {
+                console.error('Auth listener failed:', error);
+            }
+        });
+    }
+
+    // ==================== ACCOUNT OPERATIONS ====================
+
+    /**
+     * Create an account
+     * @returns {Object} { user, needsConfirmation } - needsConfirmation when the project requires email verification
+     */
+    async signUp({ email, password, name }) {
+        try {
+            const { data, error } = await auth.signUp({
+                email: email.trim(),
+                password,
+                options: { data: { name: name?.trim() || null } },
+            });
+            if (error) throw error;
+
+            if (data.session) {
+                await this.leaveLocalMode();
+                await this.ensureUserRecord(data.user);
+            }
+            return { user: data.user, needsConfirmation: !data.session };
+        } catch (error) {
+            console.error('❌ Sign up failed:', error);
+            throw error;
+        }
+    }
+
+    async signIn({ email, password }) {
+        try {
+            const { data, error } = await auth.signInWithPassword({
+                email: email.trim(),
+                password,
+            });
+            if (error) throw error;
+
+            await this.leaveLocalMode();
+            await this.ensureUserRecord(data.user);
+            return data.user;
+        } catch (error) {
+            console.error('❌ Sign in failed:', error);
+            throw error;
+        }
+    }
+
+    async signOut() {
+        try {
+            const { error } = await auth.signOut();
+            if (error) throw error;
+            // Whatever is still queued was written by this user and must not sync into the next account
+            await essentialStorage.clearSyncState();
+            this.session = null;
+            this.notify();
+        } catch (error) {
+            console.error('❌ Sign out failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Email a password reset link
+     */
+    async resetPassword(email) {
+        try {
+            const { error } = await auth.resetPasswordForEmail(email.trim());
+            if (error) throw error;
+            return true;
+        } catch (error) {
+            console.error('❌ Password reset failed:', error);
+            throw error;
+        }
+    }
+
+    async updatePassword(password) {
+        try {
+            const { error } = await auth.updateUser({ password });
+            if (error) throw error;
+            return true;
+        } catch (error) {
+            console.error('❌ Password update failed:', error);
+            throw error;
+        }
+    }
+
+    // ==================== LOCAL-ONLY MODE ====================
+
+    /**
+     * Use the app without an account. Everything is stored on this device.
+     */
+    async continueWithoutAccount() {
+        this.localMode = true;
+        await essentialStorage.setAuthMode(LOCAL_MODE);
+        console.log('📱 Using local-only mode');
+        this.notify();
+    }
+
+    async leaveLocalMode() {
+        if (!this.localMode) return;
+        this.localMode = false;
+        await essentialStorage.setAuthMode(null);
+    }
+
+    /**
+     * Turn a local-only install into an account and upload what was logged on the device
+     * @param {Object} credentials - { email, password, name }
+     * @param {boolean} existingAccount - Sign in to an existing account instead of creating one
+     * @returns {Object} { user, needsConfirmation, migration } - data is only uploaded once a session exists;
+     *   migration is the upload report, safe to retry with macrooMigration.migrateAllData when it has failures
+     */
+    async upgradeLocalAccount(credentials, existingAccount = false) {
+        const result = existingAccount
+            ? { user: await this.signIn(credentials), needsConfirmation: false }
+            : await this.signUp(credentials);
+
+        if (result.needsConfirmation) {
+            // Stay in local mode until the email is confirmed and the user signs in
+            return result;
+        }
+
+        const migration = await macrooMigration.migrateAllData(result.user.id);
+        console.log(migration.success ? '⬆️ Local data uploaded to the account' : '⚠️ Some local data could not be uploaded');
+        return { ...result, migration };
+    }
+
+    // ==================== HELPERS ====================
+
+    /**
+     * Foreign keys point at public.users, so every auth user needs a matching row.
+     * It goes wherever MacrooDatabase keeps its data, which may be the in-memory stand-in.
+     */
+    async ensureUserRecord(user) {
+        if (!user) return;
+        try {
+            const { error } = await macrooDatabase.supabase
+                .from(TABLES.USERS)
+                .upsert({
+                    id: user.id,
+                    email: user.email,
+                    name: user.user_metadata?.name || null,
+                }, { onConflict: 'id', ignoreDuplicates: true });
+
+            if (error) throw error;
+        } catch (error) {
+            console.log('⚠️ User record warning:', error.message);
+        }
+    }
+}
+
+// Export singleton instance
+export default new AuthService();
@@ -0,0 +1,206 @@
+// Macroo Diet Tracker - Local calendar days
+// Meals, water and daily totals are bucketed by a 'YYYY-MM-DD' day in the user's time zone:
+// the one set on their profile, otherwise the device's. A day is worked out once, when an
+// entry is logged, and stored with it, so entries keep their day when the user travels.
+// Day arithmetic works on those strings, never on Dates, so it can't drift across zones.
+
+let configuredTimeZone = null;
+const formatters = new Map();
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const getDeviceTimeZone = () => {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+    } catch {
+        return null;
+    }
+};
+
+export const isValidTimeZone = (timeZone) => {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Use a profile's time zone for every "today" and day bucket
+ * @param {string|null} timeZone - IANA name such as 'Asia/Kolkata'; null follows the device
+ */
+export const setTimeZone = (timeZone) => {
+    configuredTimeZone = isValidTimeZone(timeZone) ? timeZone : null;
+};
+
+/**
+ * The time zone days are counted in
+ */
+export const getTimeZone = () => configuredTimeZone || getDeviceTimeZone();
+
+const formatterFor = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hour12: false,
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+// Wall-clock fields of an instant in the active time zone
+const wallClock = (value) => {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return null;
+
+    const timeZone = getTimeZone();
+    if (timeZone) {
+        try {
+            const parts = Object.fromEntries(
+                formatterFor(timeZone).formatToParts(date).map(({ type, value: part }) => [type, part])
+            );
+            return {
+                year: parts.year,
+                month: parts.month,
+                day: parts.day,
+                // Some engines write midnight as 24
+                hour: parts.hour === '24' ? '00' : parts.hour,
+                minute: parts.minute,
+                second: parts.second,
+            };
+        } catch (error) {
+            console.error('Error formatting date in time zone:', error);
+        }
+    }
+
+    // No Intl time zone support: the device's local time is the best we have
+    return {
+        year: String(date.getFullYear()),
+        month: pad(date.getMonth() + 1),
+        day: pad(date.getDate()),
+        hour: pad(date.getHours()),
+        minute: pad(date.getMinutes()),
+        second: pad(date.getSeconds()),
+    };
+};
+
+/**
+ * The local day an instant falls on
+ * @param {Date|string|number} value - Defaults to now
+ * @returns {string|null} YYYY-MM-DD
+ */
+export const toLocalDate = (value = new Date()) => {
+    const clock = wallClock(value);
+    return clock ? `${clock.year}-${clock.month}-${clock.day}` : null;
+};
+
+/**
+ * The local time of day of an instant
+ * @returns {string|null} HH:MM:SS
+ */
+export const toLocalTime = (value = new Date()) => {
+    const clock = wallClock(value);
+    return clock ? `${clock.hour}:${clock.minute}:${clock.second}` : null;
+};
+
+/**
+ * Hours since local midnight as a decimal, e.g. 8.5 for 08:30; for averaging meal times
+ */
+export const toLocalHours = (value) => {
+    const clock = wallClock(value);
+    return clock ? Number(clock.hour) + Number(clock.minute) / 60 : null;
+};
+
+/**
+ * '08:30'
+ */
+export const formatTimeOfDay = (value) => toLocalTime(value)?.slice(0, 5) ?? '';
+
+/**
+ * The latest instant, at or before now, when the local clock read a time of day.
+ * A time later than the current one is taken as yesterday's: a dinner at 23:00 logged at 00:30.
+ * @param {string} time - HH:MM
+ * @returns {Date|null} null when the time is not valid
+ */
+export const fromTimeOfDay = (time, now = new Date()) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec((time || '').trim());
+    const clock = wallClock(now);
+    if (!match || !clock || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+
+    // How far the local clock is ahead of UTC right now
+    const offset = Date.UTC(clock.year, clock.month - 1, clock.day, clock.hour, clock.minute, clock.second) -
+        Math.floor(now.getTime() / 1000) * 1000;
+    const date = new Date(Date.UTC(clock.year, clock.month - 1, clock.day, Number(match[1]), Number(match[2])) - offset);
+    if (date > now) date.setTime(date.getTime() - 24 * 60 * 60 * 1000);
+    return date;
+};
+
+export const today = () => toLocalDate(new Date());
+
+/**
+ * Calendar arithmetic on a day string
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - May be negative
+ */
+export const addDays = (date, days) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+export const daysAgo = (days) => addDays(today(), -days);
+
+/**
+ * Whole days from one day string to another
+ */
+export const daysBetween = (from, to) =>
+    Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+
+/**
+ * 0 (Sunday) to 6 (Saturday)
+ */
+export const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * The Sunday that starts the week containing a day
+ */
+export const startOfWeek = (date = today()) => addDays(date, -dayOfWeek(date));
+
+/**
+ * A Date at midnight on the device for a day string, for date pickers and toLocaleDateString
+ */
+export const toDisplayDate = (date) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+/**
+ * The day string a date picker's Date stands for (read in the device's zone, like it was shown)
+ */
+export const fromDisplayDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * A Date whose device clock reads a time of day, for time pickers
+ * @param {string} time - HH:MM
+ */
+export const toDisplayTime = (time) => {
+    const [hours, minutes] = (time || '').split(':').map(Number);
+    const date = new Date();
+    date.setHours(hours || 0, minutes || 0, 0, 0);
+    return date;
+};
+
+/**
+ * The HH:MM a time picker's Date stands for
+ */
+export const fromDisplayTime = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// Rejects impossible days like 2026-02-30, which Date would roll over into March
+export const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && addDays(value, 0) === value;
@@ -1,4 +1,5 @@
 // Demo data generator for testing MyFitnessPal-inspired features
+import { today as localToday } from './dateUtils';
 
 export const generateDemoData = async () => {
     try {
@@ -134,7 +135,7 @@ export const generateDemoData = async () => {
         // Note: Recent foods will be populated automatically as users add meals
 
         // Create some demo meals for today
-        const today = new Date().toISOString().slice(0, 10);
+        const today = localToday();
         const demoMeals = [
             {
                 id: 'meal-breakfast-001',
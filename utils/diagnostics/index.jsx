@@ -0,0 +1,283 @@
+// Data integrity checks for the active storage backend, with repairs where they are safe.
+// Repairs only make changes the user can undo: deletes go to the Trash, edits to the history.
+import { isDateString, today, toLocalDate } from '../dateUtils';
+import {
+    deleteFood,
+    deleteMeal,
+    getFoods,
+    getFoodsByIds,
+    getMeals,
+    getTrash,
+    getWaterEntriesBetween,
+    NUTRIENTS,
+    restoreFromTrash,
+    TRASH_TYPES,
+    updateMeal,
+} from '../repository';
+
+export const SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning',
+    INFO: 'info',
+};
+
+const SEVERITY_ORDER = [SEVERITY.ERROR, SEVERITY.WARNING, SEVERITY.INFO];
+
+// Same bounds as the water entry form
+const MIN_WATER_ML = 1;
+const MAX_WATER_ML = 5000;
+
+// Calories from macros may differ from the label by this much before a food is flagged:
+// fiber, alcohol and rounding all move the total a little
+const CALORIE_TOLERANCE = 0.2;
+const MIN_CALORIE_GAP = 20;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const finding = (check, key, severity, title, detail, fix = null) => ({
+    id: `${check}:${key}`,
+    check,
+    severity,
+    title,
+    detail,
+    fix,
+});
+
+// Runs one repair per item, so a failure partway leaves the rest for the next run
+const forEachItem = async (items, repair) => {
+    for (const item of items) {
+        await repair(item);
+    }
+};
+
+// ==================== CHECKS ====================
+
+/**
+ * Meals whose food is in the Trash, or gone altogether. Meals still waiting to sync are left
+ * out: their food id is only settled once the queue replays.
+ */
+const checkMealFoods = ({ meals, mealFoods, trashedFoods }) => {
+    // Without the foods there is no telling a missing food from one that didn't load
+    if (!mealFoods) {
+        return [finding(
+            'meal-food', 'unavailable', SEVERITY.INFO,
+            'Meals could not be checked against their foods',
+            'Your foods could not be loaded. Run the diagnostics again once you are back online.'
+        )];
+    }
+
+    const liveIds = new Set(mealFoods.map(food => food.id));
+    const byFood = new Map();
+    meals
+        .filter(meal => meal.foodId && !meal.pending && !liveIds.has(meal.foodId))
+        .forEach(meal => {
+            if (!byFood.has(meal.foodId)) byFood.set(meal.foodId, []);
+            byFood.get(meal.foodId).push(meal);
+        });
+
+    return [...byFood.entries()].map(([foodId, foodMeals]) => {
+        const trashed = trashedFoods.find(food => food.id === foodId);
+        const name = trashed?.name || foodMeals[0].foodName;
+
+        if (trashed) {
+            return finding(
+                'meal-food', foodId, SEVERITY.WARNING,
+                `${name} is in the Trash`,
+                `${plural(foodMeals.length, 'meal')} still use it. It will be deleted for good once its 30 days are up.`,
+                { label: 'Restore food', apply: () => restoreFromTrash(TRASH_TYPES.FOOD, foodId) }
+            );
+        }
+        return finding(
+            'meal-food', foodId, SEVERITY.ERROR,
+            'Meals point at a food that no longer exists',
+            `${plural(foodMeals.length, 'meal')} of ${name} can't be matched to a food, so editing them can't rescale the nutrients.`,
+            { label: 'Move meals to Trash', apply: () => forEachItem(foodMeals, meal => deleteMeal(meal.id)) }
+        );
+    });
+};
+
+/**
+ * Meals logged with no amount, a negative one, no valid day, or a day still to come
+ */
+const checkMeals = ({ meals }) => {
+    const findings = [];
+
+    meals.filter(meal => !(meal.quantity > 0)).forEach(meal => {
+        findings.push(finding(
+            'meal-quantity', meal.id, SEVERITY.ERROR,
+            `${meal.foodName} has a quantity of ${meal.quantity}g`,
+            `Logged on ${meal.date}. A meal needs a positive amount to count towards your totals.`,
+            { label: 'Move to Trash', apply: () => deleteMeal(meal.id) }
+        ));
+    });
+
+    meals.filter(meal => !isDateString(meal.date)).forEach(meal => {
+        const day = meal.consumedAt ? toLocalDate(meal.consumedAt) : null;
+        findings.push(finding(
+            'meal-date', meal.id, SEVERITY.ERROR,
+            `${meal.foodName} has no valid day`,
+            'It is left out of every daily total and chart.',
+            day ? { label: `Move to ${day}`, apply: () => updateMeal(meal.id, { date: day }, meal) } : null
+        ));
+    });
+
+    const todayDate = today();
+    meals.filter(meal => isDateString(meal.date) && meal.date > todayDate).forEach(meal => {
+        findings.push(finding(
+            'meal-future', meal.id, SEVERITY.INFO,
+            `${meal.foodName} is logged for ${meal.date}`,
+            'That day has not started yet in your time zone. Edit the meal if it was meant for today.'
+        ));
+    });
+
+    return findings;
+};
+
+/**
+ * Foods with negative nutrients, or whose macros don't add up to their calories
+ */
+const checkFoodNutrients = ({ foods }) => {
+    const findings = [];
+
+    foods.forEach(food => {
+        const negative = NUTRIENTS.filter(field => food[field] < 0);
+        if (negative.length > 0) {
+            findings.push(finding(
+                'food-negative', food.id, SEVERITY.ERROR,
+                `${food.name} has negative ${negative.join(', ')}`,
+                'Edit the food in the Food Database to fix the values.'
+            ));
+            return;
+        }
+
+        const fromMacros = food.protein * 4 + food.carbs * 4 + food.fat * 9;
+        const gap = Math.abs(fromMacros - food.calories);
+        if (gap > Math.max(MIN_CALORIE_GAP, Math.max(fromMacros, food.calories) * CALORIE_TOLERANCE)) {
+            findings.push(finding(
+                'food-calories', food.id, SEVERITY.WARNING,
+                `${food.name}: macros don't match calories`,
+                `Protein, carbs and fat add up to ${Math.round(fromMacros)} kcal per 100g, but the food says ${Math.round(food.calories)} kcal. ` +
+                (food.isCustom ? 'Check the label and edit the food.' : 'This is a shared food, so it can only be corrected in the database.')
+            ));
+        }
+    });
+
+    return findings;
+};
+
+const sameNutrition = (a, b) =>
+    NUTRIENTS.every(field => a[field] === b[field]) && a.servingSize === b.servingSize;
+
+/**
+ * Foods whose names only differ by case or surrounding spaces
+ */
+const checkDuplicateFoods = ({ foods, meals }) => {
+    const groups = new Map();
+    foods.forEach(food => {
+        const key = food.name.trim().toLowerCase();
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(food);
+    });
+
+    return [...groups.entries()]
+        .filter(([, group]) => group.length > 1)
+        .map(([key, group]) => {
+            const names = group.map(food => `"${food.name}"`).join(', ');
+            const mealCount = (food) => meals.filter(meal => meal.foodId === food.id).length;
+
+            // The survivor is a shared food if there is one (those can't be deleted), otherwise the most used
+            const shared = group.filter(food => !food.isCustom);
+            const keep = shared[0] || [...group].sort((a, b) => mealCount(b) - mealCount(a))[0];
+            const others = group.filter(food => food !== keep);
+
+            // Merging is only safe when it can't change the nutrition of a logged meal
+            const canMerge = shared.length <= 1 && others.every(food => sameNutrition(food, keep));
+
+            return finding(
+                'food-duplicate', key, SEVERITY.WARNING,
+                `${plural(group.length, 'food')} named ${names}`,
+                canMerge
+                    ? `Merging keeps "${keep.name}", moves their meals to it and puts the others in the Trash.`
+                    : shared.length > 1
+                        ? 'More than one of them is a shared food, so they can only be merged in the database.'
+                        : 'Their nutrition differs, so they have to be merged by hand: rename or delete the ones you don\'t need.',
+                canMerge ? {
+                    label: `Merge into "${keep.name}"`,
+                    apply: async () => {
+                        const moved = meals.filter(meal => others.some(food => food.id === meal.foodId));
+                        await forEachItem(moved, meal => updateMeal(meal.id, { foodId: keep.id }, meal));
+                        await forEachItem(others, food => deleteFood(food.id));
+                    },
+                } : null
+            );
+        });
+};
+
+/**
+ * Water entries outside what the water form accepts
+ */
+const checkWater = ({ waterEntries }) => waterEntries
+    .filter(entry => !(entry.amount >= MIN_WATER_ML && entry.amount <= MAX_WATER_ML))
+    .map(entry => finding(
+        'water-amount', entry.id, entry.amount > 0 ? SEVERITY.WARNING : SEVERITY.ERROR,
+        `${entry.amount} ml of water on ${entry.date}`,
+        entry.amount > 0
+            ? `More than ${MAX_WATER_ML} ml in one entry is probably a typo, and it inflates that day's hydration.`
+            : 'A water entry needs a positive amount.'
+    ));
+
+const CHECKS = [checkMealFoods, checkMeals, checkFoodNutrients, checkDuplicateFoods, checkWater];
+
+// ==================== RUNNER ====================
+
+// The foods meals point at, looked up by id: getFoods() may not hold every food a meal uses
+// (shared foods, or a read that failed). Null when they could not be read.
+const loadMealFoods = async (meals) => {
+    const ids = [...new Set(meals.filter(meal => meal.foodId && !meal.pending).map(meal => meal.foodId))];
+    try {
+        return await getFoodsByIds(ids);
+    } catch (error) {
+        console.error('❌ Diagnostics could not load the foods meals use:', error);
+        return null;
+    }
+};
+
+/**
+ * Run every check against the active backend's foods, meals and water entries
+ * @returns {Object} { findings, counts: { foods, meals, waterEntries }, checkedAt } - findings are
+ *   { id, check, severity, title, detail, fix } sorted worst first; fix is { label, apply } or null
+ */
+export const runDiagnostics = async () => {
+    // The whole history is needed, like an export
+    const [foods, meals, waterEntries, trash] = await Promise.all([
+        getFoods(),
+        getMeals(),
+        getWaterEntriesBetween(),
+        // A check must not change anything, so expired items are not purged here
+        getTrash({ purgeExpired: false }),
+    ]);
+    const data = {
+        foods,
+        meals,
+        mealFoods: await loadMealFoods(meals),
+        waterEntries,
+        trashedFoods: trash.filter(entry => entry.type === TRASH_TYPES.FOOD).map(entry => entry.item),
+    };
+
+    const findings = CHECKS.flatMap(check => {
+        try {
+            return check(data);
+        } catch (error) {
+            console.error(`❌ Diagnostics check ${check.name} failed:`, error);
+            return [];
+        }
+    });
+    findings.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+
+    console.log(`🩺 Diagnostics found ${findings.length} problem(s)`);
+    return {
+        findings,
+        counts: { foods: foods.length, meals: meals.length, waterEntries: waterEntries.length },
+        checkedAt: new Date().toISOString(),
+    };
+};
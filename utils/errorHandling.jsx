@@ -57,7 +57,9 @@ function classifyError(error) {
     // Permission errors
     if (message.includes('permission') ||
         message.includes('forbidden') ||
+        message.includes('row-level security') ||
         code === 403 ||
+        code === '42501' ||
         code === 'FORBIDDEN') {
         return ERROR_TYPES.PERMISSION;
     }
@@ -10,11 +10,18 @@ const STORAGE_KEYS = {
     // Offline/validation data
     OFFLINE_MODE: 'offline_mode',
     PENDING_SYNC: 'pending_sync',
+    SYNC_ID_MAP: 'sync_id_map',
+    SYNC_CONFLICTS: 'sync_conflicts',
     CACHE_TIMESTAMP: 'cache_timestamp',
 
     // Theme and UI preferences
     THEME_PREFERENCE: 'theme_preference',
     ONBOARDING_COMPLETED: 'onboarding_completed',
+
+    // Account
+    AUTH_MODE: 'auth_mode',
+    MIGRATION_PROGRESS: 'migration_progress',
+    LOCAL_PROGRESS_UPLOADED: 'local_progress_uploaded',
 };
 
 class EssentialStorage {
@@ -71,7 +78,7 @@ class EssentialStorage {
             pending.push({
                 ...action,
                 timestamp: new Date().toISOString(),
-                id: Date.now().toString(),
+                id: action.id || `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             });
             await AsyncStorage.setItem(STORAGE_KEYS.PENDING_SYNC, JSON.stringify(pending));
         } catch (error) {
@@ -89,10 +96,49 @@ class EssentialStorage {
         }
     }
 
+    async setPendingSync(pending) {
+        await AsyncStorage.setItem(STORAGE_KEYS.PENDING_SYNC, JSON.stringify(pending));
+    }
+
     async clearPendingSync() {
         await AsyncStorage.removeItem(STORAGE_KEYS.PENDING_SYNC);
     }
 
+    // Maps local ids handed out while offline to the ids Supabase assigned on replay
+    async getSyncIdMap() {
+        try {
+            const data = await AsyncStorage.getItem(STORAGE_KEYS.SYNC_ID_MAP);
+            return data ? JSON.parse(data) : {};
+        } catch (error) {
+            console.error('Error getting sync id map:', error);
+            return {};
+        }
+    }
+
+    async saveSyncIdMap(idMap) {
+        await AsyncStorage.setItem(STORAGE_KEYS.SYNC_ID_MAP, JSON.stringify(idMap));
+    }
+
+    // Edits that clashed with a newer version on the server and wait for the user to choose
+    async getSyncConflicts() {
+        try {
+            const data = await AsyncStorage.getItem(STORAGE_KEYS.SYNC_CONFLICTS);
+            return data ? JSON.parse(data) : [];
+        } catch (error) {
+            console.error('Error getting sync conflicts:', error);
+            return [];
+        }
+    }
+
+    async saveSyncConflicts(conflicts) {
+        await AsyncStorage.setItem(STORAGE_KEYS.SYNC_CONFLICTS, JSON.stringify(conflicts));
+    }
+
+    // Queued changes, id map and conflicts belong to the signed-in user, not the device
+    async clearSyncState() {
+        await AsyncStorage.multiRemove([STORAGE_KEYS.PENDING_SYNC, STORAGE_KEYS.SYNC_ID_MAP, STORAGE_KEYS.SYNC_CONFLICTS]);
+    }
+
     // ==================== THEME PREFERENCES ====================
 
     async setThemePreference(theme) {
@@ -103,6 +149,50 @@ class EssentialStorage {
         return await AsyncStorage.getItem(STORAGE_KEYS.THEME_PREFERENCE);
     }
 
+    // ==================== ACCOUNT ====================
+
+    async setAuthMode(mode) {
+        if (mode) {
+            await AsyncStorage.setItem(STORAGE_KEYS.AUTH_MODE, mode);
+        } else {
+            await AsyncStorage.removeItem(STORAGE_KEYS.AUTH_MODE);
+        }
+    }
+
+    async getAuthMode() {
+        return await AsyncStorage.getItem(STORAGE_KEYS.AUTH_MODE);
+    }
+
+    // ==================== MIGRATION ====================
+
+    async getMigrationProgress() {
+        try {
+            const data = await AsyncStorage.getItem(STORAGE_KEYS.MIGRATION_PROGRESS);
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            console.error('Error getting migration progress:', error);
+            return null;
+        }
+    }
+
+    async saveMigrationProgress(progress) {
+        await AsyncStorage.setItem(STORAGE_KEYS.MIGRATION_PROGRESS, JSON.stringify(progress));
+    }
+
+    async clearMigrationProgress() {
+        await AsyncStorage.removeItem(STORAGE_KEYS.MIGRATION_PROGRESS);
+    }
+
+    // Achievement and challenge progress from before it was stored in Supabase
+    async setLocalProgressUploaded(uploaded = true) {
+        await AsyncStorage.setItem(STORAGE_KEYS.LOCAL_PROGRESS_UPLOADED, uploaded.toString());
+    }
+
+    async isLocalProgressUploaded() {
+        const value = await AsyncStorage.getItem(STORAGE_KEYS.LOCAL_PROGRESS_UPLOADED);
+        return value === 'true';
+    }
+
     // ==================== ONBOARDING ====================
 
     async setOnboardingCompleted(completed = true) {
@@ -2,30 +2,10 @@
 import * as DocumentPicker from 'expo-document-picker';
 import * as FileSystem from 'expo-file-system';
 import * as Sharing from 'expo-sharing';
+import { daysAgo, today, toLocalTime } from './dateUtils';
+import { exportUserData, formatServing, getDailyTotals, getMealsBetween } from './repository';
 
-// Export user data function
-const exportUserData = async () => {
-    try {
-        const [foods, meals, profile, waterEntries] = await Promise.all([
-            getFoodDatabase(),
-            getMeals(),
-            getProfile(),
-            getWaterEntries()
-        ]);
-
-        return {
-            foods,
-            meals,
-            profile,
-            waterEntries,
-            exportDate: new Date().toISOString(),
-            version: '1.0'
-        };
-    } catch (error) {
-        console.error('Error exporting user data:', error);
-        throw error;
-    }
-};
+const getCutoffDate = (days) => daysAgo(days);
 
 // Import user data function (placeholder - full implementation would need data validation and migration logic)
 const importUserData = async (importData) => {
@@ -55,7 +35,7 @@ export const exportDataToFile = async () => {
             throw new Error('No data to export');
         }
 
-        const fileName = `diet_tracker_backup_${new Date().toISOString().split('T')[0]}.json`;
+        const fileName = `diet_tracker_backup_${today()}.json`;
         const fileUri = `${FileSystem.documentDirectory}${fileName}`;
 
         await FileSystem.writeAsStringAsync(fileUri, JSON.stringify(userData, null, 2));
@@ -140,46 +120,40 @@ export const importDataFromFile = async () => {
 // Generate CSV export for meals data
 export const exportMealsToCSV = async (dateRange = 30) => {
     try {
-        const userData = await exportUserData();
-        if (!userData?.data?.meals) {
-            throw new Error('No meal data to export');
-        }
-
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - dateRange);
-
-        const recentMeals = userData.data.meals.filter(meal =>
-            new Date(meal.timestamp) >= cutoffDate
-        );
+        const cutoffDate = getCutoffDate(dateRange);
+        const recentMeals = await getMealsBetween(cutoffDate, today());
 
         if (recentMeals.length === 0) {
             throw new Error('No recent meal data to export');
         }
 
         // Create CSV header
-        const csvHeader = 'Date,Time,Meal Type,Food,Quantity (g),Calories,Protein (g),Carbs (g),Fat (g)\n';
+        const csvHeader = 'Date,Time,Meal Type,Food,Serving,Quantity (g),Calories,Protein (g),Carbs (g),Fat (g),Fiber (g),Sugar (g),Sodium (mg)\n';
 
         // Create CSV rows
         const csvRows = recentMeals.map(meal => {
-            const date = new Date(meal.timestamp);
-            const dateStr = date.toISOString().split('T')[0];
-            const timeStr = date.toTimeString().split(' ')[0];
+            // When it was eaten, on the user's local clock
+            const timeStr = meal.consumedAt ? toLocalTime(meal.consumedAt) : '';
 
             return [
-                dateStr,
+                meal.date,
                 timeStr,
-                meal.type || 'Unknown',
-                `"${meal.food || 'Unknown'}"`, // Quotes to handle commas in food names
+                meal.mealType,
+                `"${meal.foodName}"`, // Quotes to handle commas in food names
+                `"${formatServing(meal.unitAmount, meal.unit)}"`,
                 meal.quantity || 0,
-                (meal.nutrients?.calories || 0).toFixed(1),
-                (meal.nutrients?.protein || 0).toFixed(1),
-                (meal.nutrients?.carbs || 0).toFixed(1),
-                (meal.nutrients?.fat || 0).toFixed(1),
+                meal.calories.toFixed(1),
+                meal.protein.toFixed(1),
+                meal.carbs.toFixed(1),
+                meal.fat.toFixed(1),
+                meal.fiber.toFixed(1),
+                meal.sugar.toFixed(1),
+                Math.round(meal.sodium),
             ].join(',');
         }).join('\n');
 
         const csvContent = csvHeader + csvRows;
-        const fileName = `diet_tracker_meals_${new Date().toISOString().split('T')[0]}.csv`;
+        const fileName = `diet_tracker_meals_${today()}.csv`;
         const fileUri = `${FileSystem.documentDirectory}${fileName}`;
 
         await FileSystem.writeAsStringAsync(fileUri, csvContent);
@@ -208,34 +182,16 @@ export const exportMealsToCSV = async (dateRange = 30) => {
 // Generate nutrition summary report
 export const exportNutritionSummary = async (days = 30) => {
     try {
-        const userData = await exportUserData();
-        if (!userData?.data?.meals) {
-            throw new Error('No meal data available');
-        }
-
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - days);
-
-        const recentMeals = userData.data.meals.filter(meal =>
-            new Date(meal.timestamp) >= cutoffDate
-        );
-
-        // Calculate daily averages
-        const dailyTotals = {};
-        recentMeals.forEach(meal => {
-            const date = meal.timestamp.split('T')[0];
-            if (!dailyTotals[date]) {
-                dailyTotals[date] = { calories: 0, protein: 0, carbs: 0, fat: 0, mealCount: 0 };
-            }
-
-            dailyTotals[date].calories += meal.nutrients?.calories || 0;
-            dailyTotals[date].protein += meal.nutrients?.protein || 0;
-            dailyTotals[date].carbs += meal.nutrients?.carbs || 0;
-            dailyTotals[date].fat += meal.nutrients?.fat || 0;
-            dailyTotals[date].mealCount += 1;
-        });
+        const cutoffDate = getCutoffDate(days);
+        const endDate = today();
+        const [dayTotals, recentMeals] = await Promise.all([
+            getDailyTotals(cutoffDate, endDate),
+            getMealsBetween(cutoffDate, endDate),
+        ]);
 
-        const dailyValues = Object.values(dailyTotals);
+        // Days with only water logged do not count towards meal averages
+        const dailyValues = dayTotals.filter(day => day.mealCount > 0);
+        const dailyTotals = Object.fromEntries(dailyValues.map(day => [day.date, day]));
         const dayCount = dailyValues.length;
 
         if (dayCount === 0) {
@@ -247,6 +203,9 @@ export const exportNutritionSummary = async (days = 30) => {
             protein: dailyValues.reduce((sum, day) => sum + day.protein, 0) / dayCount,
             carbs: dailyValues.reduce((sum, day) => sum + day.carbs, 0) / dayCount,
             fat: dailyValues.reduce((sum, day) => sum + day.fat, 0) / dayCount,
+            fiber: dailyValues.reduce((sum, day) => sum + day.fiber, 0) / dayCount,
+            sugar: dailyValues.reduce((sum, day) => sum + day.sugar, 0) / dayCount,
+            sodium: dailyValues.reduce((sum, day) => sum + day.sodium, 0) / dayCount,
             mealCount: dailyValues.reduce((sum, day) => sum + day.mealCount, 0) / dayCount,
         };
 
@@ -260,6 +219,9 @@ DAILY AVERAGES:
 • Protein: ${averages.protein.toFixed(1)} g (${((averages.protein * 4 / averages.calories) * 100).toFixed(1)}% of calories)
 • Carbohydrates: ${averages.carbs.toFixed(1)} g (${((averages.carbs * 4 / averages.calories) * 100).toFixed(1)}% of calories)
 • Fat: ${averages.fat.toFixed(1)} g (${((averages.fat * 9 / averages.calories) * 100).toFixed(1)}% of calories)
+• Fiber: ${averages.fiber.toFixed(1)} g
+• Sugar: ${averages.sugar.toFixed(1)} g
+• Sodium: ${averages.sodium.toFixed(0)} mg
 • Meals per day: ${averages.mealCount.toFixed(1)}
 
 MACRO DISTRIBUTION:
@@ -272,7 +234,7 @@ TRENDS:
 ${generateTrends(dailyTotals)}
         `.trim();
 
-        const fileName = `nutrition_summary_${new Date().toISOString().split('T')[0]}.txt`;
+        const fileName = `nutrition_summary_${today()}.txt`;
         const fileUri = `${FileSystem.documentDirectory}${fileName}`;
 
         await FileSystem.writeAsStringAsync(fileUri, report);
@@ -324,7 +286,7 @@ Fat     ${fatPercent.toFixed(1)}% ${fatBars}`;
 const generateTopFoodsList = (meals) => {
     const foodCounts = {};
     meals.forEach(meal => {
-        foodCounts[meal.food] = (foodCounts[meal.food] || 0) + 1;
+        foodCounts[meal.foodName] = (foodCounts[meal.foodName] || 0) + 1;
     });
 
     const sortedFoods = Object.entries(foodCounts)
@@ -0,0 +1,319 @@
+// Local food search: an inverted index over food names, brands and categories
+// Query words match index words exactly, as a prefix, through a synonym or with a typo or two.
+// Results are ranked by how well they match, then nudged up by how often and how recently the
+// food was eaten. The index is updated in place when foods change, so searching stays quick
+// with tens of thousands of foods.
+import { synonymsOf } from './synonyms';
+import { editDistance, maxEditsFor, ngrams, normalizeText, tokenize } from './text';
+
+// How much a match in each field counts
+const FIELD_WEIGHTS = {
+    name: 1,
+    brand: 0.6,
+    category: 0.4,
+};
+
+// How much each kind of word match counts, before the field weight
+const MATCH_SCORES = {
+    exact: 1,
+    synonym: 0.9,
+    prefix: 0.85,
+    typo: [0.8, 0.6], // one edit, two edits
+};
+
+// Prefix matches considered per query word; a one-letter word would otherwise match half the index
+const MAX_PREFIX_TERMS = 50;
+
+// Usage: at most this much is added on top of the text score (0.5 = up to 50% more)
+const USAGE_WEIGHT = 0.5;
+// Days after which a meal counts half as much towards recency
+const RECENCY_HALF_LIFE_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const foodKey = (food) => food.id ?? food.name;
+
+// Only the indexed text decides whether a food has to be indexed again
+const indexedText = (food) => [food.name, food.brand, food.category].join('\u0000');
+
+// Binary search for the first term >= prefix
+const lowerBound = (terms, prefix) => {
+    let low = 0;
+    let high = terms.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (terms[middle] < prefix) low = middle + 1;
+        else high = middle;
+    }
+    return low;
+};
+
+export class FoodSearchIndex {
+    constructor() {
+        this.docs = new Map();      // food key -> { food, text, terms, name, nameTokens }
+        this.postings = new Map();  // term -> Map(food key -> best field weight)
+        this.grams = new Map();     // bigram -> Set(term)
+        this.sortedTerms = null;    // every term in order, rebuilt when terms come or go
+        this.usage = new Map();     // food id or lowercase name -> { count, lastEatenAt }
+        this.maxUseCount = 0;
+    }
+
+    // ==================== INDEXING ====================
+
+    addTerm(term, key, weight) {
+        let docs = this.postings.get(term);
+        if (!docs) {
+            docs = new Map();
+            this.postings.set(term, docs);
+            ngrams(term).forEach(gram => {
+                if (!this.grams.has(gram)) this.grams.set(gram, new Set());
+                this.grams.get(gram).add(term);
+            });
+            this.sortedTerms = null;
+        }
+        docs.set(key, Math.max(docs.get(key) || 0, weight));
+    }
+
+    removeTerm(term, key) {
+        const docs = this.postings.get(term);
+        if (!docs) return;
+        docs.delete(key);
+        if (docs.size > 0) return;
+
+        this.postings.delete(term);
+        ngrams(term).forEach(gram => {
+            const terms = this.grams.get(gram);
+            terms?.delete(term);
+            if (terms?.size === 0) this.grams.delete(gram);
+        });
+        this.sortedTerms = null;
+    }
+
+    add(food) {
+        const key = foodKey(food);
+        const nameTokens = tokenize(food.name);
+        const terms = new Set();
+
+        Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+            const tokens = field === 'name' ? nameTokens : tokenize(food[field]);
+            tokens.forEach(term => {
+                terms.add(term);
+                this.addTerm(term, key, weight);
+            });
+        });
+
+        this.docs.set(key, { food, text: indexedText(food), terms, name: normalizeText(food.name), nameTokens });
+    }
+
+    remove(key) {
+        const doc = this.docs.get(key);
+        if (!doc) return;
+        doc.terms.forEach(term => this.removeTerm(term, key));
+        this.docs.delete(key);
+    }
+
+    /**
+     * Bring the index in line with a food list: new and renamed foods are indexed,
+     * missing ones dropped, and unchanged ones only have their food object swapped.
+     */
+    sync(foods) {
+        const seen = new Set();
+        foods.forEach(food => {
+            const key = foodKey(food);
+            seen.add(key);
+
+            const doc = this.docs.get(key);
+            if (doc && doc.text === indexedText(food)) {
+                doc.food = food;
+                return;
+            }
+            if (doc) this.remove(key);
+            this.add(food);
+        });
+
+        [...this.docs.keys()].filter(key => !seen.has(key)).forEach(key => this.remove(key));
+        return this;
+    }
+
+    // ==================== USAGE ====================
+
+    /**
+     * Count how often and when each food was eaten
+     * @param {Array} meals - Canonical meals, typically the last few months
+     */
+    setUsage(meals) {
+        this.usage = new Map();
+        meals.forEach(meal => {
+            const eatenAt = Date.parse(meal.consumedAt || meal.date) || 0;
+            [meal.foodId, meal.foodName?.toLowerCase()].filter(Boolean).forEach(key => {
+                const entry = this.usage.get(key) || { count: 0, lastEatenAt: 0 };
+                entry.count += 1;
+                entry.lastEatenAt = Math.max(entry.lastEatenAt, eatenAt);
+                this.usage.set(key, entry);
+            });
+        });
+        this.maxUseCount = 0;
+        this.usage.forEach(entry => { this.maxUseCount = Math.max(this.maxUseCount, entry.count); });
+    }
+
+    /**
+     * 0 for a food never eaten, up to 1 for the most eaten food, eaten today
+     */
+    usageScore(food, now) {
+        const entry = this.usage.get(food.id) || this.usage.get(food.name?.toLowerCase());
+        if (!entry) return 0;
+
+        const frequency = Math.log1p(entry.count) / Math.log1p(this.maxUseCount);
+        const days = Math.max(0, now - entry.lastEatenAt) / DAY_MS;
+        const recency = Math.pow(0.5, days / RECENCY_HALF_LIFE_DAYS);
+        return (frequency + recency) / 2;
+    }
+
+    // ==================== SEARCH ====================
+
+    /**
+     * Index terms starting with the word, shortest first: those are the likeliest completions
+     */
+    prefixTerms(word) {
+        if (!this.sortedTerms) this.sortedTerms = [...this.postings.keys()].sort();
+
+        const terms = [];
+        for (let i = lowerBound(this.sortedTerms, word); i < this.sortedTerms.length; i++) {
+            const term = this.sortedTerms[i];
+            if (!term.startsWith(word)) break;
+            terms.push(term);
+        }
+        return terms.sort((a, b) => a.length - b.length).slice(0, MAX_PREFIX_TERMS);
+    }
+
+    /**
+     * Index terms within the allowed number of typos. Candidates share bigrams with the word;
+     * only those that share enough are checked with the edit distance.
+     */
+    typoTerms(word) {
+        const maxEdits = maxEditsFor(word);
+        if (maxEdits === 0) return [];
+
+        const grams = ngrams(word);
+        const shared = new Map();
+        grams.forEach(gram => {
+            this.grams.get(gram)?.forEach(term => shared.set(term, (shared.get(term) || 0) + 1));
+        });
+
+        // An edit changes at most three bigrams (a swap of two letters)
+        const minShared = Math.max(1, grams.length - 3 * maxEdits);
+        const matches = [];
+        shared.forEach((count, term) => {
+            if (count < minShared || term === word) return;
+            const distance = editDistance(word, term, maxEdits);
+            if (distance <= maxEdits) matches.push([term, distance]);
+        });
+        return matches;
+    }
+
+    /**
+     * Index terms a query word stands for, each with how well it matches
+     * @returns {Map} term -> score
+     */
+    expand(word) {
+        const terms = new Map();
+        const offer = (term, score) => {
+            if (this.postings.has(term) && score > (terms.get(term) || 0)) terms.set(term, score);
+        };
+
+        offer(word, MATCH_SCORES.exact);
+        synonymsOf(word).forEach(synonym => offer(synonym, MATCH_SCORES.synonym));
+        if (word.length >= 2) {
+            this.prefixTerms(word).forEach(term => offer(term, MATCH_SCORES.prefix));
+        }
+        this.typoTerms(word).forEach(([term, distance]) => offer(term, MATCH_SCORES.typo[distance - 1]));
+        return terms;
+    }
+
+    /**
+     * Foods matching a query, best first
+     * @param {Object} options - { limit, now } where now (ms) is the time recency is measured from
+     * @returns {Array} The foods as given to sync(); every food when the query is empty
+     */
+    search(query, { limit = Infinity, now = Date.now() } = {}) {
+        const words = [...new Set(tokenize(query))];
+        if (words.length === 0) return [...this.docs.values()].map(doc => doc.food).slice(0, limit);
+
+        // Best score of each query word in each food
+        const matches = new Map(); // food key -> { total, matched }
+        words.forEach(word => {
+            const best = new Map();
+            this.expand(word).forEach((score, term) => {
+                this.postings.get(term).forEach((weight, key) => {
+                    best.set(key, Math.max(best.get(key) || 0, score * weight));
+                });
+            });
+            best.forEach((score, key) => {
+                const match = matches.get(key) || { total: 0, matched: 0 };
+                match.total += score;
+                match.matched += 1;
+                matches.set(key, match);
+            });
+        });
+
+        // Short queries need every word; longer ones may miss one ('chicken breast grilled')
+        const required = words.length <= 2 ? words.length : words.length - 1;
+        const phrase = normalizeText(query);
+
+        const results = [];
+        matches.forEach(({ total, matched }, key) => {
+            if (matched < required) return;
+
+            const doc = this.docs.get(key);
+            let score = total / words.length;
+            if (doc.name === phrase) score += 0.5;
+            else if (doc.name.startsWith(phrase)) score += 0.25;
+            // Of two equal matches, the food whose name has fewer other words is closer
+            score += 0.1 * Math.min(1, words.length / Math.max(1, doc.nameTokens.length));
+
+            score *= 1 + USAGE_WEIGHT * this.usageScore(doc.food, now);
+            results.push({ food: doc.food, score });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score || a.food.name.localeCompare(b.food.name))
+            .slice(0, limit)
+            .map(result => result.food);
+    }
+}
+
+/**
+ * Rank a short list once, without keeping an index around (e.g. recent foods)
+ */
+export const rankFoods = (foods, query, options = {}) => new FoodSearchIndex().sync(foods).search(query, options);
+
+// Orders search results can be sorted in, as search_foods takes them in sort_by
+export const SEARCH_SORTS = {
+    RELEVANCE: 'relevance',
+    NAME: 'name',
+    CALORIES: 'calories', // Highest first
+    PROTEIN: 'protein', // Highest first
+};
+
+/**
+ * Keep the foods of one category and reorder them the way search_foods does; ties keep their rank
+ * @param {Object} options - { category, sortBy } where a null category keeps every food
+ */
+export const filterAndSortFoods = (foods, { category = null, sortBy = SEARCH_SORTS.RELEVANCE } = {}) => {
+    const filtered = category ? foods.filter(food => food.category === category) : foods;
+    switch (sortBy) {
+        case SEARCH_SORTS.NAME:
+            return [...filtered].sort((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()));
+        case SEARCH_SORTS.CALORIES:
+        case SEARCH_SORTS.PROTEIN:
+            return [...filtered].sort((a, b) => (Number(b[sortBy]) || 0) - (Number(a[sortBy]) || 0));
+        default:
+            return filtered;
+    }
+};
+
+export { normalizeText, tokenize } from './text';
+
+// Shared index for the food list of the active backend
+const foodSearch = new FoodSearchIndex();
+
+export default foodSearch;
@@ -0,0 +1,36 @@
+// Words that name the same food. A search for one also finds foods named with the others.
+// Only single words: phrases like 'bell pepper' are matched word by word already.
+import { tokenize } from './text';
+
+const SYNONYM_GROUPS = [
+    ['yogurt', 'yoghurt', 'curd', 'dahi'],
+    ['dal', 'dhal', 'daal', 'lentil'],
+    ['chickpea', 'chana', 'garbanzo'],
+    ['paneer', 'cottage'],
+    ['aubergine', 'eggplant', 'brinjal', 'baingan'],
+    ['courgette', 'zucchini'],
+    ['coriander', 'cilantro', 'dhania'],
+    ['prawn', 'shrimp'],
+    ['okra', 'bhindi', 'ladyfinger'],
+    ['roti', 'chapati', 'chapatti', 'phulka'],
+    ['maize', 'corn'],
+    ['rocket', 'arugula'],
+    ['potato', 'aloo'],
+    ['spinach', 'palak'],
+    ['cauliflower', 'gobi'],
+    ['oat', 'oatmeal', 'porridge'],
+    ['soda', 'pop'],
+    ['biscuit', 'cookie'],
+    ['crisp', 'chip'],
+];
+
+// word -> the other words of its group, in the same token form the index uses
+const SYNONYMS = new Map();
+SYNONYM_GROUPS.forEach(group => {
+    const words = group.flatMap(tokenize);
+    words.forEach(word => {
+        SYNONYMS.set(word, words.filter(other => other !== word));
+    });
+});
+
+export const synonymsOf = (word) => SYNONYMS.get(word) || [];
@@ -0,0 +1,72 @@
+// Text handling for food search: normalizing, tokens, n-grams and edit distance
+
+// Words that say nothing about which food is meant
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'with', 'in', 'on', 'or', 'to']);
+
+/**
+ * Lowercase, accents removed, punctuation turned into spaces: 'Crème Brûlée, 2%' -> 'creme brulee 2'
+ */
+export const normalizeText = (text) => String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Plural forms share a token with the singular: 'bananas' -> 'banana', 'oats' -> 'oat'
+ */
+export const stem = (word) =>
+    word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+
+export const tokenize = (text) => normalizeText(text)
+    .split(' ')
+    .filter(word => word && !STOPWORDS.has(word))
+    .map(stem);
+
+/**
+ * Padded bigrams: 'milk' -> ['$m', 'mi', 'il', 'lk', 'k$']. Bigrams rather than trigrams, so a
+ * swapped pair of letters in a short word ('mlik') still shares enough of them to be found.
+ */
+export const ngrams = (word) => {
+    const padded = `$${word}$`;
+    const grams = [];
+    for (let i = 0; i < padded.length - 1; i++) {
+        grams.push(padded.slice(i, i + 2));
+    }
+    return grams;
+};
+
+/**
+ * Typos allowed in a query word: none for very short words, which match too much otherwise
+ */
+export const maxEditsFor = (word) => (word.length <= 3 ? 0 : word.length <= 8 ? 1 : 2);
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swapped neighbours as one edit
+ * @param {number} limit - Give up once the distance is certain to exceed this
+ * @returns {number} The distance, or limit + 1 when it is larger than limit
+ */
+export const editDistance = (a, b, limit = Infinity) => {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const next = [i];
+        let best = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            next.push(value);
+            best = Math.min(best, value);
+        }
+        if (best > limit) return limit + 1;
+        previousRow = row;
+        row = next;
+    }
+    return Math.min(row[b.length], limit + 1);
+};
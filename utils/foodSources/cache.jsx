@@ -0,0 +1,110 @@
+// Response cache and rate limits shared by every food source
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Per-query cache of normalized source responses, kept in AsyncStorage so searches and
+ * barcode lookups from earlier sessions are answered without a request.
+ * Expired entries are still handed out when the source can't be reached.
+ */
+export class ResponseCache {
+    /**
+     * @param {Object} options - { storageKey, ttlMs, maxEntries }
+     */
+    constructor({ storageKey, ttlMs, maxEntries }) {
+        this.storageKey = storageKey;
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+        this.entries = null;
+        this.loading = null;
+    }
+
+    async load() {
+        if (this.entries) return this.entries;
+        if (!this.loading) {
+            this.loading = AsyncStorage.getItem(this.storageKey)
+                .then(data => (data ? JSON.parse(data) : {}))
+                .catch(error => {
+                    console.error('❌ Failed to load food source cache:', error);
+                    return {};
+                })
+                .then(entries => {
+                    this.entries = entries;
+                    return entries;
+                });
+        }
+        return this.loading;
+    }
+
+    async persist() {
+        try {
+            await AsyncStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.error('❌ Failed to save food source cache:', error);
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @param {Object} options - { allowExpired }
+     * @returns {*} The cached value, or undefined when there is none (null is a cached "not found")
+     */
+    async get(key, { allowExpired = false } = {}) {
+        const entries = await this.load();
+        const entry = entries[key];
+        if (!entry) return undefined;
+        if (!allowExpired && entry.expiresAt < Date.now()) return undefined;
+        return entry.value;
+    }
+
+    async set(key, value) {
+        const entries = await this.load();
+        const now = Date.now();
+        entries[key] = { value, storedAt: now, expiresAt: now + this.ttlMs };
+
+        // Drop the oldest entries once the cache is full
+        const keys = Object.keys(entries);
+        if (keys.length > this.maxEntries) {
+            keys.sort((a, b) => entries[a].storedAt - entries[b].storedAt)
+                .slice(0, keys.length - this.maxEntries)
+                .forEach(oldest => { delete entries[oldest]; });
+        }
+        await this.persist();
+    }
+
+    async clear() {
+        this.entries = {};
+        await AsyncStorage.removeItem(this.storageKey);
+    }
+}
+
+/**
+ * Sliding-window limit: at most `requests` calls in any `intervalMs`.
+ * Counts are kept in memory, so they start over when the app restarts.
+ */
+export class RateLimiter {
+    constructor({ requests, intervalMs }) {
+        this.requests = requests;
+        this.intervalMs = intervalMs;
+        this.sent = [];
+    }
+
+    /**
+     * Use up one request if the window allows it
+     * @returns {boolean} false when the limit is reached
+     */
+    tryTake() {
+        const now = Date.now();
+        this.sent = this.sent.filter(time => now - time < this.intervalMs);
+        if (this.sent.length >= this.requests) return false;
+        this.sent.push(now);
+        return true;
+    }
+
+    /**
+     * Milliseconds until another request is allowed
+     */
+    retryAfter() {
+        if (this.sent.length < this.requests) return 0;
+        return Math.max(0, this.sent[0] + this.intervalMs - Date.now());
+    }
+}
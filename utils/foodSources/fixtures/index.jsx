@@ -0,0 +1,12 @@
+// Recorded source responses, keyed by requestKey (see ../transport).
+// Trimmed to the fields the adapters read. Record more with createRecordingTransport and
+// add its `recorded` object to the file of the source it came from.
+import nutritionix from './nutritionix.json';
+import openFoodFacts from './openFoodFacts.json';
+import usda from './usda.json';
+
+export default {
+    ...usda,
+    ...openFoodFacts,
+    ...nutritionix,
+};
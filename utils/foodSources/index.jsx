@@ -0,0 +1,174 @@
+// External food sources behind one registry
+// Each adapter declares what it can do (search, barcode, details) and turns its API's answers into
+// canonical per-100g foods. The registry asks sources in the configured order and caches and
+// rate-limits every call.
+import { FOOD_SOURCES_CONFIG } from '../../config/foodSources';
+import { RateLimiter, ResponseCache } from './cache';
+import fixtures from './fixtures';
+import nutritionix from './nutritionix';
+import openFoodFacts from './openFoodFacts';
+import { createFixtureTransport, fetchTransport } from './transport';
+import usda from './usda';
+
+const FOOD_SOURCE_CACHE_KEY = 'food_source_cache';
+
+export const CAPABILITIES = {
+    SEARCH: 'search',
+    BARCODE: 'barcode',
+    DETAILS: 'details',
+};
+
+// Adapter method behind each capability
+const METHODS = {
+    [CAPABILITIES.SEARCH]: 'search',
+    [CAPABILITIES.BARCODE]: 'lookupBarcode',
+    [CAPABILITIES.DETAILS]: 'getDetails',
+};
+
+// Answer for a call that failed and has nothing cached
+const EMPTY = {
+    [CAPABILITIES.SEARCH]: [],
+    [CAPABILITIES.BARCODE]: null,
+    [CAPABILITIES.DETAILS]: null,
+};
+
+const sameFood = (a, b) =>
+    (a.barcode && a.barcode === b.barcode) ||
+    (a.name.toLowerCase() === b.name.toLowerCase() && (a.brand || '').toLowerCase() === (b.brand || '').toLowerCase());
+
+class FoodSourceRegistry {
+    constructor(config = FOOD_SOURCES_CONFIG) {
+        this.config = config;
+        this.adapters = new Map();
+        this.limiters = new Map();
+        this.transport = config.useFixtures ? createFixtureTransport(fixtures) : fetchTransport;
+        this.cache = new ResponseCache({
+            storageKey: FOOD_SOURCE_CACHE_KEY,
+            ttlMs: config.cache.ttlMinutes * 60 * 1000,
+            maxEntries: config.cache.maxEntries,
+        });
+    }
+
+    /**
+     * Add a source. Only sources listed in the config's order are asked.
+     * @param {Object} adapter - { id, name, capabilities, isConfigured(config), rateLimit(config, capability),
+     *   search(query, context), lookupBarcode(barcode, context), getDetails(sourceId, context) }
+     *   where context is { config, request } and every method resolves to canonical foods
+     */
+    register(adapter) {
+        this.adapters.set(adapter.id, adapter);
+    }
+
+    /**
+     * Send every request through another transport, e.g. createFixtureTransport(recorded)
+     */
+    useTransport(transport) {
+        this.transport = transport;
+    }
+
+    sourceConfig(adapter) {
+        return this.config[adapter.id] || {};
+    }
+
+    /**
+     * Configured sources that can do `capability`, in the configured order
+     */
+    getSources(capability) {
+        return this.config.order
+            .map(id => this.adapters.get(id))
+            .filter(adapter => adapter &&
+                adapter.capabilities[capability] &&
+                adapter.isConfigured(this.sourceConfig(adapter)));
+    }
+
+    limiter(adapter, capability) {
+        const key = `${adapter.id}:${capability}`;
+        if (!this.limiters.has(key)) {
+            this.limiters.set(key, new RateLimiter(adapter.rateLimit(this.sourceConfig(adapter), capability)));
+        }
+        return this.limiters.get(key);
+    }
+
+    /**
+     * One adapter call: answered from the cache when possible, otherwise sent if the rate limit
+     * allows. A failed or refused call falls back to an expired cache entry.
+     */
+    async call(adapter, capability, argument) {
+        const cacheKey = `${adapter.id}:${capability}:${String(argument).trim().toLowerCase()}`;
+        const cached = await this.cache.get(cacheKey);
+        if (cached !== undefined) return cached;
+
+        const fallback = async () => (await this.cache.get(cacheKey, { allowExpired: true })) ?? EMPTY[capability];
+
+        const limiter = this.limiter(adapter, capability);
+        if (!limiter.tryTake()) {
+            console.log(`⏳ ${adapter.name} rate limit reached, next ${capability} in ${Math.ceil(limiter.retryAfter() / 1000)}s`);
+            return fallback();
+        }
+
+        try {
+            const result = await adapter[METHODS[capability]](argument, {
+                config: this.sourceConfig(adapter),
+                request: this.transport,
+            });
+            await this.cache.set(cacheKey, result);
+            return result;
+        } catch (error) {
+            console.error(`❌ ${adapter.name} ${capability} failed:`, error.message);
+            return fallback();
+        }
+    }
+
+    /**
+     * Search the sources in order until there are `limit` results
+     * @returns {Array} Canonical foods with { source, sourceId, image, complete }
+     */
+    async search(query, { limit = 20 } = {}) {
+        const text = query?.trim();
+        if (!text) return [];
+
+        const results = [];
+        for (const adapter of this.getSources(CAPABILITIES.SEARCH)) {
+            const found = await this.call(adapter, CAPABILITIES.SEARCH, text);
+            results.push(...found.filter(food => !results.some(existing => sameFood(existing, food))));
+            if (results.length >= limit) break;
+        }
+        return results.slice(0, limit);
+    }
+
+    /**
+     * First source that knows the barcode
+     * @returns {Object|null} Canonical food, or null when no source has it
+     */
+    async lookupBarcode(barcode) {
+        const code = String(barcode || '').trim();
+        if (!code) return null;
+
+        for (const adapter of this.getSources(CAPABILITIES.BARCODE)) {
+            const food = await this.call(adapter, CAPABILITIES.BARCODE, code);
+            if (food) return food;
+        }
+        return null;
+    }
+
+    /**
+     * Full nutrition for a search result, e.g. one listed without nutrients
+     * @returns {Object} The detailed food, or the food as given when its source has no details
+     */
+    async getDetails(food) {
+        const adapter = this.adapters.get(food?.source);
+        if (!adapter?.capabilities.details || !adapter.isConfigured(this.sourceConfig(adapter))) return food;
+
+        const detailed = await this.call(adapter, CAPABILITIES.DETAILS, food.sourceId);
+        return detailed || food;
+    }
+
+    clearCache() {
+        return this.cache.clear();
+    }
+}
+
+const foodSources = new FoodSourceRegistry();
+[usda, openFoodFacts, nutritionix].forEach(adapter => foodSources.register(adapter));
+
+export default foodSources;
@@ -0,0 +1,103 @@
+// Nutritionix: common foods and restaurant/branded items, nutrients per serving
+import { FOOD_SOURCE_IDS } from '../../config/foodSources';
+import { FoodSourceRequestError } from './transport';
+import { scaleTo100g, toSourceFood } from './shape';
+
+const BASE_URL = 'https://trackapi.nutritionix.com/v2';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Common foods have no item id; their name is what the nutrients endpoint looks them up by
+const COMMON = 'common:';
+const ITEM = 'item:';
+
+// full_nutrients attribute ids
+const ATTRIBUTES = { calories: 208, protein: 203, carbs: 205, fat: 204, fiber: 291, sugar: 269, sodium: 307 };
+
+const servingNutrients = (food) => {
+    if (food.full_nutrients) {
+        const values = new Map(food.full_nutrients.map(n => [n.attr_id, n.value]));
+        if (!values.has(ATTRIBUTES.calories)) return null;
+        return Object.fromEntries(Object.entries(ATTRIBUTES).map(([field, id]) => [field, values.get(id) || 0]));
+    }
+    if (food.nf_calories == null) return null;
+    return {
+        calories: food.nf_calories,
+        protein: food.nf_protein,
+        carbs: food.nf_total_carbohydrate,
+        fat: food.nf_total_fat,
+        fiber: food.nf_dietary_fiber,
+        sugar: food.nf_sugars,
+        sodium: food.nf_sodium,
+    };
+};
+
+// Branded servings are often only given as '1 bar'; without a weight there is no per-100g value
+const servingGrams = (food) => {
+    if (food.serving_weight_grams > 0) return food.serving_weight_grams;
+    if (['g', 'grams', 'ml'].includes(String(food.serving_unit).toLowerCase())) return food.serving_qty;
+    return null;
+};
+
+const toFood = (food) => {
+    const grams = servingGrams(food);
+    const nutrients = servingNutrients(food);
+    return toSourceFood({
+        source: FOOD_SOURCE_IDS.NUTRITIONIX,
+        sourceId: food.nix_item_id ? `${ITEM}${food.nix_item_id}` : `${COMMON}${food.food_name}`,
+        name: food.brand_name_item_name || food.food_name,
+        brand: food.brand_name || null,
+        barcode: food.upc || null,
+        serving: grams ? { amount: food.serving_qty, unit: food.serving_unit, grams } : null,
+        image: food.photo?.thumb || null,
+        nutrients: nutrients && scaleTo100g(nutrients, grams),
+    });
+};
+
+const headers = (config) => ({ 'x-app-id': config.appId, 'x-app-key': config.appKey });
+
+const getItem = async (params, { config, request }) => {
+    try {
+        const data = await request({ url: `${BASE_URL}/search/item`, params, headers: headers(config) });
+        return data.foods?.[0] ? toFood(data.foods[0]) : null;
+    } catch (error) {
+        // Unknown items and barcodes are a 404
+        if (error instanceof FoodSourceRequestError && error.status === 404) return null;
+        throw error;
+    }
+};
+
+export default {
+    id: FOOD_SOURCE_IDS.NUTRITIONIX,
+    name: 'Nutritionix',
+    capabilities: { search: true, barcode: true, details: true },
+
+    isConfigured: (config) => !!(config.appId && config.appKey),
+
+    // The free plan allows a few hundred requests a day
+    rateLimit: () => ({ requests: 200, intervalMs: DAY }),
+
+    async search(query, context) {
+        const data = await context.request({
+            url: `${BASE_URL}/search/instant`,
+            params: { query, detailed: true },
+            headers: headers(context.config),
+        });
+        // Incomplete results stay listed: their details are fetched when one is picked
+        return [...(data.common || []), ...(data.branded || [])].map(toFood);
+    },
+
+    lookupBarcode: (barcode, context) => getItem({ upc: barcode }, context),
+
+    async getDetails(sourceId, context) {
+        if (sourceId.startsWith(ITEM)) {
+            return getItem({ nix_item_id: sourceId.slice(ITEM.length) }, context);
+        }
+        const data = await context.request({
+            method: 'POST',
+            url: `${BASE_URL}/natural/nutrients`,
+            body: { query: sourceId.slice(COMMON.length) },
+            headers: headers(context.config),
+        });
+        return data.foods?.[0] ? toFood(data.foods[0]) : null;
+    },
+};
@@ -0,0 +1,80 @@
+// Open Food Facts: community database of packaged products, best for barcodes
+import { FOOD_SOURCE_IDS } from '../../config/foodSources';
+import { toSourceFood } from './shape';
+
+const BASE_URL = 'https://world.openfoodfacts.org';
+const MINUTE = 60 * 1000;
+const PAGE_SIZE = 25;
+const FIELDS = 'code,product_name,product_name_en,brands,categories,nutriments,serving_quantity,image_front_small_url';
+
+const KJ_PER_KCAL = 4.184;
+// Labels give salt; sodium is 40% of it
+const SODIUM_PER_SALT = 0.4;
+
+const readNutrients = (nutriments = {}) => {
+    const kcal = nutriments['energy-kcal_100g'] ?? (nutriments.energy_100g != null ? nutriments.energy_100g / KJ_PER_KCAL : null);
+    if (kcal == null) return null;
+
+    // Open Food Facts stores sodium and salt in grams
+    const sodiumGrams = nutriments.sodium_100g ?? (nutriments.salt_100g != null ? nutriments.salt_100g * SODIUM_PER_SALT : 0);
+    return {
+        calories: Math.round(Number(kcal) * 10) / 10,
+        protein: Number(nutriments.proteins_100g) || 0,
+        carbs: Number(nutriments.carbohydrates_100g) || 0,
+        fat: Number(nutriments.fat_100g) || 0,
+        fiber: Number(nutriments.fiber_100g) || 0,
+        sugar: Number(nutriments.sugars_100g) || 0,
+        sodium: Math.round(Number(sodiumGrams) * 1000 * 10) / 10,
+    };
+};
+
+const toFood = (product) => toSourceFood({
+    source: FOOD_SOURCE_IDS.OPEN_FOOD_FACTS,
+    sourceId: product.code,
+    name: product.product_name || product.product_name_en,
+    brand: product.brands?.split(',')[0].trim() || null,
+    barcode: product.code,
+    category: product.categories?.split(',')[0].trim() || null,
+    serving: product.serving_quantity ? { amount: 1, unit: 'serving', grams: Number(product.serving_quantity) } : null,
+    image: product.image_front_small_url || null,
+    nutrients: readNutrients(product.nutriments),
+});
+
+const getProduct = async (code, { config, request }) => {
+    const data = await request({
+        url: `${BASE_URL}/api/v2/product/${code}.json`,
+        params: { fields: FIELDS },
+        headers: { 'User-Agent': config.userAgent },
+    });
+    // An unknown code is a 200 with status 0
+    if (data.status !== 1 || !data.product) return null;
+    return toFood(data.product);
+};
+
+export default {
+    id: FOOD_SOURCE_IDS.OPEN_FOOD_FACTS,
+    name: 'Open Food Facts',
+    capabilities: { search: true, barcode: true, details: true },
+
+    isConfigured: () => true,
+
+    // Their published limits: 10 searches and 100 product reads a minute
+    rateLimit: (config, operation) => ({
+        requests: operation === 'search' ? 10 : 100,
+        intervalMs: MINUTE,
+    }),
+
+    async search(query, { config, request }) {
+        const data = await request({
+            url: `${BASE_URL}/cgi/search.pl`,
+            params: { search_terms: query, page_size: PAGE_SIZE, json: 1, fields: FIELDS },
+            headers: { 'User-Agent': config.userAgent },
+        });
+        return (data.products || [])
+            .map(toFood)
+            .filter(food => food.complete && food.name !== 'Unknown Food');
+    },
+
+    lookupBarcode: getProduct,
+    getDetails: getProduct,
+};
@@ -0,0 +1,49 @@
+// One food shape for every external source
+// Sources report nutrients per 100g, per serving or per label unit; adapters convert them here
+// to the app's canonical food (per 100g, sodium in mg) so a result can be logged or saved as is.
+import { normalizeFood, NUTRIENTS } from '../repository/entities';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Scale nutrients measured for `grams` of a food to 100g
+ * @returns {Object|null} null when the weight is unknown
+ */
+export const scaleTo100g = (nutrients, grams) => {
+    if (!(grams > 0)) return null;
+    return Object.fromEntries(NUTRIENTS.map(field => [field, round((Number(nutrients[field]) || 0) * 100 / grams)]));
+};
+
+/**
+ * '2 tbsp (32g)', which parseServingSize turns into a tbsp unit, or '100g' when there is no serving
+ * @param {Object} serving - { amount, unit, grams }
+ */
+export const describeServing = (serving) => {
+    if (!(serving?.grams > 0)) return '100g';
+    const grams = round(serving.grams);
+    if (!serving.unit || ['g', 'gram', 'grams', 'ml'].includes(serving.unit.toLowerCase())) return `${grams}g`;
+    // '1 medium (3" dia)' -> 'medium': the weight has to be the only bracket
+    const unit = serving.unit.replace(/\(.*?\)/g, '').trim().toLowerCase();
+    return unit ? `${serving.amount || 1} ${unit} (${grams}g)` : `${grams}g`;
+};
+
+/**
+ * Canonical food for a source result
+ * @param {Object} result - { source, sourceId, name, brand, barcode, category, image, serving,
+ *   nutrients } where nutrients are per 100g, or null when the source gave none usable
+ * @returns {Object} normalizeFood shape plus { source, sourceId, image, complete }.
+ *   An incomplete food has zero nutrients until the source's details fill them in.
+ */
+export const toSourceFood = ({ source, sourceId, nutrients, serving = null, image = null, ...food }) => ({
+    ...normalizeFood({
+        ...food,
+        ...nutrients,
+        id: `${source}:${sourceId}`,
+        servingSize: describeServing(serving),
+        isCustom: false,
+    }),
+    source,
+    sourceId: String(sourceId),
+    image,
+    complete: !!nutrients,
+});
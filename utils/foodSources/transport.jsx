@@ -0,0 +1,98 @@
+// How food source adapters reach their APIs
+// Adapters describe a request ({ method, url, params, headers, body }) and hand it to a transport.
+// The app uses fetchTransport; a fixture transport answers from recorded responses instead, so
+// adapters can be exercised without network access or API keys.
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+export class FoodSourceRequestError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'FoodSourceRequestError';
+        this.status = status;
+    }
+}
+
+const queryString = (params = {}) => Object.keys(params)
+    .filter(name => params[name] !== undefined && params[name] !== null)
+    .sort()
+    .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`)
+    .join('&');
+
+export const buildUrl = (url, params) => {
+    const query = queryString(params);
+    return query ? `${url}?${query}` : url;
+};
+
+/**
+ * Identifies a request in fixture files. Headers are left out, so keys never hold credentials:
+ * adapters send their keys as headers, not parameters.
+ */
+export const requestKey = ({ method = 'GET', url, params, body }) =>
+    [method, buildUrl(url, params), body ? JSON.stringify(body) : null].filter(Boolean).join(' ');
+
+/**
+ * @returns {Object} The parsed JSON response
+ * @throws {FoodSourceRequestError} On a non-2xx status, a timeout or a network failure
+ */
+export const fetchTransport = async ({ method = 'GET', url, params, headers = {}, body }) => {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(buildUrl(url, params), {
+            method,
+            headers: { Accept: 'application/json', ...(body && { 'Content-Type': 'application/json' }), ...headers },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: controller.signal,
+        });
+        if (!response.ok) {
+            throw new FoodSourceRequestError(`${method} ${url} returned ${response.status}`, response.status);
+        }
+        return await response.json();
+    } catch (error) {
+        if (error instanceof FoodSourceRequestError) throw error;
+        throw new FoodSourceRequestError(
+            controller.signal.aborted ? `${method} ${url} timed out` : error.message
+        );
+    } finally {
+        clearTimeout(timeout);
+    }
+};
+
+/**
+ * Answer requests from recorded responses
+ * @param {Object} fixtures - requestKey -> response body; a { status, body } value replays an HTTP error
+ */
+export const createFixtureTransport = (fixtures) => async (request) => {
+    const key = requestKey(request);
+    if (!(key in fixtures)) {
+        throw new FoodSourceRequestError(`No fixture recorded for ${key}`, 404);
+    }
+
+    const fixture = fixtures[key];
+    if (fixture?.status >= 400) {
+        throw new FoodSourceRequestError(`${key} returned ${fixture.status}`, fixture.status);
+    }
+    return JSON.parse(JSON.stringify(fixture));
+};
+
+/**
+ * Pass requests through to another transport and keep each response under its requestKey,
+ * ready to be saved as a fixture file
+ */
+export const createRecordingTransport = (transport) => {
+    const recorded = {};
+    const record = async (request) => {
+        try {
+            const response = await transport(request);
+            recorded[requestKey(request)] = response;
+            return response;
+        } catch (error) {
+            if (error.status) recorded[requestKey(request)] = { status: error.status };
+            throw error;
+        }
+    };
+    record.recorded = recorded;
+    return record;
+};
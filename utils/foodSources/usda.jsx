@@ -0,0 +1,78 @@
+// USDA FoodData Central: generic and branded foods, nutrients per 100g
+import { FOOD_SOURCE_IDS } from '../../config/foodSources';
+import { toSourceFood } from './shape';
+
+const BASE_URL = 'https://api.nal.usda.gov/fdc/v1';
+const HOUR = 60 * 60 * 1000;
+const PAGE_SIZE = 25;
+
+// FoodData Central nutrient ids; energy has Atwater fallbacks for foods without 1008
+const NUTRIENT_IDS = {
+    calories: [1008, 2047, 2048],
+    protein: [1003],
+    carbs: [1005],
+    fat: [1004],
+    fiber: [1079],
+    sugar: [2000, 1063],
+    sodium: [1093],
+};
+
+// Search results use { nutrientId, value }, food details { nutrient: { id }, amount }
+const readNutrients = (foodNutrients = []) => {
+    const values = new Map(foodNutrients.map(n => [n.nutrientId ?? n.nutrient?.id, n.value ?? n.amount]));
+    const nutrients = Object.fromEntries(Object.entries(NUTRIENT_IDS).map(([field, ids]) => {
+        const id = ids.find(candidate => values.has(candidate));
+        return [field, id ? Number(values.get(id)) || 0 : 0];
+    }));
+    return NUTRIENT_IDS.calories.some(id => values.has(id)) ? nutrients : null;
+};
+
+// Household text such as '2 tbsp'; fractions ('1/4 cup') are left out
+const householdServing = (text) => {
+    const match = /^(\d+(?:\.\d+)?)\s+(.+)$/.exec(String(text || '').trim());
+    return match ? { amount: Number(match[1]), unit: match[2] } : { amount: 1, unit: null };
+};
+
+const toFood = (food) => toSourceFood({
+    source: FOOD_SOURCE_IDS.USDA,
+    sourceId: food.fdcId,
+    name: food.description,
+    brand: food.brandName || food.brandOwner || null,
+    barcode: food.gtinUpc || null,
+    category: food.foodCategory?.description || food.foodCategory || food.brandedFoodCategory || null,
+    serving: ['g', 'grm'].includes(String(food.servingSizeUnit).toLowerCase())
+        ? { ...householdServing(food.householdServingFullText), grams: food.servingSize }
+        : null,
+    nutrients: readNutrients(food.foodNutrients),
+});
+
+// The key goes in a header, so it never appears in URLs, logs or fixture files
+const headers = (config) => ({ 'X-Api-Key': config.apiKey });
+
+export default {
+    id: FOOD_SOURCE_IDS.USDA,
+    name: 'USDA FoodData Central',
+    capabilities: { search: true, barcode: false, details: true },
+
+    isConfigured: (config) => !!config.apiKey,
+
+    // DEMO_KEY is shared by everyone using it and allows far fewer requests
+    rateLimit: (config) => ({
+        requests: config.apiKey === 'DEMO_KEY' ? 30 : 1000,
+        intervalMs: HOUR,
+    }),
+
+    async search(query, { config, request }) {
+        const data = await request({
+            url: `${BASE_URL}/foods/search`,
+            params: { query, pageSize: PAGE_SIZE },
+            headers: headers(config),
+        });
+        return (data.foods || []).map(toFood).filter(food => food.complete);
+    },
+
+    async getDetails(sourceId, { config, request }) {
+        const data = await request({ url: `${BASE_URL}/food/${sourceId}`, headers: headers(config) });
+        return data ? toFood(data) : null;
+    },
+};
@@ -0,0 +1,117 @@
+// Macroo Diet Tracker - Shared store of live data changes
+// Realtime pushes land here so every mounted screen hears about them at once
+import { useEffect, useRef } from 'react';
+
+export const LIVE_TOPICS = {
+    MEALS: 'meals',
+    WATER: 'water',
+    FOODS: 'foods',
+    PROFILE: 'profile',
+};
+
+export const LIVE_EVENTS = {
+    INSERT: 'INSERT',
+    UPDATE: 'UPDATE',
+    DELETE: 'DELETE',
+    // Changes may have been missed while the connection was down; reload everything
+    RESYNC: 'RESYNC',
+};
+
+// Bursts (a batch of synced meals, a food edit touching many days) collapse into one reload
+const RELOAD_DELAY_MS = 300;
+
+class LiveStore {
+    constructor() {
+        this.listeners = new Set();
+        this.topics = Object.fromEntries(
+            Object.values(LIVE_TOPICS).map(topic => [topic, { revision: 0, lastChange: null }])
+        );
+    }
+
+    /**
+     * Record a change to one topic and tell everyone listening to it
+     * @param {string} topic - One of LIVE_TOPICS
+     * @param {Object} change - { event, row, oldRow }; rows are raw database rows
+     */
+    publish(topic, change) {
+        const current = this.topics[topic];
+        if (!current) {
+            console.warn(`Unknown live topic: ${topic}`);
+            return;
+        }
+
+        const entry = { topic, ...change, at: Date.now() };
+        this.topics[topic] = { revision: current.revision + 1, lastChange: entry };
+
+        this.listeners.forEach(({ topics, listener }) => {
+            if (!topics.has(topic)) return;
+            try {
+                listener(entry);
+            } catch (error) {
+                console.error('Live update listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Listen for changes to some topics
+     * @param {string[]} topics - LIVE_TOPICS to listen to
+     * @param {Function} listener - Receives { topic, event, row, oldRow, at }
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(topics, listener) {
+        const subscription = { topics: new Set(topics), listener };
+        this.listeners.add(subscription);
+        return () => this.listeners.delete(subscription);
+    }
+
+    getRevision(topic) {
+        return this.topics[topic]?.revision || 0;
+    }
+
+    getState() {
+        return this.topics;
+    }
+}
+
+const liveStore = new LiveStore();
+
+/**
+ * Whether a change could move the numbers shown for a date.
+ * Deletes only carry the row id and resyncs carry no row, so they always count.
+ */
+export const affectsDate = (change, date) => {
+    if (change.event === LIVE_EVENTS.DELETE || change.event === LIVE_EVENTS.RESYNC) return true;
+    return change.row?.date === date || change.oldRow?.date === date;
+};
+
+/**
+ * Run a callback whenever one of the topics changes while the component is mounted
+ * @param {string[]} topics - LIVE_TOPICS to listen to
+ * @param {Function} onChange - Usually the screen's load function; always the latest one is called
+ * @param {Object} options - { filter(change) } to ignore changes the screen does not show
+ */
+export const useLiveUpdates = (topics, onChange, { filter } = {}) => {
+    const onChangeRef = useRef(onChange);
+    const filterRef = useRef(filter);
+    onChangeRef.current = onChange;
+    filterRef.current = filter;
+
+    const topicKey = topics.join(',');
+
+    useEffect(() => {
+        let timer = null;
+        const unsubscribe = liveStore.subscribe(topicKey.split(','), (change) => {
+            if (filterRef.current && !filterRef.current(change)) return;
+            clearTimeout(timer);
+            timer = setTimeout(() => onChangeRef.current?.(change), RELOAD_DELAY_MS);
+        });
+
+        return () => {
+            clearTimeout(timer);
+            unsubscribe();
+        };
+    }, [topicKey]);
+};
+
+export default liveStore;
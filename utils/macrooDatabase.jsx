@@ -1,14 +1,277 @@
 // Macroo Diet Tracker - Database Service using Supabase
-import { TABLES } from '../config/supabase';
+import { DATABASE_BACKEND, DATABASE_BACKENDS, TABLES } from '../config/supabase';
+import { SEARCH_SORTS } from './foodSearch';
+import { MemoryClient, uuid } from './memoryClient';
 import supabase from './supabaseClient';
 
-class MacrooDatabase {
+// Meal entries with the nutrition of the joined food
+const MEAL_COLUMNS = `
+          *,
+          foods (
+            name,
+            calories,
+            protein,
+            carbs,
+            fat,
+            fiber,
+            sugar,
+            sodium,
+            serving_size,
+            serving_units
+          )
+        `;
+
+// Summary projection: only what daily totals and charts need
+const MEAL_SUMMARY_COLUMNS = `
+          id,
+          date,
+          meal_type,
+          quantity,
+          consumed_at,
+          created_at,
+          foods (
+            calories,
+            protein,
+            carbs,
+            fat,
+            fiber,
+            sugar,
+            sodium
+          )
+        `;
+
+const DEFAULT_PAGE_SIZE = 100;
+const FOOD_ID_BATCH_SIZE = 100;
+
+// AsyncStorage key of the tables when DATABASE_BACKEND is 'file'
+const MEMORY_DATABASE_KEY = 'memory_database';
+
+// PostgREST filter values containing ':' or '.' (timestamps) must be quoted
+const quoteFilterValue = (value) => `"${String(value).replace(/"/g, '\\"')}"`;
+
+// Postgres rejects writes that fail a row-level security policy with this code
+const PERMISSION_DENIED_CODE = '42501';
+const UNIQUE_VIOLATION_CODE = '23505';
+const FOREIGN_KEY_VIOLATION_CODE = '23503';
+
+/**
+ * Raised when row-level security stops the signed-in user from changing a row
+ */
+export class PermissionDeniedError extends Error {
+    constructor(message, cause = null) {
+        super(message);
+        this.name = 'PermissionDeniedError';
+        this.code = 'FORBIDDEN';
+        this.status = 403;
+        this.cause = cause;
+    }
+}
+
+export const isPermissionDenied = (error) =>
+    error instanceof PermissionDeniedError || error?.code === PERMISSION_DENIED_CODE || error?.status === 403;
+
+/**
+ * Raised when a row changed on the server after the version an edit was based on
+ * @property {Object} current - The row as it is on the server now
+ */
+export class ConflictError extends Error {
+    constructor(message, current) {
+        super(message);
+        this.name = 'ConflictError';
+        this.code = 'CONFLICT';
+        this.status = 409;
+        this.current = current;
+    }
+}
+
+export const isConflict = (error) => error instanceof ConflictError || error?.code === 'CONFLICT';
+
+/**
+ * Id for a row created on this device, so replaying its insert can't create it twice
+ */
+export const createRowId = () => uuid();
+
+export class MacrooDatabase {
+    /**
+     * @param {Object} client - Supabase client, or a MemoryClient standing in for it
+     */
+    constructor(client = supabase) {
+        this.client = client;
+    }
+
     // Expose supabase client for migration scripts
     get supabase() {
-        return supabase;
+        return this.client;
+    }
+
+    /**
+     * Insert one row. With a client-generated id, sending it again (e.g. after the response to
+     * the first insert was lost) returns the stored row instead of creating a second one.
+     * @returns {Object} { data, error } like a Supabase insert().select()
+     */
+    async insertOnce(table, row) {
+        if (!row.id) {
+            return this.client.from(table).insert([row]).select();
+        }
+
+        const inserted = await this.client
+            .from(table)
+            .upsert([row], { onConflict: 'id', ignoreDuplicates: true })
+            .select();
+        if (inserted.error || inserted.data?.length > 0) return inserted;
+
+        return this.client.from(table).select('*').eq('id', row.id);
+    }
+
+    // ==================== PERMISSION CHECKS ====================
+
+    /**
+     * Turn a row-level security rejection into a PermissionDeniedError
+     * @param {Object} error - Supabase error
+     * @param {string} action - What was attempted, e.g. "delete this food"
+     */
+    toPermissionError(error, action) {
+        if (!isPermissionDenied(error)) return error;
+        return new PermissionDeniedError(`You don't have permission to ${action}`, error);
+    }
+
+    /**
+     * Updates and deletes filtered out by RLS succeed with zero rows instead of failing.
+     * A row that is still readable (e.g. a global food) was protected, so report it;
+     * a row that is not readable either no longer exists or belongs to another user.
+     * @param {string} table - Table name
+     * @param {string} id - Row ID that matched nothing
+     * @param {string} action - What was attempted
+     */
+    async assertWritable(table, id, action) {
+        const { data, error } = await this.client
+            .from(table)
+            .select('id')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) throw this.toPermissionError(error, action);
+        if (data) throw new PermissionDeniedError(`You don't have permission to ${action}`);
+    }
+
+    /**
+     * Versioned updates match zero rows when the row changed since the edit was made.
+     * Throws a ConflictError carrying the current row if that is what happened.
+     * @param {string} table - Table name
+     * @param {string} id - Value of idColumn that matched nothing
+     * @param {string} expectedUpdatedAt - updated_at of the version the edit was based on
+     * @param {string} idColumn - Column identifying the row
+     */
+    async assertVersion(table, id, expectedUpdatedAt, idColumn = 'id') {
+        const { data, error } = await this.client
+            .from(table)
+            .select('*')
+            .eq(idColumn, id)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (data && data.updated_at !== expectedUpdatedAt) {
+            throw new ConflictError('This was changed on another device', data);
+        }
     }
     // ==================== FOOD DATABASE OPERATIONS ====================
 
+    /**
+     * Get live foods by id, whoever they belong to (row level security still applies)
+     * @param {Array} ids - Food IDs
+     * @returns {Array} The foods found; ids without a live food are left out
+     */
+    async getFoodsByIds(ids) {
+        try {
+            const foods = [];
+            // A few hundred ids would not fit in one request URL
+            for (let i = 0; i < ids.length; i += FOOD_ID_BATCH_SIZE) {
+                const { data, error } = await this.client
+                    .from(TABLES.FOODS)
+                    .select('*')
+                    .in('id', ids.slice(i, i + FOOD_ID_BATCH_SIZE))
+                    .is('deleted_at', null);
+
+                if (error) throw error;
+                foods.push(...(data || []));
+            }
+            return foods;
+        } catch (error) {
+            console.error('Error fetching foods by id:', error);
+            throw error;
+        }
+    }
+
+    // Live global foods and the user's own custom foods
+    visibleFoods(userId) {
+        return this.client
+            .from(TABLES.FOODS)
+            .select('*')
+            .is('deleted_at', null)
+            .or(`user_id.eq.${userId},is_custom.eq.false`);
+    }
+
+    /**
+     * Get the foods with a barcode, without downloading the whole foods table
+     * @param {string} barcode - Barcode as scanned
+     * @param {string} userId - User ID, whose custom foods are included
+     */
+    async getFoodsByBarcode(barcode, userId) {
+        try {
+            const { data, error } = await this.visibleFoods(userId)
+                .eq('barcode', barcode)
+                .order('name');
+
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            console.error('Error fetching foods by barcode:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the foods with a name, ignoring case
+     * @param {string} name - Food name
+     * @param {string} userId - User ID, whose custom foods are included
+     */
+    async getFoodsByName(name, userId) {
+        try {
+            // ilike ignores case; % and _ in the name widen the match, so the exact name is checked here
+            const { data, error } = await this.visibleFoods(userId)
+                .ilike('name', name)
+                .order('name');
+
+            if (error) throw error;
+            return (data || []).filter(food => food.name.toLowerCase() === name.toLowerCase());
+        } catch (error) {
+            console.error('Error fetching foods by name:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the user's recipes, i.e. their foods made from ingredients
+     * @param {string} userId - User ID
+     */
+    async getRecipeFoods(userId) {
+        try {
+            const { data, error } = await this.client
+                .from(TABLES.FOODS)
+                .select('*')
+                .eq('user_id', userId)
+                .not('recipe', 'is', null)
+                .is('deleted_at', null)
+                .order('name');
+
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            console.error('Error fetching recipes:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get all foods from database
      * @param {string} userId - Optional user ID to filter custom foods
@@ -16,9 +279,10 @@ class MacrooDatabase {
      */
     async getAllFoods(userId = null) {
         try {
-            let query = supabase
+            let query = this.client
                 .from(TABLES.FOODS)
                 .select('*')
+                .is('deleted_at', null)
                 .order('name');
 
             if (userId) {
@@ -37,6 +301,33 @@ class MacrooDatabase {
         }
     }
 
+    /**
+     * One page of foods matching a query, best match first (search_foods in 0015_food_search_filters.sql)
+     * Searching happens in the database, so the foods table is never downloaded whole.
+     * Returns global foods and the signed-in user's custom foods; an empty query pages through them by name.
+     * @param {string} query - Search text; typos and brand names are matched too
+     * @param {Object} options - { limit, offset, category, sortBy }; at most 100 foods per page. A category
+     *   keeps only its foods and sortBy (SEARCH_SORTS) reorders every match, not just this page
+     * @returns {Array} Food rows
+     */
+    async searchFoods(query, { limit = 20, offset = 0, category = null, sortBy = SEARCH_SORTS.RELEVANCE } = {}) {
+        try {
+            const { data, error } = await this.client.rpc('search_foods', {
+                query: query || '',
+                result_limit: limit,
+                result_offset: offset,
+                food_category: category || null,
+                sort_by: sortBy,
+            });
+
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            console.error('Error searching foods:', error);
+            throw error;
+        }
+    }
+
     /**
      * Add new food to database
      * @param {Object} foodItem - Food item data
@@ -45,18 +336,21 @@ class MacrooDatabase {
     async addFood(foodItem, userId = null) {
         try {
             // Check if food already exists for this user
-            const { data: existingFood, error: checkError } = await supabase
+            const { data: existingFood, error: checkError } = await this.client
                 .from(TABLES.FOODS)
                 .select('id')
                 .eq('name', foodItem.name)
                 .eq('user_id', userId)
+                .is('deleted_at', null)
                 .maybeSingle();
 
-            if (existingFood) {
+            // The same food sent again is not a duplicate; insertOnce returns it
+            if (existingFood && existingFood.id !== foodItem.id) {
                 throw new Error(`Food "${foodItem.name}" already exists`);
             }
 
             const foodData = {
+                ...(foodItem.id ? { id: foodItem.id } : {}),
                 name: foodItem.name,
                 calories: parseFloat(foodItem.calories) || 0,
                 protein: parseFloat(foodItem.protein) || 0,
@@ -66,23 +360,22 @@ class MacrooDatabase {
                 sugar: parseFloat(foodItem.sugar) || 0,
                 sodium: parseFloat(foodItem.sodium) || 0,
                 serving_size: foodItem.serving_size || '100g',
+                serving_units: foodItem.serving_units || {},
                 category: foodItem.category || 'other',
                 brand: foodItem.brand || null,
                 barcode: foodItem.barcode || null,
+                recipe: foodItem.recipe || null,
                 user_id: userId,
                 is_custom: userId ? true : false,
             };
 
-            const { data, error } = await supabase
-                .from(TABLES.FOODS)
-                .insert([foodData])
-                .select();
+            const { data, error } = await this.insertOnce(TABLES.FOODS, foodData);
 
             if (error) {
                 if (error.code === '23505') { // Unique constraint violation
                     throw new Error(`duplicate key value violates unique constraint: Food "${foodItem.name}" already exists`);
                 }
-                throw error;
+                throw this.toPermissionError(error, 'add this food');
             }
             return data[0];
         } catch (error) {
@@ -95,16 +388,24 @@ class MacrooDatabase {
      * Update existing food
      * @param {string} foodId - Food ID to update
      * @param {Object} updates - Updated food data
+     * @param {Object} options - { expectedUpdatedAt } to only update the version the edit was based on
      */
-    async updateFood(foodId, updates) {
+    async updateFood(foodId, updates, { expectedUpdatedAt = null } = {}) {
         try {
-            const { data, error } = await supabase
+            let query = this.client
                 .from(TABLES.FOODS)
                 .update(updates)
-                .eq('id', foodId)
-                .select();
+                .eq('id', foodId);
+            if (expectedUpdatedAt) query = query.eq('updated_at', expectedUpdatedAt);
 
-            if (error) throw error;
+            const { data, error } = await query.select();
+
+            if (error) throw this.toPermissionError(error, 'update this food');
+            if (data.length === 0) {
+                if (expectedUpdatedAt) await this.assertVersion(TABLES.FOODS, foodId, expectedUpdatedAt);
+                await this.assertWritable(TABLES.FOODS, foodId, 'update this food');
+                throw new Error('Food not found');
+            }
             return data[0];
         } catch (error) {
             console.error('Error updating food:', error);
@@ -113,17 +414,22 @@ class MacrooDatabase {
     }
 
     /**
-     * Delete food from database
+     * Move a food to the trash; restoreFood brings it back and purgeFood removes it for good
      * @param {string} foodId - Food ID to delete
      */
     async deleteFood(foodId) {
         try {
-            const { error } = await supabase
+            const { data, error } = await this.client
                 .from(TABLES.FOODS)
-                .delete()
-                .eq('id', foodId);
+                .update({ deleted_at: new Date().toISOString() })
+                .eq('id', foodId)
+                .select('id');
 
-            if (error) throw error;
+            if (error) throw this.toPermissionError(error, 'delete this food');
+            // Nothing deleted: already gone, unless the row is readable but protected
+            if (data.length === 0) {
+                await this.assertWritable(TABLES.FOODS, foodId, 'delete this food');
+            }
             return true;
         } catch (error) {
             console.error('Error deleting food:', error);
@@ -131,33 +437,55 @@ class MacrooDatabase {
         }
     }
 
+    /**
+     * Take a food out of the trash
+     * @param {string} foodId - Food ID to restore
+     */
+    async restoreFood(foodId) {
+        try {
+            return await this.restoreRow(TABLES.FOODS, foodId, 'restore this food');
+        } catch (error) {
+            if (error.code === UNIQUE_VIOLATION_CODE) {
+                throw new Error('Another food with this name exists. Rename or delete it first.');
+            }
+            console.error('Error restoring food:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently delete a food that is in the trash
+     * @param {string} foodId - Food ID to purge
+     */
+    async purgeFood(foodId) {
+        try {
+            return await this.purgeRow(TABLES.FOODS, foodId, 'delete this food');
+        } catch (error) {
+            if (error.code === FOREIGN_KEY_VIOLATION_CODE) {
+                throw new Error('This food is still used by logged meals, so it can only stay in the trash or be restored.');
+            }
+            console.error('Error purging food:', error);
+            throw error;
+        }
+    }
+
     // ==================== MEAL TRACKING OPERATIONS ====================
 
     /**
-     * Get all meals for user (no date filter)
+     * Get a user's entire meal history, fetched page by page.
+     * Only for exports and migrations; screens should use getMealsBetween or getMealsPage.
      * @param {string} userId - User ID
      */
     async getAllMeals(userId) {
         try {
-            const { data, error } = await supabase
-                .from(TABLES.MEAL_ENTRIES)
-                .select(`
-          *,
-          foods (
-            name,
-            calories,
-            protein,
-            carbs,
-            fat,
-            serving_size
-          )
-        `)
-                .eq('user_id', userId)
-                .order('date', { ascending: false })
-                .order('created_at', { ascending: false });
-
-            if (error) throw error;
-            return data || [];
+            const meals = [];
+            let cursor = null;
+            do {
+                const page = await this.getMealsPage(userId, { cursor });
+                meals.push(...page.meals);
+                cursor = page.nextCursor;
+            } while (cursor);
+            return meals;
         } catch (error) {
             console.error('Error fetching all meals:', error);
             throw error;
@@ -171,22 +499,13 @@ class MacrooDatabase {
      */
     async getMealsForDate(date, userId) {
         try {
-            const { data, error } = await supabase
+            const { data, error } = await this.client
                 .from(TABLES.MEAL_ENTRIES)
-                .select(`
-          *,
-          foods (
-            name,
-            calories,
-            protein,
-            carbs,
-            fat,
-            serving_size
-          )
-        `)
+                .select(MEAL_COLUMNS)
                 .eq('date', date)
                 .eq('user_id', userId)
-                .order('created_at');
+                .is('deleted_at', null)
+                .order('consumed_at');
 
             if (error) throw error;
             return data || [];
@@ -196,6 +515,107 @@ class MacrooDatabase {
         }
     }
 
+    /**
+     * Get meals logged between two dates (inclusive), oldest first
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @param {string} userId - User ID
+     * @param {Object} options - { summary } to fetch only the columns needed for totals
+     */
+    async getMealsBetween(startDate, endDate, userId, { summary = false } = {}) {
+        try {
+            const { data, error } = await this.client
+                .from(TABLES.MEAL_ENTRIES)
+                .select(summary ? MEAL_SUMMARY_COLUMNS : MEAL_COLUMNS)
+                .eq('user_id', userId)
+                .is('deleted_at', null)
+                .gte('date', startDate)
+                .lte('date', endDate)
+                .order('date')
+                .order('consumed_at');
+
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            console.error('Error fetching meals between dates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get one page of meals, newest first. Pass the returned cursor to fetch the next page.
+     * Keyset pagination keeps every page equally fast however long the history is.
+     * @param {string} userId - User ID
+     * @param {Object} options - { cursor, limit, startDate, endDate, summary }
+     * @returns {Object} { meals, nextCursor } - nextCursor is null on the last page
+     */
+    async getMealsPage(userId, { cursor = null, limit = DEFAULT_PAGE_SIZE, startDate = null, endDate = null, summary = false } = {}) {
+        try {
+            let query = this.client
+                .from(TABLES.MEAL_ENTRIES)
+                .select(summary ? MEAL_SUMMARY_COLUMNS : MEAL_COLUMNS)
+                .eq('user_id', userId)
+                .is('deleted_at', null);
+
+            if (startDate) query = query.gte('date', startDate);
+            if (endDate) query = query.lte('date', endDate);
+
+            if (cursor) {
+                const date = quoteFilterValue(cursor.date);
+                const createdAt = quoteFilterValue(cursor.createdAt);
+                const id = quoteFilterValue(cursor.id);
+                query = query.or(
+                    `date.lt.${date},` +
+                    `and(date.eq.${date},created_at.lt.${createdAt}),` +
+                    `and(date.eq.${date},created_at.eq.${createdAt},id.lt.${id})`
+                );
+            }
+
+            // One extra row tells us whether another page exists
+            const { data, error } = await query
+                .order('date', { ascending: false })
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: false })
+                .limit(limit + 1);
+
+            if (error) throw error;
+
+            const rows = data || [];
+            const meals = rows.slice(0, limit);
+            const last = meals[meals.length - 1];
+            const nextCursor = rows.length > limit
+                ? { date: last.date, createdAt: last.created_at, id: last.id }
+                : null;
+
+            return { meals, nextCursor };
+        } catch (error) {
+            console.error('Error fetching meals page:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a single meal entry
+     * @param {string} mealId - Meal entry ID
+     * @returns {Object|null} The meal, or null when it does not exist or is in the trash
+     */
+    async getMealById(mealId) {
+        try {
+            const { data, error } = await this.client
+                .from(TABLES.MEAL_ENTRIES)
+                .select(MEAL_COLUMNS)
+                .eq('id', mealId)
+                .is('deleted_at', null)
+                .maybeSingle();
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error fetching meal entry:', error);
+            throw error;
+        }
+    }
+
     /**
      * Add meal entry
      * @param {Object} mealEntry - Meal entry data
@@ -205,19 +625,20 @@ class MacrooDatabase {
             // Validate meal entry data
             const validMealTypes = ['breakfast', 'lunch', 'dinner', 'snack'];
             const cleanMealEntry = {
+                ...(mealEntry.id ? { id: mealEntry.id } : {}),
                 user_id: mealEntry.user_id,
                 food_id: mealEntry.food_id,
                 meal_type: validMealTypes.includes(mealEntry.meal_type) ? mealEntry.meal_type : 'snack',
                 quantity: parseFloat(mealEntry.quantity) || 1,
+                unit: mealEntry.unit || 'g',
+                unit_amount: parseFloat(mealEntry.unit_amount) || parseFloat(mealEntry.quantity) || 1,
                 serving_size: mealEntry.serving_size || '100g',
                 date: mealEntry.date,
+                consumed_at: mealEntry.consumed_at || new Date().toISOString(),
                 notes: mealEntry.notes || null,
             };
 
-            const { data, error } = await supabase
-                .from(TABLES.MEAL_ENTRIES)
-                .insert([cleanMealEntry])
-                .select();
+            const { data, error } = await this.insertOnce(TABLES.MEAL_ENTRIES, cleanMealEntry);
 
             if (error) {
                 if (error.code === '23503') { // Foreign key violation
@@ -225,7 +646,7 @@ class MacrooDatabase {
                 } else if (error.code === '23514') { // Check constraint violation
                     throw new Error(`Invalid meal_type. Must be one of: ${validMealTypes.join(', ')}`);
                 }
-                throw error;
+                throw this.toPermissionError(error, 'log this meal');
             }
             return data[0];
         } catch (error) {
@@ -238,16 +659,24 @@ class MacrooDatabase {
      * Update meal entry
      * @param {string} mealId - Meal entry ID
      * @param {Object} updates - Updated meal data
+     * @param {Object} options - { expectedUpdatedAt } to only update the version the edit was based on
      */
-    async updateMealEntry(mealId, updates) {
+    async updateMealEntry(mealId, updates, { expectedUpdatedAt = null } = {}) {
         try {
-            const { data, error } = await supabase
+            let query = this.client
                 .from(TABLES.MEAL_ENTRIES)
                 .update(updates)
-                .eq('id', mealId)
-                .select();
+                .eq('id', mealId);
+            if (expectedUpdatedAt) query = query.eq('updated_at', expectedUpdatedAt);
 
-            if (error) throw error;
+            const { data, error } = await query.select();
+
+            if (error) throw this.toPermissionError(error, 'update this meal');
+            if (data.length === 0) {
+                if (expectedUpdatedAt) await this.assertVersion(TABLES.MEAL_ENTRIES, mealId, expectedUpdatedAt);
+                await this.assertWritable(TABLES.MEAL_ENTRIES, mealId, 'update this meal');
+                throw new Error('Meal entry not found');
+            }
             return data[0];
         } catch (error) {
             console.error('Error updating meal entry:', error);
@@ -256,17 +685,22 @@ class MacrooDatabase {
     }
 
     /**
-     * Delete meal entry
+     * Move a meal entry to the trash
      * @param {string} mealId - Meal entry ID to delete
      */
     async deleteMealEntry(mealId) {
         try {
-            const { error } = await supabase
+            const { data, error } = await this.client
                 .from(TABLES.MEAL_ENTRIES)
-                .delete()
-                .eq('id', mealId);
+                .update({ deleted_at: new Date().toISOString() })
+                .eq('id', mealId)
+                .select('id');
 
-            if (error) throw error;
+            if (error) throw this.toPermissionError(error, 'delete this meal');
+            // Nothing deleted: already gone, unless the row is readable but protected
+            if (data.length === 0) {
+                await this.assertWritable(TABLES.MEAL_ENTRIES, mealId, 'delete this meal');
+            }
             return true;
         } catch (error) {
             console.error('Error deleting meal entry:', error);
@@ -274,6 +708,32 @@ class MacrooDatabase {
         }
     }
 
+    /**
+     * Take a meal entry out of the trash
+     * @param {string} mealId - Meal entry ID to restore
+     */
+    async restoreMealEntry(mealId) {
+        try {
+            return await this.restoreRow(TABLES.MEAL_ENTRIES, mealId, 'restore this meal');
+        } catch (error) {
+            console.error('Error restoring meal entry:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently delete a meal entry that is in the trash
+     * @param {string} mealId - Meal entry ID to purge
+     */
+    async purgeMealEntry(mealId) {
+        try {
+            return await this.purgeRow(TABLES.MEAL_ENTRIES, mealId, 'delete this meal');
+        } catch (error) {
+            console.error('Error purging meal entry:', error);
+            throw error;
+        }
+    }
+
     // ==================== WATER TRACKING OPERATIONS ====================
 
     /**
@@ -283,7 +743,7 @@ class MacrooDatabase {
      */
     async getWaterEntriesForDate(date, userId) {
         try {
-            const { data, error } = await supabase
+            const { data, error } = await this.client
                 .from(TABLES.WATER_ENTRIES)
                 .select('*')
                 .eq('date', date)
@@ -298,6 +758,79 @@ class MacrooDatabase {
         }
     }
 
+    /**
+     * Get water entries logged between two dates (inclusive), oldest first, fetched page by page
+     * so the server's row limit never cuts the list short.
+     * @param {string} startDate - Start date (YYYY-MM-DD), or null for no lower bound
+     * @param {string} endDate - End date (YYYY-MM-DD), or null for no upper bound
+     * @param {string} userId - User ID
+     */
+    async getWaterEntriesBetween(startDate, endDate, userId) {
+        try {
+            const entries = [];
+            let cursor = null;
+            do {
+                const page = await this.getWaterEntriesPage(userId, { cursor, startDate, endDate });
+                entries.push(...page.entries);
+                cursor = page.nextCursor;
+            } while (cursor);
+            return entries;
+        } catch (error) {
+            console.error('Error fetching water entries between dates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get one page of water entries, oldest first. Pass the returned cursor to fetch the next page.
+     * @param {string} userId - User ID
+     * @param {Object} options - { cursor, limit, startDate, endDate }
+     * @returns {Object} { entries, nextCursor } - nextCursor is null on the last page
+     */
+    async getWaterEntriesPage(userId, { cursor = null, limit = DEFAULT_PAGE_SIZE, startDate = null, endDate = null } = {}) {
+        try {
+            let query = this.client
+                .from(TABLES.WATER_ENTRIES)
+                .select('*')
+                .eq('user_id', userId);
+
+            if (startDate) query = query.gte('date', startDate);
+            if (endDate) query = query.lte('date', endDate);
+
+            if (cursor) {
+                const date = quoteFilterValue(cursor.date);
+                const time = quoteFilterValue(cursor.time);
+                const id = quoteFilterValue(cursor.id);
+                query = query.or(
+                    `date.gt.${date},` +
+                    `and(date.eq.${date},time.gt.${time}),` +
+                    `and(date.eq.${date},time.eq.${time},id.gt.${id})`
+                );
+            }
+
+            // One extra row tells us whether another page exists
+            const { data, error } = await query
+                .order('date')
+                .order('time')
+                .order('id')
+                .limit(limit + 1);
+
+            if (error) throw error;
+
+            const rows = data || [];
+            const entries = rows.slice(0, limit);
+            const last = entries[entries.length - 1];
+            const nextCursor = rows.length > limit
+                ? { date: last.date, time: last.time, id: last.id }
+                : null;
+
+            return { entries, nextCursor };
+        } catch (error) {
+            console.error('Error fetching water entries page:', error);
+            throw error;
+        }
+    }
+
     /**
      * Add water entry
      * @param {Object} waterEntry - Water entry data
@@ -306,6 +839,7 @@ class MacrooDatabase {
         try {
             // Validate and clean water entry data
             const cleanWaterEntry = {
+                ...(waterEntry.id ? { id: waterEntry.id } : {}),
                 user_id: waterEntry.user_id,
                 amount: parseFloat(waterEntry.amount) || 250,
                 date: waterEntry.date,
@@ -317,16 +851,13 @@ class MacrooDatabase {
                 cleanWaterEntry.amount = 250;
             }
 
-            const { data, error } = await supabase
-                .from(TABLES.WATER_ENTRIES)
-                .insert([cleanWaterEntry])
-                .select();
+            const { data, error } = await this.insertOnce(TABLES.WATER_ENTRIES, cleanWaterEntry);
 
             if (error) {
                 if (error.code === '23503') { // Foreign key violation
                     throw new Error(`Invalid user_id: ${error.message}`);
                 }
-                throw error;
+                throw this.toPermissionError(error, 'log water for this account');
             }
             return data[0];
         } catch (error) {
@@ -343,7 +874,7 @@ class MacrooDatabase {
      */
     async getUserProfile(userId) {
         try {
-            const { data, error } = await supabase
+            const { data, error } = await this.client
                 .from(TABLES.USER_PROFILES)
                 .select('*')
                 .eq('user_id', userId)
@@ -390,8 +921,9 @@ class MacrooDatabase {
      * Create or update user profile
      * @param {string} userId - User ID
      * @param {Object} profileData - Profile data
+     * @param {Object} options - { expectedUpdatedAt } to only update the version the edit was based on
      */
-    async saveUserProfile(userId, profileData) {
+    async saveUserProfile(userId, profileData, { expectedUpdatedAt = null } = {}) {
         try {
             // Map activity levels to database constraints
             const mapActivityLevel = (appLevel) => {
@@ -433,9 +965,25 @@ class MacrooDatabase {
                 daily_fat_target: profileData.daily_fat_target || profileData.dailyFatTarget || null,
                 daily_water_target: profileData.daily_water_target || profileData.dailyWaterTarget ||
                     profileData.dailyWaterGoalMl || 2000,
+                time_zone: profileData.time_zone || profileData.timeZone || null,
             };
 
-            const { data, error } = await supabase
+            if (expectedUpdatedAt) {
+                const { user_id, ...changes } = dbProfileData;
+                const { data, error } = await this.client
+                    .from(TABLES.USER_PROFILES)
+                    .update(changes)
+                    .eq('user_id', userId)
+                    .eq('updated_at', expectedUpdatedAt)
+                    .select();
+
+                if (error) throw this.toPermissionError(error, 'save this profile');
+                if (data.length > 0) return data[0];
+                await this.assertVersion(TABLES.USER_PROFILES, userId, expectedUpdatedAt, 'user_id');
+                // The profile no longer exists, so create it again below
+            }
+
+            const { data, error } = await this.client
                 .from(TABLES.USER_PROFILES)
                 .upsert(dbProfileData, {
                     onConflict: 'user_id',
@@ -443,7 +991,7 @@ class MacrooDatabase {
                 })
                 .select();
 
-            if (error) throw error;
+            if (error) throw this.toPermissionError(error, 'save this profile');
             return data[0];
         } catch (error) {
             console.error('Error saving user profile:', error);
@@ -454,38 +1002,53 @@ class MacrooDatabase {
     // ==================== ANALYTICS OPERATIONS ====================
 
     /**
-     * Get nutrition summary for date range
+     * Get per-day totals for a date range, maintained by database triggers
      * @param {string} startDate - Start date (YYYY-MM-DD)
      * @param {string} endDate - End date (YYYY-MM-DD)
      * @param {string} userId - User ID
+     * @returns {Array} Rows for days with something logged, oldest first
      */
-    async getNutritionSummary(startDate, endDate, userId) {
+    async getDailyTotals(startDate, endDate, userId) {
         try {
-            const { data, error } = await supabase
-                .from(TABLES.MEAL_ENTRIES)
-                .select(`
-          date,
-          meal_type,
-          quantity,
-          foods (
-            calories,
-            protein,
-            carbs,
-            fat
-          )
-        `)
+            const { data, error } = await this.client
+                .from(TABLES.DAILY_TOTALS)
+                .select('date, calories, protein, carbs, fat, fiber, sugar, sodium, water, meal_count')
                 .eq('user_id', userId)
                 .gte('date', startDate)
-                .lte('date', endDate);
+                .lte('date', endDate)
+                .order('date');
 
             if (error) throw error;
             return data || [];
         } catch (error) {
-            console.error('Error fetching nutrition summary:', error);
+            console.error('Error fetching daily totals:', error);
             throw error;
         }
     }
 
+    /**
+     * Get nutrition summary for date range
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @param {string} userId - User ID
+     * @returns {Object} { days, totals, averages, daysLogged } - averages are per logged day
+     */
+    async getNutritionSummary(startDate, endDate, userId) {
+        const days = await this.getDailyTotals(startDate, endDate, userId);
+        const fields = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium', 'water', 'meal_count'];
+
+        const totals = fields.reduce((acc, field) => {
+            acc[field] = days.reduce((sum, day) => sum + (parseFloat(day[field]) || 0), 0);
+            return acc;
+        }, {});
+        const averages = fields.reduce((acc, field) => {
+            acc[field] = days.length > 0 ? totals[field] / days.length : 0;
+            return acc;
+        }, {});
+
+        return { days, totals, averages, daysLogged: days.length };
+    }
+
     // ==================== MEAL TEMPLATE OPERATIONS ====================
 
     /**
@@ -493,24 +1056,21 @@ class MacrooDatabase {
      */
     async saveMealTemplate(template) {
         try {
-            const { data, error } = await supabase
-                .from(TABLES.MEAL_TEMPLATES)
-                .insert([{
-                    user_id: template.user_id,
-                    name: template.name,
-                    meal_type: template.meal_type || 'breakfast',
-                    foods: template.foods || [],
-                    total_calories: template.total_calories || 0,
-                    total_protein: template.total_protein || 0,
-                    total_carbs: template.total_carbs || 0,
-                    total_fat: template.total_fat || 0,
-                    created_at: new Date().toISOString()
-                }])
-                .select()
-                .single();
+            const { data, error } = await this.insertOnce(TABLES.MEAL_TEMPLATES, {
+                ...(template.id ? { id: template.id } : {}),
+                user_id: template.user_id,
+                name: template.name,
+                meal_type: template.meal_type || 'breakfast',
+                foods: template.foods || [],
+                total_calories: template.total_calories || 0,
+                total_protein: template.total_protein || 0,
+                total_carbs: template.total_carbs || 0,
+                total_fat: template.total_fat || 0,
+                created_at: new Date().toISOString()
+            });
 
-            if (error) throw error;
-            return data;
+            if (error) throw this.toPermissionError(error, 'save this template');
+            return data[0];
         } catch (error) {
             console.error('Error saving meal template:', error);
             throw error;
@@ -522,10 +1082,11 @@ class MacrooDatabase {
      */
     async getMealTemplates(userId) {
         try {
-            const { data, error } = await supabase
+            const { data, error } = await this.client
                 .from(TABLES.MEAL_TEMPLATES)
                 .select('*')
                 .eq('user_id', userId)
+                .is('deleted_at', null)
                 .order('created_at', { ascending: false });
 
             if (error) throw error;
@@ -537,22 +1098,382 @@ class MacrooDatabase {
     }
 
     /**
-     * Delete meal template
+     * Update meal template
+     * @param {string} templateId - Template ID
+     * @param {Object} updates - Updated template columns
+     * @param {Object} options - { expectedUpdatedAt } to only update the version the edit was based on
      */
-    async deleteMealTemplate(templateId) {
+    async updateMealTemplate(templateId, updates, { expectedUpdatedAt = null } = {}) {
         try {
-            const { error } = await supabase
+            let query = this.client
                 .from(TABLES.MEAL_TEMPLATES)
-                .delete()
+                .update(updates)
                 .eq('id', templateId);
+            if (expectedUpdatedAt) query = query.eq('updated_at', expectedUpdatedAt);
 
-            if (error) throw error;
+            const { data, error } = await query.select();
+
+            if (error) throw this.toPermissionError(error, 'update this template');
+            if (data.length === 0) {
+                if (expectedUpdatedAt) await this.assertVersion(TABLES.MEAL_TEMPLATES, templateId, expectedUpdatedAt);
+                await this.assertWritable(TABLES.MEAL_TEMPLATES, templateId, 'update this template');
+                throw new Error('Meal template not found');
+            }
+            return data[0];
+        } catch (error) {
+            console.error('Error updating meal template:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a meal template to the trash
+     */
+    async deleteMealTemplate(templateId) {
+        try {
+            const { data, error } = await this.client
+                .from(TABLES.MEAL_TEMPLATES)
+                .update({ deleted_at: new Date().toISOString() })
+                .eq('id', templateId)
+                .select('id');
+
+            if (error) throw this.toPermissionError(error, 'delete this template');
+            // Nothing deleted: already gone, unless the row is readable but protected
+            if (data.length === 0) {
+                await this.assertWritable(TABLES.MEAL_TEMPLATES, templateId, 'delete this template');
+            }
         } catch (error) {
             console.error('Error deleting meal template:', error);
             throw error;
         }
     }
+
+    /**
+     * Take a meal template out of the trash
+     */
+    async restoreMealTemplate(templateId) {
+        try {
+            return await this.restoreRow(TABLES.MEAL_TEMPLATES, templateId, 'restore this template');
+        } catch (error) {
+            console.error('Error restoring meal template:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently delete a meal template that is in the trash
+     */
+    async purgeMealTemplate(templateId) {
+        try {
+            return await this.purgeRow(TABLES.MEAL_TEMPLATES, templateId, 'delete this template');
+        } catch (error) {
+            console.error('Error purging meal template:', error);
+            throw error;
+        }
+    }
+
+    // ==================== TRASH OPERATIONS ====================
+
+    /**
+     * Everything the user has deleted and not purged yet, newest first
+     * @param {string} userId - User ID
+     * @returns {Object} { foods, meals, templates } - raw rows with deleted_at set
+     */
+    async getDeletedItems(userId) {
+        try {
+            const deleted = (table, columns = '*') => this.client
+                .from(table)
+                .select(columns)
+                .eq('user_id', userId)
+                .not('deleted_at', 'is', null)
+                .order('deleted_at', { ascending: false });
+
+            const [foods, meals, templates] = await Promise.all([
+                deleted(TABLES.FOODS),
+                deleted(TABLES.MEAL_ENTRIES, MEAL_COLUMNS),
+                deleted(TABLES.MEAL_TEMPLATES),
+            ]);
+
+            const error = foods.error || meals.error || templates.error;
+            if (error) throw error;
+            return { foods: foods.data || [], meals: meals.data || [], templates: templates.data || [] };
+        } catch (error) {
+            console.error('Error fetching deleted items:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Clear deleted_at on a trashed row
+     * @returns {Object|null} The restored row, or null when it was purged
+     */
+    async restoreRow(table, id, action) {
+        const { data, error } = await this.client
+            .from(table)
+            .update({ deleted_at: null })
+            .eq('id', id)
+            .not('deleted_at', 'is', null)
+            .select();
+
+        if (error) {
+            if (error.code === UNIQUE_VIOLATION_CODE) throw error;
+            throw this.toPermissionError(error, action);
+        }
+        if (data.length > 0) return data[0];
+
+        // Nothing restored: already live or purged, unless it is still in the trash but protected
+        const { data: existing, error: readError } = await this.client
+            .from(table)
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (readError) throw this.toPermissionError(readError, action);
+        if (existing?.deleted_at) throw new PermissionDeniedError(`You don't have permission to ${action}`);
+        return existing;
+    }
+
+    /**
+     * Hard delete a row, but only once it is in the trash
+     */
+    async purgeRow(table, id, action) {
+        const { data, error } = await this.client
+            .from(table)
+            .delete()
+            .eq('id', id)
+            .not('deleted_at', 'is', null)
+            .select('id');
+
+        if (error) {
+            if (error.code === FOREIGN_KEY_VIOLATION_CODE) throw error;
+            throw this.toPermissionError(error, action);
+        }
+        return data.length > 0;
+    }
+
+    // ==================== CHANGE HISTORY ====================
+
+    /**
+     * Recorded versions of a row, newest first. The change_log triggers write them.
+     * @param {string} table - TABLES.MEAL_ENTRIES, TABLES.FOODS or TABLES.USER_PROFILES
+     * @param {string} userId - User ID
+     * @param {string|null} recordId - Row ID; null for every row of the table, e.g. the one profile
+     * @param {number} limit - Most versions to return
+     */
+    async getChangeHistory(table, userId, recordId = null, limit = 50) {
+        try {
+            let query = this.client
+                .from(TABLES.CHANGE_LOG)
+                .select('*')
+                .eq('user_id', userId)
+                .eq('table_name', table)
+                .order('changed_at', { ascending: false })
+                .limit(limit);
+
+            if (recordId) query = query.eq('record_id', recordId);
+
+            const { data, error } = await query;
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            console.error('Error fetching change history:', error);
+            throw error;
+        }
+    }
+
+    // ==================== ACHIEVEMENT OPERATIONS ====================
+
+    /**
+     * Get achievements for user
+     * @param {string} userId - User ID
+     */
+    async getAchievements(userId) {
+        try {
+            const { data, error } = await this.client
+                .from(TABLES.ACHIEVEMENTS)
+                .select('*')
+                .eq('user_id', userId);
+
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            console.error('Error fetching achievements:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add achievement
+     * @param {Object} achievement - Achievement row (achievement_type, title, metadata, ...)
+     */
+    async addAchievement(achievement) {
+        try {
+            const { data, error } = await this.client
+                .from(TABLES.ACHIEVEMENTS)
+                .insert([achievement])
+                .select()
+                .single();
+
+            if (error) throw this.toPermissionError(error, 'save this achievement');
+            return data;
+        } catch (error) {
+            console.error('Error adding achievement:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update achievement
+     * @param {string} achievementId - Achievement ID
+     * @param {Object} updates - Updated achievement columns
+     */
+    async updateAchievement(achievementId, updates) {
+        try {
+            const { data, error } = await this.client
+                .from(TABLES.ACHIEVEMENTS)
+                .update(updates)
+                .eq('id', achievementId)
+                .select();
+
+            if (error) throw this.toPermissionError(error, 'update this achievement');
+            if (data.length === 0) {
+                await this.assertWritable(TABLES.ACHIEVEMENTS, achievementId, 'update this achievement');
+                throw new Error('Achievement not found');
+            }
+            return data[0];
+        } catch (error) {
+            console.error('Error updating achievement:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create or update achievements, matched on achievement_type
+     * @param {Array} achievements - Achievement rows, each with user_id and achievement_type
+     */
+    async saveAchievements(achievements) {
+        if (achievements.length === 0) return [];
+        try {
+            const { data, error } = await this.client
+                .from(TABLES.ACHIEVEMENTS)
+                .upsert(achievements, {
+                    onConflict: 'user_id,achievement_type',
+                    ignoreDuplicates: false
+                })
+                .select();
+
+            if (error) throw this.toPermissionError(error, 'save these achievements');
+            return data;
+        } catch (error) {
+            console.error('Error saving achievements:', error);
+            throw error;
+        }
+    }
+
+    // ==================== WEEKLY CHALLENGE OPERATIONS ====================
+
+    /**
+     * Get weekly challenges for user, newest week first
+     * @param {string} userId - User ID
+     */
+    async getWeeklyChallenges(userId) {
+        try {
+            const { data, error } = await this.client
+                .from(TABLES.WEEKLY_CHALLENGES)
+                .select('*')
+                .eq('user_id', userId)
+                .order('start_date', { ascending: false });
+
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            console.error('Error fetching weekly challenges:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add weekly challenge
+     * @param {Object} challenge - Challenge row (challenge_type, title, start_date, end_date, ...)
+     */
+    async addWeeklyChallenge(challenge) {
+        try {
+            const { data, error } = await this.client
+                .from(TABLES.WEEKLY_CHALLENGES)
+                .insert([challenge])
+                .select()
+                .single();
+
+            if (error) throw this.toPermissionError(error, 'save this challenge');
+            return data;
+        } catch (error) {
+            console.error('Error adding weekly challenge:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update weekly challenge
+     * @param {string} challengeId - Challenge ID
+     * @param {Object} updates - Updated challenge columns
+     */
+    async updateWeeklyChallenge(challengeId, updates) {
+        try {
+            const { data, error } = await this.client
+                .from(TABLES.WEEKLY_CHALLENGES)
+                .update(updates)
+                .eq('id', challengeId)
+                .select();
+
+            if (error) throw this.toPermissionError(error, 'update this challenge');
+            if (data.length === 0) {
+                await this.assertWritable(TABLES.WEEKLY_CHALLENGES, challengeId, 'update this challenge');
+                throw new Error('Weekly challenge not found');
+            }
+            return data[0];
+        } catch (error) {
+            console.error('Error updating weekly challenge:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create or update weekly challenges, matched on challenge_type and start_date
+     * @param {Array} challenges - Challenge rows, each with user_id, challenge_type and start_date
+     */
+    async saveWeeklyChallenges(challenges) {
+        if (challenges.length === 0) return [];
+        try {
+            const { data, error } = await this.client
+                .from(TABLES.WEEKLY_CHALLENGES)
+                .upsert(challenges, {
+                    onConflict: 'user_id,challenge_type,start_date',
+                    ignoreDuplicates: false
+                })
+                .select();
+
+            if (error) throw this.toPermissionError(error, 'save these challenges');
+            return data;
+        } catch (error) {
+            console.error('Error saving weekly challenges:', error);
+            throw error;
+        }
+    }
 }
 
+// Where the data lives, picked by DATABASE_BACKEND in config/supabase.jsx
+const createClient = () => {
+    switch (DATABASE_BACKEND) {
+        case DATABASE_BACKENDS.MEMORY:
+            console.log('🧪 Using the in-memory database');
+            return new MemoryClient();
+        case DATABASE_BACKENDS.FILE:
+            console.log('🧪 Using the in-memory database, saved on this device');
+            return new MemoryClient({ storageKey: MEMORY_DATABASE_KEY });
+        default:
+            return supabase;
+    }
+};
+
 // Export singleton instance
-export default new MacrooDatabase();
\ No newline at end of file
+export default new MacrooDatabase(createClient());
\ No newline at end of file
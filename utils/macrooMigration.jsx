@@ -1,47 +1,235 @@
 // Macroo Diet Tracker - Migration from AsyncStorage to Supabase
+// Progress is recorded per entity and item, and every item is matched against what the
+// account already holds, so the migration can be stopped, resumed and re-run without duplicates.
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { isDateString, toLocalDate } from './dateUtils';
+import essentialStorage from './essentialStorage';
 import macrooDatabase from './macrooDatabase';
+import {
+    normalizeAchievement,
+    normalizeChallenge,
+    normalizeFood,
+    normalizeMeal,
+    normalizeProfile,
+    normalizeTemplate,
+    normalizeWaterEntry,
+} from './repository/entities';
+import { mealShards, waterShards } from './storage';
 
 const STORAGE_KEYS = {
     FOOD_DB_KEY: 'food_database',
-    MEAL_DB_KEY: 'meal_entries',
-    WATER_DB_KEY: 'water_entries',
     PROFILE_KEY: 'user_profile',
+    CUSTOM_TARGETS_KEY: 'custom_macro_targets',
     MEAL_TEMPLATES_KEY: 'meal_templates',
     ACHIEVEMENTS_KEY: 'achievements',
     CHALLENGES_KEY: 'weekly_challenges',
 };
 
+// Entity -> method, in run order. Foods come first because meals reference them.
+const MIGRATORS = {
+    foods: 'migrateFoods',
+    meals: 'migrateMeals',
+    water: 'migrateWaterEntries',
+    profile: 'migrateUserProfile',
+    templates: 'migrateMealTemplates',
+    achievements: 'migrateAchievements',
+    challenges: 'migrateWeeklyChallenges',
+};
+
+export const MIGRATION_ACTIONS = {
+    CREATE: 'create',
+    MERGE: 'merge',
+    SKIP: 'skip',
+    FAILED: 'failed',
+};
+
+const PROFILE_FIELDS = [
+    'name', 'age', 'gender', 'height', 'weight', 'activityLevel', 'goal',
+    'dailyCaloriesTarget', 'dailyProteinTarget', 'dailyCarbsTarget', 'dailyFatTarget', 'dailyWaterTarget', 'timeZone',
+];
+
+const toDate = (value) => {
+    if (!value) return null;
+    return isDateString(value) ? value : toLocalDate(value);
+};
+
+// Entries without a valid time get a fixed one so re-runs still recognise them
+const toTime = (value) => {
+    if (typeof value !== 'string' || !/^\d{2}:\d{2}(:\d{2})?$/.test(value)) return '12:00:00';
+    return value.length === 5 ? `${value}:00` : value;
+};
+
+const mealFingerprint = (date, foodId, mealType, quantity) => `${date}|${foodId}|${mealType}|${Number(quantity)}`;
+const waterFingerprint = (date, time, amount) => `${date}|${toTime(time)}|${Math.round(Number(amount))}`;
+
+// Remote ids grouped by fingerprint; each local item claims at most one of them
+const groupByFingerprint = (rows, fingerprint) => {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = fingerprint(row);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row.id);
+    });
+    return groups;
+};
+
+const claimId = (groups, key) => groups.get(key)?.shift() || null;
+
+const releaseId = (groups, id) => {
+    for (const ids of groups.values()) {
+        const index = ids.indexOf(id);
+        if (index !== -1) {
+            ids.splice(index, 1);
+            return;
+        }
+    }
+};
+
+const dateRange = (items) => {
+    const dates = items.map(item => item.date).filter(Boolean).sort();
+    return dates.length > 0 ? [dates[0], dates[dates.length - 1]] : null;
+};
+
+const createEntityReport = () => ({
+    create: 0,
+    merge: 0,
+    skip: 0,
+    failed: 0,
+    items: [],
+});
+
 class MacrooMigration {
     /**
-     * Migrate all data from AsyncStorage to Supabase
+     * Migrate all data from AsyncStorage to Supabase.
+     * Safe to run again: items migrated earlier or already present in the account are skipped.
      * @param {string} userId - User ID for Supabase records
+     * @param {Object} options - { dryRun } to only report what would happen
+     * @returns {Object} Report: { dryRun, success, entities: { foods: { create, merge, skip, failed, items } ... } }
      */
-    async migrateAllData(userId) {
-        console.log('🚀 Starting Macroo data migration to Supabase...');
+    async migrateAllData(userId, { dryRun = false } = {}) {
+        console.log(dryRun
+            ? '🔎 Dry run: checking what would be migrated to Supabase...'
+            : '🚀 Starting Macroo data migration to Supabase...');
 
-        try {
+        const progress = await this.loadProgress(userId);
+        const report = { dryRun, success: true, entities: {} };
+        const context = { userId, dryRun, progress, foodIds: new Map() };
+
+        if (!dryRun) {
             // Ensure user exists in users table first
             await this.ensureUserExists(userId);
+            progress.completedAt = null;
+        }
 
-            // Migrate foods first (needed for meal entries)
-            await this.migrateFoods(userId);
+        for (const [entity, migrator] of Object.entries(MIGRATORS)) {
+            const result = createEntityReport();
+            report.entities[entity] = result;
+
+            const entityProgress = progress.entities[entity] || { status: 'pending', migrated: {}, failed: {} };
+            progress.entities[entity] = entityProgress;
+            context.entity = entity;
+            context.entityProgress = entityProgress;
+            context.result = result;
+
+            try {
+                await this[migrator](context);
+            } catch (error) {
+                // The remote lookup failed, so nothing could be compared: retry the whole entity next run
+                console.error(`❌ Failed to migrate ${entity}:`, error);
+                result.error = error.message;
+                result.failed += 1;
+            }
 
-            // Then migrate meals (depends on foods)
-            await this.migrateMeals(userId);
+            if (result.failed > 0) report.success = false;
+            if (!dryRun) {
+                entityProgress.status = result.failed > 0 ? 'partial' : 'done';
+                entityProgress.updatedAt = new Date().toISOString();
+                await essentialStorage.saveMigrationProgress(progress);
+            }
+        }
 
-            // Migrate water entries
-            await this.migrateWaterEntries(userId);
+        if (!dryRun && report.success) {
+            progress.completedAt = new Date().toISOString();
+            await essentialStorage.saveMigrationProgress(progress);
+        }
 
-            // Migrate user profile
-            await this.migrateUserProfile(userId);
+        console.log(report.success
+            ? `✅ Migration ${dryRun ? 'dry run ' : ''}completed successfully!`
+            : `⚠️ Migration ${dryRun ? 'dry run ' : ''}finished with failures`, this.summarize(report));
+        return report;
+    }
 
-            console.log('✅ Migration completed successfully!');
-            return true;
-        } catch (error) {
-            console.error('❌ Migration failed:', error);
-            throw error;
+    /**
+     * Report what a migration would do without writing anything
+     * @param {string} userId - User ID for Supabase records
+     */
+    async dryRun(userId) {
+        return this.migrateAllData(userId, { dryRun: true });
+    }
+
+    /**
+     * Per-entity counts, e.g. { foods: { create: 2, merge: 0, skip: 5, failed: 0 } }
+     */
+    summarize(report) {
+        return Object.fromEntries(Object.entries(report.entities).map(([entity, { create, merge, skip, failed }]) =>
+            [entity, { create, merge, skip, failed }]
+        ));
+    }
+
+    /**
+     * Number of items that could not be migrated
+     */
+    countFailures(report) {
+        return Object.values(report?.entities || {}).reduce((sum, entity) => sum + entity.failed, 0);
+    }
+
+    /**
+     * Progress is kept per account; migrating into a different account starts over
+     */
+    async loadProgress(userId) {
+        const saved = await essentialStorage.getMigrationProgress();
+        if (saved?.userId === userId) {
+            return { ...saved, entities: saved.entities || {} };
+        }
+        return { userId, startedAt: new Date().toISOString(), completedAt: null, entities: {} };
+    }
+
+    /**
+     * Record one item's outcome; outside a dry run, perform the write first and remember the remote id
+     * @param {Object} context - Migration context
+     * @param {Object} item - { key, label, action, reason, write } - write() returns the remote id
+     */
+    async applyItem(context, { key, label, action, reason = null, write = null }) {
+        const { dryRun, entityProgress, result } = context;
+        let outcome = { key, label, action, reason };
+
+        if (!dryRun && write) {
+            try {
+                const remoteId = await write();
+                entityProgress.migrated[key] = remoteId || true;
+                delete entityProgress.failed[key];
+                await essentialStorage.saveMigrationProgress(context.progress);
+            } catch (error) {
+                console.error(`❌ Failed to migrate ${context.entity} item: ${label}`, error.message);
+                entityProgress.failed[key] = error.message;
+                outcome = { key, label, action: MIGRATION_ACTIONS.FAILED, reason: error.message };
+            }
         }
+
+        result[outcome.action] += 1;
+        result.items.push(outcome);
+        return outcome.action !== MIGRATION_ACTIONS.FAILED;
+    }
+
+    skipMigrated(context, key, label) {
+        return this.applyItem(context, { key, label, action: MIGRATION_ACTIONS.SKIP, reason: 'Already migrated' });
+    }
+
+    async readLocal(key, fallback = []) {
+        const data = await AsyncStorage.getItem(key);
+        const value = data ? JSON.parse(data) : fallback;
+        // Items in the device's trash are not uploaded
+        return Array.isArray(value) ? value.filter(item => !item?.deletedAt) : value;
     }
 
     /**
@@ -49,271 +237,528 @@ class MacrooMigration {
      * @param {string} userId - User ID
      */
     async ensureUserExists(userId) {
-        try {
-            const { data: existingUser } = await macrooDatabase.supabase
-                .from('users')
-                .select('id')
-                .eq('id', userId)
-                .single();
-
-            if (!existingUser) {
-                console.log('Creating user record...');
-                const { error } = await macrooDatabase.supabase
-                    .from('users')
-                    .insert([{
-                        id: userId,
-                        name: 'Migration User',
-                        email: null
-                    }]);
-
-                if (error && !error.message.includes('duplicate')) {
-                    throw error;
-                }
+        const { data: existingUser, error: checkError } = await macrooDatabase.supabase
+            .from('users')
+            .select('id')
+            .eq('id', userId)
+            .maybeSingle();
+
+        if (checkError) throw checkError;
+        if (existingUser) return;
+
+        console.log('Creating user record...');
+        const { error } = await macrooDatabase.supabase
+            .from('users')
+            .insert([{ id: userId, name: 'Migration User', email: null }]);
+
+        if (error && error.code !== '23505') throw error; // 23505 = created concurrently
+    }
+
+    /**
+     * Migrate food database. Foods match existing ones by name (case-insensitive).
+     */
+    async migrateFoods(context) {
+        console.log('📦 Migrating food database...');
+        const { userId, entityProgress, foodIds } = context;
+
+        const foods = (await this.readLocal(STORAGE_KEYS.FOOD_DB_KEY)).map(normalizeFood);
+        const remoteFoods = await macrooDatabase.getAllFoods(userId);
+        const remoteByName = new Map(remoteFoods.map(food => [food.name.toLowerCase(), food]));
+        console.log(`Found ${foods.length} foods to migrate`);
+
+        for (const food of foods) {
+            const key = String(food.id);
+            const nameKey = food.name.toLowerCase();
+            const existing = remoteByName.get(nameKey);
+
+            if (entityProgress.migrated[key]) {
+                foodIds.set(nameKey, existing?.id || entityProgress.migrated[key]);
+                await this.skipMigrated(context, key, food.name);
+                continue;
             }
-        } catch (error) {
-            if (!error.message.includes('Row not found') && !error.message.includes('duplicate')) {
-                throw error;
+
+            if (existing) {
+                foodIds.set(nameKey, existing.id);
+                await this.applyItem(context, {
+                    key,
+                    label: food.name,
+                    action: MIGRATION_ACTIONS.SKIP,
+                    reason: existing.is_custom ? 'Already in your foods' : 'Matches a built-in food',
+                    write: async () => existing.id,
+                });
+                continue;
             }
+
+            // Planned foods have no id yet in a dry run
+            foodIds.set(nameKey, null);
+            await this.applyItem(context, {
+                key,
+                label: food.name,
+                action: MIGRATION_ACTIONS.CREATE,
+                write: async () => {
+                    const created = await this.createFood(food, userId);
+                    foodIds.set(nameKey, created.id);
+                    return created.id;
+                },
+            });
         }
     }
 
+    async createFood(food, userId) {
+        return macrooDatabase.addFood({
+            name: food.name,
+            calories: food.calories,
+            protein: food.protein,
+            carbs: food.carbs,
+            fat: food.fat,
+            fiber: food.fiber,
+            sugar: food.sugar,
+            sodium: food.sodium,
+            serving_size: food.servingSize,
+            serving_units: food.servingUnits,
+            category: food.category,
+            brand: food.brand,
+            barcode: food.barcode,
+        }, userId);
+    }
+
     /**
-     * Migrate food database
+     * Migrate meal entries. Meals match existing ones on date, food, meal type and quantity.
+     * A meal whose food is not in the account recreates the food from the meal's own nutrients.
      */
-    async migrateFoods(userId) {
-        try {
-            console.log('📦 Migrating food database...');
+    async migrateMeals(context) {
+        console.log('🍽️ Migrating meal entries...');
+        const { userId, entityProgress, foodIds } = context;
+
+        const rawMeals = (await mealShards.getAll()).filter(meal => !meal.deletedAt);
+        const meals = rawMeals.map(meal => normalizeMeal(meal)).map(meal => ({ ...meal, date: toDate(meal.date) }));
+        console.log(`Found ${meals.length} meal entries to migrate`);
+
+        const range = dateRange(meals);
+        const remoteMeals = range ? await macrooDatabase.getMealsBetween(range[0], range[1], userId) : [];
+        const remoteIds = groupByFingerprint(remoteMeals, row => mealFingerprint(row.date, row.food_id, row.meal_type, row.quantity));
+
+        // Meals migrated earlier already own their remote row
+        meals.forEach((meal, index) => {
+            const migratedId = entityProgress.migrated[String(meal.id ?? `meal_${index}`)];
+            if (migratedId) releaseId(remoteIds, migratedId);
+        });
+
+        for (const [index, meal] of meals.entries()) {
+            const key = String(meal.id ?? `meal_${index}`);
+            const label = `${meal.foodName} (${meal.date || 'no date'})`;
+
+            if (entityProgress.migrated[key]) {
+                await this.skipMigrated(context, key, label);
+                continue;
+            }
 
-            const foodsData = await AsyncStorage.getItem(STORAGE_KEYS.FOOD_DB_KEY);
-            if (!foodsData) {
-                console.log('No food data found in AsyncStorage');
-                return;
+            if (!meal.date) {
+                await this.applyItem(context, { key, label, action: MIGRATION_ACTIONS.FAILED, reason: 'Meal has no date' });
+                continue;
             }
 
-            const foods = JSON.parse(foodsData);
-            console.log(`Found ${foods.length} foods to migrate`);
-
-            for (const food of foods) {
-                try {
-                    // Validate and clean food data
-                    const cleanFood = {
-                        name: food.name || 'Unknown Food',
-                        calories: parseInt(food.calories) || 0,
-                        protein: parseFloat(food.protein) || 0,
-                        carbs: parseFloat(food.carbs) || 0,
-                        fat: parseFloat(food.fat) || 0,
-                        fiber: parseFloat(food.fiber) || 0,
-                        sugar: parseFloat(food.sugar) || 0,
-                        sodium: parseFloat(food.sodium) || 0,
-                        serving_size: food.serving_size || '100g',
-                        category: food.category || 'other',
-                        brand: food.brand || null,
-                        barcode: food.barcode || null,
-                    };
-
-                    await macrooDatabase.addFood(cleanFood, userId);
-                    console.log(`✓ Migrated food: ${cleanFood.name}`);
-                } catch (error) {
-                    if (error.message?.includes('duplicate') || error.message?.includes('unique')) {
-                        console.log(`⚠️ Food already exists: ${food.name}`);
-                    } else {
-                        console.error(`❌ Failed to migrate food: ${food.name}`, error.message);
-                    }
-                }
+            const nameKey = meal.foodName.toLowerCase();
+            const foodId = foodIds.get(nameKey);
+            const matchedId = foodId ? claimId(remoteIds, mealFingerprint(meal.date, foodId, meal.mealType, meal.quantity)) : null;
+
+            if (matchedId) {
+                await this.applyItem(context, {
+                    key,
+                    label,
+                    action: MIGRATION_ACTIONS.SKIP,
+                    reason: 'Already logged in your account',
+                    write: async () => matchedId,
+                });
+                continue;
             }
 
-            console.log('✅ Food database migration completed');
-        } catch (error) {
-            console.error('Error migrating foods:', error);
-            throw error;
+            const needsFood = !foodIds.has(nameKey);
+            if (needsFood) foodIds.set(nameKey, null);
+
+            await this.applyItem(context, {
+                key,
+                label,
+                action: MIGRATION_ACTIONS.CREATE,
+                reason: needsFood ? `Also creates the food "${meal.foodName}"` : null,
+                write: async () => {
+                    let mealFoodId = foodIds.get(nameKey);
+                    if (!mealFoodId) {
+                        mealFoodId = (await this.createFood(this.foodFromMeal(meal), userId)).id;
+                        foodIds.set(nameKey, mealFoodId);
+                    }
+
+                    const created = await macrooDatabase.addMealEntry({
+                        user_id: userId,
+                        food_id: mealFoodId,
+                        meal_type: meal.mealType,
+                        quantity: meal.quantity,
+                        unit: meal.unit,
+                        unit_amount: meal.unitAmount,
+                        serving_size: meal.servingSize,
+                        date: meal.date,
+                        consumed_at: meal.consumedAt,
+                        notes: meal.notes,
+                    });
+                    return created.id;
+                },
+            });
         }
     }
 
     /**
-     * Migrate meal entries
+     * Per-100g food rebuilt from a meal's scaled nutrients
      */
-    async migrateMeals(userId) {
-        try {
-            console.log('🍽️ Migrating meal entries...');
+    foodFromMeal(meal) {
+        const factor = meal.quantity > 0 ? 100 / meal.quantity : 1;
+        return normalizeFood({
+            name: meal.foodName,
+            calories: Math.round(meal.calories * factor),
+            protein: meal.protein * factor,
+            carbs: meal.carbs * factor,
+            fat: meal.fat * factor,
+        });
+    }
+
+    /**
+     * Migrate water entries. Entries match existing ones on date, time and amount.
+     */
+    async migrateWaterEntries(context) {
+        console.log('💧 Migrating water entries...');
+        const { userId, entityProgress } = context;
+
+        const rawEntries = await waterShards.getAll();
+        const entries = rawEntries.map(normalizeWaterEntry).map(entry => ({
+            ...entry,
+            date: toDate(entry.date),
+            time: toTime(entry.time),
+            amount: Math.round(entry.amount),
+        }));
+        console.log(`Found ${entries.length} water entries to migrate`);
+
+        const range = dateRange(entries);
+        const remoteEntries = range ? await macrooDatabase.getWaterEntriesBetween(range[0], range[1], userId) : [];
+        const remoteIds = groupByFingerprint(remoteEntries, row => waterFingerprint(row.date, row.time, row.amount));
+
+        entries.forEach((entry, index) => {
+            const migratedId = entityProgress.migrated[String(entry.id ?? `water_${index}`)];
+            if (migratedId) releaseId(remoteIds, migratedId);
+        });
+
+        for (const [index, entry] of entries.entries()) {
+            const key = String(entry.id ?? `water_${index}`);
+            const label = `${entry.amount}ml (${entry.date || 'no date'} ${entry.time})`;
+
+            if (entityProgress.migrated[key]) {
+                await this.skipMigrated(context, key, label);
+                continue;
+            }
+
+            if (!entry.date) {
+                await this.applyItem(context, { key, label, action: MIGRATION_ACTIONS.FAILED, reason: 'Water entry has no date' });
+                continue;
+            }
 
-            const mealsData = await AsyncStorage.getItem(STORAGE_KEYS.MEAL_DB_KEY);
-            if (!mealsData) {
-                console.log('No meal data found in AsyncStorage');
-                return;
+            if (entry.amount <= 0) {
+                await this.applyItem(context, { key, label, action: MIGRATION_ACTIONS.SKIP, reason: 'Empty amount' });
+                continue;
             }
 
-            const meals = JSON.parse(mealsData);
-            console.log(`Found ${meals.length} meal entries to migrate`);
+            const matchedId = claimId(remoteIds, waterFingerprint(entry.date, entry.time, entry.amount));
+            if (matchedId) {
+                await this.applyItem(context, {
+                    key,
+                    label,
+                    action: MIGRATION_ACTIONS.SKIP,
+                    reason: 'Already logged in your account',
+                    write: async () => matchedId,
+                });
+                continue;
+            }
 
-            // Get all foods from Supabase to map meal entries
-            const supabaseFoods = await macrooDatabase.getAllFoods(userId);
-            const foodMap = {};
-            supabaseFoods.forEach(food => {
-                foodMap[food.name.toLowerCase()] = food.id;
+            await this.applyItem(context, {
+                key,
+                label,
+                action: MIGRATION_ACTIONS.CREATE,
+                write: async () => {
+                    const created = await macrooDatabase.addWaterEntry({
+                        user_id: userId,
+                        amount: entry.amount,
+                        date: entry.date,
+                        time: entry.time,
+                    });
+                    return created.id;
+                },
             });
+        }
+    }
 
-            for (const meal of meals) {
-                try {
-                    console.log('Processing meal entry:', meal);
-                    const foodName = meal.foodName || meal.food_name || meal.name || meal.food || meal.item;
-                    if (!foodName) {
-                        console.log(`⚠️ Meal entry missing food name, skipping:`, meal);
-                        continue;
-                    }
+    /**
+     * Migrate user profile and custom macro targets.
+     * Values already in the account win; local values only fill the gaps.
+     */
+    async migrateUserProfile(context) {
+        console.log('👤 Migrating user profile...');
+        const { userId } = context;
+
+        const localProfile = normalizeProfile(await this.readLocal(STORAGE_KEYS.PROFILE_KEY, null));
+        const customTargets = await this.readLocal(STORAGE_KEYS.CUSTOM_TARGETS_KEY, null);
+        if (!localProfile && !customTargets) {
+            console.log('No profile data found in AsyncStorage');
+            return;
+        }
 
-                    const foodId = foodMap[foodName.toLowerCase()];
-                    if (!foodId) {
-                        console.log(`⚠️ Food not found for meal: ${foodName}`);
-                        continue;
-                    }
+        // Custom targets override the calculated ones on the device
+        const local = {
+            ...(localProfile || {}),
+            dailyCaloriesTarget: customTargets?.calories || localProfile?.dailyCaloriesTarget || null,
+            dailyProteinTarget: customTargets?.protein || localProfile?.dailyProteinTarget || null,
+            dailyCarbsTarget: customTargets?.carbs || localProfile?.dailyCarbsTarget || null,
+            dailyFatTarget: customTargets?.fat || localProfile?.dailyFatTarget || null,
+        };
+
+        const remote = normalizeProfile(await macrooDatabase.getUserProfile(userId));
+        const label = local.name || 'Profile';
+
+        if (!remote) {
+            await this.applyItem(context, {
+                key: 'profile',
+                label,
+                action: MIGRATION_ACTIONS.CREATE,
+                write: async () => (await macrooDatabase.saveUserProfile(userId, local)).id,
+            });
+            return;
+        }
 
-                    // Validate meal type against database constraints
-                    const validMealTypes = ['breakfast', 'lunch', 'dinner', 'snack'];
-                    let mealType = meal.mealType || meal.meal_type || 'snack';
-                    if (!validMealTypes.includes(mealType)) {
-                        mealType = 'snack';
-                    }
+        const missing = PROFILE_FIELDS.filter(field => remote[field] == null && local[field] != null);
+        if (missing.length === 0) {
+            await this.applyItem(context, { key: 'profile', label, action: MIGRATION_ACTIONS.SKIP, reason: 'Already up to date' });
+            return;
+        }
 
-                    // Ensure date is in proper format
-                    let mealDate = meal.date;
-                    if (mealDate && typeof mealDate === 'string') {
-                        // Convert various date formats to YYYY-MM-DD
-                        const dateObj = new Date(mealDate);
-                        if (!isNaN(dateObj.getTime())) {
-                            mealDate = dateObj.toISOString().split('T')[0];
-                        } else {
-                            mealDate = new Date().toISOString().split('T')[0];
-                        }
-                    } else {
-                        mealDate = new Date().toISOString().split('T')[0];
-                    }
+        const merged = { ...remote };
+        missing.forEach(field => {
+            merged[field] = local[field];
+        });
+        await this.applyItem(context, {
+            key: 'profile',
+            label,
+            action: MIGRATION_ACTIONS.MERGE,
+            reason: `Fills in ${missing.join(', ')}`,
+            write: async () => (await macrooDatabase.saveUserProfile(userId, merged)).id,
+        });
+    }
 
-                    const mealEntry = {
-                        user_id: userId,
-                        food_id: foodId,
-                        meal_type: mealType,
-                        quantity: parseFloat(meal.quantity) || 1,
-                        serving_size: meal.servingSize || meal.serving_size || '100g',
-                        date: mealDate,
-                        notes: meal.notes || null,
-                    };
-
-                    await macrooDatabase.addMealEntry(mealEntry);
-                    console.log(`✓ Migrated meal: ${foodName} (${mealDate})`);
-                } catch (error) {
-                    console.error(`❌ Failed to migrate meal: ${meal.foodName || 'unknown'}`, error.message);
-                }
+    /**
+     * Migrate meal templates. Templates match existing ones on name and meal type.
+     */
+    async migrateMealTemplates(context) {
+        console.log('📋 Migrating meal templates...');
+        const { userId, entityProgress } = context;
+
+        const templates = (await this.readLocal(STORAGE_KEYS.MEAL_TEMPLATES_KEY)).map(normalizeTemplate);
+        if (templates.length === 0) return;
+
+        const remoteTemplates = await macrooDatabase.getMealTemplates(userId);
+        const templateKey = (name, mealType) => `${(name || '').toLowerCase()}|${mealType}`;
+        const remoteByKey = new Map(remoteTemplates.map(template => [templateKey(template.name, template.meal_type), template]));
+
+        for (const [index, template] of templates.entries()) {
+            const key = String(template.id ?? `template_${index}`);
+
+            if (entityProgress.migrated[key]) {
+                await this.skipMigrated(context, key, template.name);
+                continue;
             }
 
-            console.log('✅ Meal entries migration completed');
-        } catch (error) {
-            console.error('Error migrating meals:', error);
-            throw error;
+            const existing = remoteByKey.get(templateKey(template.name, template.mealType));
+            if (existing) {
+                await this.applyItem(context, {
+                    key,
+                    label: template.name,
+                    action: MIGRATION_ACTIONS.SKIP,
+                    reason: 'Already in your templates',
+                    write: async () => existing.id,
+                });
+                continue;
+            }
+
+            await this.applyItem(context, {
+                key,
+                label: template.name,
+                action: MIGRATION_ACTIONS.CREATE,
+                write: async () => {
+                    const created = await macrooDatabase.saveMealTemplate({
+                        user_id: userId,
+                        name: template.name,
+                        meal_type: template.mealType,
+                        foods: template.foods,
+                        total_calories: Math.round(template.totalCalories),
+                        total_protein: template.totalProtein,
+                        total_carbs: template.totalCarbs,
+                        total_fat: template.totalFat,
+                    });
+                    return created.id;
+                },
+            });
         }
     }
 
     /**
-     * Migrate water entries
+     * Migrate achievements. The local id becomes achievement_type; progress lives in metadata.
+     * An achievement already in the account keeps the higher progress and its unlock date.
      */
-    async migrateWaterEntries(userId) {
-        try {
-            console.log('💧 Migrating water entries...');
+    async migrateAchievements(context) {
+        console.log('🏆 Migrating achievements...');
+        const { userId } = context;
 
-            const waterData = await AsyncStorage.getItem(STORAGE_KEYS.WATER_DB_KEY);
-            if (!waterData) {
-                console.log('No water data found in AsyncStorage');
-                return;
-            }
+        const achievements = (await this.readLocal(STORAGE_KEYS.ACHIEVEMENTS_KEY)).map(normalizeAchievement);
+        if (achievements.length === 0) return;
 
-            const waterEntries = JSON.parse(waterData);
-            console.log(`Found ${waterEntries.length} water entries to migrate`);
-
-            for (const entry of waterEntries) {
-                try {
-                    // Validate and clean water entry data
-                    let entryDate = entry.date;
-                    if (entryDate && typeof entryDate === 'string') {
-                        const dateObj = new Date(entryDate);
-                        if (!isNaN(dateObj.getTime())) {
-                            entryDate = dateObj.toISOString().split('T')[0];
-                        } else {
-                            entryDate = new Date().toISOString().split('T')[0];
-                        }
-                    } else {
-                        entryDate = new Date().toISOString().split('T')[0];
-                    }
+        const remoteAchievements = await macrooDatabase.getAchievements(userId);
+        const remoteByType = new Map(remoteAchievements.map(achievement => [achievement.achievement_type, achievement]));
 
-                    let entryTime = entry.time;
-                    if (entryTime && typeof entryTime === 'string') {
-                        // Validate time format (HH:MM:SS or HH:MM)
-                        if (!/^\d{2}:\d{2}(:\d{2})?$/.test(entryTime)) {
-                            entryTime = new Date().toTimeString().split(' ')[0];
-                        } else if (entryTime.length === 5) {
-                            entryTime += ':00'; // Add seconds if missing
-                        }
-                    } else {
-                        entryTime = new Date().toTimeString().split(' ')[0];
-                    }
+        for (const achievement of achievements) {
+            const key = String(achievement.id);
+            const label = achievement.name || key;
 
-                    const waterEntry = {
-                        user_id: userId,
-                        amount: parseInt(entry.amount) || 250, // Default to 250ml if invalid
-                        date: entryDate,
-                        time: entryTime,
-                    };
-
-                    await macrooDatabase.addWaterEntry(waterEntry);
-                    console.log(`✓ Migrated water entry: ${waterEntry.amount}ml (${entryDate})`);
-                } catch (error) {
-                    console.error(`❌ Failed to migrate water entry:`, error.message);
-                }
+            if (achievement.progress <= 0 && !achievement.unlockedAt) {
+                await this.applyItem(context, { key, label, action: MIGRATION_ACTIONS.SKIP, reason: 'No progress yet' });
+                continue;
             }
 
-            console.log('✅ Water entries migration completed');
-        } catch (error) {
-            console.error('Error migrating water entries:', error);
-            throw error;
+            const existing = remoteByType.get(key);
+            if (!existing) {
+                await this.applyItem(context, {
+                    key,
+                    label,
+                    action: MIGRATION_ACTIONS.CREATE,
+                    write: async () => {
+                        const created = await macrooDatabase.addAchievement({
+                            user_id: userId,
+                            achievement_type: key,
+                            title: label,
+                            description: achievement.description || null,
+                            unlocked_at: achievement.unlockedAt,
+                            metadata: {
+                                progress: achievement.progress,
+                                target: achievement.target,
+                                icon: achievement.icon || null,
+                                category: achievement.category || null,
+                            },
+                        });
+                        return created.id;
+                    },
+                });
+                continue;
+            }
+
+            const remoteProgress = Number(existing.metadata?.progress) || 0;
+            const unlockedAt = existing.unlocked_at || achievement.unlockedAt;
+            if (achievement.progress <= remoteProgress && unlockedAt === existing.unlocked_at) {
+                await this.applyItem(context, {
+                    key,
+                    label,
+                    action: MIGRATION_ACTIONS.SKIP,
+                    reason: 'Already up to date',
+                    write: async () => existing.id,
+                });
+                continue;
+            }
+
+            await this.applyItem(context, {
+                key,
+                label,
+                action: MIGRATION_ACTIONS.MERGE,
+                reason: 'Keeps the higher progress',
+                write: async () => {
+                    await macrooDatabase.updateAchievement(existing.id, {
+                        unlocked_at: unlockedAt,
+                        metadata: { ...existing.metadata, progress: Math.max(achievement.progress, remoteProgress) },
+                    });
+                    return existing.id;
+                },
+            });
         }
     }
 
     /**
-     * Migrate user profile
+     * Migrate weekly challenges. The local id becomes challenge_type and matches together with the start date.
      */
-    async migrateUserProfile(userId) {
-        try {
-            console.log('👤 Migrating user profile...');
+    async migrateWeeklyChallenges(context) {
+        console.log('🎯 Migrating weekly challenges...');
+        const { userId } = context;
+
+        const challenges = (await this.readLocal(STORAGE_KEYS.CHALLENGES_KEY)).map(normalizeChallenge);
+        if (challenges.length === 0) return;
+
+        const remoteChallenges = await macrooDatabase.getWeeklyChallenges(userId);
+        const challengeKey = (type, startDate) => `${type}|${startDate}`;
+        const remoteByKey = new Map(remoteChallenges.map(challenge =>
+            [challengeKey(challenge.challenge_type, challenge.start_date), challenge]
+        ));
+
+        for (const challenge of challenges) {
+            const startDate = toDate(challenge.startDate);
+            const endDate = toDate(challenge.endDate);
+            const key = challengeKey(challenge.id, startDate);
+            const label = challenge.name || String(challenge.id);
+
+            if (!startDate || !endDate) {
+                await this.applyItem(context, { key, label, action: MIGRATION_ACTIONS.SKIP, reason: 'Challenge has no week dates' });
+                continue;
+            }
 
-            const profileData = await AsyncStorage.getItem(STORAGE_KEYS.PROFILE_KEY);
-            if (!profileData) {
-                console.log('No profile data found in AsyncStorage');
-                return;
+            const progress = Math.round(challenge.progress);
+            const existing = remoteByKey.get(key);
+
+            if (!existing) {
+                await this.applyItem(context, {
+                    key,
+                    label,
+                    action: MIGRATION_ACTIONS.CREATE,
+                    write: async () => {
+                        const created = await macrooDatabase.addWeeklyChallenge({
+                            user_id: userId,
+                            challenge_type: String(challenge.id),
+                            title: label,
+                            description: challenge.description || null,
+                            target_value: Math.round(challenge.target),
+                            current_value: progress,
+                            start_date: startDate,
+                            end_date: endDate,
+                            completed: progress >= challenge.target,
+                        });
+                        return created.id;
+                    },
+                });
+                continue;
             }
 
-            const profile = JSON.parse(profileData);
-            console.log('Profile data from AsyncStorage:', profile);
-
-            // Clean and map profile data to match database schema
-            const cleanProfile = {
-                name: profile.name || null,
-                height: parseInt(profile.height) || null,
-                weight: parseFloat(profile.weight) || null,
-                age: parseInt(profile.age) || null,
-                gender: profile.gender || null,
-                activity_level: profile.activityLevel || profile.activity_level || null,
-                goal: profile.goal || null,
-                daily_calorie_target: parseInt(profile.dailyCalorieTarget) || parseInt(profile.daily_calorie_target) || null,
-                daily_protein_target: parseFloat(profile.dailyProteinTarget) || parseFloat(profile.daily_protein_target) || null,
-                daily_carbs_target: parseFloat(profile.dailyCarbsTarget) || parseFloat(profile.daily_carbs_target) || null,
-                daily_fat_target: parseFloat(profile.dailyFatTarget) || parseFloat(profile.daily_fat_target) || null,
-                daily_water_target: parseInt(profile.dailyWaterGoalMl) || parseInt(profile.dailyWaterTarget) || parseInt(profile.daily_water_target) || 2000,
-            };
-
-            await macrooDatabase.saveUserProfile(userId, cleanProfile);
-
-            console.log('✅ User profile migration completed');
-        } catch (error) {
-            console.error('Error migrating user profile:', error);
-            throw error;
+            if (progress <= (existing.current_value || 0)) {
+                await this.applyItem(context, {
+                    key,
+                    label,
+                    action: MIGRATION_ACTIONS.SKIP,
+                    reason: 'Already up to date',
+                    write: async () => existing.id,
+                });
+                continue;
+            }
+
+            await this.applyItem(context, {
+                key,
+                label,
+                action: MIGRATION_ACTIONS.MERGE,
+                reason: 'Keeps the higher progress',
+                write: async () => {
+                    await macrooDatabase.updateWeeklyChallenge(existing.id, {
+                        current_value: progress,
+                        completed: existing.completed || progress >= (existing.target_value || challenge.target),
+                    });
+                    return existing.id;
+                },
+            });
         }
     }
 
@@ -324,15 +769,10 @@ class MacrooMigration {
         try {
             console.log('🧹 Clearing old AsyncStorage data...');
 
-            await AsyncStorage.multiRemove([
-                STORAGE_KEYS.FOOD_DB_KEY,
-                STORAGE_KEYS.MEAL_DB_KEY,
-                STORAGE_KEYS.WATER_DB_KEY,
-                STORAGE_KEYS.PROFILE_KEY,
-                STORAGE_KEYS.MEAL_TEMPLATES_KEY,
-                STORAGE_KEYS.ACHIEVEMENTS_KEY,
-                STORAGE_KEYS.CHALLENGES_KEY,
-            ]);
+            await AsyncStorage.multiRemove(Object.values(STORAGE_KEYS));
+            await mealShards.clear();
+            await waterShards.clear();
+            await essentialStorage.clearMigrationProgress();
 
             console.log('✅ AsyncStorage data cleared');
         } catch (error) {
@@ -342,14 +782,24 @@ class MacrooMigration {
     }
 
     /**
-     * Check if migration is needed
+     * Check if migration is needed: any local data that has not been fully migrated yet
      */
     async isMigrationNeeded() {
         try {
-            const foodsData = await AsyncStorage.getItem(STORAGE_KEYS.FOOD_DB_KEY);
-            const mealsData = await AsyncStorage.getItem(STORAGE_KEYS.MEAL_DB_KEY);
+            const [values, mealCount, waterCount] = await Promise.all([
+                AsyncStorage.multiGet(Object.values(STORAGE_KEYS)),
+                mealShards.count(),
+                waterShards.count(),
+            ]);
+            const hasLocalData = mealCount > 0 || waterCount > 0 || values.some(([, value]) => {
+                if (!value) return false;
+                const parsed = JSON.parse(value);
+                return Array.isArray(parsed) ? parsed.length > 0 : !!parsed;
+            });
+            if (!hasLocalData) return false;
 
-            return !!(foodsData || mealsData);
+            const progress = await essentialStorage.getMigrationProgress();
+            return !progress?.completedAt;
         } catch (error) {
             console.error('Error checking migration status:', error);
             return false;
@@ -357,4 +807,4 @@ class MacrooMigration {
     }
 }
 
-export default new MacrooMigration();
\ No newline at end of file
+export default new MacrooMigration();
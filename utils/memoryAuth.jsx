@@ -0,0 +1,140 @@
+// In-memory stand-in for Supabase Auth, paired with the in-memory database
+// Implements the part of supabase.auth that AuthService uses, with the same { data, error } results,
+// so a session and user id exist without the hosted project and the repository syncs to MemoryClient.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { MEMORY_AUTH_USER } from '../config/supabase';
+import { uuid } from './memoryClient';
+
+const authError = (message, status = 400) => Object.assign(new Error(message), { name: 'AuthApiError', status });
+
+const toSession = (user) => ({
+    access_token: `memory-${user.id}`,
+    token_type: 'bearer',
+    expires_in: 3600,
+    user,
+});
+
+export class MemoryAuth {
+    /**
+     * Starts signed in as MEMORY_AUTH_USER, whose account accepts any password.
+     * @param {Object} options - { storageKey } to keep accounts and the session in AsyncStorage
+     */
+    constructor({ storageKey = null } = {}) {
+        this.storageKey = storageKey;
+        const user = {
+            id: MEMORY_AUTH_USER.id,
+            email: MEMORY_AUTH_USER.email,
+            user_metadata: { name: MEMORY_AUTH_USER.name },
+        };
+        this.accounts = { [user.email]: { user, password: null } };
+        this.session = toSession(user);
+        this.listeners = new Set();
+        this.loaded = null;
+    }
+
+    async load() {
+        if (!this.storageKey) return;
+        try {
+            const stored = await AsyncStorage.getItem(this.storageKey);
+            if (stored) {
+                const { accounts, session } = JSON.parse(stored);
+                this.accounts = { ...this.accounts, ...accounts };
+                this.session = session;
+            }
+        } catch (error) {
+            console.error('❌ Failed to load in-memory accounts:', error);
+        }
+    }
+
+    async save() {
+        if (!this.storageKey) return;
+        try {
+            await AsyncStorage.setItem(this.storageKey, JSON.stringify({ accounts: this.accounts, session: this.session }));
+        } catch (error) {
+            console.error('❌ Failed to save in-memory accounts:', error);
+        }
+    }
+
+    async ready() {
+        if (!this.loaded) this.loaded = this.load();
+        await this.loaded;
+    }
+
+    async setSession(session, event) {
+        this.session = session;
+        await this.save();
+        this.listeners.forEach(listener => {
+            try {
+                listener(event, session);
+            } catch (error) {
+                console.error('Auth listener failed:', error);
+            }
+        });
+    }
+
+    // ==================== SUPABASE AUTH API ====================
+
+    async getSession() {
+        await this.ready();
+        return { data: { session: this.session }, error: null };
+    }
+
+    onAuthStateChange(listener) {
+        this.listeners.add(listener);
+        return { data: { subscription: { unsubscribe: () => this.listeners.delete(listener) } } };
+    }
+
+    // Sessions never expire, so there is nothing to refresh
+    startAutoRefresh() {}
+
+    stopAutoRefresh() {}
+
+    async signUp({ email, password, options = {} }) {
+        await this.ready();
+        const key = email.toLowerCase();
+        if (this.accounts[key]) {
+            return { data: { user: null, session: null }, error: authError('User already registered', 422) };
+        }
+
+        const user = { id: uuid(), email: key, user_metadata: options.data || {} };
+        this.accounts[key] = { user, password };
+        const session = toSession(user);
+        await this.setSession(session, 'SIGNED_IN');
+        return { data: { user, session }, error: null };
+    }
+
+    async signInWithPassword({ email, password }) {
+        await this.ready();
+        const account = this.accounts[email.toLowerCase()];
+        if (!account || (account.password !== null && account.password !== password)) {
+            return { data: { user: null, session: null }, error: authError('Invalid login credentials') };
+        }
+
+        const session = toSession(account.user);
+        await this.setSession(session, 'SIGNED_IN');
+        return { data: { user: account.user, session }, error: null };
+    }
+
+    async signOut() {
+        await this.ready();
+        await this.setSession(null, 'SIGNED_OUT');
+        return { error: null };
+    }
+
+    // No email is sent; the account keeps its password
+    async resetPasswordForEmail() {
+        return { data: {}, error: null };
+    }
+
+    async updateUser({ password }) {
+        await this.ready();
+        if (!this.session) return { data: { user: null }, error: authError('Auth session missing!', 401) };
+
+        const account = this.accounts[this.session.user.email];
+        if (password !== undefined) account.password = password;
+        await this.save();
+        return { data: { user: account.user }, error: null };
+    }
+}
+
+export default MemoryAuth;
@@ -0,0 +1,776 @@
+// In-memory stand-in for the Supabase client, for working without the hosted project
+// Implements the part of the query builder MacrooDatabase uses, with the constraints, triggers
+// and error codes of database/migrations, so code above it behaves as it does against Postgres.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { TABLES } from '../config/supabase';
+import { filterAndSortFoods, rankFoods, SEARCH_SORTS } from './foodSearch';
+
+// Postgres and PostgREST error codes the app handles
+export const ERROR_CODES = {
+    NOT_NULL_VIOLATION: '23502',
+    FOREIGN_KEY_VIOLATION: '23503',
+    UNIQUE_VIOLATION: '23505',
+    CHECK_VIOLATION: '23514',
+    PERMISSION_DENIED: '42501',
+    NOT_SINGLE_ROW: 'PGRST116',
+    FUNCTION_NOT_FOUND: 'PGRST202',
+};
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+/**
+ * Columns, constraints and triggers of each table, as the migrations leave them.
+ * - defaults: column defaults applied on insert
+ * - required: NOT NULL columns without a default (23502)
+ * - unique: column sets, optionally partial with `where` (23505); rows with a NULL in the set never clash
+ * - references: column -> referenced table, matched on id (23503)
+ * - checks: column -> allowed values; NULL passes like in Postgres (23514)
+ * - writable: row-level security for updates and deletes; rows it rejects are skipped, inserts fail (42501)
+ * - updatedAt: the update_updated_at_column trigger
+ * - logged: the log_change trigger writing change_log
+ */
+const SCHEMA = {
+    [TABLES.USERS]: {
+        defaults: { email: null, name: null },
+        unique: [{ columns: ['email'] }],
+        updatedAt: true,
+    },
+    [TABLES.FOODS]: {
+        defaults: {
+            fiber: 0, sugar: 0, sodium: 0, serving_size: '100g', serving_units: {}, category: null,
+            brand: null, barcode: null, recipe: null, user_id: null, is_custom: true, deleted_at: null,
+        },
+        required: ['name', 'calories', 'protein', 'carbs', 'fat'],
+        unique: [{ columns: ['name', 'user_id'], where: row => !row.deleted_at }],
+        references: { user_id: TABLES.USERS },
+        // Global foods can be read by anyone but only changed in the database itself
+        writable: row => row.is_custom === true,
+        updatedAt: true,
+        logged: true,
+    },
+    [TABLES.MEAL_ENTRIES]: {
+        defaults: {
+            user_id: null, food_id: null, meal_type: null, quantity: 1, unit: 'g', unit_amount: null,
+            serving_size: null, notes: null, deleted_at: null,
+        },
+        required: ['date'],
+        references: { user_id: TABLES.USERS, food_id: TABLES.FOODS },
+        checks: { meal_type: MEAL_TYPES },
+        updatedAt: true,
+        logged: true,
+    },
+    [TABLES.WATER_ENTRIES]: {
+        defaults: { user_id: null },
+        required: ['amount', 'date'],
+        references: { user_id: TABLES.USERS },
+    },
+    [TABLES.USER_PROFILES]: {
+        defaults: {
+            user_id: null, name: null, height: null, weight: null, age: null, gender: null,
+            activity_level: null, goal: null, daily_calorie_target: null, daily_protein_target: null,
+            daily_carbs_target: null, daily_fat_target: null, daily_water_target: 2000, time_zone: null,
+        },
+        unique: [{ columns: ['user_id'] }],
+        references: { user_id: TABLES.USERS },
+        checks: {
+            gender: ['male', 'female', 'other'],
+            activity_level: ['sedentary', 'lightly_active', 'moderately_active', 'very_active', 'extremely_active'],
+            goal: ['lose_weight', 'maintain_weight', 'gain_weight'],
+        },
+        updatedAt: true,
+        logged: true,
+    },
+    [TABLES.MEAL_TEMPLATES]: {
+        defaults: {
+            user_id: null, meal_type: null, total_calories: null, total_protein: null, total_carbs: null,
+            total_fat: null, deleted_at: null,
+        },
+        required: ['name', 'foods'],
+        references: { user_id: TABLES.USERS },
+        checks: { meal_type: MEAL_TYPES },
+        updatedAt: true,
+    },
+    [TABLES.ACHIEVEMENTS]: {
+        defaults: { user_id: null, description: null, points: 0, unlocked_at: null, metadata: null },
+        required: ['achievement_type', 'title'],
+        unique: [{ columns: ['user_id', 'achievement_type'] }],
+        references: { user_id: TABLES.USERS },
+    },
+    [TABLES.WEEKLY_CHALLENGES]: {
+        defaults: {
+            user_id: null, description: null, target_value: null, current_value: 0, completed: false,
+            points: 0, metadata: {},
+        },
+        required: ['challenge_type', 'title', 'start_date', 'end_date'],
+        unique: [{ columns: ['user_id', 'challenge_type', 'start_date'] }],
+        references: { user_id: TABLES.USERS },
+    },
+    // Only the log_change trigger writes here
+    [TABLES.CHANGE_LOG]: { writable: () => false },
+};
+
+const NUTRIENT_COLUMNS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium'];
+
+// ==================== VALUES ====================
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+export const uuid = () => 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = Math.random() * 16 | 0;
+    return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+});
+
+// Postgres timestamps have microseconds; this keeps two saves in the same millisecond apart,
+// so updated_at still tells versions apart
+let lastTimestamp = 0;
+const now = () => {
+    lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+    return new Date(lastTimestamp).toISOString();
+};
+
+// Filter values arrive as strings from or() expressions and as JS values from eq() and friends
+const compareValues = (a, b) => {
+    if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+    const left = String(a);
+    const right = String(b);
+    return left < right ? -1 : left > right ? 1 : 0;
+};
+
+const isNull = (value) => value === null || value === undefined;
+
+// Comparisons with NULL are never true in SQL
+const OPERATORS = {
+    eq: (a, b) => !isNull(a) && String(a) === String(b),
+    neq: (a, b) => !isNull(a) && String(a) !== String(b),
+    gt: (a, b) => !isNull(a) && compareValues(a, b) > 0,
+    gte: (a, b) => !isNull(a) && compareValues(a, b) >= 0,
+    lt: (a, b) => !isNull(a) && compareValues(a, b) < 0,
+    lte: (a, b) => !isNull(a) && compareValues(a, b) <= 0,
+    in: (a, values) => !isNull(a) && values.some(value => String(a) === String(value)),
+    ilike: (a, pattern) => !isNull(a) && new RegExp(
+        `^${String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')}$`,
+        'i'
+    ).test(String(a)),
+    is: (a, b) => (isNull(b) || b === 'null' ? isNull(a) : String(a) === String(b)),
+};
+
+const pgError = (code, message, details = null) => ({ code, message, details, hint: null });
+
+// ==================== FILTER AND SELECT PARSING ====================
+
+// Split on commas outside parentheses and double quotes
+const splitTopLevel = (text) => {
+    const parts = [];
+    let depth = 0;
+    let quoted = false;
+    let current = '';
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\' && quoted) {
+            current += char + text[++i];
+            continue;
+        }
+        if (char === '"') quoted = !quoted;
+        if (!quoted && char === '(') depth++;
+        if (!quoted && char === ')') depth--;
+        if (!quoted && depth === 0 && char === ',') {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+};
+
+const unquote = (value) => (value.startsWith('"') && value.endsWith('"')
+    ? value.slice(1, -1).replace(/\\"/g, '"')
+    : value);
+
+/**
+ * Turn a PostgREST logic expression, e.g. `date.lt."2024-01-01",and(date.eq.x,id.lt.y)`,
+ * into a row predicate. `all` joins the parts with AND instead of OR.
+ */
+const parseLogic = (expression, all = false) => {
+    const predicates = splitTopLevel(expression).map((part) => {
+        const group = part.match(/^(and|or)\((.*)\)$/);
+        if (group) return parseLogic(group[2], group[1] === 'and');
+
+        const [column, ...rest] = part.split('.');
+        const negate = rest[0] === 'not';
+        const [operator, ...valueParts] = negate ? rest.slice(1) : rest;
+        const raw = unquote(valueParts.join('.'));
+        const value = operator === 'in' ? splitTopLevel(raw.replace(/^\(|\)$/g, '')).map(unquote) : raw;
+        const test = OPERATORS[operator];
+        if (!test) throw new Error(`Unsupported filter operator "${operator}"`);
+        return row => test(row[column], value) !== negate;
+    });
+    return all
+        ? row => predicates.every(predicate => predicate(row))
+        : row => predicates.some(predicate => predicate(row));
+};
+
+// `*, foods ( name, calories )` -> [{ name: '*' }, { name: 'foods', embed: [...] }]
+const parseColumns = (columns = '*') => splitTopLevel(columns.replace(/\s+/g, '')).map((part) => {
+    const embed = part.match(/^(\w+)\((.*)\)$/);
+    return embed ? { name: embed[1], embed: parseColumns(embed[2]) } : { name: part };
+});
+
+// ==================== QUERY BUILDER ====================
+
+/**
+ * One `from(table)` chain. Awaiting it runs the query and resolves to { data, error } like supabase-js.
+ */
+class MemoryQuery {
+    constructor(client, table) {
+        this.client = client;
+        this.table = table;
+        this.action = 'select';
+        this.columns = '*';
+        this.returning = false;
+        this.filters = [];
+        this.orders = [];
+        this.rowLimit = null;
+        this.singleRow = null;
+        this.rows = null;
+        this.changes = null;
+        this.upsertOptions = {};
+    }
+
+    select(columns = '*') {
+        this.columns = columns;
+        if (this.action !== 'select') this.returning = true;
+        return this;
+    }
+
+    insert(rows) {
+        this.action = 'insert';
+        this.rows = Array.isArray(rows) ? rows : [rows];
+        return this;
+    }
+
+    upsert(rows, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+        this.action = 'upsert';
+        this.rows = Array.isArray(rows) ? rows : [rows];
+        this.upsertOptions = { conflictColumns: onConflict.split(',').map(column => column.trim()), ignoreDuplicates };
+        return this;
+    }
+
+    update(changes) {
+        this.action = 'update';
+        this.changes = changes;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    filter(column, operator, value) {
+        const test = OPERATORS[operator];
+        if (!test) throw new Error(`Unsupported filter operator "${operator}"`);
+        this.filters.push(row => test(row[column], value));
+        return this;
+    }
+
+    eq(column, value) { return this.filter(column, 'eq', value); }
+    neq(column, value) { return this.filter(column, 'neq', value); }
+    gt(column, value) { return this.filter(column, 'gt', value); }
+    gte(column, value) { return this.filter(column, 'gte', value); }
+    lt(column, value) { return this.filter(column, 'lt', value); }
+    lte(column, value) { return this.filter(column, 'lte', value); }
+    in(column, values) { return this.filter(column, 'in', values); }
+    ilike(column, pattern) { return this.filter(column, 'ilike', pattern); }
+    is(column, value) { return this.filter(column, 'is', value); }
+
+    not(column, operator, value) {
+        const test = OPERATORS[operator];
+        if (!test) throw new Error(`Unsupported filter operator "${operator}"`);
+        this.filters.push(row => !test(row[column], value));
+        return this;
+    }
+
+    or(expression) {
+        this.filters.push(parseLogic(expression));
+        return this;
+    }
+
+    // Postgres puts NULLs last going up and first going down
+    order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+        this.orders.push({ column, ascending, nullsFirst });
+        return this;
+    }
+
+    limit(count) {
+        this.rowLimit = count;
+        return this;
+    }
+
+    single() {
+        this.singleRow = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.singleRow = 'maybe';
+        return this;
+    }
+
+    matches(row) {
+        return this.filters.every(filter => filter(row));
+    }
+
+    sort(rows) {
+        return [...rows].sort((a, b) => {
+            for (const { column, ascending, nullsFirst } of this.orders) {
+                const left = a[column];
+                const right = b[column];
+                if (isNull(left) && isNull(right)) continue;
+                if (isNull(left)) return nullsFirst ? -1 : 1;
+                if (isNull(right)) return nullsFirst ? 1 : -1;
+                const result = compareValues(left, right);
+                if (result !== 0) return ascending ? result : -result;
+            }
+            return 0;
+        });
+    }
+
+    then(resolve, reject) {
+        return this.client.run(this).then(resolve, reject);
+    }
+}
+
+// ==================== CLIENT ====================
+
+/**
+ * Holds the tables and runs queries against them. With a storageKey the tables are kept in
+ * AsyncStorage, so they survive a reload; without one they start empty (or from `tables`) each launch.
+ */
+export class MemoryClient {
+    /**
+     * @param {Object} options - { storageKey, tables } - tables maps table names to starting rows
+     */
+    constructor({ storageKey = null, tables = {} } = {}) {
+        this.storageKey = storageKey;
+        this.tables = {};
+        this.changeLogId = 0;
+        this.loaded = null;
+        this.saving = Promise.resolve();
+        this.reset(tables);
+    }
+
+    from(table) {
+        return new MemoryQuery(this, table);
+    }
+
+    /**
+     * Replace every table, e.g. between tests. Rows get the table's defaults but are not checked.
+     * @param {Object} tables - Table name -> rows
+     */
+    reset(tables = {}) {
+        this.tables = {};
+        Object.keys(SCHEMA).forEach((table) => {
+            this.tables[table] = (tables[table] || []).map(row => this.withDefaults(table, row));
+        });
+        this.changeLogId = this.tables[TABLES.CHANGE_LOG].reduce((max, row) => Math.max(max, row.id || 0), 0);
+        return this;
+    }
+
+    async load() {
+        if (!this.storageKey) return;
+        try {
+            const stored = await AsyncStorage.getItem(this.storageKey);
+            if (stored) this.reset(JSON.parse(stored));
+        } catch (error) {
+            console.error('❌ Failed to load the in-memory database:', error);
+        }
+    }
+
+    // Writes are chained so an older snapshot never lands after a newer one
+    save() {
+        if (!this.storageKey) return Promise.resolve();
+        const snapshot = JSON.stringify(this.tables);
+        this.saving = this.saving
+            .then(() => AsyncStorage.setItem(this.storageKey, snapshot))
+            .catch(error => console.error('❌ Failed to save the in-memory database:', error));
+        return this.saving;
+    }
+
+    withDefaults(table, row) {
+        const schema = SCHEMA[table] || {};
+        const timestamp = now();
+        return {
+            id: table === TABLES.CHANGE_LOG ? ++this.changeLogId : uuid(),
+            ...schema.defaults,
+            created_at: timestamp,
+            ...(schema.updatedAt ? { updated_at: timestamp } : {}),
+            ...clone(row),
+        };
+    }
+
+    rowsOf(table) {
+        if (table === TABLES.DAILY_TOTALS) return this.dailyTotals();
+        const rows = this.tables[table];
+        if (!rows) throw new Error(`Unknown table "${table}"`);
+        return rows;
+    }
+
+    async run(query) {
+        if (!this.loaded) this.loaded = this.load();
+        await this.loaded;
+
+        try {
+            const result = this.execute(query);
+            if (result.error) return { data: null, error: result.error };
+            if (query.action !== 'select') await this.save();
+
+            let data = result.rows === null ? null : result.rows.map(row => this.project(query.table, row, parseColumns(query.columns)));
+            if (query.singleRow && data) {
+                if (data.length > 1 || (data.length === 0 && query.singleRow === 'single')) {
+                    return {
+                        data: null,
+                        error: pgError(
+                            ERROR_CODES.NOT_SINGLE_ROW,
+                            'JSON object requested, multiple (or no) rows returned',
+                            `The result contains ${data.length} rows`
+                        ),
+                    };
+                }
+                data = data[0] || null;
+            }
+            return { data, error: null };
+        } catch (error) {
+            console.error('❌ In-memory query failed:', error);
+            return { data: null, error: pgError('XX000', error.message) };
+        }
+    }
+
+    execute(query) {
+        // daily_totals is worked out from the entries, and users only ever read it
+        if (query.table === TABLES.DAILY_TOTALS && query.action !== 'select') {
+            return { error: pgError(ERROR_CODES.PERMISSION_DENIED, `new row violates row-level security policy for table "${query.table}"`) };
+        }
+
+        switch (query.action) {
+            case 'insert':
+                return this.insertRows(query.table, query.rows, query.returning);
+            case 'upsert':
+                return this.upsertRows(query.table, query.rows, query.upsertOptions, query.returning);
+            case 'update':
+                return this.updateRows(query, query.changes);
+            case 'delete':
+                return this.deleteRows(query);
+            default: {
+                let rows = query.sort(this.rowsOf(query.table).filter(row => query.matches(row)));
+                if (query.rowLimit !== null) rows = rows.slice(0, query.rowLimit);
+                return { rows };
+            }
+        }
+    }
+
+    // ==================== WRITES ====================
+
+    insertRows(table, rows, returning) {
+        const schema = SCHEMA[table] || {};
+        const existing = this.rowsOf(table);
+        const inserted = [];
+
+        for (const row of rows) {
+            const created = this.withDefaults(table, row);
+            if (schema.writable && !schema.writable(created)) {
+                return { error: pgError(ERROR_CODES.PERMISSION_DENIED, `new row violates row-level security policy for table "${table}"`) };
+            }
+            const error = this.validate(table, created, [...existing, ...inserted]);
+            if (error) return { error };
+            inserted.push(created);
+        }
+
+        existing.push(...inserted);
+        inserted.forEach(row => this.logChange(table, 'insert', null, row));
+        return { rows: returning ? inserted : null };
+    }
+
+    upsertRows(table, rows, { conflictColumns, ignoreDuplicates }, returning) {
+        const schema = SCHEMA[table] || {};
+        const existing = this.rowsOf(table);
+        const staged = existing.map(row => ({ before: row, after: row }));
+        const written = [];
+
+        for (const row of rows) {
+            const match = staged.find(({ after }) => conflictColumns.every(column =>
+                !isNull(after[column]) && String(after[column]) === String(row[column])
+            ));
+
+            if (!match) {
+                const created = this.withDefaults(table, row);
+                if (schema.writable && !schema.writable(created)) {
+                    return { error: pgError(ERROR_CODES.PERMISSION_DENIED, `new row violates row-level security policy for table "${table}"`) };
+                }
+                const error = this.validate(table, created, staged.map(entry => entry.after));
+                if (error) return { error };
+                staged.push({ before: null, after: created });
+                written.push(created);
+                continue;
+            }
+            if (ignoreDuplicates) continue;
+
+            const updated = this.updatedRow(table, match.after, row);
+            if (schema.writable && !schema.writable(match.after)) {
+                return { error: pgError(ERROR_CODES.PERMISSION_DENIED, `new row violates row-level security policy for table "${table}"`) };
+            }
+            const error = this.validate(table, updated, staged.filter(entry => entry !== match).map(entry => entry.after));
+            if (error) return { error };
+            match.after = updated;
+            written.push(updated);
+        }
+
+        this.tables[table] = staged.map(entry => entry.after);
+        staged
+            .filter(({ before, after }) => before !== after)
+            .forEach(({ before, after }) => this.logChange(table, before ? 'update' : 'insert', before, after));
+        return { rows: returning ? written : null };
+    }
+
+    updatedRow(table, row, changes) {
+        const updated = { ...row, ...clone(changes), id: row.id };
+        if (SCHEMA[table]?.updatedAt) updated.updated_at = now();
+        return updated;
+    }
+
+    updateRows(query, changes) {
+        const { table } = query;
+        const schema = SCHEMA[table] || {};
+        const rows = this.rowsOf(table);
+        // Row-level security hides rows the user may not change, so they match nothing
+        const targets = rows.filter(row => query.matches(row) && (!schema.writable || schema.writable(row)));
+        if (targets.length === 0) return { rows: query.returning ? [] : null };
+        const updates = new Map(targets.map(row => [row, this.updatedRow(table, row, changes)]));
+
+        for (const [row, updated] of updates) {
+            if (schema.writable && !schema.writable(updated)) {
+                return { error: pgError(ERROR_CODES.PERMISSION_DENIED, `new row violates row-level security policy for table "${table}"`) };
+            }
+            const others = rows.filter(other => other !== row).map(other => updates.get(other) || other);
+            const error = this.validate(table, updated, others);
+            if (error) return { error };
+        }
+
+        this.tables[table] = rows.map(row => updates.get(row) || row);
+        updates.forEach((updated, row) => this.logChange(table, 'update', row, updated));
+        return { rows: query.returning ? [...updates.values()] : null };
+    }
+
+    deleteRows(query) {
+        const { table } = query;
+        const schema = SCHEMA[table] || {};
+        const rows = this.rowsOf(table);
+        const targets = rows.filter(row => query.matches(row) && (!schema.writable || schema.writable(row)));
+        const ids = new Set(targets.map(row => row.id));
+
+        // Nothing cascades: a row that is still referenced stays
+        for (const [referencing, referencingSchema] of Object.entries(SCHEMA)) {
+            for (const [column, referenced] of Object.entries(referencingSchema.references || {})) {
+                if (referenced !== table) continue;
+                const blocking = this.tables[referencing].find(row => ids.has(row[column]));
+                if (blocking) {
+                    return {
+                        error: pgError(
+                            ERROR_CODES.FOREIGN_KEY_VIOLATION,
+                            `update or delete on table "${table}" violates foreign key constraint "${referencing}_${column}_fkey" on table "${referencing}"`,
+                            `Key (id)=(${blocking[column]}) is still referenced from table "${referencing}".`
+                        ),
+                    };
+                }
+            }
+        }
+
+        this.tables[table] = rows.filter(row => !ids.has(row.id));
+        targets.forEach(row => this.logChange(table, 'delete', row, null));
+        return { rows: query.returning ? targets : null };
+    }
+
+    /**
+     * Check a new version of a row against the table's constraints
+     * @param {Array} others - Every other row the table will hold
+     * @returns {Object|null} A Postgres-style error, or null when the row is valid
+     */
+    validate(table, row, others) {
+        const schema = SCHEMA[table] || {};
+
+        for (const column of schema.required || []) {
+            if (isNull(row[column])) {
+                return pgError(ERROR_CODES.NOT_NULL_VIOLATION, `null value in column "${column}" of relation "${table}" violates not-null constraint`);
+            }
+        }
+
+        for (const [column, allowed] of Object.entries(schema.checks || {})) {
+            if (!isNull(row[column]) && !allowed.includes(row[column])) {
+                return pgError(ERROR_CODES.CHECK_VIOLATION, `new row for relation "${table}" violates check constraint "${table}_${column}_check"`);
+            }
+        }
+
+        const uniques = [{ columns: ['id'] }, ...(schema.unique || [])];
+        for (const { columns, where } of uniques) {
+            if (columns.some(column => isNull(row[column])) || (where && !where(row))) continue;
+            const clash = others.some(other =>
+                (!where || where(other)) && columns.every(column => String(other[column]) === String(row[column]))
+            );
+            if (clash) {
+                return pgError(
+                    ERROR_CODES.UNIQUE_VIOLATION,
+                    `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`,
+                    `Key (${columns.join(', ')})=(${columns.map(column => row[column]).join(', ')}) already exists.`
+                );
+            }
+        }
+
+        for (const [column, referenced] of Object.entries(schema.references || {})) {
+            if (isNull(row[column])) continue;
+            const target = referenced === table ? others : this.tables[referenced];
+            if (!target.some(candidate => candidate.id === row[column])) {
+                return pgError(
+                    ERROR_CODES.FOREIGN_KEY_VIOLATION,
+                    `insert or update on table "${table}" violates foreign key constraint "${table}_${column}_fkey"`,
+                    `Key (${column})=(${row[column]}) is not present in table "${referenced}".`
+                );
+            }
+        }
+
+        return null;
+    }
+
+    // ==================== FUNCTIONS ====================
+
+    /**
+     * Call a database function like supabase.rpc(). Resolves to { data, error }.
+     * @param {string} name - Function name; only search_foods exists
+     * @param {Object} params - Named arguments
+     */
+    async rpc(name, params = {}) {
+        if (!this.loaded) this.loaded = this.load();
+        await this.loaded;
+
+        if (name !== 'search_foods') {
+            return { data: null, error: pgError(ERROR_CODES.FUNCTION_NOT_FOUND, `Could not find the function public.${name}`) };
+        }
+        try {
+            return { data: this.searchFoods(params), error: null };
+        } catch (error) {
+            console.error('❌ In-memory function call failed:', error);
+            return { data: null, error: pgError('XX000', error.message) };
+        }
+    }
+
+    // search_foods() in 0015_food_search_filters.sql, ranked by the app's own search index instead of
+    // pg_trgm. There is no session here, so custom foods of every account on the device are visible.
+    searchFoods({
+        query = '',
+        result_limit: limit = 20,
+        result_offset: offset = 0,
+        food_category: category = null,
+        sort_by: sortBy = SEARCH_SORTS.RELEVANCE,
+    }) {
+        const foods = this.tables[TABLES.FOODS].filter(food => !food.deleted_at && (!category || food.category === category));
+        const pageSize = Math.min(Math.max(limit ?? 20, 1), 100);
+        const start = Math.max(offset ?? 0, 0);
+
+        // Any other order needs every match ranked before it can be sorted
+        const ranked = String(query || '').trim()
+            ? rankFoods(foods, query, { limit: sortBy === SEARCH_SORTS.RELEVANCE ? start + pageSize : Infinity })
+            : [...foods].sort((a, b) => compareValues(a.name, b.name) || compareValues(a.id, b.id));
+        return filterAndSortFoods(ranked, { sortBy }).slice(start, start + pageSize).map(clone);
+    }
+
+    // ==================== TRIGGERS ====================
+
+    // Same rules as log_change() in 0012_change_log.sql
+    logChange(table, action, before, after) {
+        if (!SCHEMA[table]?.logged) return;
+        const row = after || before;
+        if (isNull(row.user_id)) return;
+        // Saves that only touch updated_at are not worth a version
+        if (action === 'update' &&
+            JSON.stringify({ ...before, updated_at: null }) === JSON.stringify({ ...after, updated_at: null })) {
+            return;
+        }
+
+        this.tables[TABLES.CHANGE_LOG].push({
+            id: ++this.changeLogId,
+            user_id: row.user_id,
+            table_name: table,
+            record_id: row.id,
+            action,
+            before: clone(before),
+            after: clone(after),
+            // Every write here comes from the app, made by the row's owner
+            changed_by: row.user_id,
+            changed_at: now(),
+        });
+    }
+
+    // What the refresh_daily_totals triggers keep in daily_totals, worked out when it is read
+    dailyTotals() {
+        const foods = new Map(this.tables[TABLES.FOODS].map(food => [food.id, food]));
+        const days = new Map();
+        const dayOf = (userId, date) => {
+            const key = `${userId}|${date}`;
+            if (!days.has(key)) {
+                days.set(key, {
+                    user_id: userId,
+                    date,
+                    ...Object.fromEntries(NUTRIENT_COLUMNS.map(column => [column, 0])),
+                    water: 0,
+                    meal_count: 0,
+                });
+            }
+            return days.get(key);
+        };
+
+        this.tables[TABLES.MEAL_ENTRIES]
+            .filter(meal => !meal.deleted_at && !isNull(meal.user_id) && !isNull(meal.date))
+            .forEach((meal) => {
+                const day = dayOf(meal.user_id, meal.date);
+                const food = foods.get(meal.food_id);
+                NUTRIENT_COLUMNS.forEach((column) => {
+                    day[column] += food ? (parseFloat(food[column]) || 0) * (parseFloat(meal.quantity) || 0) / 100 : 0;
+                });
+                day.meal_count += 1;
+            });
+
+        this.tables[TABLES.WATER_ENTRIES]
+            .filter(entry => !isNull(entry.user_id) && !isNull(entry.date))
+            .forEach((entry) => {
+                dayOf(entry.user_id, entry.date).water += parseFloat(entry.amount) || 0;
+            });
+
+        // Days with nothing logged have no row
+        return [...days.values()].filter(day => day.meal_count > 0 || day.water !== 0);
+    }
+
+    // ==================== RESULTS ====================
+
+    /**
+     * Keep the selected columns and resolve embedded tables through their foreign key,
+     * e.g. `foods (name, calories)` on a meal entry. Returns a copy callers may change.
+     */
+    project(table, row, columns) {
+        const result = {};
+        columns.forEach(({ name, embed }) => {
+            if (name === '*') {
+                Object.assign(result, clone(row));
+            } else if (embed) {
+                const [column] = Object.entries(SCHEMA[table]?.references || {}).find(([, referenced]) => referenced === name) || [];
+                if (!column) throw new Error(`No relationship between "${table}" and "${name}"`);
+                const related = this.tables[name].find(candidate => candidate.id === row[column]);
+                result[name] = related ? this.project(name, related, embed) : null;
+            } else {
+                result[name] = clone(row[name]) ?? null;
+            }
+        });
+        return result;
+    }
+}
+
+export default MemoryClient;
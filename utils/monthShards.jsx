@@ -0,0 +1,256 @@
+// Month-sharded AsyncStorage collections, used for meals and water entries
+// Each month is stored under its own key (`meal_entries:2024-05`), so logging an entry rewrites
+// one month instead of the whole history. A small index lists the months that hold entries.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { isDateString } from './dateUtils';
+
+// Entries without a valid day still need a home
+const UNDATED = 'undated';
+
+// Entries saved before ids existed are keyed by timestamp
+const entryId = (entry) => entry.id || entry.timestamp;
+
+// Undated entries sort last either way, like a NULL date
+const sortMonths = (months, newestFirst = false) => [...months].sort((a, b) =>
+    (a === UNDATED) - (b === UNDATED) || (newestFirst ? b.localeCompare(a) : a.localeCompare(b))
+);
+
+/**
+ * One collection of dated entries, split into a key per month.
+ * Before sharding the whole collection was one array under `key`; it is moved into
+ * month keys the first time the collection is used.
+ */
+export class MonthShards {
+    /**
+     * @param {string} key - AsyncStorage key of the collection; shards and index use it as prefix
+     * @param {Function} dateOf - Day (YYYY-MM-DD) an entry belongs to
+     */
+    constructor(key, dateOf) {
+        this.key = key;
+        this.dateOf = dateOf;
+        this.ready = null;
+        this.writing = Promise.resolve();
+    }
+
+    get indexKey() {
+        return `${this.key}:index`;
+    }
+
+    shardKey(month) {
+        return `${this.key}:${month}`;
+    }
+
+    monthOf(entry) {
+        const date = this.dateOf(entry);
+        return isDateString(date) ? date.slice(0, 7) : UNDATED;
+    }
+
+    // ==================== LAYOUT ====================
+
+    /**
+     * @returns {Object} { months: { 'YYYY-MM': entry count } }
+     */
+    async readIndex() {
+        const data = await AsyncStorage.getItem(this.indexKey);
+        return data ? JSON.parse(data) : { months: {} };
+    }
+
+    async readShards(months) {
+        if (months.length === 0) return new Map();
+        const values = await AsyncStorage.multiGet(months.map(month => this.shardKey(month)));
+        return new Map(values.map(([, value], i) => [months[i], value ? JSON.parse(value) : []]));
+    }
+
+    /**
+     * Save changed months and the index. Empty months are removed. The index is written last,
+     * so an interrupted write leaves at worst a month the index does not list yet.
+     * @param {Map} shards - Month -> every entry of that month
+     */
+    async writeShards(shards) {
+        const index = await this.readIndex();
+        const filled = [...shards].filter(([, entries]) => entries.length > 0);
+        const emptied = [...shards.keys()].filter(month => shards.get(month).length === 0);
+
+        if (filled.length > 0) {
+            await AsyncStorage.multiSet(filled.map(([month, entries]) => [this.shardKey(month), JSON.stringify(entries)]));
+        }
+        if (emptied.length > 0) {
+            await AsyncStorage.multiRemove(emptied.map(month => this.shardKey(month)));
+        }
+
+        filled.forEach(([month, entries]) => { index.months[month] = entries.length; });
+        emptied.forEach(month => { delete index.months[month]; });
+        await AsyncStorage.setItem(this.indexKey, JSON.stringify(index));
+    }
+
+    /**
+     * Move entries from the single-key layout into month shards. Entries already in a shard
+     * are skipped, so a move that was interrupted is finished on the next launch.
+     */
+    async migrate() {
+        const legacy = await AsyncStorage.getItem(this.key);
+        if (!legacy) return;
+
+        const entries = JSON.parse(legacy);
+        if (Array.isArray(entries) && entries.length > 0) {
+            const grouped = new Map();
+            entries.forEach(entry => {
+                const month = this.monthOf(entry);
+                if (!grouped.has(month)) grouped.set(month, []);
+                grouped.get(month).push(entry);
+            });
+
+            const shards = await this.readShards([...grouped.keys()]);
+            grouped.forEach((moved, month) => {
+                const existing = shards.get(month);
+                const ids = new Set(existing.map(entryId));
+                shards.set(month, [...existing, ...moved.filter(entry => !ids.has(entryId(entry)))]);
+            });
+            await this.writeShards(shards);
+            console.log(`📦 Moved ${entries.length} ${this.key} into ${grouped.size} monthly shards`);
+        }
+
+        await AsyncStorage.removeItem(this.key);
+    }
+
+    ensureReady() {
+        if (!this.ready) {
+            this.ready = this.migrate().catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    // Writes run one at a time, so two saves never rewrite a month from the same stale copy
+    exclusive(task) {
+        const run = this.writing.then(() => this.ensureReady()).then(task);
+        this.writing = run.catch(() => {});
+        return run;
+    }
+
+    // ==================== READS ====================
+
+    /**
+     * Months that hold entries ('YYYY-MM'), oldest first; entries without a valid day come last
+     * @param {Object} options - { newestFirst }
+     */
+    async getMonths({ newestFirst = false } = {}) {
+        await this.ensureReady();
+        return sortMonths(Object.keys((await this.readIndex()).months), newestFirst);
+    }
+
+    /**
+     * Every entry of the given months, in month order
+     */
+    async getMonthsEntries(months) {
+        await this.ensureReady();
+        const shards = await this.readShards(months);
+        return months.flatMap(month => shards.get(month));
+    }
+
+    async getAll() {
+        return this.getMonthsEntries(await this.getMonths());
+    }
+
+    /**
+     * Entries from startDate to endDate (inclusive); either bound may be null.
+     * Only the months in the range are read.
+     */
+    async getBetween(startDate = null, endDate = null) {
+        if (!startDate && !endDate) return this.getAll();
+
+        const months = (await this.getMonths()).filter(month => this.monthInRange(month, startDate, endDate));
+        const entries = await this.getMonthsEntries(months);
+        return entries.filter(entry => {
+            const date = this.dateOf(entry);
+            return (!startDate || date >= startDate) && (!endDate || date <= endDate);
+        });
+    }
+
+    monthInRange(month, startDate = null, endDate = null) {
+        if (!startDate && !endDate) return true;
+        return month !== UNDATED &&
+            (!startDate || month >= startDate.slice(0, 7)) &&
+            (!endDate || month <= endDate.slice(0, 7));
+    }
+
+    /**
+     * Stored entries, trashed ones included
+     */
+    async count() {
+        await this.ensureReady();
+        const { months } = await this.readIndex();
+        return Object.values(months).reduce((sum, count) => sum + count, 0);
+    }
+
+    // ==================== WRITES ====================
+
+    add(entry) {
+        return this.exclusive(async () => {
+            const month = this.monthOf(entry);
+            const shards = await this.readShards([month]);
+            shards.get(month).push(entry);
+            await this.writeShards(shards);
+            return entry;
+        });
+    }
+
+    /**
+     * Change the first entry that matches, searching the newest months first.
+     * An entry whose day moves to another month moves to that month's shard.
+     * @param {Function} matches - Entry -> boolean
+     * @param {Function} change - Entry -> the new entry, or null to remove it
+     * @returns {Object|null} { before, after }, or null when nothing matched
+     */
+    update(matches, change) {
+        return this.exclusive(async () => {
+            const months = sortMonths(Object.keys((await this.readIndex()).months), true);
+            for (const month of months) {
+                const shards = await this.readShards([month]);
+                const entries = shards.get(month);
+                const position = entries.findIndex(matches);
+                if (position === -1) continue;
+
+                const before = entries[position];
+                const after = change(before);
+                entries.splice(position, 1);
+
+                if (after) {
+                    const target = this.monthOf(after);
+                    if (target === month) {
+                        entries.splice(position, 0, after);
+                    } else {
+                        const [moved] = (await this.readShards([target])).values();
+                        shards.set(target, [...moved, after]);
+                    }
+                }
+                await this.writeShards(shards);
+                return { before, after };
+            }
+            return null;
+        });
+    }
+
+    /**
+     * Replace the whole collection, e.g. on import
+     */
+    replaceAll(entries) {
+        return this.exclusive(async () => {
+            const shards = new Map((await this.getMonths()).map(month => [month, []]));
+            entries.forEach(entry => {
+                const month = this.monthOf(entry);
+                if (!shards.has(month)) shards.set(month, []);
+                shards.get(month).push(entry);
+            });
+            await this.writeShards(shards);
+        });
+    }
+
+    clear() {
+        return this.replaceAll([]);
+    }
+}
+
+export default MonthShards;
@@ -0,0 +1,189 @@
+// Macroo Diet Tracker - Live updates from Supabase Realtime
+// Inserts and updates made anywhere (another device, the SQL Editor, triggers) are pushed into
+// the live store while a user is signed in. Deleting is an update too: it moves the row to the Trash.
+// Purging a row from the Trash is announced to the user's other devices as a resync.
+import { AppState } from 'react-native';
+import { DATABASE_BACKEND, DATABASE_BACKENDS, TABLES } from '../config/supabase';
+import authService, { AUTH_STATUS } from './authService';
+import liveStore, { LIVE_EVENTS, LIVE_TOPICS } from './liveStore';
+import supabase from './supabaseClient';
+
+const RECONNECT_DELAY_MS = 5000;
+
+// Hard deletes are not listened to: Realtime can neither filter them nor check them against row
+// level security, so every client would hear of every user's deletes. The app only hard-deletes
+// rows that are already in the Trash, and the device that purges them says so with a broadcast
+// on the user's channel (announcePurge), which the others turn into a resync.
+const EVENTS = [LIVE_EVENTS.INSERT, LIVE_EVENTS.UPDATE];
+const PURGE_BROADCAST = 'purge';
+
+// ownFilter: whether the table has a user_id column to narrow the stream to the signed-in user.
+// Foods also include the global catalogue, so RLS alone decides which rows arrive.
+const SUBSCRIPTIONS = [
+    { table: TABLES.MEAL_ENTRIES, topic: LIVE_TOPICS.MEALS, ownFilter: true },
+    { table: TABLES.WATER_ENTRIES, topic: LIVE_TOPICS.WATER, ownFilter: true },
+    { table: TABLES.FOODS, topic: LIVE_TOPICS.FOODS, ownFilter: false },
+    { table: TABLES.USER_PROFILES, topic: LIVE_TOPICS.PROFILE, ownFilter: true },
+];
+
+class RealtimeService {
+    constructor() {
+        this.channel = null;
+        this.userId = null;
+        this.connected = false;
+        this.hasConnected = false;
+        this.reconnectTimer = null;
+        this.authUnsubscribe = null;
+        this.appStateSubscription = null;
+    }
+
+    // ==================== LIFECYCLE ====================
+
+    /**
+     * Follow the signed-in user: listen while authenticated, disconnect otherwise
+     */
+    start() {
+        // The in-memory database has no Realtime; its changes only come from this device
+        if (DATABASE_BACKEND !== DATABASE_BACKENDS.SUPABASE) return;
+
+        if (!this.authUnsubscribe) {
+            this.authUnsubscribe = authService.subscribe(({ status, user }) => {
+                if (status === AUTH_STATUS.AUTHENTICATED && user?.id) {
+                    this.connect(user.id);
+                } else {
+                    this.disconnect();
+                }
+            });
+        }
+
+        // Mobile sockets are dropped in the background; rejoin when the app comes back
+        if (!this.appStateSubscription) {
+            this.appStateSubscription = AppState.addEventListener('change', (state) => {
+                if (state === 'active' && this.userId && !this.connected) {
+                    this.connect(this.userId, { force: true });
+                }
+            });
+        }
+    }
+
+    stop() {
+        this.authUnsubscribe?.();
+        this.authUnsubscribe = null;
+        this.appStateSubscription?.remove();
+        this.appStateSubscription = null;
+        this.disconnect();
+    }
+
+    // ==================== CHANNEL ====================
+
+    connect(userId, { force = false } = {}) {
+        if (!force && this.channel && this.userId === userId) return;
+
+        this.removeChannel();
+        if (this.userId !== userId) this.hasConnected = false;
+        this.userId = userId;
+
+        const channel = supabase.channel(`live:${userId}`);
+        SUBSCRIPTIONS.forEach(({ table, topic, ownFilter }) => {
+            const handle = (payload) => this.handleChange(topic, payload);
+            const filter = ownFilter ? { filter: `user_id=eq.${userId}` } : {};
+            EVENTS.forEach(event => {
+                channel.on('postgres_changes', { event, schema: 'public', table, ...filter }, handle);
+            });
+        });
+        channel.on('broadcast', { event: PURGE_BROADCAST }, ({ payload }) => this.handlePurge(payload));
+
+        channel.subscribe((status, error) => this.handleStatus(channel, status, error));
+        this.channel = channel;
+    }
+
+    disconnect() {
+        this.removeChannel();
+        this.userId = null;
+        this.hasConnected = false;
+    }
+
+    removeChannel() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.connected = false;
+        if (this.channel) {
+            const channel = this.channel;
+            this.channel = null;
+            supabase.removeChannel(channel).catch(error => {
+                console.error('Error leaving realtime channel:', error);
+            });
+        }
+    }
+
+    handleStatus(channel, status, error) {
+        // Ignore late callbacks from a channel that was already replaced
+        if (channel !== this.channel) return;
+
+        if (status === 'SUBSCRIBED') {
+            console.log('📡 Live updates connected');
+            this.connected = true;
+            // Anything that changed while the connection was down was never pushed
+            if (this.hasConnected) this.publishResync();
+            this.hasConnected = true;
+            return;
+        }
+
+        if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+            console.log('⚠️ Live updates disconnected:', error?.message || status);
+            this.connected = false;
+            this.scheduleReconnect();
+        } else if (status === 'CLOSED') {
+            this.connected = false;
+        }
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectTimer || !this.userId) return;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.userId) this.connect(this.userId, { force: true });
+        }, RECONNECT_DELAY_MS);
+    }
+
+    // ==================== CHANGES ====================
+
+    handleChange(topic, payload) {
+        const row = payload.new && Object.keys(payload.new).length > 0 ? payload.new : null;
+        const oldRow = payload.old && Object.keys(payload.old).length > 0 ? payload.old : null;
+        liveStore.publish(topic, { event: payload.eventType, row, oldRow });
+    }
+
+    // Another device purged rows; only the topic is sent, so reload it
+    handlePurge(payload) {
+        const topics = Object.values(LIVE_TOPICS);
+        if (!topics.includes(payload?.topic)) return;
+        liveStore.publish(payload.topic, { event: LIVE_EVENTS.RESYNC, row: null, oldRow: null });
+    }
+
+    publishResync() {
+        Object.values(LIVE_TOPICS).forEach(topic => {
+            liveStore.publish(topic, { event: LIVE_EVENTS.RESYNC, row: null, oldRow: null });
+        });
+    }
+
+    /**
+     * Tell the user's other devices that rows of a topic were hard-deleted.
+     * The purge has already happened, so a failed broadcast is only logged.
+     * @param {string} topic - One of LIVE_TOPICS
+     */
+    async announcePurge(topic) {
+        if (!this.channel) return;
+        try {
+            await this.channel.send({ type: 'broadcast', event: PURGE_BROADCAST, payload: { topic } });
+        } catch (error) {
+            console.error('Error announcing purge:', error);
+        }
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+}
+
+export default new RealtimeService();
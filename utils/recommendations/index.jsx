@@ -1,19 +1,19 @@
 // Food recommendation engine based on nutrition gaps and goals
-import { getCustomMacroTargets, suggestCalories } from '../storage';
-import { getFoodDatabase, getMeals, getProfile } from '../supabaseStorage';
+import { daysAgo, today, toLocalHours } from '../dateUtils';
+import { getCustomMacroTargets, getFoods, getMeals, getMealsBetween, getProfile, suggestCalories } from '../repository';
+
+// Meal timing is analysed over this many recent days
+const TIMING_WINDOW_DAYS = 30;
 
 // Calculate nutritional gaps for today
 export const calculateNutritionGaps = async () => {
     try {
-        const [meals, profile, customTargets] = await Promise.all([
-            getMeals(),
+        const [todayMeals, profile, customTargets] = await Promise.all([
+            getMeals(today()),
             getProfile(),
             getCustomMacroTargets(),
         ]);
 
-        const today = new Date().toISOString().split('T')[0];
-        const todayMeals = meals.filter(m => m.date === today);
-
         // Calculate today's totals
         const consumed = todayMeals.reduce((totals, meal) => ({
             calories: totals.calories + (meal.calories || 0),
@@ -70,7 +70,7 @@ export const recommendFoods = async (maxRecommendations = 5) => {
         if (!nutritionAnalysis) return [];
 
         const { gaps } = nutritionAnalysis;
-        const foods = await getFoodDatabase();
+        const foods = await getFoods();
 
         if (foods.length === 0) return [];
 
@@ -139,7 +139,7 @@ export const recommendFoods = async (maxRecommendations = 5) => {
 // Get recommendations for specific meal types
 export const getMealTypeRecommendations = async (mealType) => {
     try {
-        const foods = await getFoodDatabase();
+        const foods = await getFoods();
         const nutritionAnalysis = await calculateNutritionGaps();
 
         if (!nutritionAnalysis || foods.length === 0) return [];
@@ -225,9 +225,15 @@ export const getMealTypeRecommendations = async (mealType) => {
 // Analyze meal timing patterns
 export const analyzeMealTiming = async () => {
     try {
-        const meals = await getMeals();
-
-        if (meals.length === 0) {
+        const meals = await getMealsBetween(
+            daysAgo(TIMING_WINDOW_DAYS - 1),
+            today(),
+            { summary: true }
+        );
+
+        // Meals without a time (none since consumed_at was added) can't be placed in the day
+        const timedMeals = meals.filter(meal => meal.consumedAt);
+        if (timedMeals.length === 0) {
             return {
                 averageFirstMeal: null,
                 averageLastMeal: null,
@@ -239,42 +245,29 @@ export const analyzeMealTiming = async () => {
 
         // Group meals by day and analyze timing
         const mealsByDay = {};
-        meals.forEach(meal => {
+        timedMeals.forEach(meal => {
             const day = meal.date;
             if (!mealsByDay[day]) mealsByDay[day] = [];
             mealsByDay[day].push(meal);
         });
 
         const dailyStats = Object.values(mealsByDay).map(dayMeals => {
-            // For Supabase meals, we need to create timestamps from date + time
-            // For now, we'll use simplified timing (meals are already sorted by creation time)
-            const timestamps = dayMeals.map((m, index) => {
-                // Create approximate timestamps based on typical meal times
-                const baseDate = new Date(m.date + 'T00:00:00');
-                const mealHours = [8, 12, 15, 19]; // Breakfast, lunch, snack, dinner
-                baseDate.setHours(mealHours[index % mealHours.length] || 12);
-                return baseDate;
-            });
-            timestamps.sort((a, b) => a - b);
+            // Local clock hours of when each meal was eaten, e.g. 8.5 for 08:30
+            const hours = dayMeals.map(m => toLocalHours(m.consumedAt));
+            hours.sort((a, b) => a - b);
 
             return {
-                firstMeal: timestamps[0],
-                lastMeal: timestamps[timestamps.length - 1],
+                firstMeal: hours[0],
+                lastMeal: hours[hours.length - 1],
                 mealCount: dayMeals.length,
-                mealGaps: timestamps.slice(1).map((time, index) =>
-                    (time - timestamps[index]) / (1000 * 60 * 60) // hours between meals
-                ),
+                mealGaps: hours.slice(1).map((hour, index) => hour - hours[index]), // hours between meals
             };
         });
 
         // Calculate averages
-        const avgFirstMealHour = dailyStats.reduce((sum, day) =>
-            sum + day.firstMeal.getHours() + (day.firstMeal.getMinutes() / 60), 0
-        ) / dailyStats.length;
+        const avgFirstMealHour = dailyStats.reduce((sum, day) => sum + day.firstMeal, 0) / dailyStats.length;
 
-        const avgLastMealHour = dailyStats.reduce((sum, day) =>
-            sum + day.lastMeal.getHours() + (day.lastMeal.getMinutes() / 60), 0
-        ) / dailyStats.length;
+        const avgLastMealHour = dailyStats.reduce((sum, day) => sum + day.lastMeal, 0) / dailyStats.length;
 
         const avgMealsPerDay = dailyStats.reduce((sum, day) => sum + day.mealCount, 0) / dailyStats.length;
 
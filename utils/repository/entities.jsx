@@ -0,0 +1,281 @@
+// Canonical entity shapes shared by every storage backend
+// Adapters convert whatever their backend stores into these shapes before handing data to screens
+import { toLocalDate, toLocalTime } from '../dateUtils';
+
+export const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+const toNumber = (value, fallback = 0) => {
+    const number = parseFloat(value);
+    return isNaN(number) ? fallback : number;
+};
+
+const roundTo = (value, decimals = 1) => {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+};
+
+// Database enum values -> app values used by forms and calculations
+const ACTIVITY_LEVELS = {
+    lightly_active: 'light',
+    moderately_active: 'moderate',
+    very_active: 'active',
+    extremely_active: 'very_active',
+};
+
+const GOALS = {
+    lose_weight: 'lose',
+    maintain_weight: 'maintain',
+    gain_weight: 'gain',
+};
+
+export const normalizeMealType = (mealType) => {
+    const type = (mealType || '').toLowerCase();
+    if (type === 'snacks') return 'snack';
+    return MEAL_TYPES.includes(type) ? type : 'snack';
+};
+
+/**
+ * Every nutrient a food carries per 100g and a meal carries for its quantity.
+ * Sodium is in mg, the rest in grams (calories in kcal).
+ */
+export const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium'];
+
+// Calories and sodium are whole numbers, grams keep one decimal
+const roundNutrient = (field, value) => (field === 'calories' || field === 'sodium' ? Math.round(value) : roundTo(value));
+
+/**
+ * Nutrients for a quantity (grams) of a food whose values are per 100g
+ */
+export const calculateMealNutrients = (food, quantity) => {
+    const factor = toNumber(quantity) / 100;
+    return Object.fromEntries(NUTRIENTS.map(field => [field, roundNutrient(field, toNumber(food?.[field]) * factor)]));
+};
+
+/**
+ * Recipe: what a recipe food is made of (see ./recipes)
+ * { servings, yieldWeight (g, cooked), ingredients: [{ foodId, name, quantity (g), unit, unitAmount, nutrients }] }
+ * Each ingredient keeps the per-100g nutrients of its food as last computed, for when the food is gone.
+ */
+export const normalizeRecipe = (recipe) => {
+    if (!recipe) return null;
+    return {
+        servings: Math.max(1, toNumber(recipe.servings, 1)),
+        yieldWeight: toNumber(recipe.yieldWeight ?? recipe.yield_weight),
+        ingredients: (recipe.ingredients || []).map(ingredient => ({
+            foodId: ingredient.foodId || ingredient.food_id || null,
+            name: ingredient.name || 'Unknown Food',
+            quantity: toNumber(ingredient.quantity),
+            unit: ingredient.unit || 'g',
+            unitAmount: toNumber(ingredient.unitAmount ?? ingredient.unit_amount, toNumber(ingredient.quantity)),
+            nutrients: Object.fromEntries(NUTRIENTS.map(field => [field, toNumber(ingredient.nutrients?.[field])])),
+        })),
+    };
+};
+
+/**
+ * Food: nutrition values are per 100g
+ * { id, name, calories, protein, carbs, fat, fiber, sugar, sodium, servingSize, servingUnits, category, brand, barcode, recipe, isCustom, updatedAt, deletedAt, pending }
+ * servingUnits: grams in one unit the food can be logged in, e.g. { piece: 30 } (see ./servingUnits)
+ * recipe: null for plain foods; for recipes the nutrients are computed from it
+ */
+export const normalizeFood = (food) => {
+    if (!food) return null;
+    return {
+        id: food.id || food.name,
+        name: food.name || 'Unknown Food',
+        calories: toNumber(food.calories),
+        protein: toNumber(food.protein),
+        carbs: toNumber(food.carbs),
+        fat: toNumber(food.fat),
+        fiber: toNumber(food.fiber),
+        sugar: toNumber(food.sugar),
+        sodium: toNumber(food.sodium),
+        servingSize: food.servingSize || food.serving_size || '100g',
+        servingUnits: food.servingUnits || food.serving_units || {},
+        category: food.category || 'other',
+        brand: food.brand || null,
+        barcode: food.barcode || null,
+        recipe: normalizeRecipe(food.recipe),
+        isCustom: food.isCustom ?? food.is_custom ?? true,
+        updatedAt: food.updatedAt || food.updated_at || null,
+        deletedAt: food.deletedAt || food.deleted_at || null,
+        pending: !!food.pending,
+    };
+};
+
+/**
+ * Meal entry: nutrients are already scaled to the logged quantity (grams)
+ * { id, foodId, foodName, mealType, quantity, unit, unitAmount, servingSize, date, consumedAt, notes,
+ *   calories, protein, carbs, fat, fiber, sugar, sodium (mg), createdAt, updatedAt, deletedAt, pending }
+ * unit and unitAmount are what was entered ('piece', 2); quantity is the same amount in grams.
+ * consumedAt is when the meal was eaten (ISO timestamp), which may be well before it was logged.
+ */
+export const normalizeMeal = (meal) => {
+    if (!meal) return null;
+
+    // Legacy AsyncStorage entries: { type, food, nutrients, timestamp }
+    const createdAt = meal.createdAt || meal.created_at || meal.timestamp || null;
+    const consumedAt = meal.consumedAt || meal.consumed_at || createdAt;
+    const nutrients = meal.nutrients || meal;
+
+    return {
+        id: meal.id || meal.timestamp,
+        foodId: meal.foodId || meal.food_id || null,
+        foodName: meal.foodName || (typeof meal.food === 'string' ? meal.food : meal.food?.name) || 'Unknown Food',
+        mealType: normalizeMealType(meal.mealType || meal.meal_type || meal.type),
+        quantity: toNumber(meal.quantity, 100),
+        unit: meal.unit || 'g',
+        unitAmount: toNumber(meal.unitAmount ?? meal.unit_amount, toNumber(meal.quantity, 100)),
+        servingSize: meal.servingSize || meal.serving_size || '100g',
+        date: meal.date || (consumedAt ? toLocalDate(consumedAt) : null),
+        consumedAt,
+        notes: meal.notes || null,
+        calories: toNumber(nutrients.calories),
+        protein: toNumber(nutrients.protein),
+        carbs: toNumber(nutrients.carbs),
+        fat: toNumber(nutrients.fat),
+        fiber: toNumber(nutrients.fiber),
+        sugar: toNumber(nutrients.sugar),
+        sodium: toNumber(nutrients.sodium),
+        createdAt,
+        updatedAt: meal.updatedAt || meal.updated_at || null,
+        deletedAt: meal.deletedAt || meal.deleted_at || null,
+        pending: !!meal.pending,
+    };
+};
+
+/**
+ * Meal summary: the subset of a meal needed for totals, charts, streaks and meal timing
+ * { id, mealType, quantity, date, consumedAt, calories, protein, carbs, fat, fiber, sugar, sodium, createdAt, pending }
+ */
+export const toMealSummary = (meal) => {
+    const { foodId, foodName, unit, unitAmount, servingSize, notes, updatedAt, deletedAt, ...summary } = normalizeMeal(meal);
+    return summary;
+};
+
+/**
+ * Water entry: { id, amount (ml), date, time, pending }
+ */
+export const normalizeWaterEntry = (entry) => {
+    if (!entry) return null;
+    const timestamp = entry.timestamp || entry.created_at || null;
+    return {
+        id: entry.id || timestamp,
+        amount: toNumber(entry.amount),
+        date: entry.date || (timestamp ? toLocalDate(timestamp) : null),
+        time: entry.time || (timestamp ? toLocalTime(timestamp) : null),
+        pending: !!entry.pending,
+    };
+};
+
+/**
+ * Daily totals: everything logged on one date, nutrients rounded like meals
+ * { date, calories, protein, carbs, fat, fiber, sugar, sodium, water (ml), mealCount }
+ */
+export const normalizeDailyTotal = (total) => ({
+    date: total.date,
+    ...Object.fromEntries(NUTRIENTS.map(field => [field, roundNutrient(field, toNumber(total[field]))])),
+    water: Math.round(toNumber(total.water)),
+    mealCount: toNumber(total.mealCount ?? total.meal_count),
+});
+
+export const emptyDailyTotal = (date) => normalizeDailyTotal({ date });
+
+/**
+ * Build daily totals from canonical meals and water entries, oldest day first.
+ * Used where no database keeps them up to date (local storage, unsynced changes).
+ */
+export const computeDailyTotals = (meals = [], waterEntries = []) => {
+    const days = {};
+    const dayFor = (date) => {
+        if (!days[date]) days[date] = { date, calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, sugar: 0, sodium: 0, water: 0, mealCount: 0 };
+        return days[date];
+    };
+
+    meals.forEach(meal => {
+        const day = dayFor(meal.date);
+        NUTRIENTS.forEach(field => {
+            day[field] += toNumber(meal[field]);
+        });
+        day.mealCount += 1;
+    });
+    waterEntries.forEach(entry => {
+        dayFor(entry.date).water += toNumber(entry.amount);
+    });
+
+    return Object.values(days)
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(normalizeDailyTotal);
+};
+
+/**
+ * Profile: app enum values ('light', 'lose', ...) and camelCase targets
+ * { name, age, gender, height, weight, activityLevel, goal,
+ *   dailyCaloriesTarget, dailyProteinTarget, dailyCarbsTarget, dailyFatTarget, dailyWaterTarget,
+ *   timeZone (IANA name, null to follow the device), updatedAt }
+ */
+export const normalizeProfile = (profile) => {
+    if (!profile) return null;
+    const activityLevel = profile.activityLevel || profile.activity_level || null;
+    const goal = profile.goal || null;
+
+    return {
+        name: profile.name || null,
+        age: profile.age ? toNumber(profile.age) : null,
+        gender: profile.gender || null,
+        height: toNumber(profile.height ?? profile.heightCm, null),
+        weight: toNumber(profile.weight ?? profile.weightKg, null),
+        activityLevel: ACTIVITY_LEVELS[activityLevel] || activityLevel,
+        goal: GOALS[goal] || goal,
+        dailyCaloriesTarget: profile.dailyCaloriesTarget || profile.dailyCalorieTarget || profile.daily_calorie_target || null,
+        dailyProteinTarget: profile.dailyProteinTarget || profile.daily_protein_target || null,
+        dailyCarbsTarget: profile.dailyCarbsTarget || profile.daily_carbs_target || null,
+        dailyFatTarget: profile.dailyFatTarget || profile.daily_fat_target || null,
+        dailyWaterTarget: profile.dailyWaterTarget || profile.daily_water_target || null,
+        timeZone: profile.timeZone || profile.time_zone || null,
+        updatedAt: profile.updatedAt || profile.updated_at || null,
+    };
+};
+
+/**
+ * Meal template: { id, name, mealType, category, foods, totalCalories, totalProtein, totalCarbs, totalFat, isFavorite, createdAt, updatedAt, deletedAt, pending }
+ */
+export const normalizeTemplate = (template) => {
+    if (!template) return null;
+    const mealType = normalizeMealType(template.mealType || template.meal_type || template.category);
+    return {
+        id: template.id,
+        name: template.name,
+        mealType,
+        category: template.category || mealType.charAt(0).toUpperCase() + mealType.slice(1),
+        foods: template.foods || [],
+        totalCalories: toNumber(template.totalCalories ?? template.total_calories),
+        totalProtein: toNumber(template.totalProtein ?? template.total_protein),
+        totalCarbs: toNumber(template.totalCarbs ?? template.total_carbs),
+        totalFat: toNumber(template.totalFat ?? template.total_fat),
+        isFavorite: !!template.isFavorite,
+        createdAt: template.createdAt || template.created_at || null,
+        updatedAt: template.updatedAt || template.updated_at || null,
+        deletedAt: template.deletedAt || template.deleted_at || null,
+        pending: !!template.pending,
+    };
+};
+
+/**
+ * Achievement: { id, name, description, icon, target, progress, category, unlockedAt }
+ */
+export const normalizeAchievement = (achievement) => ({
+    ...achievement,
+    progress: toNumber(achievement.progress),
+    target: toNumber(achievement.target, 1),
+    unlockedAt: achievement.unlockedAt || null,
+});
+
+/**
+ * Weekly challenge: { id, name, description, type, target, progress, reward, icon, startDate, endDate }
+ */
+export const normalizeChallenge = (challenge) => ({
+    ...challenge,
+    progress: toNumber(challenge.progress),
+    target: toNumber(challenge.target, 1),
+});
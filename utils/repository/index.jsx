@@ -0,0 +1,862 @@
+// Macroo Diet Tracker - Storage repository
+// Screens talk to this module only. It hands out canonical entities (see ./entities)
+// and delegates persistence to whichever backend adapter is selected at runtime.
+import authService from '../authService';
+import { daysAgo, setTimeZone, today, toLocalDate, toLocalTime } from '../dateUtils';
+import essentialStorage from '../essentialStorage';
+import foodSearch, { filterAndSortFoods, SEARCH_SORTS } from '../foodSearch';
+import foodSources from '../foodSources';
+import * as storage from '../storage';
+import { calculateMealNutrients, emptyDailyTotal, normalizeFood, NUTRIENTS } from './entities';
+import localAdapter from './localAdapter';
+import { findIngredientFood, recipeUsesFood, recomputeRecipeFood, toRecipeFood } from './recipes';
+import remoteAdapter from './remoteAdapter';
+import { SERVING_UNITS, toGrams } from './servingUnits';
+
+export * from './entities';
+export * from './recipes';
+export * from './servingUnits';
+export { SEARCH_SORTS } from '../foodSearch';
+
+export const STORAGE_BACKENDS = {
+    LOCAL: 'local',
+    REMOTE: 'remote',
+};
+
+const ADAPTERS = {
+    [STORAGE_BACKENDS.LOCAL]: localAdapter,
+    [STORAGE_BACKENDS.REMOTE]: remoteAdapter,
+};
+
+const DEFAULT_BACKEND = STORAGE_BACKENDS.REMOTE;
+const TRASH_RETENTION_DAYS = 30;
+const BACKEND_PREFERENCE_KEY = 'storageBackend';
+
+let activeBackend = null;
+const backendListeners = new Set();
+
+const getAdapter = async () => {
+    if (!activeBackend) {
+        try {
+            const preferences = await essentialStorage.getUserPreferences();
+            activeBackend = ADAPTERS[preferences[BACKEND_PREFERENCE_KEY]]
+                ? preferences[BACKEND_PREFERENCE_KEY]
+                : DEFAULT_BACKEND;
+        } catch (error) {
+            console.error('❌ Error loading storage backend preference:', error);
+            activeBackend = DEFAULT_BACKEND;
+        }
+    }
+    // Without a signed-in user there is nothing to sync to, so data stays on the device
+    if (!authService.getUserId()) {
+        return localAdapter;
+    }
+    return ADAPTERS[activeBackend];
+};
+
+// ==================== BACKEND SELECTION ====================
+
+export const getStorageBackend = async () => {
+    const adapter = await getAdapter();
+    return adapter.name;
+};
+
+/**
+ * Switch every subsequent read and write to another backend
+ * @param {string} backend - One of STORAGE_BACKENDS
+ */
+export const setStorageBackend = async (backend) => {
+    if (!ADAPTERS[backend]) {
+        throw new Error(`Unknown storage backend: ${backend}`);
+    }
+    activeBackend = backend;
+    await essentialStorage.updateUserPreference(BACKEND_PREFERENCE_KEY, backend);
+    console.log(`🔀 Storage backend set to ${backend}`);
+    backendListeners.forEach(listener => listener(backend));
+};
+
+/**
+ * Listen for backend switches so screens can reload their data
+ * @returns {Function} Unsubscribe function
+ */
+export const onStorageBackendChange = (listener) => {
+    backendListeners.add(listener);
+    return () => backendListeners.delete(listener);
+};
+
+// ==================== FOODS ====================
+
+export const getFoods = async () => {
+    try {
+        const adapter = await getAdapter();
+        return await adapter.getFoods();
+    } catch (error) {
+        console.error('❌ Error loading foods:', error);
+        return [];
+    }
+};
+
+/**
+ * Get foods by id. Unlike getFoods, a failed read throws instead of returning no foods.
+ * @param {Array} ids - Food IDs
+ * @returns {Array} The live foods found; missing or trashed ids are left out
+ */
+export const getFoodsByIds = async (ids) => {
+    if (ids.length === 0) return [];
+    const adapter = await getAdapter();
+    return adapter.getFoodsByIds(ids);
+};
+
+// Foods by id, or none when they can't be loaded (e.g. offline); callers fall back to saved values
+const loadFoodsByIds = async (ids) => {
+    try {
+        return await getFoodsByIds(ids);
+    } catch (error) {
+        console.error('❌ Error loading foods by id:', error);
+        return [];
+    }
+};
+
+export const saveFood = async (food) => {
+    const adapter = await getAdapter();
+    return adapter.addFood(food);
+};
+
+/**
+ * Update a food
+ * @param {Object} base - The food as loaded before editing; lets Supabase catch edits made on another device
+ */
+export const updateFood = async (foodId, changes, base = null) => {
+    const adapter = await getAdapter();
+    const updated = await adapter.updateFood(foodId, changes, base);
+    if (updated) await refreshRecipesUsing(updated);
+    return updated;
+};
+
+export const deleteFood = async (foodId) => {
+    const adapter = await getAdapter();
+    return adapter.deleteFood(foodId);
+};
+
+export const findFoodByName = async (name) => {
+    try {
+        const adapter = await getAdapter();
+        const foods = await adapter.findFoodsByName(name);
+        return foods[0] || null;
+    } catch (error) {
+        console.error('❌ Error finding food by name:', error);
+        return null;
+    }
+};
+
+export const findFoodByBarcode = async (barcode) => {
+    if (!barcode) return null;
+    try {
+        const adapter = await getAdapter();
+        const foods = await adapter.findFoodsByBarcode(barcode);
+        return foods[0] || null;
+    } catch (error) {
+        console.error('❌ Error finding food by barcode:', error);
+        return null;
+    }
+};
+
+/**
+ * Food for a scanned barcode. The active backend's foods are checked first, then products
+ * scanned before on this device, then the configured food sources. Products found in a source
+ * are kept on the device, so scanning them again works offline.
+ * @returns {Object|null} Canonical food; one from a source carries `source` and is saved with
+ *   saveFoodFromSource before a meal can use it. It may be incomplete when the source had no
+ *   nutrients for it, which the scanner treats like a miss.
+ */
+export const lookupBarcode = async (barcode) => {
+    const code = String(barcode || '').trim();
+    if (!code) return null;
+
+    const own = await findFoodByBarcode(code);
+    if (own) return own;
+
+    const cached = await storage.getCachedProduct(code);
+    if (cached) return cached;
+
+    let found = await foodSources.lookupBarcode(code);
+    if (found && !found.complete) {
+        found = await foodSources.getDetails(found);
+    }
+    if (found?.complete) {
+        await storage.cacheProduct(found);
+    }
+    return found;
+};
+
+/**
+ * Add a food from an external source to the user's foods, or return the one already added
+ */
+export const saveFoodFromSource = async (food) => {
+    const existing = (food.barcode && await findFoodByBarcode(food.barcode)) || await findFoodByName(food.name);
+    if (existing) return existing;
+    return saveFood(normalizeFood({ ...food, isCustom: true }));
+};
+
+// Search ranks foods eaten often and lately higher. The meals behind that are reloaded
+// at most every few minutes, and after a meal is logged.
+const SEARCH_USAGE_DAYS = 90;
+const SEARCH_USAGE_TTL_MS = 5 * 60 * 1000;
+let searchUsageLoadedAt = 0;
+
+const refreshSearchUsage = async () => {
+    if (Date.now() - searchUsageLoadedAt < SEARCH_USAGE_TTL_MS) return;
+    try {
+        foodSearch.setUsage(await getMealsBetween(daysAgo(SEARCH_USAGE_DAYS), today()));
+        searchUsageLoadedAt = Date.now();
+    } catch (error) {
+        console.error('❌ Error loading meals for search ranking:', error);
+    }
+};
+
+/**
+ * Foods matching a query, best match first; typos, plurals and synonyms are allowed
+ * With Supabase the database searches (search_foods), so the foods table is never downloaded whole;
+ * on the device the local index does, also ranking foods eaten often and lately higher.
+ * @param {Object} options - { limit, offset, category, sortBy } where category keeps only its foods
+ *   and sortBy (SEARCH_SORTS) orders every match before the page is cut
+ * @returns {Array} Every food by name when the query is empty and no limit is given
+ */
+export const searchFoods = async (query, options = {}) => {
+    const adapter = await getAdapter();
+    if (adapter.searchFoods) return adapter.searchFoods(query, options);
+
+    const { limit = Infinity, offset = 0, category = null, sortBy = SEARCH_SORTS.RELEVANCE } = options;
+    const foods = await getFoods();
+    if (!query || query.trim() === '') {
+        // By name, like search_foods pages through them
+        const byName = [...foods].sort((a, b) => a.name.localeCompare(b.name));
+        return filterAndSortFoods(byName, { category, sortBy }).slice(offset, offset + limit);
+    }
+
+    await refreshSearchUsage();
+    // Filtering or sorting needs every match, not just the best ones
+    const ranked = foodSearch.sync(foods).search(query, {
+        limit: !category && sortBy === SEARCH_SORTS.RELEVANCE ? offset + limit : Infinity,
+    });
+    return filterAndSortFoods(ranked, { category, sortBy }).slice(offset, offset + limit);
+};
+
+export const searchFoodsEnhanced = async (query, options = {}) => {
+    await refreshSearchUsage();
+    return storage.searchFoodsEnhanced(query, { ...options, searchLocal: searchFoods, loadFoods: getFoods });
+};
+
+// Recently used foods are a per-device convenience and always stay local
+export const saveRecentFood = (food) => storage.saveRecentFood(normalizeFood(food));
+
+export const getRecentFoods = async () => {
+    const foods = await storage.getRecentFoods();
+    return foods.map(normalizeFood);
+};
+
+// ==================== RECIPES ====================
+
+/**
+ * The foods ingredients were made from: by id, else by name like findIngredientFood.
+ * With nested, the ingredients of recipes used as ingredients are loaded too, all the way down.
+ */
+const loadIngredientFoods = async (ingredients, { nested = false } = {}) => {
+    const foods = [];
+    const seen = new Set();
+    let next = ingredients;
+    while (next.length > 0) {
+        const fresh = next.filter(ingredient => !seen.has(ingredient.foodId || ingredient.name));
+        fresh.forEach(ingredient => seen.add(ingredient.foodId || ingredient.name));
+
+        const found = await loadFoodsByIds(fresh.map(ingredient => ingredient.foodId).filter(Boolean));
+        for (const ingredient of fresh) {
+            if (findIngredientFood(ingredient, found)) continue;
+            const named = await findFoodByName(ingredient.name);
+            if (named) found.push(named);
+        }
+
+        const added = found.filter(food => !foods.some(known => known.id === food.id));
+        foods.push(...added);
+        next = nested ? added.filter(food => food.recipe).flatMap(food => food.recipe.ingredients) : [];
+    }
+    return foods;
+};
+
+/**
+ * Save a recipe as a food, with its nutrients worked out from the ingredients
+ * @param {Object} recipe - { name, category, servings, yieldWeight, ingredients } (see ./recipes)
+ */
+export const saveRecipe = async (recipe) => {
+    const foods = await loadIngredientFoods(recipe.ingredients);
+    return saveFood(toRecipeFood(recipe, foods));
+};
+
+/**
+ * Change a recipe's name, ingredients, yield or servings; its nutrients are worked out again
+ * @param {Object} base - The recipe food as loaded before editing
+ */
+export const updateRecipe = async (foodId, recipe, base = null) => {
+    const foods = await loadIngredientFoods(recipe.ingredients, { nested: true });
+    if (recipeUsesFood(recipe.ingredients, foodId, foods)) {
+        throw new Error('A recipe cannot be an ingredient of itself');
+    }
+    return updateFood(foodId, toRecipeFood(recipe, foods), base);
+};
+
+/**
+ * Recipes made with a food take up its new nutrients, and recipes made with those recipes follow.
+ * Each recipe is updated at most once, so recipes that use each other cannot loop.
+ */
+const refreshRecipesUsing = async (food, refreshed = new Set([food.id])) => {
+    try {
+        const adapter = await getAdapter();
+        // Matched by id or name, so ingredients saved under a food's offline id are found too.
+        // A recipe made with another food of the same name is only recomputed, and stays as it is.
+        const recipes = (await adapter.getRecipeFoods()).filter(candidate => !refreshed.has(candidate.id) &&
+            candidate.recipe.ingredients.some(ingredient => findIngredientFood(ingredient, [food])));
+
+        for (const recipe of recipes) {
+            refreshed.add(recipe.id);
+            const changes = recomputeRecipeFood(recipe, await loadIngredientFoods(recipe.recipe.ingredients));
+            if (!changes) continue;
+
+            const updated = await adapter.updateFood(recipe.id, changes, recipe);
+            if (updated) {
+                console.log(`🍲 Recipe ${recipe.name} updated for the new ${food.name}`);
+                await refreshRecipesUsing(updated, refreshed);
+            }
+        }
+    } catch (error) {
+        console.error(`❌ Error updating recipes made with ${food.name}:`, error);
+    }
+};
+
+// ==================== MEALS ====================
+
+/**
+ * Get meal entries
+ * @param {string} date - Optional YYYY-MM-DD date; the whole history when omitted (exports only)
+ */
+export const getMeals = async (date = null) => {
+    try {
+        const adapter = await getAdapter();
+        return await adapter.getMeals({ date });
+    } catch (error) {
+        console.error('❌ Error loading meals:', error);
+        return [];
+    }
+};
+
+/**
+ * Get meals logged between two dates (inclusive), oldest first
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {Object} options - { summary: true } returns meal summaries without food names or notes
+ */
+export const getMealsBetween = async (startDate, endDate, options = {}) => {
+    try {
+        const adapter = await getAdapter();
+        return await adapter.getMealsBetween(startDate, endDate, options);
+    } catch (error) {
+        console.error('❌ Error loading meals between dates:', error);
+        return [];
+    }
+};
+
+/**
+ * Get one page of meals, newest first
+ * @param {Object} options - { cursor, limit, startDate, endDate, summary }
+ * @returns {Object} { meals, nextCursor } - pass nextCursor back for the next page; null on the last one
+ */
+export const getMealsPage = async (options = {}) => {
+    try {
+        const adapter = await getAdapter();
+        return await adapter.getMealsPage(options);
+    } catch (error) {
+        console.error('❌ Error loading meals page:', error);
+        return { meals: [], nextCursor: null };
+    }
+};
+
+export const getMeal = async (mealId) => {
+    const adapter = await getAdapter();
+    return adapter.getMeal(mealId);
+};
+
+/**
+ * Get per-day totals (nutrients, water, meal count) for a date range, oldest first.
+ * Days with nothing logged are omitted; use emptyDailyTotal(date) for them.
+ * On Supabase these come from the trigger-maintained daily_totals table.
+ */
+export const getDailyTotals = async (startDate, endDate) => {
+    try {
+        const adapter = await getAdapter();
+        return await adapter.getDailyTotals(startDate, endDate);
+    } catch (error) {
+        console.error('❌ Error loading daily totals:', error);
+        return [];
+    }
+};
+
+/**
+ * Totals for a single date, zeroes when nothing was logged
+ */
+export const getDailyTotal = async (date) => {
+    const [total] = await getDailyTotals(date, date);
+    return total || emptyDailyTotal(date);
+};
+
+/**
+ * Log a meal
+ * @param {Object} meal - Canonical meal; pass `food` (per-100g) to have nutrients calculated.
+ *   With `unit` and `unitAmount` (e.g. 'piece', 2) the quantity in grams is worked out from the food.
+ *   `consumedAt` (when it was eaten) defaults to now and decides the day unless `date` is given.
+ */
+export const saveMeal = async (meal) => {
+    const { food, ...entry } = meal;
+    const unit = entry.unit || SERVING_UNITS.GRAM;
+    const quantity = food && entry.unitAmount !== undefined
+        ? toGrams(food, entry.unitAmount, unit)
+        : entry.quantity ?? 100;
+    const now = new Date().toISOString();
+    const consumedAt = entry.consumedAt || now;
+
+    const canonical = {
+        date: toLocalDate(consumedAt),
+        createdAt: now,
+        ...entry,
+        consumedAt,
+        quantity,
+        unit,
+        unitAmount: entry.unitAmount ?? quantity,
+        ...(food && {
+            foodId: entry.foodId || food.id,
+            foodName: food.name,
+            servingSize: entry.servingSize || food.servingSize || food.serving_size,
+            ...calculateMealNutrients(food, quantity),
+        }),
+    };
+
+    const adapter = await getAdapter();
+    const saved = await adapter.addMeal(food ? { ...canonical, food: normalizeFood(food) } : canonical);
+    searchUsageLoadedAt = 0;
+    return saved;
+};
+
+// Grams for an edited meal. Changing only the amount reuses the entry's own grams per unit;
+// a new unit needs the food's conversion. Grams edited directly make the entry a gram entry.
+const resolveQuantity = async (existing, changes) => {
+    if (changes.quantity !== undefined) {
+        return changes.unitAmount !== undefined
+            ? { quantity: changes.quantity, unit: changes.unit || existing.unit, unitAmount: changes.unitAmount }
+            : { quantity: changes.quantity, unit: SERVING_UNITS.GRAM, unitAmount: changes.quantity };
+    }
+
+    const unit = changes.unit || existing.unit;
+    const unitAmount = changes.unitAmount ?? existing.unitAmount;
+    if (unit === existing.unit && existing.unitAmount) {
+        return { quantity: Math.round(unitAmount * existing.quantity / existing.unitAmount * 10) / 10, unit, unitAmount };
+    }
+    const [food] = existing.foodId ? await loadFoodsByIds([existing.foodId]) : [];
+    return { quantity: toGrams(food, unitAmount, unit), unit, unitAmount };
+};
+
+/**
+ * Update a meal; changing the quantity, unit or amount rescales its nutrients
+ * @param {Object} base - The meal as loaded before editing; lets Supabase catch edits made on another device
+ */
+export const updateMeal = async (mealId, changes, base = null) => {
+    const adapter = await getAdapter();
+    let updates = changes;
+
+    const resized = ['quantity', 'unit', 'unitAmount'].some(field => changes[field] !== undefined);
+    if (resized && changes.calories === undefined) {
+        const existing = await adapter.getMeal(mealId);
+        if (existing?.quantity) {
+            const sized = await resolveQuantity(existing, changes);
+            const per100g = Object.fromEntries(
+                NUTRIENTS.map(field => [field, existing[field] * 100 / existing.quantity])
+            );
+            updates = { ...changes, ...sized, ...calculateMealNutrients(per100g, sized.quantity) };
+        }
+    }
+
+    // A meal moved to another time belongs to that time's day
+    if (changes.consumedAt && changes.date === undefined) {
+        updates = { ...updates, date: toLocalDate(changes.consumedAt) };
+    }
+
+    return adapter.updateMeal(mealId, updates, base);
+};
+
+export const deleteMeal = async (mealId) => {
+    const adapter = await getAdapter();
+    return adapter.deleteMeal(mealId);
+};
+
+// ==================== WATER ====================
+
+/**
+ * Get water entries for a day
+ * @param {string} date - YYYY-MM-DD, defaults to today
+ */
+export const getWaterEntries = async (date = today()) => {
+    try {
+        const adapter = await getAdapter();
+        return await adapter.getWaterEntries({ date });
+    } catch (error) {
+        console.error('❌ Error loading water entries:', error);
+        return [];
+    }
+};
+
+/**
+ * Get water entries logged between two dates (inclusive)
+ * @param {string} startDate - YYYY-MM-DD, or null for no lower bound
+ * @param {string} endDate - YYYY-MM-DD, or null for no upper bound
+ */
+export const getWaterEntriesBetween = async (startDate = null, endDate = null) => {
+    try {
+        const adapter = await getAdapter();
+        return await adapter.getWaterEntriesBetween(startDate, endDate);
+    } catch (error) {
+        console.error('❌ Error loading water entries between dates:', error);
+        return [];
+    }
+};
+
+/**
+ * Log water intake
+ * @param {number} amount - Millilitres
+ * @param {Object} details - Optional { date, time }
+ */
+export const saveWaterEntry = async (amount, details = {}) => {
+    const parsed = parseInt(amount);
+    if (!parsed || parsed <= 0) {
+        throw new Error('Invalid water amount. Must be a positive number.');
+    }
+
+    const adapter = await getAdapter();
+    return adapter.addWaterEntry({
+        amount: parsed,
+        date: details.date || today(),
+        time: details.time || toLocalTime(),
+    });
+};
+
+// ==================== PROFILE ====================
+
+export const getProfile = async () => {
+    try {
+        const adapter = await getAdapter();
+        const profile = await adapter.getProfile();
+        setTimeZone(profile?.timeZone);
+        return profile;
+    } catch (error) {
+        console.error('❌ Error loading profile:', error);
+        return null;
+    }
+};
+
+/**
+ * Save the profile
+ * @param {Object} base - The profile as loaded before editing; lets Supabase catch edits made on another device
+ */
+export const saveProfile = async (profile, base = null) => {
+    const adapter = await getAdapter();
+    const saved = await adapter.saveProfile(profile, base);
+    setTimeZone(profile?.timeZone);
+    return saved;
+};
+
+export const getCustomMacroTargets = async () => {
+    try {
+        const adapter = await getAdapter();
+        return await adapter.getCustomMacroTargets();
+    } catch (error) {
+        console.error('❌ Error loading custom macro targets:', error);
+        return null;
+    }
+};
+
+export const saveCustomMacroTargets = async (targets) => {
+    const adapter = await getAdapter();
+    return adapter.saveCustomMacroTargets(targets);
+};
+
+// Works on canonical profiles, so the same estimate is used for both backends
+export const suggestCalories = (profile) => storage.suggestCalories(profile);
+
+// ==================== TEMPLATES ====================
+
+export const getMealTemplates = async () => {
+    try {
+        const adapter = await getAdapter();
+        return await adapter.getTemplates();
+    } catch (error) {
+        console.error('❌ Error loading meal templates:', error);
+        return [];
+    }
+};
+
+/**
+ * Create a template, or replace it when `template.id` is set
+ * @param {Object} base - When replacing, the template as loaded before editing
+ */
+export const saveMealTemplate = async (template, base = null) => {
+    const adapter = await getAdapter();
+    return adapter.saveTemplate(template, base);
+};
+
+export const deleteMealTemplate = async (templateId) => {
+    const adapter = await getAdapter();
+    return adapter.deleteTemplate(templateId);
+};
+
+// ==================== TRASH ====================
+
+export const TRASH_TYPES = {
+    FOOD: 'food',
+    MEAL: 'meal',
+    TEMPLATE: 'template',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toTrashItem = (type, item, label) => {
+    const deletedAt = item.deletedAt || new Date().toISOString();
+    return {
+        type,
+        id: item.id,
+        label,
+        deletedAt,
+        expiresAt: new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString(),
+        item,
+    };
+};
+
+/**
+ * Deleted foods, meals and templates, newest first. Items are kept for TRASH_RETENTION_DAYS;
+ * anything older is purged while loading.
+ * @param {Object} options - { purgeExpired: false } to only read, leaving expired items in the list
+ * @returns {Array} [{ type, id, label, deletedAt, expiresAt, item }] - item is the canonical entity
+ */
+export const getTrash = async ({ purgeExpired = true } = {}) => {
+    try {
+        const adapter = await getAdapter();
+        const { foods, meals, templates } = await adapter.getTrash();
+        const items = [
+            ...foods.map(food => toTrashItem(TRASH_TYPES.FOOD, food, food.name)),
+            ...meals.map(meal => toTrashItem(TRASH_TYPES.MEAL, meal, `${meal.foodName} · ${meal.date}`)),
+            ...templates.map(template => toTrashItem(TRASH_TYPES.TEMPLATE, template, template.name)),
+        ].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+        if (!purgeExpired) return items;
+
+        const now = new Date().toISOString();
+        const expired = items.filter(entry => entry.expiresAt <= now);
+        for (const entry of expired) {
+            try {
+                await adapter.purgeFromTrash(entry.type, entry.id);
+            } catch (error) {
+                // e.g. a food still used by meals; it stays until those are gone
+                console.error(`❌ Error purging expired ${entry.type}:`, error);
+            }
+        }
+        if (expired.length > 0) {
+            console.log(`🗑️ Purged ${expired.length} expired trash item(s)`);
+        }
+
+        return items.filter(entry => entry.expiresAt > now);
+    } catch (error) {
+        console.error('❌ Error loading trash:', error);
+        return [];
+    }
+};
+
+/**
+ * Undo a delete
+ * @param {string} type - One of TRASH_TYPES
+ */
+export const restoreFromTrash = async (type, id) => {
+    const adapter = await getAdapter();
+    return adapter.restoreFromTrash(type, id);
+};
+
+/**
+ * Permanently delete an item that is in the trash
+ * @param {string} type - One of TRASH_TYPES
+ */
+export const purgeFromTrash = async (type, id) => {
+    const adapter = await getAdapter();
+    return adapter.purgeFromTrash(type, id);
+};
+
+// ==================== CHANGE HISTORY ====================
+
+export const HISTORY_TYPES = {
+    MEAL: 'meal',
+    FOOD: 'food',
+    PROFILE: 'profile',
+};
+
+// Numbers can come back as strings, and objects (serving units) are compared by content
+const sameValue = (a, b) => {
+    if (a == null || b == null) return (a ?? null) === (b ?? null);
+    if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+    return String(a) === String(b) || Number(a) === Number(b);
+};
+
+const diffVersions = (before, after) => {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...fields]
+        .filter(field => !sameValue(before?.[field], after?.[field]))
+        .map(field => ({ field, before: before?.[field] ?? null, after: after?.[field] ?? null }));
+};
+
+/**
+ * Recorded versions of a meal, food or the profile, newest first
+ * @param {string} type - One of HISTORY_TYPES
+ * @param {string|null} id - Meal or food id; null for the profile
+ * @returns {Array|null} [{ id, action, changedAt, changedBy, before, after, changes }] where changes
+ *   lists { field, before, after }; null when the active backend keeps no history
+ */
+export const getChangeHistory = async (type, id = null) => {
+    const adapter = await getAdapter();
+    const history = await adapter.getChangeHistory(type, id);
+    return history && history.map(entry => ({ ...entry, changes: diffVersions(entry.before, entry.after) }));
+};
+
+/**
+ * Put a meal, food or the profile back the way it was before a recorded change.
+ * The revert is saved as a new edit, so it shows up in the history too.
+ * @param {string} type - One of HISTORY_TYPES
+ * @param {string|null} id - Meal or food id; null for the profile
+ * @param {Object} entry - An entry from getChangeHistory
+ */
+export const revertChange = async (type, id, entry) => {
+    if (!entry.before) {
+        throw new Error('There is no earlier version to go back to');
+    }
+    const { deletedAt, ...version } = entry.before;
+
+    if (type === HISTORY_TYPES.PROFILE) {
+        const current = await getProfile();
+        return saveProfile({ ...current, ...version }, current);
+    }
+
+    const current = type === HISTORY_TYPES.MEAL
+        ? await getMeal(id)
+        : (await getFoodsByIds([id]))[0];
+    if (!current) {
+        throw new Error('Restore it from the Trash before going back to an earlier version');
+    }
+
+    const changes = Object.fromEntries(
+        Object.entries(version).filter(([field, value]) => !sameValue(value, current[field]))
+    );
+    if (Object.keys(changes).length === 0) return current;
+
+    if (type === HISTORY_TYPES.MEAL) {
+        // The grams, unit and entered amount only make sense together
+        if (['quantity', 'unit', 'unitAmount'].some(field => field in changes)) {
+            Object.assign(changes, { quantity: version.quantity, unit: version.unit, unitAmount: version.unitAmount });
+        }
+        return updateMeal(id, changes, current);
+    }
+    return updateFood(id, changes, current);
+};
+
+// ==================== ACHIEVEMENTS & CHALLENGES ====================
+
+export const getAchievements = async () => {
+    try {
+        const adapter = await getAdapter();
+        return await adapter.getAchievements();
+    } catch (error) {
+        console.error('❌ Error loading achievements:', error);
+        return [];
+    }
+};
+
+export const saveAchievements = async (achievements) => {
+    const adapter = await getAdapter();
+    return adapter.saveAchievements(achievements);
+};
+
+/**
+ * Set an achievement's progress, unlocking it when the target is reached
+ * @returns {Array} The updated achievement list
+ */
+export const updateAchievement = async (achievementId, progress) => {
+    const achievements = await getAchievements();
+    const updated = achievements.map(achievement => {
+        if (achievement.id !== achievementId) return achievement;
+
+        const newProgress = Math.min(progress, achievement.target);
+        return {
+            ...achievement,
+            progress: newProgress,
+            unlockedAt: !achievement.unlockedAt && newProgress >= achievement.target
+                ? new Date().toISOString()
+                : achievement.unlockedAt,
+        };
+    });
+
+    await saveAchievements(updated);
+    return updated;
+};
+
+export const getWeeklyChallenges = async () => {
+    try {
+        const adapter = await getAdapter();
+        return await adapter.getChallenges();
+    } catch (error) {
+        console.error('❌ Error loading weekly challenges:', error);
+        return [];
+    }
+};
+
+export const saveWeeklyChallenges = async (challenges) => {
+    const adapter = await getAdapter();
+    return adapter.saveChallenges(challenges);
+};
+
+export const updateChallengeProgress = async (challengeId, progress) => {
+    const challenges = await getWeeklyChallenges();
+    const updated = challenges.map(challenge => (
+        challenge.id === challengeId
+            ? { ...challenge, progress: Math.min(progress, challenge.target) }
+            : challenge
+    ));
+
+    await saveWeeklyChallenges(updated);
+    return updated;
+};
+
+// ==================== EXPORT ====================
+
+export const exportUserData = async () => {
+    const [foods, meals, waterEntries, profile, templates, achievements] = await Promise.all([
+        getFoods(),
+        getMeals(),
+        getWaterEntriesBetween(),
+        getProfile(),
+        getMealTemplates(),
+        getAchievements(),
+    ]);
+
+    return {
+        exportDate: new Date().toISOString(),
+        version: '2.0',
+        backend: await getStorageBackend(),
+        data: {
+            foods,
+            meals,
+            waterEntries,
+            profile,
+            templates,
+            achievements,
+        },
+    };
+};
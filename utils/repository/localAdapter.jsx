@@ -0,0 +1,264 @@
+// Macroo Diet Tracker - AsyncStorage backend for the storage repository
+import * as storage from '../storage';
+import {
+    computeDailyTotals,
+    normalizeAchievement,
+    normalizeChallenge,
+    normalizeFood,
+    normalizeMeal,
+    normalizeProfile,
+    normalizeTemplate,
+    normalizeWaterEntry,
+    toMealSummary,
+} from './entities';
+
+const DEFAULT_PAGE_SIZE = 100;
+
+const createId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+const isBetween = (date, startDate, endDate) => (!startDate || date >= startDate) && (!endDate || date <= endDate);
+
+// Newest first, matching the order Supabase pages are returned in
+const compareMealsDesc = (a, b) =>
+    (b.date || '').localeCompare(a.date || '') ||
+    String(b.createdAt || '').localeCompare(String(a.createdAt || '')) ||
+    String(b.id).localeCompare(String(a.id));
+
+class LocalStorageAdapter {
+    name = 'local';
+
+    // ==================== FOODS ====================
+
+    async getFoods() {
+        const foods = await storage.getFoodDatabase();
+        return foods.map(normalizeFood);
+    }
+
+    async getFoodsByIds(ids) {
+        return (await this.getFoods()).filter(food => ids.includes(food.id));
+    }
+
+    async findFoodsByBarcode(barcode) {
+        return (await this.getFoods()).filter(food => food.barcode === barcode);
+    }
+
+    async findFoodsByName(name) {
+        return (await this.getFoods()).filter(food => food.name.toLowerCase() === name.toLowerCase());
+    }
+
+    async getRecipeFoods() {
+        return (await this.getFoods()).filter(food => food.recipe);
+    }
+
+    async addFood(food) {
+        const saved = await storage.saveFoodToDatabase(food);
+        if (!saved) {
+            throw new Error(`Food "${food.name}" could not be saved`);
+        }
+        return normalizeFood(saved);
+    }
+
+    async updateFood(foodId, changes) {
+        const foods = await storage.getFoodDatabase();
+        const existing = foods.find(f => f.id === foodId || f.name === foodId);
+        if (!existing) return null;
+
+        const updated = { ...existing, ...changes, id: existing.id };
+        await storage.updateFood(existing.name, updated);
+        return normalizeFood(updated);
+    }
+
+    async deleteFood(foodId) {
+        const foods = await storage.getFoodDatabase();
+        const existing = foods.find(f => f.id === foodId || f.name === foodId);
+        if (!existing) return false;
+
+        await storage.deleteFood(existing.name);
+        return true;
+    }
+
+    // ==================== MEALS ====================
+
+    async getMeals({ date = null } = {}) {
+        const meals = (date ? await storage.getMealsBetween(date, date) : await storage.getMeals()).map(normalizeMeal);
+        return date ? meals.filter(m => m.date === date) : meals;
+    }
+
+    async getMeal(mealId) {
+        const meals = await this.getMeals();
+        return meals.find(m => m.id === mealId) || null;
+    }
+
+    async getMealsBetween(startDate, endDate, { summary = false } = {}) {
+        const meals = (await storage.getMealsBetween(startDate, endDate))
+            .map(normalizeMeal)
+            .filter(m => isBetween(m.date, startDate, endDate))
+            .sort((a, b) => compareMealsDesc(b, a));
+        return summary ? meals.map(toMealSummary) : meals;
+    }
+
+    async getMealsPage({ cursor = null, limit = DEFAULT_PAGE_SIZE, startDate = null, endDate = null, summary = false } = {}) {
+        // Meals are stored by month: read months newest first until the page and one more meal are found
+        const months = await storage.getMealMonths(startDate, endDate);
+        const remaining = [];
+        for (const month of months) {
+            if (remaining.length > limit) break;
+            const meals = (await storage.getMealsForMonths([month]))
+                .map(normalizeMeal)
+                .filter(m => isBetween(m.date, startDate, endDate))
+                .filter(m => !cursor || compareMealsDesc(cursor, m) < 0);
+            remaining.push(...meals.sort(compareMealsDesc));
+        }
+
+        const page = remaining.slice(0, limit);
+        const last = page[page.length - 1];
+
+        return {
+            meals: summary ? page.map(toMealSummary) : page,
+            nextCursor: remaining.length > limit ? { date: last.date, createdAt: last.createdAt, id: last.id } : null,
+        };
+    }
+
+    async addMeal(meal) {
+        // Nutrients are already scaled on the entry, so the food snapshot is not stored
+        const { food, ...entry } = meal;
+        const saved = await storage.saveMealEntry({ ...entry, id: entry.id || createId('meal') });
+        if (!saved) {
+            throw new Error('Meal could not be saved');
+        }
+        return normalizeMeal(saved);
+    }
+
+    async updateMeal(mealId, changes) {
+        await storage.updateMeal(mealId, changes);
+        return this.getMeal(mealId);
+    }
+
+    async deleteMeal(mealId) {
+        await storage.deleteMeal(mealId);
+        return true;
+    }
+
+    // ==================== WATER ====================
+
+    async getWaterEntries({ date = null } = {}) {
+        const entries = (await storage.getWaterEntries(date, date)).map(normalizeWaterEntry);
+        return date ? entries.filter(w => w.date === date) : entries;
+    }
+
+    async getWaterEntriesBetween(startDate, endDate) {
+        return (await storage.getWaterEntries(startDate, endDate)).map(normalizeWaterEntry);
+    }
+
+    async addWaterEntry(entry) {
+        const saved = await storage.saveWaterEntry(entry.amount, {
+            id: createId('water'),
+            date: entry.date,
+            time: entry.time,
+        });
+        if (!saved) {
+            throw new Error('Water entry could not be saved');
+        }
+        return normalizeWaterEntry(saved);
+    }
+
+    // ==================== DAILY TOTALS ====================
+
+    async getDailyTotals(startDate, endDate) {
+        const [meals, waterEntries] = await Promise.all([
+            this.getMealsBetween(startDate, endDate),
+            storage.getWaterEntries(startDate, endDate).then(entries => entries.map(normalizeWaterEntry)),
+        ]);
+        return computeDailyTotals(meals, waterEntries.filter(w => isBetween(w.date, startDate, endDate)));
+    }
+
+    // ==================== PROFILE ====================
+
+    async getProfile() {
+        return normalizeProfile(await storage.getProfile());
+    }
+
+    async saveProfile(profile) {
+        const normalized = normalizeProfile(profile);
+        await storage.saveProfile(normalized);
+        return normalized;
+    }
+
+    async getCustomMacroTargets() {
+        return storage.getCustomMacroTargets();
+    }
+
+    async saveCustomMacroTargets(targets) {
+        return storage.saveCustomMacroTargets(targets);
+    }
+
+    // ==================== TEMPLATES ====================
+
+    async getTemplates() {
+        const templates = await storage.getMealTemplates();
+        return templates.map(normalizeTemplate);
+    }
+
+    async saveTemplate(template) {
+        // Saving an existing template replaces it (e.g. toggling favourite)
+        const saved = await storage.saveMealTemplate(template);
+        return normalizeTemplate(saved);
+    }
+
+    async deleteTemplate(templateId) {
+        await storage.deleteMealTemplate(templateId);
+        return true;
+    }
+
+    // ==================== TRASH ====================
+
+    async getTrash() {
+        const [foods, meals, templates] = await Promise.all([
+            storage.getTrash('food'),
+            storage.getTrash('meal'),
+            storage.getTrash('template'),
+        ]);
+        return {
+            foods: foods.map(normalizeFood),
+            meals: meals.map(normalizeMeal),
+            templates: templates.map(normalizeTemplate),
+        };
+    }
+
+    async restoreFromTrash(type, id) {
+        return storage.restoreFromTrash(type, id);
+    }
+
+    async purgeFromTrash(type, id) {
+        return storage.purgeFromTrash(type, id);
+    }
+
+    // ==================== CHANGE HISTORY ====================
+
+    // Versions are recorded by triggers on the Supabase tables; the device keeps none
+    async getChangeHistory() {
+        return null;
+    }
+
+    // ==================== ACHIEVEMENTS & CHALLENGES ====================
+
+    async getAchievements() {
+        const achievements = await storage.getAchievements();
+        return achievements.map(normalizeAchievement);
+    }
+
+    async saveAchievements(achievements) {
+        return storage.saveAchievements(achievements);
+    }
+
+    async getChallenges() {
+        const challenges = await storage.getWeeklyChallenges();
+        return challenges.map(normalizeChallenge);
+    }
+
+    async saveChallenges(challenges) {
+        return storage.saveWeeklyChallenges(challenges);
+    }
+}
+
+export default new LocalStorageAdapter();
@@ -0,0 +1,106 @@
+// Macroo Diet Tracker - Recipes
+// A recipe is a food whose nutrients come from its ingredients. They are added up for the whole
+// batch, then spread over the cooked weight (per 100g, like every food) and over the servings.
+// Meals, search and daily totals therefore treat a recipe like any other food.
+import { calculateMealNutrients, normalizeRecipe, NUTRIENTS } from './entities';
+
+// Unit recipes are logged in by default; one serving weighs yieldWeight / servings
+export const RECIPE_SERVING_UNIT = 'serving';
+
+const nutrientsOf = (food) => Object.fromEntries(NUTRIENTS.map(field => [field, Number(food?.[field]) || 0]));
+
+const roundWeight = (grams) => Math.round(grams * 10) / 10;
+
+/**
+ * The food an ingredient was made from: by id, else by name (the id changes when a food
+ * added offline syncs). Null when the food is gone; the ingredient's saved nutrients stand in.
+ */
+export const findIngredientFood = (ingredient, foods) =>
+    foods.find(food => food.id === ingredient.foodId) ||
+    foods.find(food => food.name.toLowerCase() === ingredient.name.toLowerCase()) ||
+    null;
+
+/**
+ * Ingredient from a food, an amount and the grams in one unit of it
+ */
+export const toIngredient = (food, amount, unit = 'g', gramsPerUnit = 1) => ({
+    foodId: food.id,
+    name: food.name,
+    quantity: roundWeight((Number(amount) || 0) * gramsPerUnit),
+    unit,
+    unitAmount: Number(amount) || 0,
+    nutrients: nutrientsOf(food),
+});
+
+/**
+ * Nutrition of a recipe with its ingredient foods as they are now
+ * @param {Object} recipe - { servings, yieldWeight, ingredients }; without a yieldWeight the raw weight is used
+ * @param {Array} foods - Canonical foods to look the ingredients up in
+ * @returns {Object} { recipe, rawWeight, servingWeight, total, per100g, perServing } where recipe
+ *   carries the refreshed ingredients and the yield weight actually used
+ */
+export const calculateRecipeNutrition = (recipe, foods = []) => {
+    const normalized = normalizeRecipe(recipe);
+    const ingredients = normalized.ingredients.map((ingredient) => {
+        const food = findIngredientFood(ingredient, foods);
+        return food ? { ...ingredient, foodId: food.id, name: food.name, nutrients: nutrientsOf(food) } : ingredient;
+    });
+
+    const rawWeight = roundWeight(ingredients.reduce((sum, ingredient) => sum + ingredient.quantity, 0));
+    const yieldWeight = normalized.yieldWeight > 0 ? normalized.yieldWeight : rawWeight;
+
+    // Unrounded nutrients of the whole batch; calculateMealNutrients scales them and rounds once
+    const batch = Object.fromEntries(NUTRIENTS.map(field => [
+        field,
+        ingredients.reduce((sum, ingredient) => sum + ingredient.nutrients[field] * ingredient.quantity / 100, 0),
+    ]));
+
+    return {
+        recipe: { ...normalized, yieldWeight, ingredients },
+        rawWeight,
+        servingWeight: roundWeight(yieldWeight / normalized.servings),
+        total: calculateMealNutrients(batch, 100),
+        per100g: calculateMealNutrients(batch, yieldWeight > 0 ? 100 * 100 / yieldWeight : 0),
+        perServing: calculateMealNutrients(batch, 100 / normalized.servings),
+    };
+};
+
+/**
+ * The food fields of a recipe: its computed per-100g nutrients, a serving unit and the recipe itself
+ * @param {Object} recipe - { name, category, servings, yieldWeight, ingredients }
+ */
+export const toRecipeFood = (recipe, foods = []) => {
+    const nutrition = calculateRecipeNutrition(recipe, foods);
+    return {
+        name: recipe.name.trim(),
+        category: recipe.category || 'other',
+        ...nutrition.per100g,
+        servingSize: `1 ${RECIPE_SERVING_UNIT} (${nutrition.servingWeight}g)`,
+        servingUnits: { [RECIPE_SERVING_UNIT]: nutrition.servingWeight },
+        recipe: nutrition.recipe,
+    };
+};
+
+/**
+ * Changes that bring a saved recipe food in line with its ingredients, or null when it already is
+ */
+export const recomputeRecipeFood = (food, foods) => {
+    if (!food?.recipe) return null;
+    const updated = toRecipeFood({ ...food.recipe, name: food.name, category: food.category }, foods);
+    const changed = NUTRIENTS.some(field => updated[field] !== food[field]) ||
+        updated.servingSize !== food.servingSize ||
+        JSON.stringify(updated.recipe) !== JSON.stringify(normalizeRecipe(food.recipe));
+    return changed ? updated : null;
+};
+
+/**
+ * Whether ingredients contain a food, directly or inside a recipe used as an ingredient
+ */
+export const recipeUsesFood = (ingredients, foodId, foods, seen = new Set()) => ingredients.some((ingredient) => {
+    const food = findIngredientFood(ingredient, foods);
+    const id = food?.id || ingredient.foodId;
+    if (id === foodId) return true;
+    if (!food?.recipe || seen.has(id)) return false;
+    seen.add(id);
+    return recipeUsesFood(food.recipe.ingredients, foodId, foods, seen);
+});
@@ -0,0 +1,383 @@
+// Macroo Diet Tracker - Supabase backend for the storage repository
+import * as supabaseStorage from '../supabaseStorage';
+import localAdapter from './localAdapter';
+import {
+    computeDailyTotals,
+    normalizeAchievement,
+    normalizeChallenge,
+    normalizeDailyTotal,
+    normalizeFood,
+    normalizeMeal,
+    normalizeProfile,
+    normalizeTemplate,
+    normalizeWaterEntry,
+    NUTRIENTS,
+    toMealSummary,
+} from './entities';
+
+// Canonical food fields -> foods table columns
+const FOOD_COLUMNS = {
+    name: 'name',
+    calories: 'calories',
+    protein: 'protein',
+    carbs: 'carbs',
+    fat: 'fat',
+    fiber: 'fiber',
+    sugar: 'sugar',
+    sodium: 'sodium',
+    servingSize: 'serving_size',
+    servingUnits: 'serving_units',
+    category: 'category',
+    brand: 'brand',
+    barcode: 'barcode',
+    recipe: 'recipe',
+};
+
+// Canonical meal fields -> meal_entries columns
+const MEAL_COLUMNS = {
+    foodId: 'food_id',
+    mealType: 'meal_type',
+    quantity: 'quantity',
+    unit: 'unit',
+    unitAmount: 'unit_amount',
+    servingSize: 'serving_size',
+    date: 'date',
+    consumedAt: 'consumed_at',
+    notes: 'notes',
+};
+
+// Only the fields present in `changes` are mapped, so partial updates stay partial
+const toColumns = (changes, columns) => Object.entries(columns).reduce((row, [field, column]) => {
+    if (changes[field] !== undefined) {
+        row[column] = changes[field];
+    }
+    return row;
+}, {});
+
+// The reverse of toColumns, for row snapshots in change_log
+const fromColumns = (row, columns) => Object.entries(columns).reduce((entity, [field, column]) => {
+    if (row[column] !== undefined) {
+        entity[field] = row[column];
+    }
+    return entity;
+}, {});
+
+// change_log snapshot -> the canonical fields a revert can write back
+const HISTORY_SNAPSHOTS = {
+    meal: (row) => ({ ...fromColumns(row, MEAL_COLUMNS), deletedAt: row.deleted_at || null }),
+    food: (row) => ({ ...fromColumns(row, FOOD_COLUMNS), deletedAt: row.deleted_at || null }),
+    profile: (row) => {
+        const { updatedAt, ...profile } = normalizeProfile(row);
+        return profile;
+    },
+};
+
+const toTemplateRow = (template) => ({
+    name: template.name,
+    meal_type: template.mealType,
+    foods: template.foods || [],
+    total_calories: template.totalCalories || 0,
+    total_protein: template.totalProtein || 0,
+    total_carbs: template.totalCarbs || 0,
+    total_fat: template.totalFat || 0,
+});
+
+/**
+ * The version an edit started from, so the sync queue can catch edits made elsewhere meanwhile
+ * @param {Object} entity - The edited entity or changes, possibly carrying updatedAt
+ * @param {Object} base - The entity as it was loaded before editing, when the caller has it
+ * @param {Function} toValues - Converts the base to the values the queue compares
+ */
+const versionOf = (entity, base, toValues) => {
+    const baseUpdatedAt = base?.updatedAt || entity?.updatedAt || null;
+    if (!baseUpdatedAt) return {};
+    return base ? { baseUpdatedAt, base: toValues(base) } : { baseUpdatedAt };
+};
+
+// Per-100g snapshot of the logged food so a pending meal renders before it syncs
+const foodSnapshot = (meal) => {
+    if (meal.food) {
+        return { ...meal.food, serving_size: meal.food.servingSize || meal.food.serving_size };
+    }
+    const scale = meal.quantity ? 100 / meal.quantity : 0;
+    return {
+        name: meal.foodName,
+        ...Object.fromEntries(NUTRIENTS.map(field => [field, (meal[field] || 0) * scale])),
+        serving_size: meal.servingSize,
+    };
+};
+
+class RemoteStorageAdapter {
+    name = 'remote';
+
+    // ==================== FOODS ====================
+
+    async getFoods() {
+        const foods = await supabaseStorage.getFoodDatabase();
+        return foods.map(normalizeFood);
+    }
+
+    async getFoodsByIds(ids) {
+        const foods = await supabaseStorage.getFoodsByIds(ids);
+        return foods.map(normalizeFood);
+    }
+
+    // Targeted queries, so a lookup never downloads the whole foods table
+    async findFoodsByBarcode(barcode) {
+        const foods = await supabaseStorage.findFoodsByBarcode(barcode);
+        return foods.map(normalizeFood);
+    }
+
+    async findFoodsByName(name) {
+        const foods = await supabaseStorage.findFoodsByName(name);
+        return foods.map(normalizeFood);
+    }
+
+    async getRecipeFoods() {
+        const foods = await supabaseStorage.getRecipeFoods();
+        return foods.map(normalizeFood);
+    }
+
+    // Searched in the database, so the whole foods table is never downloaded
+    async searchFoods(query, options = {}) {
+        const foods = await supabaseStorage.searchFoods(query, options);
+        return foods.map(normalizeFood);
+    }
+
+    async addFood(food) {
+        const normalized = normalizeFood(food);
+        const saved = await supabaseStorage.saveFoodToDatabase(toColumns(normalized, FOOD_COLUMNS));
+        return normalizeFood(saved);
+    }
+
+    async updateFood(foodId, changes, base = null) {
+        await supabaseStorage.updateFoodInDatabase(
+            foodId,
+            toColumns(changes, FOOD_COLUMNS),
+            versionOf(changes, base, food => toColumns(food, FOOD_COLUMNS))
+        );
+        try {
+            const [updated] = await this.getFoodsByIds([foodId]);
+            return updated || null;
+        } catch (error) {
+            // The edit is queued either way; it just can't be read back while offline
+            console.error('❌ Error reloading updated food:', error);
+            return null;
+        }
+    }
+
+    async deleteFood(foodId) {
+        return supabaseStorage.deleteFoodFromDatabase(foodId);
+    }
+
+    // ==================== MEALS ====================
+
+    async getMeals({ date = null } = {}) {
+        const meals = await supabaseStorage.getMeals(date);
+        return meals.map(normalizeMeal);
+    }
+
+    async getMeal(mealId) {
+        return normalizeMeal(await supabaseStorage.getMealById(mealId));
+    }
+
+    async getMealsBetween(startDate, endDate, { summary = false } = {}) {
+        const meals = await supabaseStorage.getMealsBetween(startDate, endDate, { summary });
+        return meals.map(summary ? toMealSummary : normalizeMeal);
+    }
+
+    async getMealsPage(options = {}) {
+        const { meals, nextCursor } = await supabaseStorage.getMealsPage(options);
+        return { meals: meals.map(options.summary ? toMealSummary : normalizeMeal), nextCursor };
+    }
+
+    async addMeal(meal) {
+        const saved = await supabaseStorage.saveMeal({ ...meal, food: foodSnapshot(meal) });
+        return normalizeMeal({ ...meal, id: saved.id, pending: saved.pending });
+    }
+
+    async updateMeal(mealId, changes, base = null) {
+        await supabaseStorage.updateMeal(
+            mealId,
+            toColumns(changes, MEAL_COLUMNS),
+            versionOf(changes, base, meal => toColumns(meal, MEAL_COLUMNS))
+        );
+        return this.getMeal(mealId);
+    }
+
+    async deleteMeal(mealId) {
+        return supabaseStorage.deleteMeal(mealId);
+    }
+
+    // ==================== WATER ====================
+
+    async getWaterEntries({ date = null } = {}) {
+        const entries = await supabaseStorage.getWaterEntries(date);
+        return entries.map(normalizeWaterEntry);
+    }
+
+    async getWaterEntriesBetween(startDate, endDate) {
+        const entries = await supabaseStorage.getWaterEntriesBetween(startDate, endDate);
+        return entries.map(normalizeWaterEntry);
+    }
+
+    async addWaterEntry(entry) {
+        const saved = await supabaseStorage.saveWaterEntry(entry);
+        return normalizeWaterEntry(saved);
+    }
+
+    // ==================== DAILY TOTALS ====================
+
+    async getDailyTotals(startDate, endDate) {
+        const totals = (await supabaseStorage.getDailyTotals(startDate, endDate)).map(normalizeDailyTotal);
+        if (!(await supabaseStorage.hasPendingEntries())) return totals;
+
+        // The database triggers have not seen unsynced entries yet, so rebuild meal totals
+        // from the entries (which include queued changes) and add queued water on top.
+        const [meals, pendingWater] = await Promise.all([
+            this.getMealsBetween(startDate, endDate, { summary: true }),
+            supabaseStorage.getPendingWaterEntries(startDate, endDate),
+        ]);
+        const rebuilt = computeDailyTotals(meals, pendingWater.map(normalizeWaterEntry));
+        const dates = [...new Set([...totals, ...rebuilt].map(day => day.date))].sort();
+
+        return dates.map(date => {
+            const synced = totals.find(day => day.date === date);
+            const local = rebuilt.find(day => day.date === date);
+            return normalizeDailyTotal({
+                date,
+                ...Object.fromEntries(NUTRIENTS.map(field => [field, local?.[field] || 0])),
+                water: (synced?.water || 0) + (local?.water || 0),
+                mealCount: local?.mealCount || 0,
+            });
+        }).filter(day => day.mealCount > 0 || day.water > 0);
+    }
+
+    // ==================== PROFILE ====================
+
+    async getProfile() {
+        return normalizeProfile(await supabaseStorage.getProfile());
+    }
+
+    async saveProfile(profile, base = null) {
+        const normalized = normalizeProfile(profile);
+        await supabaseStorage.saveProfile(normalized, versionOf(normalized, base, normalizeProfile));
+        return normalized;
+    }
+
+    async getCustomMacroTargets() {
+        return supabaseStorage.getCustomMacroTargets();
+    }
+
+    async saveCustomMacroTargets(targets) {
+        // Supabase keeps macro targets on the profile row
+        const profile = await this.getProfile();
+        return this.saveProfile({
+            ...profile,
+            dailyCaloriesTarget: targets.calories,
+            dailyProteinTarget: targets.protein,
+            dailyCarbsTarget: targets.carbs,
+            dailyFatTarget: targets.fat,
+        }, profile);
+    }
+
+    // ==================== TEMPLATES ====================
+
+    async getTemplates() {
+        const templates = await supabaseStorage.getMealTemplates();
+        return templates.map(normalizeTemplate);
+    }
+
+    async saveTemplate(template, base = null) {
+        const normalized = normalizeTemplate(template);
+        if (template.id) {
+            await supabaseStorage.updateMealTemplate(
+                template.id,
+                toTemplateRow(normalized),
+                versionOf(normalized, base, original => toTemplateRow(normalizeTemplate(original)))
+            );
+            return normalized;
+        }
+        const saved = await supabaseStorage.saveMealTemplate(toTemplateRow(normalized));
+        return normalizeTemplate(saved);
+    }
+
+    async deleteTemplate(templateId) {
+        await supabaseStorage.deleteMealTemplate(templateId);
+        return true;
+    }
+
+    // ==================== TRASH ====================
+
+    async getTrash() {
+        const { foods, meals, templates } = await supabaseStorage.getTrash();
+        return {
+            foods: foods.map(normalizeFood),
+            meals: meals.map(normalizeMeal),
+            templates: templates.map(normalizeTemplate),
+        };
+    }
+
+    async restoreFromTrash(type, id) {
+        return supabaseStorage.restoreFromTrash(type, id);
+    }
+
+    async purgeFromTrash(type, id) {
+        return supabaseStorage.purgeFromTrash(type, id);
+    }
+
+    // ==================== CHANGE HISTORY ====================
+
+    async getChangeHistory(type, id) {
+        const toSnapshot = HISTORY_SNAPSHOTS[type];
+        const rows = await supabaseStorage.getChangeHistory(type, id);
+        return rows.map(row => ({
+            id: row.id,
+            action: row.action,
+            changedAt: row.changed_at,
+            changedBy: row.changed_by,
+            before: row.before ? toSnapshot(row.before) : null,
+            after: row.after ? toSnapshot(row.after) : null,
+        }));
+    }
+
+    // ==================== ACHIEVEMENTS & CHALLENGES ====================
+
+    /**
+     * Progress this backend kept on the device before it was stored in Supabase is uploaded
+     * on the first read. A failed upload is retried on the next one.
+     */
+    uploadLocalProgress() {
+        if (!this.localProgressUpload) {
+            this.localProgressUpload = Promise.all([localAdapter.getAchievements(), localAdapter.getChallenges()])
+                .then(([achievements, challenges]) => supabaseStorage.uploadLocalProgress(achievements, challenges))
+                .catch(error => {
+                    console.error('❌ Error uploading achievements from this device:', error);
+                    this.localProgressUpload = null;
+                });
+        }
+        return this.localProgressUpload;
+    }
+
+    async getAchievements() {
+        await this.uploadLocalProgress();
+        const achievements = await supabaseStorage.getAchievements();
+        return achievements.map(normalizeAchievement);
+    }
+
+    async saveAchievements(achievements) {
+        return supabaseStorage.saveAchievements(achievements.map(normalizeAchievement));
+    }
+
+    async getChallenges() {
+        await this.uploadLocalProgress();
+        const challenges = await supabaseStorage.getWeeklyChallenges();
+        return challenges.map(normalizeChallenge);
+    }
+
+    async saveChallenges(challenges) {
+        return supabaseStorage.saveWeeklyChallenges(challenges.map(normalizeChallenge));
+    }
+}
+
+export default new RemoteStorageAdapter();
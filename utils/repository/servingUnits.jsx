@@ -0,0 +1,136 @@
+// Macroo Diet Tracker - Serving units
+// Food nutrition is stored per 100g and meal quantities in grams. Units only change how an
+// amount is entered and shown: every unit converts to grams through the food it measures.
+
+export const SERVING_UNITS = {
+    GRAM: 'g',
+    MILLILITRE: 'ml',
+    PIECE: 'piece',
+    CUP: 'cup',
+    TABLESPOON: 'tbsp',
+    TEASPOON: 'tsp',
+};
+
+// Volumes assume the density of water unless the food gives its own gram equivalents
+const VOLUME_GRAMS = {
+    [SERVING_UNITS.MILLILITRE]: 1,
+    [SERVING_UNITS.CUP]: 240,
+    [SERVING_UNITS.TABLESPOON]: 15,
+    [SERVING_UNITS.TEASPOON]: 5,
+};
+
+const UNIT_ALIASES = {
+    g: SERVING_UNITS.GRAM,
+    gm: SERVING_UNITS.GRAM,
+    gram: SERVING_UNITS.GRAM,
+    grams: SERVING_UNITS.GRAM,
+    ml: SERVING_UNITS.MILLILITRE,
+    piece: SERVING_UNITS.PIECE,
+    pieces: SERVING_UNITS.PIECE,
+    pc: SERVING_UNITS.PIECE,
+    pcs: SERVING_UNITS.PIECE,
+    cup: SERVING_UNITS.CUP,
+    cups: SERVING_UNITS.CUP,
+    tbsp: SERVING_UNITS.TABLESPOON,
+    tablespoon: SERVING_UNITS.TABLESPOON,
+    tablespoons: SERVING_UNITS.TABLESPOON,
+    tsp: SERVING_UNITS.TEASPOON,
+    teaspoon: SERVING_UNITS.TEASPOON,
+    teaspoons: SERVING_UNITS.TEASPOON,
+};
+
+// [singular, plural]; named servings ('handful', 'bowl') are shown as written
+const UNIT_LABELS = {
+    [SERVING_UNITS.GRAM]: ['g', 'g'],
+    [SERVING_UNITS.MILLILITRE]: ['ml', 'ml'],
+    [SERVING_UNITS.PIECE]: ['piece', 'pieces'],
+    [SERVING_UNITS.CUP]: ['cup', 'cups'],
+    [SERVING_UNITS.TABLESPOON]: ['tbsp', 'tbsp'],
+    [SERVING_UNITS.TEASPOON]: ['tsp', 'tsp'],
+};
+
+// Named servings are kept singular: '2 slices (60g)' is a 30g slice
+const toUnit = (word) => {
+    const key = (word || '').trim().toLowerCase();
+    return UNIT_ALIASES[key] || key.replace(/(?<!s)s$/, '');
+};
+
+/**
+ * Gram equivalents described by a food's serving_size text, e.g.
+ * '1 piece (30g)' -> { piece: 30 }, '1 tbsp (15ml)' -> { tbsp: 15, ml: 1 },
+ * '30g (handful)' -> { handful: 30 }. Plain sizes like '100g' describe nothing extra.
+ */
+export const parseServingSize = (servingSize) => {
+    const text = String(servingSize || '').trim().toLowerCase();
+    const units = {};
+
+    // '<amount> <unit> (<weight>g|ml)'
+    const counted = /^(\d+(?:\.\d+)?)\s*([a-z][a-z ]*?)\s*\((\d+(?:\.\d+)?)\s*(g|ml)\)/.exec(text);
+    if (counted) {
+        const [, amount, unit, weight, base] = counted;
+        if (Number(amount) > 0) units[toUnit(unit)] = Number(weight) / Number(amount);
+        if (base === 'ml') units[SERVING_UNITS.MILLILITRE] = 1;
+        return units;
+    }
+
+    // '<weight>g|ml', optionally followed by a named serving: '30g (handful)'
+    const weighed = /^(\d+(?:\.\d+)?)\s*(g|ml)\b\s*(?:\(([a-z][a-z ]*)\))?/.exec(text);
+    if (weighed) {
+        const [, weight, base, name] = weighed;
+        if (base === 'ml') units[SERVING_UNITS.MILLILITRE] = 1;
+        if (name) units[toUnit(name)] = Number(weight);
+    }
+    return units;
+};
+
+/**
+ * Units a food can be logged in, grams first
+ * @param {Object} food - Canonical food; `servingUnits` ({ unit: grams }) overrides anything derived
+ * @returns {Array} [{ unit, grams }] - grams is the weight of one unit
+ */
+export const getServingUnits = (food) => {
+    const parsed = parseServingSize(food?.servingSize ?? food?.serving_size);
+    const custom = food?.servingUnits || food?.serving_units || {};
+    const isLiquid = SERVING_UNITS.MILLILITRE in parsed || SERVING_UNITS.MILLILITRE in custom;
+
+    // The serving text wins over generic volumes (a '1 cup (200ml)' glass), the food's own values over both
+    const grams = {
+        [SERVING_UNITS.GRAM]: 1,
+        ...(isLiquid && VOLUME_GRAMS),
+        ...parsed,
+        ...custom,
+    };
+
+    return Object.entries(grams)
+        .filter(([, weight]) => Number(weight) > 0)
+        .map(([unit, weight]) => ({ unit, grams: Number(weight) }));
+};
+
+/**
+ * Convert an amount of a food in some unit to grams
+ * @throws {Error} When the food has no gram equivalent for the unit
+ */
+export const toGrams = (food, amount, unit = SERVING_UNITS.GRAM) => {
+    const value = Number(amount) || 0;
+    if (!unit || unit === SERVING_UNITS.GRAM) return value;
+
+    const match = getServingUnits(food).find(u => u.unit === unit);
+    if (!match) {
+        throw new Error(`${food?.name || 'This food'} can't be measured in ${unit}`);
+    }
+    return Math.round(value * match.grams * 10) / 10;
+};
+
+export const formatUnit = (unit, amount = 1) => {
+    const [singular, plural] = UNIT_LABELS[unit] || [unit, `${unit}s`];
+    return Number(amount) === 1 ? singular : plural;
+};
+
+/**
+ * '150g', '250ml', '2 pieces', '1 handful'
+ */
+export const formatServing = (amount, unit = SERVING_UNITS.GRAM) => {
+    const value = Math.round((Number(amount) || 0) * 100) / 100;
+    if (unit === SERVING_UNITS.GRAM || unit === SERVING_UNITS.MILLILITRE) return `${value}${unit}`;
+    return `${value} ${formatUnit(unit, value)}`;
+};
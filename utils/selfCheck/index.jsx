@@ -0,0 +1,114 @@
+// End-to-end check of the sync path without the hosted project:
+// repository -> remote adapter -> sync queue -> MacrooDatabase -> in-memory database.
+// It logs a food and a meal, reads them back both ways and then deletes them for good,
+// so it only runs when DATABASE_BACKEND is not Supabase.
+import { DATABASE_BACKEND, DATABASE_BACKENDS, TABLES } from '../../config/supabase';
+import authService from '../authService';
+import { today } from '../dateUtils';
+import macrooDatabase from '../macrooDatabase';
+import { MemoryClient } from '../memoryClient';
+import {
+    deleteFood,
+    deleteMeal,
+    getMeals,
+    getStorageBackend,
+    purgeFromTrash,
+    saveFood,
+    saveMeal,
+    STORAGE_BACKENDS,
+    TRASH_TYPES,
+} from '../repository';
+import syncQueue from '../syncQueue';
+
+export const isSelfCheckAvailable = () => DATABASE_BACKEND !== DATABASE_BACKENDS.SUPABASE;
+
+const MEAL_GRAMS = 150;
+
+const assert = (condition, message) => {
+    if (!condition) throw new Error(message);
+};
+
+const syncEverything = async () => {
+    await syncQueue.flush();
+    const pending = await syncQueue.getPendingActions();
+    assert(pending.length === 0, `${pending.length} change(s) did not sync`);
+};
+
+// Remove what the check logged, whatever step it stopped at
+const cleanUp = async (name) => {
+    try {
+        const meals = (await getMeals(today())).filter(meal => meal.foodName === name);
+        for (const meal of meals) {
+            await deleteMeal(meal.id);
+            await purgeFromTrash(TRASH_TYPES.MEAL, meal.id);
+        }
+        const { data: foods } = await macrooDatabase.supabase.from(TABLES.FOODS).select('id').eq('name', name);
+        for (const food of foods || []) {
+            await deleteFood(food.id);
+            await purgeFromTrash(TRASH_TYPES.FOOD, food.id);
+        }
+        await syncQueue.flush();
+    } catch (error) {
+        console.error('❌ Error cleaning up after the self-check:', error);
+    }
+};
+
+/**
+ * Run the check. Steps stop at the first failure, since each one needs the one before it.
+ * @returns {Object} { passed, steps: [{ name, passed, error }] }
+ */
+export const runSelfCheck = async () => {
+    if (!isSelfCheckAvailable()) {
+        throw new Error('The self-check writes data, so it only runs against the in-memory database');
+    }
+
+    const name = `Self-check ${Date.now()}`;
+    const steps = [];
+    const step = async (stepName, check) => {
+        if (steps.some(result => !result.passed)) return;
+        try {
+            await check();
+            steps.push({ name: stepName, passed: true, error: null });
+        } catch (error) {
+            steps.push({ name: stepName, passed: false, error: error.message });
+        }
+    };
+
+    let userId = null;
+    try {
+        await step('Using the in-memory database', async () => {
+            assert(macrooDatabase.client instanceof MemoryClient, 'MacrooDatabase is not using MemoryClient');
+        });
+        await step('Signed in', async () => {
+            userId = authService.getUserId();
+            assert(userId, 'No session, so the repository would keep data on this device');
+        });
+        await step('Cloud storage selected', async () => {
+            const backend = await getStorageBackend();
+            assert(backend === STORAGE_BACKENDS.REMOTE, `The repository is using ${backend} storage`);
+        });
+        await step('Log a food and a meal', async () => {
+            const food = await saveFood({ name, calories: 200, protein: 10, carbs: 20, fat: 5 });
+            await saveMeal({ food, quantity: MEAL_GRAMS, mealType: 'snack' });
+        });
+        await step('Sync', syncEverything);
+        await step('Stored in the in-memory database', async () => {
+            const meals = await macrooDatabase.getMealsForDate(today(), userId);
+            const meal = meals.find(entry => entry.foods?.name === name);
+            assert(meal, 'The meal is not in meal_entries');
+            assert(Number(meal.quantity) === MEAL_GRAMS, `The meal was stored as ${meal.quantity}g`);
+        });
+        await step('Read back through the repository', async () => {
+            const meal = (await getMeals(today())).find(entry => entry.foodName === name);
+            assert(meal, 'getMeals() does not return the meal');
+            assert(!meal.pending, 'The meal is still waiting to sync');
+            assert(meal.calories === 300, `The meal has ${meal.calories} kcal instead of 300`);
+        });
+    } finally {
+        await cleanUp(name);
+    }
+
+    const passed = steps.every(result => result.passed);
+    console.log(passed ? '✅ Self-check passed' : '❌ Self-check failed');
+    return { passed, steps };
+};
@@ -1,5 +1,8 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { validateFood } from '../types/index';
+import { toLocalDate } from './dateUtils';
+import foodSearch, { rankFoods } from './foodSearch';
+import { MonthShards } from './monthShards';
 
 const FOOD_DB_KEY = 'food_database';
 const MEAL_DB_KEY = 'meal_entries';
@@ -10,6 +13,33 @@ const ACHIEVEMENTS_KEY = 'achievements';
 const CHALLENGES_KEY = 'weekly_challenges';
 const CUSTOM_TARGETS_KEY = 'custom_macro_targets';
 const PREFERENCES_KEY = 'user_preferences';
+const BARCODE_PRODUCTS_KEY = 'barcode_products';
+
+// Products found by barcode in an external source, kept so a rescan works offline
+const MAX_CACHED_PRODUCTS = 200;
+
+// Deleted foods, meals and templates stay in storage with a deletedAt stamp until purged.
+// Meals are sharded by month, so their trash goes through mealShards instead.
+const TRASH_KEYS = {
+    food: FOOD_DB_KEY,
+    template: MEAL_TEMPLATES_KEY,
+};
+
+const isLive = (item) => !item.deletedAt;
+
+// Foods without ids are keyed by name, meals saved before ids existed by timestamp
+const itemId = (item) => item.id || item.timestamp || item.name;
+
+// Legacy entries only carry the instant they were saved
+const dayOf = (entry, instant) => entry.date || (instant ? toLocalDate(instant) : null);
+
+// Meals and water entries are stored one month per key, so long histories stay quick to save.
+// The functions below swallow errors; the migration to Supabase reads the shards directly so it can't
+// mistake a failed read for an empty history.
+export const mealShards = new MonthShards(MEAL_DB_KEY, meal => dayOf(meal, meal.consumedAt || meal.timestamp));
+export const waterShards = new MonthShards(WATER_DB_KEY, entry => dayOf(entry, entry.timestamp));
+
+const matchesMeal = (id) => (meal) => meal.id === id || meal.timestamp === id;
 
 // Generic error handling wrapper
 const handleStorageOperation = async (operation, fallback = null) => {
@@ -42,7 +72,7 @@ export const saveFoodToDatabase = async (foodItem) => {
         let foods = existingData ? JSON.parse(existingData) : [];
 
         // Check for duplicates
-        const alreadyExists = foods.some(f => f.name.toLowerCase() === validatedFood.name.toLowerCase());
+        const alreadyExists = foods.some(f => isLive(f) && f.name.toLowerCase() === validatedFood.name.toLowerCase());
         if (alreadyExists) {
             throw new Error('Food already exists in database');
         }
@@ -62,11 +92,11 @@ export const saveFoodToDatabase = async (foodItem) => {
     }, null);
 };
 
-// Get all foods from the database
+// Get all foods from the database, leaving out the trash
 export const getFoodDatabase = async () => {
     try {
         const data = await AsyncStorage.getItem(FOOD_DB_KEY);
-        return data ? JSON.parse(data) : [];
+        return data ? JSON.parse(data).filter(isLive) : [];
     } catch (err) {
         console.error('Failed to load food database:', err);
         return [];
@@ -78,20 +108,17 @@ export const getFoodList = getFoodDatabase;
 
 // Enhanced Food Search Functions (MyFitnessPal-inspired)
 export const searchFoodsEnhanced = async (query, options = {}) => {
-    const { limit = 20, includeRecent = true, includeSources = ['local'] } = options;
+    const { limit = 20, includeRecent = true, includeSources = ['local'], loadFoods = getFoodDatabase } = options;
+    // Backends that search on their side pass searchLocal instead of having every food loaded
+    const searchLocal = options.searchLocal
+        || (async (text, searchOptions) => foodSearch.sync(await loadFoods()).search(text, searchOptions));
 
     try {
         const results = [];
 
         // 1. Search local database first (fastest)
         if (includeSources.includes('local')) {
-            const localDatabase = await getFoodDatabase();
-            const localResults = localDatabase
-                .filter(food =>
-                    food.name.toLowerCase().includes(query.toLowerCase()) ||
-                    food.brand?.toLowerCase().includes(query.toLowerCase())
-                )
-                .slice(0, Math.min(10, limit))
+            const localResults = (await searchLocal(query, { limit: Math.min(10, limit) }))
                 .map(food => ({ ...food, source: 'Local', priority: 1 }));
 
             results.push(...localResults);
@@ -100,11 +127,8 @@ export const searchFoodsEnhanced = async (query, options = {}) => {
         // 2. Search recent foods if enabled
         if (includeRecent && includeSources.includes('recent')) {
             const recentFoods = await getRecentFoods();
-            const recentResults = recentFoods
-                .filter(food =>
-                    food.name.toLowerCase().includes(query.toLowerCase()) &&
-                    !results.some(r => r.name.toLowerCase() === food.name.toLowerCase())
-                )
+            const recentResults = rankFoods(recentFoods, query)
+                .filter(food => !results.some(r => r.name.toLowerCase() === food.name.toLowerCase()))
                 .slice(0, Math.min(5, limit - results.length))
                 .map(food => ({ ...food, source: 'Recent', priority: 2 }));
 
@@ -114,37 +138,27 @@ export const searchFoodsEnhanced = async (query, options = {}) => {
         // 3. If we have external API access, search those
         if (results.length < limit && includeSources.includes('external')) {
             try {
-                const { searchFoodsMultiSource } = require('./foodDatabaseSources');
-                const externalResults = await searchFoodsMultiSource(query, {
+                const foodSources = require('./foodSources').default;
+                const externalResults = await foodSources.search(query, {
                     limit: limit - results.length
                 });
-                results.push(...externalResults.map(food => ({ ...food, priority: 3 })));
+                results.push(...externalResults
+                    .filter(food => !results.some(r => r.name.toLowerCase() === food.name.toLowerCase()))
+                    .map(food => ({ ...food, priority: 3 })));
             } catch (error) {
                 console.log('External API search not available:', error.message);
             }
         }
 
-        // Sort by priority and relevance
+        // Sort by priority; each group is already ranked by relevance
         return results
-            .sort((a, b) => {
-                if (a.priority !== b.priority) return a.priority - b.priority;
-
-                // Exact matches first
-                const aExact = a.name.toLowerCase() === query.toLowerCase() ? 1 : 0;
-                const bExact = b.name.toLowerCase() === query.toLowerCase() ? 1 : 0;
-                if (aExact !== bExact) return bExact - aExact;
-
-                // Then starts with query  
-                const aStarts = a.name.toLowerCase().startsWith(query.toLowerCase()) ? 1 : 0;
-                const bStarts = b.name.toLowerCase().startsWith(query.toLowerCase()) ? 1 : 0;
-                return bStarts - aStarts;
-            })
+            .sort((a, b) => a.priority - b.priority)
             .slice(0, limit);
 
     } catch (error) {
         console.error('Enhanced food search failed:', error);
         // Fallback to basic local search
-        const localDatabase = await getFoodDatabase();
+        const localDatabase = await loadFoods();
         return localDatabase
             .filter(food => food.name.toLowerCase().includes(query.toLowerCase()))
             .slice(0, limit)
@@ -177,6 +191,38 @@ export const getRecentFoods = async () => {
     }
 };
 
+// Barcode product cache: barcode -> { food, cachedAt }
+export const getCachedProduct = async (barcode) => {
+    try {
+        const data = await AsyncStorage.getItem(BARCODE_PRODUCTS_KEY);
+        const products = data ? JSON.parse(data) : {};
+        return products[barcode]?.food || null;
+    } catch (error) {
+        console.error('Failed to read cached product:', error);
+        return null;
+    }
+};
+
+export const cacheProduct = async (food) => {
+    if (!food?.barcode) return;
+    try {
+        const data = await AsyncStorage.getItem(BARCODE_PRODUCTS_KEY);
+        const products = data ? JSON.parse(data) : {};
+        products[food.barcode] = { food, cachedAt: new Date().toISOString() };
+
+        // Forget the products scanned longest ago
+        const barcodes = Object.keys(products);
+        if (barcodes.length > MAX_CACHED_PRODUCTS) {
+            barcodes.sort((a, b) => products[a].cachedAt.localeCompare(products[b].cachedAt))
+                .slice(0, barcodes.length - MAX_CACHED_PRODUCTS)
+                .forEach(barcode => { delete products[barcode]; });
+        }
+        await AsyncStorage.setItem(BARCODE_PRODUCTS_KEY, JSON.stringify(products));
+    } catch (error) {
+        console.error('Failed to cache product:', error);
+    }
+};
+
 // Save enhanced food database
 export const saveFoodDatabase = async (foods) => {
     try {
@@ -193,27 +239,25 @@ export const updateFood = async (oldName, newFood) => {
     try {
         const existingData = await AsyncStorage.getItem(FOOD_DB_KEY);
         let foods = existingData ? JSON.parse(existingData) : [];
-        foods = foods.map(f => (f.name === oldName ? newFood : f));
+        foods = foods.map(f => (isLive(f) && f.name === oldName ? newFood : f));
         await AsyncStorage.setItem(FOOD_DB_KEY, JSON.stringify(foods));
     } catch (err) {
         console.error('Failed to update food:', err);
     }
 };
 
+// Moves the food to the trash; see restoreFromTrash and purgeFromTrash
 export const deleteFood = async (name) => {
     try {
         const existingData = await AsyncStorage.getItem(FOOD_DB_KEY);
         let foods = existingData ? JSON.parse(existingData) : [];
-        const remaining = [];
         let removed = null;
-        for (const f of foods) {
-            if (f.name === name && !removed) {
-                removed = f;
-            } else {
-                remaining.push(f);
-            }
-        }
-        await AsyncStorage.setItem(FOOD_DB_KEY, JSON.stringify(remaining));
+        foods = foods.map(f => {
+            if (removed || !isLive(f) || f.name !== name) return f;
+            removed = { ...f, deletedAt: new Date().toISOString() };
+            return removed;
+        });
+        await AsyncStorage.setItem(FOOD_DB_KEY, JSON.stringify(foods));
         return removed;
     } catch (err) {
         console.error('Failed to delete food:', err);
@@ -224,53 +268,68 @@ export const deleteFood = async (name) => {
 // Save a meal entry
 export const saveMealEntry = async (meal) => {
     try {
-        const existingData = await AsyncStorage.getItem(MEAL_DB_KEY);
-        let meals = existingData ? JSON.parse(existingData) : [];
-
         const newMeal = {
             ...meal,
             timestamp: new Date().toISOString(),
         };
 
-        meals.push(newMeal);
-        await AsyncStorage.setItem(MEAL_DB_KEY, JSON.stringify(meals));
+        return await mealShards.add(newMeal);
     } catch (err) {
         console.error('Failed to save meal entry:', err);
+        return null;
     }
 };
 
-// Get all meals
+// Get all meals, leaving out the trash
 export const getMeals = async () => {
     try {
-        const data = await AsyncStorage.getItem(MEAL_DB_KEY);
-        return data ? JSON.parse(data) : [];
+        return (await mealShards.getAll()).filter(isLive);
     } catch (err) {
         console.error('Failed to load meals:', err);
         return [];
     }
 };
 
+// Meals from startDate to endDate (inclusive), leaving out the trash; only those months are read
+export const getMealsBetween = async (startDate, endDate) => {
+    try {
+        return (await mealShards.getBetween(startDate, endDate)).filter(isLive);
+    } catch (err) {
+        console.error('Failed to load meals:', err);
+        return [];
+    }
+};
+
+// Months that hold meals between two dates (either may be null), newest first, and the meals
+// of some of them, for walking history a month at a time
+export const getMealMonths = async (startDate = null, endDate = null) => {
+    return handleStorageOperation(async () => (await mealShards.getMonths({ newestFirst: true }))
+        .filter(month => mealShards.monthInRange(month, startDate, endDate)), []);
+};
+
+export const getMealsForMonths = async (months) => {
+    return handleStorageOperation(async () => (await mealShards.getMonthsEntries(months)).filter(isLive), []);
+};
+
 // Clear all meals (optional utility)
 export const clearMeals = async () => {
     try {
-        await AsyncStorage.removeItem(MEAL_DB_KEY);
+        await mealShards.clear();
     } catch (err) {
         console.error('Failed to clear meals:', err);
     }
 };
 
+// Meals are keyed by id, falling back to the timestamp for entries saved before ids existed.
+// Deleting moves the meal to the trash.
 export const deleteMeal = async (timestamp) => {
     try {
-        const existing = await AsyncStorage.getItem(MEAL_DB_KEY);
-        const meals = existing ? JSON.parse(existing) : [];
-        const remaining = [];
-        let removed = null;
-        for (const m of meals) {
-            if (m.timestamp === timestamp && !removed) removed = m;
-            else remaining.push(m);
-        }
-        await AsyncStorage.setItem(MEAL_DB_KEY, JSON.stringify(remaining));
-        return removed;
+        const matches = matchesMeal(timestamp);
+        const result = await mealShards.update(
+            m => isLive(m) && matches(m),
+            m => ({ ...m, deletedAt: new Date().toISOString() })
+        );
+        return result?.after || null;
     } catch (err) {
         console.error('Failed to delete meal:', err);
         return null;
@@ -279,38 +338,32 @@ export const deleteMeal = async (timestamp) => {
 
 export const updateMeal = async (timestamp, updatedMeal) => {
     try {
-        const existing = await AsyncStorage.getItem(MEAL_DB_KEY);
-        const meals = existing ? JSON.parse(existing) : [];
-        const mapped = meals.map(m => (m.timestamp === timestamp ? { ...m, ...updatedMeal } : m));
-        await AsyncStorage.setItem(MEAL_DB_KEY, JSON.stringify(mapped));
+        await mealShards.update(matchesMeal(timestamp), m => ({ ...m, ...updatedMeal }));
     } catch (err) {
         console.error('Failed to update meal:', err);
     }
 };
 
-// Save a water intake entry (amount in ml)
-export const saveWaterEntry = async (amountMl) => {
+// Save a water intake entry (amount in ml); details can carry id, date and time
+export const saveWaterEntry = async (amountMl, details = {}) => {
     try {
-        const existing = await AsyncStorage.getItem(WATER_DB_KEY);
-        const entries = existing ? JSON.parse(existing) : [];
-
         const newEntry = {
+            ...details,
             amount: Number(amountMl),
             timestamp: new Date().toISOString(),
         };
 
-        entries.push(newEntry);
-        await AsyncStorage.setItem(WATER_DB_KEY, JSON.stringify(entries));
+        return await waterShards.add(newEntry);
     } catch (err) {
         console.error('Failed to save water entry:', err);
+        return null;
     }
 };
 
-// Get all water entries
-export const getWaterEntries = async () => {
+// Get water entries, all of them or from startDate to endDate (inclusive)
+export const getWaterEntries = async (startDate = null, endDate = null) => {
     try {
-        const data = await AsyncStorage.getItem(WATER_DB_KEY);
-        return data ? JSON.parse(data) : [];
+        return await waterShards.getBetween(startDate, endDate);
     } catch (err) {
         console.error('Failed to load water entries:', err);
         return [];
@@ -362,6 +415,7 @@ export const suggestCalories = (profile) => {
         light: 1.375,
         moderate: 1.55,
         active: 1.725,
+        very_active: 1.9,
     }[activityLevel] || 1.2;
 
     let maintenance = Math.round(bmr * activityFactor);
@@ -384,10 +438,12 @@ export const saveMealTemplate = async (template) => {
 
         const newTemplate = {
             ...template,
-            id: `template_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            createdAt: new Date().toISOString(),
+            id: template.id || `template_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            createdAt: template.createdAt || new Date().toISOString(),
         };
 
+        // Saving an existing template replaces it
+        templates = templates.filter(t => t.id !== newTemplate.id);
         templates.push(newTemplate);
         await AsyncStorage.setItem(MEAL_TEMPLATES_KEY, JSON.stringify(templates));
         return newTemplate;
@@ -397,22 +453,67 @@ export const saveMealTemplate = async (template) => {
 export const getMealTemplates = async () => {
     return handleStorageOperation(async () => {
         const data = await AsyncStorage.getItem(MEAL_TEMPLATES_KEY);
-        return data ? JSON.parse(data) : [];
+        return data ? JSON.parse(data).filter(isLive) : [];
     }, []);
 };
 
+// Moves the template to the trash
 export const deleteMealTemplate = async (templateId) => {
     return handleStorageOperation(async () => {
         const existingData = await AsyncStorage.getItem(MEAL_TEMPLATES_KEY);
         let templates = existingData ? JSON.parse(existingData) : [];
 
-        const filteredTemplates = templates.filter(t => t.id !== templateId);
-        await AsyncStorage.setItem(MEAL_TEMPLATES_KEY, JSON.stringify(filteredTemplates));
+        const deletedAt = new Date().toISOString();
+        templates = templates.map(t => (t.id === templateId && isLive(t) ? { ...t, deletedAt } : t));
+        await AsyncStorage.setItem(MEAL_TEMPLATES_KEY, JSON.stringify(templates));
 
         return true;
     }, false);
 };
 
+// Trash: deleted foods, meals and templates
+export const getTrash = async (type) => {
+    return handleStorageOperation(async () => {
+        if (type === 'meal') return (await mealShards.getAll()).filter(item => !isLive(item));
+        const data = await AsyncStorage.getItem(TRASH_KEYS[type]);
+        return data ? JSON.parse(data).filter(item => !isLive(item)) : [];
+    }, []);
+};
+
+export const restoreFromTrash = async (type, id) => {
+    if (type === 'meal') {
+        const result = await mealShards.update(
+            m => !isLive(m) && itemId(m) === id,
+            ({ deletedAt, ...restored }) => restored
+        );
+        return !!result;
+    }
+
+    const data = await AsyncStorage.getItem(TRASH_KEYS[type]);
+    const items = data ? JSON.parse(data) : [];
+    const item = items.find(i => !isLive(i) && itemId(i) === id);
+    if (!item) return false;
+
+    if (type === 'food' && items.some(i => isLive(i) && i.name.toLowerCase() === item.name.toLowerCase())) {
+        throw new Error('Another food with this name exists. Rename or delete it first.');
+    }
+
+    const { deletedAt, ...restored } = item;
+    await AsyncStorage.setItem(TRASH_KEYS[type], JSON.stringify(items.map(i => (i === item ? restored : i))));
+    return true;
+};
+
+export const purgeFromTrash = async (type, id) => {
+    return handleStorageOperation(async () => {
+        if (type === 'meal') return !!(await mealShards.update(m => !isLive(m) && itemId(m) === id, () => null));
+        const data = await AsyncStorage.getItem(TRASH_KEYS[type]);
+        const items = data ? JSON.parse(data) : [];
+        const remaining = items.filter(i => isLive(i) || itemId(i) !== id);
+        await AsyncStorage.setItem(TRASH_KEYS[type], JSON.stringify(remaining));
+        return remaining.length < items.length;
+    }, false);
+};
+
 // Achievements
 export const getAchievements = async () => {
     return handleStorageOperation(async () => {
@@ -445,6 +546,13 @@ export const updateAchievement = async (achievementId, progress) => {
     }, []);
 };
 
+export const saveAchievements = async (achievements) => {
+    return handleStorageOperation(async () => {
+        await AsyncStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(achievements));
+        return achievements;
+    }, []);
+};
+
 // Weekly Challenges
 export const getWeeklyChallenges = async () => {
     return handleStorageOperation(async () => {
@@ -471,6 +579,13 @@ export const updateChallengeProgress = async (challengeId, progress) => {
     }, []);
 };
 
+export const saveWeeklyChallenges = async (challenges) => {
+    return handleStorageOperation(async () => {
+        await AsyncStorage.setItem(CHALLENGES_KEY, JSON.stringify(challenges));
+        return challenges;
+    }, []);
+};
+
 // Custom Macro Targets
 export const saveCustomMacroTargets = async (targets) => {
     return handleStorageOperation(async () => {
@@ -492,11 +607,7 @@ export const searchFoods = async (query) => {
         const foods = await getFoodDatabase();
         if (!query || query.trim() === '') return foods;
 
-        const searchTerm = query.toLowerCase().trim();
-        return foods.filter(food =>
-            food.name.toLowerCase().includes(searchTerm) ||
-            (food.category && food.category.toLowerCase().includes(searchTerm))
-        );
+        return foodSearch.sync(foods).search(query);
     }, []);
 };
 
@@ -538,8 +649,8 @@ export const importUserData = async (importData) => {
 
         // Import each data type
         if (foods) await AsyncStorage.setItem(FOOD_DB_KEY, JSON.stringify(foods));
-        if (meals) await AsyncStorage.setItem(MEAL_DB_KEY, JSON.stringify(meals));
-        if (waterEntries) await AsyncStorage.setItem(WATER_DB_KEY, JSON.stringify(waterEntries));
+        if (meals) await mealShards.replaceAll(meals);
+        if (waterEntries) await waterShards.replaceAll(waterEntries);
         if (profile) await AsyncStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
         if (templates) await AsyncStorage.setItem(MEAL_TEMPLATES_KEY, JSON.stringify(templates));
         if (achievements) await AsyncStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(achievements));
@@ -1,7 +1,34 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { createClient } from '@supabase/supabase-js';
-import { SUPABASE_CONFIG } from '../config/supabase';
+import { Platform } from 'react-native';
+import { DATABASE_BACKEND, DATABASE_BACKENDS, SUPABASE_CONFIG } from '../config/supabase';
+import { MemoryAuth } from './memoryAuth';
+
+const MEMORY_AUTH_KEY = 'memory_auth';
 
 // Create Supabase client for Macroo Diet Tracker
-const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.anonKey);
+// Sessions are persisted in AsyncStorage so users stay signed in between launches
+const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.anonKey, {
+    auth: {
+        storage: Platform.OS === 'web' ? undefined : AsyncStorage,
+        autoRefreshToken: true,
+        persistSession: true,
+        detectSessionInUrl: Platform.OS === 'web',
+    },
+});
+
+// Sign-in goes wherever the data lives: without the hosted database there is no hosted auth either
+const createAuth = () => {
+    switch (DATABASE_BACKEND) {
+        case DATABASE_BACKENDS.MEMORY:
+            return new MemoryAuth();
+        case DATABASE_BACKENDS.FILE:
+            return new MemoryAuth({ storageKey: MEMORY_AUTH_KEY });
+        default:
+            return supabase.auth;
+    }
+};
+
+export const auth = createAuth();
 
-export default supabase;
\ No newline at end of file
+export default supabase;
@@ -1,10 +1,14 @@
 // Macroo Diet Tracker - Supabase Storage Service
 // This replaces the AsyncStorage-based storage with Supabase
+import { TABLES } from '../config/supabase';
 import { validateFood } from '../types/index';
+import authService from './authService';
+import { today, toDisplayDate, toLocalDate, toLocalTime } from './dateUtils';
+import essentialStorage from './essentialStorage';
+import { rankFoods } from './foodSearch';
 import macrooDatabase from './macrooDatabase';
-
-// For now, we'll use a demo user ID. In a real app, this would come from authentication
-const DEMO_USER_ID = '00000000-0000-0000-0000-000000000001'; // Demo user UUID
+import { calculateMealNutrients } from './repository/entities';
+import syncQueue from './syncQueue';
 
 // ==================== FOOD DATABASE FUNCTIONS ====================
 
@@ -16,8 +20,14 @@ export const saveFoodToDatabase = async (foodItem) => {
             throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
         }
 
-        // Add food to Supabase
-        const savedFood = await macrooDatabase.addFood(foodItem, DEMO_USER_ID);
+        // Queue the insert; it is replayed against Supabase when online
+        const savedFood = await syncQueue.enqueue('food.add', {
+            record: {
+                ...foodItem,
+                user_id: authService.requireUserId(),
+                is_custom: true,
+            },
+        });
         return savedFood;
     } catch (error) {
         console.error('❌ Error saving food to Supabase:', error);
@@ -25,19 +35,60 @@ export const saveFoodToDatabase = async (foodItem) => {
     }
 };
 
+/**
+ * Get foods by their Supabase ids, with queued edits applied; throws when Supabase can't be read
+ */
+export const getFoodsByIds = async (ids) => {
+    // A food added offline is asked for by its local id, which Supabase only knows once it has synced
+    const resolved = await Promise.all(ids.map(id => syncQueue.resolveId(id)));
+    const foods = await macrooDatabase.getFoodsByIds([...new Set(resolved.filter(Boolean))]);
+    return syncQueue.applyPending('food', foods, food => ids.includes(food.id));
+};
+
+// Foods matching a targeted query, with queued changes applied. Like getFoodDatabase, a failed
+// read leaves only the queued foods, so lookups still work offline.
+const findFoods = async (load, filter) => {
+    let foods = [];
+    try {
+        foods = await load(authService.requireUserId());
+    } catch (error) {
+        console.error('❌ Error looking up foods:', error);
+    }
+    return syncQueue.applyPending('food', foods, filter);
+};
+
+export const findFoodsByBarcode = (barcode) => findFoods(
+    userId => macrooDatabase.getFoodsByBarcode(barcode, userId),
+    food => food.barcode === barcode
+);
+
+export const findFoodsByName = (name) => findFoods(
+    userId => macrooDatabase.getFoodsByName(name, userId),
+    food => food.name.toLowerCase() === name.toLowerCase()
+);
+
+export const getRecipeFoods = () => findFoods(
+    userId => macrooDatabase.getRecipeFoods(userId),
+    food => !!food.recipe
+);
+
 export const getFoodDatabase = async () => {
+    let foods = [];
     try {
-        const foods = await macrooDatabase.getAllFoods(DEMO_USER_ID);
-        return foods;
+        foods = await macrooDatabase.getAllFoods(authService.requireUserId());
     } catch (error) {
         console.error('❌ Error loading food database:', error);
-        return [];
     }
+    return syncQueue.applyPending('food', foods);
 };
 
-export const updateFoodInDatabase = async (foodId, updatedFood) => {
+/**
+ * Update a food
+ * @param {Object} version - { baseUpdatedAt, base }: the version the edit started from, so stale edits are caught
+ */
+export const updateFoodInDatabase = async (foodId, updatedFood, version = {}) => {
     try {
-        const updated = await macrooDatabase.updateFood(foodId, updatedFood);
+        const updated = await syncQueue.enqueue('food.update', { id: foodId, updates: updatedFood, ...version });
         return updated;
     } catch (error) {
         console.error('❌ Error updating food:', error);
@@ -47,7 +98,7 @@ export const updateFoodInDatabase = async (foodId, updatedFood) => {
 
 export const deleteFoodFromDatabase = async (foodId) => {
     try {
-        await macrooDatabase.deleteFood(foodId);
+        await syncQueue.enqueue('food.delete', { id: foodId });
         return true;
     } catch (error) {
         console.error('❌ Error deleting food:', error);
@@ -57,20 +108,56 @@ export const deleteFoodFromDatabase = async (foodId) => {
 
 // ==================== MEAL TRACKING FUNCTIONS ====================
 
+// Convert Supabase meal format (with joined food) to app format
+const toAppMeal = (meal) => ({
+    id: meal.id,
+    foodId: meal.food_id,
+    foodName: meal.foods?.name || 'Unknown Food',
+    mealType: meal.meal_type,
+    quantity: meal.quantity,
+    unit: meal.unit || 'g',
+    unitAmount: meal.unit_amount ?? meal.quantity,
+    servingSize: meal.serving_size,
+    date: meal.date,
+    consumedAt: meal.consumed_at || meal.created_at || null,
+    notes: meal.notes,
+    createdAt: meal.created_at || null,
+    updatedAt: meal.updated_at || null,
+    deletedAt: meal.deleted_at || null,
+    pending: !!meal.pending,
+    // quantity is always grams, whatever unit the meal was entered in
+    ...calculateMealNutrients(meal.foods, meal.quantity),
+});
+
 export const saveMeal = async (mealEntry) => {
     try {
         // Convert meal entry format for Supabase
         const supabaseMeal = {
-            user_id: DEMO_USER_ID,
+            user_id: authService.requireUserId(),
             food_id: mealEntry.foodId, // Assumes food is already in Supabase with ID
             meal_type: mealEntry.mealType || 'snack',
             quantity: mealEntry.quantity || 1,
+            unit: mealEntry.unit || 'g',
+            unit_amount: mealEntry.unitAmount ?? mealEntry.quantity,
             serving_size: mealEntry.servingSize,
             date: mealEntry.date,
+            consumed_at: mealEntry.consumedAt,
             notes: mealEntry.notes,
+            // Snapshot of the food so the pending entry can be shown before it syncs
+            foods: mealEntry.food ? {
+                name: mealEntry.food.name,
+                calories: mealEntry.food.calories,
+                protein: mealEntry.food.protein,
+                carbs: mealEntry.food.carbs,
+                fat: mealEntry.food.fat,
+                fiber: mealEntry.food.fiber,
+                sugar: mealEntry.food.sugar,
+                sodium: mealEntry.food.sodium,
+                serving_size: mealEntry.food.serving_size,
+            } : undefined,
         };
 
-        const savedMeal = await macrooDatabase.addMealEntry(supabaseMeal);
+        const savedMeal = await syncQueue.enqueue('meal.add', { record: supabaseMeal });
         return savedMeal;
     } catch (error) {
         console.error('❌ Error saving meal:', error);
@@ -79,40 +166,88 @@ export const saveMeal = async (mealEntry) => {
 };
 
 export const getMeals = async (date = null) => {
+    let meals = [];
     try {
-        let meals;
         if (date) {
-            meals = await macrooDatabase.getMealsForDate(date, DEMO_USER_ID);
+            meals = await macrooDatabase.getMealsForDate(date, authService.requireUserId());
         } else {
-            meals = await macrooDatabase.getAllMeals(DEMO_USER_ID);
+            meals = await macrooDatabase.getAllMeals(authService.requireUserId());
         }
-
-        // Convert Supabase meal format to app format
-        const convertedMeals = meals.map(meal => ({
-            id: meal.id,
-            foodId: meal.food_id,
-            foodName: meal.foods?.name || 'Unknown Food',
-            mealType: meal.meal_type,
-            quantity: meal.quantity,
-            servingSize: meal.serving_size,
-            date: meal.date,
-            notes: meal.notes,
-            calories: Math.round((meal.foods?.calories || 0) * meal.quantity / 100),
-            protein: Math.round(((meal.foods?.protein || 0) * meal.quantity / 100) * 10) / 10,
-            carbs: Math.round(((meal.foods?.carbs || 0) * meal.quantity / 100) * 10) / 10,
-            fat: Math.round(((meal.foods?.fat || 0) * meal.quantity / 100) * 10) / 10,
-        }));
-
-        return convertedMeals;
     } catch (error) {
         console.error('❌ Error loading meals:', error);
-        return [];
     }
+
+    try {
+        const withPending = await syncQueue.applyPending('meal', meals, meal => !date || meal.date === date);
+        return withPending.map(toAppMeal);
+    } catch (error) {
+        console.error('❌ Error applying pending meals:', error);
+        return meals.map(toAppMeal);
+    }
+};
+
+const isBetween = (date, startDate, endDate) => (!startDate || date >= startDate) && (!endDate || date <= endDate);
+
+/**
+ * Get water entries between two dates (inclusive); either date may be null to leave that end open
+ */
+export const getWaterEntriesBetween = async (startDate, endDate) => {
+    let entries = [];
+    try {
+        entries = await macrooDatabase.getWaterEntriesBetween(startDate, endDate, authService.requireUserId());
+    } catch (error) {
+        console.error('❌ Error loading water entries between dates:', error);
+    }
+    return syncQueue.applyPending('water', entries, entry => isBetween(entry.date, startDate, endDate));
+};
+
+/**
+ * Get meals between two dates (inclusive)
+ * @param {Object} options - { summary } to load only the columns needed for totals
+ */
+export const getMealsBetween = async (startDate, endDate, { summary = false } = {}) => {
+    let meals = [];
+    try {
+        meals = await macrooDatabase.getMealsBetween(startDate, endDate, authService.requireUserId(), { summary });
+    } catch (error) {
+        console.error('❌ Error loading meals between dates:', error);
+    }
+
+    const withPending = await syncQueue.applyPending('meal', meals, meal => isBetween(meal.date, startDate, endDate));
+    return withPending.map(toAppMeal);
+};
+
+/**
+ * Get one page of meals, newest first
+ * @param {Object} options - { cursor, limit, startDate, endDate, summary }
+ * @returns {Object} { meals, nextCursor }
+ */
+export const getMealsPage = async (options = {}) => {
+    const { meals, nextCursor } = await macrooDatabase.getMealsPage(authService.requireUserId(), options);
+
+    // Unsynced meals are newest, so they belong on the first page only
+    const withPending = await syncQueue.applyPending('meal', meals, meal =>
+        !options.cursor && isBetween(meal.date, options.startDate, options.endDate)
+    );
+    return { meals: withPending.map(toAppMeal), nextCursor };
+};
+
+export const getMealById = async (mealId) => {
+    let meals = [];
+    try {
+        const meal = await macrooDatabase.getMealById(mealId);
+        if (meal) meals = [meal];
+    } catch (error) {
+        console.error('❌ Error loading meal:', error);
+    }
+
+    const withPending = await syncQueue.applyPending('meal', meals, meal => meal.id === mealId);
+    return withPending.length > 0 ? toAppMeal(withPending[0]) : null;
 };
 
 export const deleteMeal = async (mealId) => {
     try {
-        await macrooDatabase.deleteMealEntry(mealId);
+        await syncQueue.enqueue('meal.delete', { id: mealId });
         return true;
     } catch (error) {
         console.error('❌ Error deleting meal:', error);
@@ -130,13 +265,13 @@ export const saveWaterEntry = async (waterEntry) => {
         }
 
         const supabaseWater = {
-            user_id: DEMO_USER_ID,
+            user_id: authService.requireUserId(),
             amount: parseInt(waterEntry.amount), // Ensure it's an integer
-            date: waterEntry.date || new Date().toISOString().split('T')[0], // Default to today if not provided
-            time: waterEntry.time || new Date().toTimeString().split(' ')[0],
+            date: waterEntry.date || today(), // Default to today if not provided
+            time: waterEntry.time || toLocalTime(),
         };
 
-        const saved = await macrooDatabase.addWaterEntry(supabaseWater);
+        const saved = await syncQueue.enqueue('water.add', { record: supabaseWater });
         return saved;
     } catch (error) {
         console.error('❌ Error saving water entry:', error);
@@ -145,23 +280,26 @@ export const saveWaterEntry = async (waterEntry) => {
 };
 
 export const getWaterEntries = async (date = null) => {
+    const targetDate = date || today();
+    let entries = [];
     try {
-        const targetDate = date || new Date().toISOString().split('T')[0];
-        const entries = await macrooDatabase.getWaterEntriesForDate(targetDate, DEMO_USER_ID);
+        entries = await macrooDatabase.getWaterEntriesForDate(targetDate, authService.requireUserId());
         console.log(`✅ Loaded ${entries.length} water entries from Supabase`);
-
-        return entries;
     } catch (error) {
         console.error('❌ Error loading water entries:', error);
-        return [];
     }
+    return syncQueue.applyPending('water', entries, entry => entry.date === targetDate);
 };
 
 // ==================== PROFILE FUNCTIONS ====================
 
-export const saveProfile = async (profileData) => {
+/**
+ * Save the profile
+ * @param {Object} version - { baseUpdatedAt, base }: the version the edit started from, so stale edits are caught
+ */
+export const saveProfile = async (profileData, version = {}) => {
     try {
-        const saved = await macrooDatabase.saveUserProfile(DEMO_USER_ID, profileData);
+        const saved = await syncQueue.enqueue('profile.save', { userId: authService.requireUserId(), profile: profileData, ...version });
         return saved;
     } catch (error) {
         console.error('❌ Error saving profile:', error);
@@ -170,13 +308,16 @@ export const saveProfile = async (profileData) => {
 };
 
 export const getProfile = async () => {
+    let profile = null;
     try {
-        const profile = await macrooDatabase.getUserProfile(DEMO_USER_ID);
-        return profile;
+        profile = await macrooDatabase.getUserProfile(authService.requireUserId());
     } catch (error) {
         console.error('❌ Error loading profile:', error);
-        return null;
     }
+
+    // Unsynced edits win over what Supabase has
+    const pendingProfile = await syncQueue.getPendingProfile();
+    return pendingProfile ? { ...profile, ...pendingProfile } : profile;
 };
 
 // ==================== HELPER FUNCTIONS ====================
@@ -203,36 +344,58 @@ export const getNutritionSummary = async (startDate, endDate) => {
     try {
         console.log('📊 Loading nutrition summary from Supabase');
 
-        const summary = await macrooDatabase.getNutritionSummary(startDate, endDate, DEMO_USER_ID);
+        const summary = await macrooDatabase.getNutritionSummary(startDate, endDate, authService.requireUserId());
         return summary;
     } catch (error) {
         console.error('❌ Error loading nutrition summary:', error);
+        return null;
+    }
+};
+
+/**
+ * Get trigger-maintained daily totals for a date range.
+ * They only include synced entries; see hasPendingEntries().
+ */
+export const getDailyTotals = async (startDate, endDate) => {
+    try {
+        return await macrooDatabase.getDailyTotals(startDate, endDate, authService.requireUserId());
+    } catch (error) {
+        console.error('❌ Error loading daily totals:', error);
         return [];
     }
 };
 
+// True while meals or water entries are waiting in the offline queue
+export const hasPendingEntries = () => syncQueue.hasPending(['meal', 'water']);
+
+export const getPendingWaterEntries = (startDate, endDate) =>
+    syncQueue.applyPending('water', [], entry => isBetween(entry.date, startDate, endDate));
+
 /**
- * Search foods by query string
+ * One page of foods matching a query, searched in the database
+ * Foods added offline are not there yet; they join the end of the first page when they match.
+ * @param {Object} options - { limit, offset, category, sortBy }
  */
-export const searchFoods = async (query) => {
+export const searchFoods = async (query, options = {}) => {
+    const { offset = 0, category = null } = options;
+    let foods = [];
     try {
-        const foods = await getFoodDatabase();
-        return foods.filter(food =>
-            food.name.toLowerCase().includes(query.toLowerCase())
-        );
+        foods = await macrooDatabase.searchFoods(query, options);
     } catch (error) {
         console.error('❌ Error searching foods:', error);
-        return [];
     }
+    return syncQueue.applyPending('food', foods, food =>
+        offset === 0 && (!category || food.category === category) && rankFoods([food], query).length > 0);
 };
 
 /**
  * Update meal entry
+ * @param {Object} version - { baseUpdatedAt, base }: the version the edit started from, so stale edits are caught
  */
-export const updateMeal = async (mealId, updatedMeal) => {
+export const updateMeal = async (mealId, updatedMeal, version = {}) => {
     try {
         console.log('🔄 Updating meal in Supabase:', mealId);
-        const updated = await macrooDatabase.updateMealEntry(mealId, updatedMeal);
+        const updated = await syncQueue.enqueue('meal.update', { id: mealId, updates: updatedMeal, ...version });
         return updated;
     } catch (error) {
         console.error('❌ Error updating meal:', error);
@@ -246,9 +409,11 @@ export const updateMeal = async (mealId, updatedMeal) => {
 export const saveMealTemplate = async (template) => {
     try {
         console.log('💾 Saving meal template to Supabase:', template);
-        const saved = await macrooDatabase.saveMealTemplate({
-            ...template,
-            user_id: DEMO_USER_ID
+        const saved = await syncQueue.enqueue('template.add', {
+            record: {
+                ...template,
+                user_id: authService.requireUserId()
+            },
         });
         return saved;
     } catch (error) {
@@ -263,12 +428,26 @@ export const saveMealTemplate = async (template) => {
 export const getMealTemplates = async () => {
     try {
         console.log('📋 Loading meal templates from Supabase');
-        const templates = await macrooDatabase.getMealTemplates(DEMO_USER_ID);
+        const templates = await macrooDatabase.getMealTemplates(authService.requireUserId());
         console.log('✅ Meal templates loaded:', templates.length);
-        return templates;
+        return syncQueue.applyPending('template', templates);
     } catch (error) {
         console.error('❌ Error loading meal templates:', error);
-        return [];
+        return syncQueue.applyPending('template', []);
+    }
+};
+
+/**
+ * Update meal template
+ * @param {Object} version - { baseUpdatedAt, base }: the version the edit started from, so stale edits are caught
+ */
+export const updateMealTemplate = async (templateId, updates, version = {}) => {
+    try {
+        const updated = await syncQueue.enqueue('template.update', { id: templateId, updates, ...version });
+        return updated;
+    } catch (error) {
+        console.error('❌ Error updating meal template:', error);
+        throw error;
     }
 };
 
@@ -277,13 +456,267 @@ export const getMealTemplates = async () => {
  */
 export const deleteMealTemplate = async (templateId) => {
     try {
-        await macrooDatabase.deleteMealTemplate(templateId);
+        await syncQueue.enqueue('template.delete', { id: templateId });
     } catch (error) {
         console.error('❌ Error deleting meal template:', error);
         throw error;
     }
 };
 
+// ==================== TRASH FUNCTIONS ====================
+
+/**
+ * Everything in the trash, including deletes that have not synced yet
+ * @returns {Object} { foods, meals, templates } - meals in app format, foods and templates as rows
+ */
+export const getTrash = async () => {
+    let deleted = { foods: [], meals: [], templates: [] };
+    try {
+        deleted = await macrooDatabase.getDeletedItems(authService.requireUserId());
+    } catch (error) {
+        console.error('❌ Error loading trash:', error);
+    }
+
+    const [foods, meals, templates] = await Promise.all([
+        syncQueue.applyPendingTrash('food', deleted.foods),
+        syncQueue.applyPendingTrash('meal', deleted.meals),
+        syncQueue.applyPendingTrash('template', deleted.templates),
+    ]);
+    return { foods, meals: meals.map(toAppMeal), templates };
+};
+
+/**
+ * Take an item out of the trash. Waits for the sync so screens reload the restored row.
+ * @param {string} type - 'food', 'meal' or 'template'
+ */
+export const restoreFromTrash = async (type, id) => {
+    try {
+        await syncQueue.enqueue(`${type}.restore`, { id });
+        await syncQueue.flush();
+        return true;
+    } catch (error) {
+        console.error(`❌ Error restoring ${type}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Permanently delete an item that is in the trash
+ * @param {string} type - 'food', 'meal' or 'template'
+ */
+export const purgeFromTrash = async (type, id) => {
+    try {
+        await syncQueue.enqueue(`${type}.purge`, { id });
+        await syncQueue.flush();
+        return true;
+    } catch (error) {
+        console.error(`❌ Error purging ${type}:`, error);
+        throw error;
+    }
+};
+
+// ==================== CHANGE HISTORY FUNCTIONS ====================
+
+const HISTORY_TABLES = {
+    meal: TABLES.MEAL_ENTRIES,
+    food: TABLES.FOODS,
+    profile: TABLES.USER_PROFILES,
+};
+
+/**
+ * Recorded versions of a meal, food or the profile from change_log, newest first.
+ * Edits still in the offline queue are not in it yet.
+ * @param {string} type - 'meal', 'food' or 'profile'
+ * @param {string|null} id - Meal or food id; null for the profile
+ */
+export const getChangeHistory = async (type, id = null) => {
+    try {
+        const recordId = id && await syncQueue.resolveId(id);
+        // A row that has not synced has no history yet
+        if (id && !recordId) return [];
+        return await macrooDatabase.getChangeHistory(HISTORY_TABLES[type], authService.requireUserId(), recordId);
+    } catch (error) {
+        console.error('❌ Error loading change history:', error);
+        throw error;
+    }
+};
+
+// ==================== ACHIEVEMENT & CHALLENGE FUNCTIONS ====================
+
+// Local achievement ids are stored as achievement_type; the rest of the app shape lives in metadata
+const toAchievementRow = (achievement, userId) => ({
+    user_id: userId,
+    achievement_type: String(achievement.id),
+    title: achievement.name || String(achievement.id),
+    description: achievement.description || null,
+    unlocked_at: achievement.unlockedAt || null,
+    metadata: {
+        progress: achievement.progress,
+        target: achievement.target,
+        icon: achievement.icon || null,
+        category: achievement.category || null,
+    },
+});
+
+const toAppAchievement = (row) => ({
+    id: row.achievement_type,
+    name: row.title,
+    description: row.description,
+    icon: row.metadata?.icon,
+    target: row.metadata?.target,
+    progress: row.metadata?.progress,
+    category: row.metadata?.category,
+    unlockedAt: row.unlocked_at,
+});
+
+const toDay = (value) => (value ? toLocalDate(value) : null);
+
+// The week's exact start and end instants are kept in metadata; the date columns are for queries
+const toChallengeRow = (challenge, userId) => ({
+    user_id: userId,
+    challenge_type: String(challenge.id),
+    title: challenge.name || String(challenge.id),
+    description: challenge.description || null,
+    target_value: Math.round(challenge.target),
+    current_value: Math.round(challenge.progress),
+    start_date: toDay(challenge.startDate),
+    end_date: toDay(challenge.endDate),
+    completed: challenge.progress >= challenge.target,
+    metadata: {
+        type: challenge.type || null,
+        reward: challenge.reward || null,
+        icon: challenge.icon || null,
+        startsAt: challenge.startDate,
+        endsAt: challenge.endDate,
+    },
+});
+
+const endOfDay = (date) => {
+    const end = toDisplayDate(date);
+    end.setHours(23, 59, 59, 999);
+    return end.toISOString();
+};
+
+const toAppChallenge = (row) => ({
+    id: row.challenge_type,
+    name: row.title,
+    description: row.description,
+    type: row.metadata?.type,
+    target: row.target_value,
+    progress: row.current_value,
+    reward: row.metadata?.reward,
+    icon: row.metadata?.icon,
+    startDate: row.metadata?.startsAt || toDisplayDate(row.start_date).toISOString(),
+    endDate: row.metadata?.endsAt || endOfDay(row.end_date),
+});
+
+export const getAchievements = async () => {
+    let rows = [];
+    try {
+        rows = await macrooDatabase.getAchievements(authService.requireUserId());
+    } catch (error) {
+        console.error('❌ Error loading achievements:', error);
+    }
+    const achievements = await syncQueue.applyPendingRows('achievement.save', rows);
+    return achievements.map(toAppAchievement);
+};
+
+export const saveAchievements = async (achievements) => {
+    try {
+        const userId = authService.requireUserId();
+        await syncQueue.enqueue('achievement.save', { rows: achievements.map(a => toAchievementRow(a, userId)) });
+        return true;
+    } catch (error) {
+        console.error('❌ Error saving achievements:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get the latest week's challenges. Supabase keeps earlier weeks too, but the app only
+ * ever works with the current set.
+ */
+export const getWeeklyChallenges = async () => {
+    let rows = [];
+    try {
+        rows = await macrooDatabase.getWeeklyChallenges(authService.requireUserId());
+    } catch (error) {
+        console.error('❌ Error loading weekly challenges:', error);
+    }
+    const challenges = await syncQueue.applyPendingRows('challenge.save', rows);
+    const latestWeek = challenges.reduce((latest, row) => (row.start_date > latest ? row.start_date : latest), '');
+    return challenges.filter(row => row.start_date === latestWeek).map(toAppChallenge);
+};
+
+export const saveWeeklyChallenges = async (challenges) => {
+    try {
+        const userId = authService.requireUserId();
+        const rows = challenges.map(c => toChallengeRow(c, userId)).filter(row => row.start_date && row.end_date);
+        await syncQueue.enqueue('challenge.save', { rows });
+        return true;
+    } catch (error) {
+        console.error('❌ Error saving weekly challenges:', error);
+        throw error;
+    }
+};
+
+// The row to write so Supabase keeps the further along of the two, or null when it already does
+const aheadOfAchievement = (row, remote) => {
+    if (!remote) return row;
+    const remoteProgress = Number(remote.metadata?.progress) || 0;
+    const progress = Math.max(row.metadata.progress, remoteProgress);
+    const unlockedAt = remote.unlocked_at || row.unlocked_at;
+    if (progress === remoteProgress && unlockedAt === remote.unlocked_at) return null;
+    return { ...row, unlocked_at: unlockedAt, metadata: { ...remote.metadata, ...row.metadata, progress } };
+};
+
+const aheadOfChallenge = (row, remote) => {
+    if (!remote) return row;
+    if (row.current_value <= (remote.current_value || 0)) return null;
+    return { ...row, completed: row.completed || !!remote.completed };
+};
+
+/**
+ * Upload achievement and challenge progress this device kept before it was stored in Supabase.
+ * Runs once per device; where Supabase already has progress, the higher one is kept.
+ * @param {Array} achievements - Achievements from device storage
+ * @param {Array} challenges - Weekly challenges from device storage
+ */
+export const uploadLocalProgress = async (achievements, challenges) => {
+    if (await essentialStorage.isLocalProgressUploaded()) return;
+
+    const userId = authService.requireUserId();
+    const achievementRows = achievements
+        .filter(a => a.progress > 0 || a.unlockedAt)
+        .map(a => toAchievementRow(a, userId));
+    const challengeRows = challenges
+        .map(c => toChallengeRow(c, userId))
+        .filter(row => row.start_date && row.end_date);
+
+    if (achievementRows.length > 0 || challengeRows.length > 0) {
+        // Read straight from Supabase: a failed read must not pass for an account without progress
+        const [remoteAchievements, remoteChallenges] = await Promise.all([
+            macrooDatabase.getAchievements(userId),
+            macrooDatabase.getWeeklyChallenges(userId),
+        ]);
+        const achievementByType = new Map(remoteAchievements.map(row => [row.achievement_type, row]));
+        const challengeByKey = new Map(remoteChallenges.map(row => [`${row.challenge_type}|${row.start_date}`, row]));
+
+        const newAchievements = achievementRows
+            .map(row => aheadOfAchievement(row, achievementByType.get(row.achievement_type)))
+            .filter(Boolean);
+        const newChallenges = challengeRows
+            .map(row => aheadOfChallenge(row, challengeByKey.get(`${row.challenge_type}|${row.start_date}`)))
+            .filter(Boolean);
+
+        if (newAchievements.length > 0) await syncQueue.enqueue('achievement.save', { rows: newAchievements });
+        if (newChallenges.length > 0) await syncQueue.enqueue('challenge.save', { rows: newChallenges });
+        console.log(`☁️ Uploaded ${newAchievements.length} achievements and ${newChallenges.length} challenges from this device`);
+    }
+
+    await essentialStorage.setLocalProgressUploaded();
+};
+
 /**
  * Get custom macro targets
  */
@@ -342,8 +775,5 @@ export const suggestCalories = (profile) => {
     return Math.round(calories);
 };
 
-// Export demo user ID for other components that might need it
-export { DEMO_USER_ID };
-
 
 
@@ -0,0 +1,739 @@
+// Macroo Diet Tracker - Offline write queue
+// Every mutation is persisted locally first and replayed against Supabase in order
+import { AppState } from 'react-native';
+import authService, { AUTH_STATUS } from './authService';
+import essentialStorage from './essentialStorage';
+import { classifyError, ERROR_TYPES } from './errorHandling';
+import { LIVE_TOPICS } from './liveStore';
+import macrooDatabase, { createRowId, isConflict, isPermissionDenied } from './macrooDatabase';
+import realtimeService from './realtimeService';
+import { normalizeProfile } from './repository/entities';
+import { toast } from './toast';
+
+const LOCAL_ID_PREFIX = 'local_';
+const MAX_ATTEMPTS = 3; // For errors that are not caused by connectivity
+const DUPLICATE_WINDOW_MS = 5000; // Identical adds inside this window are treated as double taps
+const BASE_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+const isLocalId = (id) => typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+
+// The action replay is sending now. Changes folded into it after it was read would be lost when
+// it is removed, so later changes queue as actions of their own instead.
+const isInFlight = (action) => action.inFlight === true;
+
+const createLocalId = () => `${LOCAL_ID_PREFIX}${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// Supabase surfaces dropped connections as plain fetch failures. Server errors (5xx) are not
+// connectivity: a failing trigger or constraint would keep the queue blocked forever, so they
+// count towards MAX_ATTEMPTS like any other failure.
+const isConnectivityError = (error) => {
+    const type = classifyError(error);
+    if (type === ERROR_TYPES.NETWORK || type === ERROR_TYPES.TIMEOUT) {
+        return true;
+    }
+    if (type === ERROR_TYPES.SERVER) return false;
+    const message = (error?.message || '').toLowerCase();
+    return message.includes('network') || message.includes('fetch');
+};
+
+// Replace every local id in a payload with the server id it was replayed as
+const resolveIds = (value, idMap) => JSON.parse(
+    JSON.stringify(value),
+    (key, v) => (isLocalId(v) && idMap[v] ? idMap[v] : v)
+);
+
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+// Decimal columns come back as numbers or strings depending on the path they took
+const sameValue = (a, b) => {
+    if (a == null || b == null) return a == null && b == null;
+    if (NUMERIC.test(String(a)) && NUMERIC.test(String(b))) return Number(a) === Number(b);
+    return JSON.stringify(a) === JSON.stringify(b);
+};
+
+/**
+ * Three-way merge of queued changes onto the server's current values, field by field.
+ * A field merges cleanly when only one side changed it, or both made the same change.
+ * Without a base value for a field there is no telling who changed it, so it conflicts.
+ * @param {Object} changes - Values this device wants to write
+ * @param {Object} base - Values the edit started from, when known
+ * @param {Object} current - Values on the server now
+ * @returns {Object} { merged, conflicts } - merged changes to write, and [{ field, local, remote }]
+ */
+const mergeChanges = (changes, base, current) => {
+    const merged = {};
+    const conflicts = [];
+
+    Object.entries(changes).forEach(([field, local]) => {
+        if (field === 'updatedAt' || field === 'updated_at') return;
+        const remote = current[field] ?? null;
+        if (sameValue(local, remote)) return;
+
+        const hasBase = !!base && field in base;
+        if (hasBase && sameValue(local, base[field])) return; // Only the server changed it
+        if (hasBase && sameValue(remote, base[field])) {
+            merged[field] = local; // Only this device changed it
+            return;
+        }
+        conflicts.push({ field, local, remote });
+    });
+
+    return { merged, conflicts };
+};
+
+const pick = (values, fields) => fields.reduce((picked, field) => {
+    picked[field] = values[field] ?? null;
+    return picked;
+}, {});
+
+const conflictLabel = (entity, row) => {
+    if (entity === 'profile') return 'Your profile';
+    if (entity === 'meal') return `${row.meal_type || 'Meal'} on ${row.date}`;
+    return row.name || 'Item';
+};
+
+const withoutPendingFields = (record) => {
+    const { foods, pending, ...rest } = record;
+    return rest;
+};
+
+const addFood = async (record) => {
+    try {
+        return await macrooDatabase.addFood(withoutPendingFields(record), record.user_id);
+    } catch (error) {
+        // The food was created by an earlier replay whose response never arrived
+        if (error.message?.includes('already exists')) {
+            const [existing] = await macrooDatabase.getFoodsByName(record.name, record.user_id);
+            if (existing) return existing;
+        }
+        throw error;
+    }
+};
+
+// A row deleted before its insert synced goes straight to the trash once created
+const trashIfDeleted = async (record, saved, trash) => {
+    if (record.deleted_at && saved?.id) await trash(saved.id);
+    return saved;
+};
+
+// Hard deletes never reach other devices through Realtime, so each purge is announced
+const announcePurge = async (topic, purge) => {
+    const purged = await purge();
+    if (purged) await realtimeService.announcePurge(topic);
+    return purged;
+};
+
+// Replay handlers, keyed by action type. Each returns the saved row (if any).
+const HANDLERS = {
+    'food.add': async ({ record }) => trashIfDeleted(record, await addFood(record), id => macrooDatabase.deleteFood(id)),
+    'food.update': ({ id, updates, baseUpdatedAt }) => macrooDatabase.updateFood(id, updates, { expectedUpdatedAt: baseUpdatedAt }),
+    'food.delete': ({ id }) => macrooDatabase.deleteFood(id),
+    'food.restore': ({ id }) => macrooDatabase.restoreFood(id),
+    'food.purge': ({ id }) => announcePurge(LIVE_TOPICS.FOODS, () => macrooDatabase.purgeFood(id)),
+    'meal.add': async ({ record }) => trashIfDeleted(
+        record,
+        await macrooDatabase.addMealEntry(withoutPendingFields(record)),
+        id => macrooDatabase.deleteMealEntry(id)
+    ),
+    'meal.update': ({ id, updates, baseUpdatedAt }) => macrooDatabase.updateMealEntry(id, updates, { expectedUpdatedAt: baseUpdatedAt }),
+    'meal.delete': ({ id }) => macrooDatabase.deleteMealEntry(id),
+    'meal.restore': ({ id }) => macrooDatabase.restoreMealEntry(id),
+    'meal.purge': ({ id }) => announcePurge(LIVE_TOPICS.MEALS, () => macrooDatabase.purgeMealEntry(id)),
+    'water.add': ({ record }) => macrooDatabase.addWaterEntry(withoutPendingFields(record)),
+    'template.add': async ({ record }) => trashIfDeleted(
+        record,
+        await macrooDatabase.saveMealTemplate(withoutPendingFields(record)),
+        id => macrooDatabase.deleteMealTemplate(id)
+    ),
+    'template.update': ({ id, updates, baseUpdatedAt }) => macrooDatabase.updateMealTemplate(id, updates, { expectedUpdatedAt: baseUpdatedAt }),
+    'template.delete': ({ id }) => macrooDatabase.deleteMealTemplate(id),
+    'template.restore': ({ id }) => macrooDatabase.restoreMealTemplate(id),
+    'template.purge': ({ id }) => macrooDatabase.purgeMealTemplate(id),
+    'profile.save': ({ userId, profile, baseUpdatedAt }) => macrooDatabase.saveUserProfile(userId, profile, { expectedUpdatedAt: baseUpdatedAt }),
+    'achievement.save': ({ rows }) => macrooDatabase.saveAchievements(rows),
+    'challenge.save': ({ rows }) => macrooDatabase.saveWeeklyChallenges(rows),
+};
+
+// Columns that identify a row in the batched saves, matching the upserts' conflict targets
+const ROW_KEYS = {
+    'achievement.save': ['achievement_type'],
+    'challenge.save': ['challenge_type', 'start_date'],
+};
+
+const rowKey = (type, row) => ROW_KEYS[type].map(column => row[column]).join('|');
+
+// Later rows replace earlier ones with the same key
+const mergeRows = (type, rows, newer) => {
+    const merged = new Map(rows.map(row => [rowKey(type, row), row]));
+    newer.forEach(row => merged.set(rowKey(type, row), row));
+    return [...merged.values()];
+};
+
+class SyncQueue {
+    constructor() {
+        this.listeners = new Set();
+        this.conflictListeners = new Set();
+        this.lock = Promise.resolve();
+        this.flushing = null;
+        this.retryTimer = null;
+        this.retryCount = 0;
+        this.appStateSubscription = null;
+        this.authUnsubscribe = null;
+        this.status = { pending: 0, syncing: false, lastError: null };
+    }
+
+    // ==================== LIFECYCLE ====================
+
+    /**
+     * Start replaying queued changes, now and whenever the app returns to the foreground
+     */
+    async start() {
+        if (!this.appStateSubscription) {
+            this.appStateSubscription = AppState.addEventListener('change', (state) => {
+                if (state === 'active') this.flush();
+            });
+        }
+
+        // Changes queued while signed out are replayed once a session exists
+        if (!this.authUnsubscribe) {
+            this.authUnsubscribe = authService.subscribe(({ status }) => {
+                if (status === AUTH_STATUS.AUTHENTICATED) this.flush();
+                if (status === AUTH_STATUS.SIGNED_OUT) this.reload();
+            });
+        }
+
+        const pending = await essentialStorage.getPendingSync();
+        this.updateStatus({ pending: pending.length });
+        if (pending.length > 0) {
+            console.log(`🔄 ${pending.length} offline changes waiting to sync`);
+        }
+        return this.flush();
+    }
+
+    stop() {
+        this.appStateSubscription?.remove();
+        this.appStateSubscription = null;
+        this.authUnsubscribe?.();
+        this.authUnsubscribe = null;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+    }
+
+    // ==================== STATUS ====================
+
+    /**
+     * Listen for queue status changes
+     * @param {Function} listener - Receives { pending, syncing, lastError }
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        listener(this.status);
+        return () => this.listeners.delete(listener);
+    }
+
+    getStatus() {
+        return this.status;
+    }
+
+    // Signing out clears the stored queue and conflicts; show that instead of the last user's
+    async reload() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.retryCount = 0;
+        const pending = await essentialStorage.getPendingSync();
+        this.updateStatus({ pending: pending.length, syncing: false, lastError: null });
+        this.notifyConflicts(await essentialStorage.getSyncConflicts());
+    }
+
+    /**
+     * Send what can still be sent before the user signs out
+     * @returns {number} Changes that could not be synced and would be lost by signing out now
+     */
+    async flushBeforeSignOut() {
+        await this.flush();
+        const pending = await essentialStorage.getPendingSync();
+        return pending.length;
+    }
+
+    updateStatus(changes) {
+        this.status = { ...this.status, ...changes };
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.status);
+            } catch (error) {
+                console.error('Sync status listener failed:', error);
+            }
+        });
+    }
+
+    // ==================== QUEUE OPERATIONS ====================
+
+    // Serialise read-modify-write cycles on the persisted queue
+    withLock(operation) {
+        const run = this.lock.then(operation);
+        this.lock = run.catch(() => { });
+        return run;
+    }
+
+    /**
+     * Queue a mutation and kick off a replay in the background
+     * @param {string} type - Action type, e.g. 'meal.add' or 'food.delete'
+     * @param {Object} payload - { record } for adds, { id } for deletes, restores and purges, and { id, updates, baseUpdatedAt, base }
+     *   for updates, where baseUpdatedAt is the version the edit started from and base its original values; { rows } for
+     *   achievement and challenge saves
+     * @returns {Object} The optimistic record for adds, otherwise the queued payload
+     */
+    async enqueue(type, payload) {
+        if (!HANDLERS[type]) {
+            throw new Error(`Unknown sync action: ${type}`);
+        }
+
+        const result = await this.withLock(async () => {
+            const queue = await essentialStorage.getPendingSync();
+            const [entity, operation] = type.split('.');
+            let optimistic = payload;
+
+            if (operation === 'add') {
+                const dedupeKey = `${type}:${JSON.stringify(withoutPendingFields(payload.record))}`;
+                const duplicate = queue.find(action =>
+                    action.dedupeKey === dedupeKey &&
+                    Date.now() - new Date(action.timestamp).getTime() < DUPLICATE_WINDOW_MS
+                );
+                if (duplicate) {
+                    console.log(`⚠️ Ignoring duplicate ${type}`);
+                    return { ...duplicate.payload.record, id: duplicate.localId, pending: true };
+                }
+
+                // The row gets its server id now, so a replay whose response was lost can't insert it twice
+                const localId = createLocalId();
+                optimistic = { ...payload.record, id: localId, pending: true };
+                const record = { ...payload.record, id: createRowId() };
+                queue.push(this.createAction(type, { ...payload, record }, { localId, dedupeKey }));
+            } else if (operation === 'update' && isLocalId(payload.id)) {
+                // Fold edits of a not-yet-synced row into its pending insert
+                const create = queue.find(action => action.localId === payload.id && !isInFlight(action));
+                if (create) {
+                    create.payload.record = { ...create.payload.record, ...payload.updates };
+                } else {
+                    queue.push(this.createAction(type, payload));
+                }
+            } else if (operation === 'update') {
+                const dedupeKey = `${entity}:${payload.id}`;
+                const existing = queue.find(action =>
+                    action.type === type && action.dedupeKey === dedupeKey && !isInFlight(action)
+                );
+                if (existing) {
+                    // The first queued edit still holds the version the combined change builds on
+                    existing.payload.updates = { ...existing.payload.updates, ...payload.updates };
+                    existing.payload.base = { ...payload.base, ...existing.payload.base };
+                } else {
+                    queue.push(this.createAction(type, payload, { dedupeKey }));
+                }
+            } else if (operation === 'delete' && isLocalId(payload.id) && queue.some(a => a.localId === payload.id && !isInFlight(a))) {
+                // The row never reached the server: it is created straight into the trash
+                const create = queue.find(action => action.localId === payload.id);
+                create.payload.record = { ...create.payload.record, deleted_at: new Date().toISOString() };
+            } else if (operation === 'restore' && isLocalId(payload.id) && queue.some(a => a.localId === payload.id && !isInFlight(a))) {
+                const create = queue.find(action => action.localId === payload.id);
+                const { deleted_at, ...record } = create.payload.record;
+                create.payload.record = record;
+            } else if (operation === 'purge' && isLocalId(payload.id) && queue.some(a => a.localId === payload.id && !isInFlight(a))) {
+                // The row never reached the server, so dropping its pending actions is enough
+                const remaining = queue.filter(action =>
+                    action.localId !== payload.id && action.payload.id !== payload.id
+                );
+                queue.length = 0;
+                queue.push(...remaining);
+            } else if ((operation === 'delete' || operation === 'restore') &&
+                queue.some(a => a.dedupeKey === `${entity}.${operation === 'delete' ? 'restore' : 'delete'}:${payload.id}` && !isInFlight(a))) {
+                // Undoing a delete (or deleting again after a restore) that replay has not picked up yet cancels it.
+                // Once it is being sent, the undo queues behind it instead.
+                const opposite = `${entity}.${operation === 'delete' ? 'restore' : 'delete'}:${payload.id}`;
+                const remaining = queue.filter(action => action.dedupeKey !== opposite || isInFlight(action));
+                queue.length = 0;
+                queue.push(...remaining);
+            } else if (operation === 'purge') {
+                // Queued edits and restores of a purged row could only fail
+                const remaining = queue.filter(action =>
+                    !(action.payload.id === payload.id && action.type.startsWith(`${entity}.`) && !action.type.endsWith('.delete'))
+                );
+                queue.length = 0;
+                queue.push(...remaining, this.createAction(type, payload, { dedupeKey: `${type}:${payload.id}` }));
+            } else if (type === 'profile.save') {
+                // Only the latest profile matters, but it builds on the version the first edit saw
+                const previous = queue.find(action => action.type === type && !isInFlight(action));
+                const remaining = queue.filter(action => action.type !== type || isInFlight(action));
+                queue.length = 0;
+                queue.push(...remaining, this.createAction(type, previous
+                    ? { ...payload, baseUpdatedAt: previous.payload.baseUpdatedAt, base: previous.payload.base }
+                    : payload));
+            } else if (ROW_KEYS[type]) {
+                // One waiting save per kind, holding the latest version of every row; newer rows do not
+                // join a save that is being sent
+                const existing = queue.find(action => action.type === type && !isInFlight(action));
+                if (existing) {
+                    existing.payload.rows = mergeRows(type, existing.payload.rows, payload.rows);
+                } else {
+                    queue.push(this.createAction(type, payload));
+                }
+            } else {
+                queue.push(this.createAction(type, payload, { dedupeKey: `${type}:${payload.id}` }));
+            }
+
+            await essentialStorage.setPendingSync(queue);
+            this.updateStatus({ pending: queue.length });
+            return optimistic;
+        });
+
+        this.flush();
+        return result;
+    }
+
+    createAction(type, payload, extra = {}) {
+        return {
+            id: createLocalId(),
+            type,
+            payload,
+            attempts: 0,
+            lastError: null,
+            timestamp: new Date().toISOString(),
+            ...extra,
+        };
+    }
+
+    async getPendingActions() {
+        return essentialStorage.getPendingSync();
+    }
+
+    // ==================== REPLAY ====================
+
+    /**
+     * Replay queued mutations in order. Concurrent calls share one run.
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.replay().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async replay() {
+        let queue = await essentialStorage.getPendingSync();
+        if (queue.length === 0) {
+            this.updateStatus({ pending: 0, syncing: false });
+            return;
+        }
+
+        if (!authService.getUserId()) {
+            this.updateStatus({ pending: queue.length, syncing: false });
+            return;
+        }
+
+        this.updateStatus({ syncing: true });
+        const idMap = await essentialStorage.getSyncIdMap();
+
+        while (queue.length > 0) {
+            queue = await this.updateAction(queue[0].id, { inFlight: true });
+            const action = queue[0];
+
+            try {
+                const saved = await HANDLERS[action.type](resolveIds(action.payload, idMap));
+                if (action.localId && saved?.id) {
+                    idMap[action.localId] = saved.id;
+                    await essentialStorage.saveSyncIdMap(idMap);
+                }
+                queue = await this.removeAction(action.id);
+                this.retryCount = 0;
+            } catch (error) {
+                if (isConnectivityError(error)) {
+                    console.log('📴 Supabase unreachable, keeping changes queued:', error.message);
+                    await essentialStorage.setOfflineMode(true);
+                    queue = await this.updateAction(action.id, { inFlight: false });
+                    this.updateStatus({ pending: queue.length, syncing: false, lastError: error.message });
+                    this.scheduleRetry();
+                    return;
+                }
+
+                // Retrying cannot change the outcome of a row-level security rejection
+                if (isPermissionDenied(error)) {
+                    console.error(`🔒 Dropping ${action.type}, permission denied:`, error);
+                    toast(error.message, 'error');
+                    queue = await this.removeAction(action.id);
+                    continue;
+                }
+
+                // Someone else changed the row first: merge what can be merged, ask about the rest
+                if (isConflict(error)) {
+                    const rebased = await this.recordConflict(action, error.current);
+                    queue = rebased
+                        ? await this.updateAction(action.id, { payload: rebased, inFlight: false })
+                        : await this.removeAction(action.id);
+                    continue;
+                }
+
+                const attempts = (action.attempts || 0) + 1;
+                if (attempts >= MAX_ATTEMPTS) {
+                    console.error(`❌ Dropping ${action.type} after ${attempts} failed attempts:`, error);
+                    toast(`Couldn't sync a change: ${error.message}`, 'error');
+                    queue = await this.removeAction(action.id);
+                    continue;
+                }
+
+                queue = await this.updateAction(action.id, { attempts, lastError: error.message, inFlight: false });
+                this.updateStatus({ pending: queue.length, syncing: false, lastError: error.message });
+                this.scheduleRetry();
+                return;
+            }
+        }
+
+        await essentialStorage.setOfflineMode(false);
+        await essentialStorage.setLastSync();
+        this.updateStatus({ pending: 0, syncing: false, lastError: null });
+        console.log('✅ Offline changes synced');
+    }
+
+    removeAction(actionId) {
+        return this.withLock(async () => {
+            const queue = (await essentialStorage.getPendingSync()).filter(a => a.id !== actionId);
+            await essentialStorage.setPendingSync(queue);
+            this.updateStatus({ pending: queue.length });
+            return queue;
+        });
+    }
+
+    updateAction(actionId, changes) {
+        return this.withLock(async () => {
+            const queue = (await essentialStorage.getPendingSync())
+                .map(a => (a.id === actionId ? { ...a, ...changes } : a));
+            await essentialStorage.setPendingSync(queue);
+            return queue;
+        });
+    }
+
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        const delay = Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, this.retryCount), MAX_RETRY_DELAY_MS);
+        this.retryCount += 1;
+        this.retryTimer = setTimeout(() => this.flush(), delay);
+    }
+
+    // ==================== CONFLICTS ====================
+
+    /**
+     * Handle a queued edit that was based on an older version than the server's.
+     * @param {Object} action - The rejected action
+     * @param {Object} current - The row as it is on the server now
+     * @returns {Object|null} A payload to retry against the new version, or null when the
+     *   action is done (nothing left to write, or stored as a conflict for the user)
+     */
+    async recordConflict(action, current) {
+        const [entity] = action.type.split('.');
+        const isProfile = action.type === 'profile.save';
+        const changes = isProfile ? action.payload.profile : action.payload.updates;
+        const remote = isProfile ? normalizeProfile(current) : current;
+        const { merged, conflicts } = mergeChanges(changes, action.payload.base, remote);
+
+        if (conflicts.length === 0) {
+            if (Object.keys(merged).length === 0) {
+                console.log(`🔀 ${action.type} already matches the server version`);
+                return null;
+            }
+            console.log(`🔀 Merged ${action.type} onto the newer server version`);
+            return this.rebasePayload(action.type, action.payload, merged, remote, current.updated_at);
+        }
+
+        const fields = [...Object.keys(merged), ...conflicts.map(conflict => conflict.field)];
+        const conflict = {
+            id: createLocalId(),
+            type: action.type,
+            entity,
+            targetId: action.payload.id || null,
+            userId: action.payload.userId || null,
+            label: conflictLabel(entity, current),
+            fields: conflicts,
+            merged,
+            remote: isProfile ? remote : pick(remote, fields),
+            remoteUpdatedAt: current.updated_at,
+            detectedAt: new Date().toISOString(),
+        };
+
+        console.log(`⚔️ ${action.type} conflicts with a newer version on:`, conflicts.map(c => c.field).join(', '));
+        const stored = await essentialStorage.getSyncConflicts();
+        await this.saveConflicts([...stored, conflict]);
+        toast(`${conflict.label} was also changed on another device`, 'warning');
+        return null;
+    }
+
+    /**
+     * Payload that applies `changes` on top of the server version `updatedAt`
+     */
+    rebasePayload(type, { id, userId }, changes, remote, updatedAt) {
+        if (type === 'profile.save') {
+            return { userId, profile: { ...remote, ...changes }, baseUpdatedAt: updatedAt, base: remote };
+        }
+        return { id, updates: changes, baseUpdatedAt: updatedAt, base: pick(remote, Object.keys(changes)) };
+    }
+
+    async getConflicts() {
+        return essentialStorage.getSyncConflicts();
+    }
+
+    /**
+     * Listen for conflicts waiting on the user
+     * @param {Function} listener - Receives the list of conflicts
+     * @returns {Function} Unsubscribe function
+     */
+    subscribeConflicts(listener) {
+        this.conflictListeners.add(listener);
+        this.getConflicts().then(listener);
+        return () => this.conflictListeners.delete(listener);
+    }
+
+    async saveConflicts(conflicts) {
+        await essentialStorage.saveSyncConflicts(conflicts);
+        this.notifyConflicts(conflicts);
+    }
+
+    notifyConflicts(conflicts) {
+        this.conflictListeners.forEach(listener => {
+            try {
+                listener(conflicts);
+            } catch (error) {
+                console.error('Sync conflict listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Settle a conflict. Fields that merged cleanly are always written.
+     * @param {string} conflictId - Conflict ID
+     * @param {Object} choices - Field -> 'local' to keep this device's value; anything else keeps the server's
+     */
+    async resolveConflict(conflictId, choices = {}) {
+        const conflicts = await essentialStorage.getSyncConflicts();
+        const conflict = conflicts.find(c => c.id === conflictId);
+        if (!conflict) return;
+
+        const changes = { ...conflict.merged };
+        conflict.fields.forEach(({ field, local }) => {
+            if (choices[field] === 'local') changes[field] = local;
+        });
+
+        await this.saveConflicts(conflicts.filter(c => c.id !== conflictId));
+        if (Object.keys(changes).length === 0) return;
+
+        await this.enqueue(conflict.type, this.rebasePayload(
+            conflict.type,
+            { id: conflict.targetId, userId: conflict.userId },
+            changes,
+            conflict.remote,
+            conflict.remoteUpdatedAt
+        ));
+    }
+
+    // ==================== OPTIMISTIC READS ====================
+
+    /**
+     * Overlay queued changes on rows loaded from Supabase so they show up immediately
+     * @param {string} entity - 'food', 'meal', 'water' or 'template'
+     * @param {Array} rows - Rows as returned by macrooDatabase
+     * @param {Function} filter - Optional predicate for pending inserts (e.g. same date)
+     */
+    async applyPending(entity, rows, filter = null) {
+        const queue = await essentialStorage.getPendingSync();
+        if (queue.length === 0) return rows;
+
+        const idMap = await essentialStorage.getSyncIdMap();
+        const targetId = (id) => idMap[id] || id;
+        let result = [...rows];
+
+        for (const action of queue) {
+            if (action.type === `${entity}.add`) {
+                const record = { ...action.payload.record, id: action.localId, pending: true };
+                if (!record.deleted_at && (!filter || filter(record))) result.push(record);
+            } else if (action.type === `${entity}.update`) {
+                result = result.map(row => (row.id === targetId(action.payload.id)
+                    ? { ...row, ...action.payload.updates, pending: true }
+                    : row));
+            } else if (action.type === `${entity}.delete` || action.type === `${entity}.purge`) {
+                result = result.filter(row => row.id !== targetId(action.payload.id));
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Overlay queued changes on trashed rows: unsynced restores and purges disappear,
+     * rows deleted before their insert synced appear. Rows deleted after syncing show up
+     * once the delete reaches Supabase.
+     * @param {string} entity - 'food', 'meal' or 'template'
+     * @param {Array} rows - Trashed rows as returned by macrooDatabase
+     */
+    async applyPendingTrash(entity, rows) {
+        const queue = await essentialStorage.getPendingSync();
+        if (queue.length === 0) return rows;
+
+        const idMap = await essentialStorage.getSyncIdMap();
+        const targetId = (id) => idMap[id] || id;
+        let result = [...rows];
+
+        for (const action of queue) {
+            if (action.type === `${entity}.add` && action.payload.record.deleted_at) {
+                result.push({ ...action.payload.record, id: action.localId, pending: true });
+            } else if (action.type === `${entity}.restore` || action.type === `${entity}.purge`) {
+                result = result.filter(row => row.id !== targetId(action.payload.id));
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Whether any queued action touches one of the given entities
+     * @param {Array} entities - e.g. ['meal', 'water']
+     */
+    async hasPending(entities) {
+        const queue = await essentialStorage.getPendingSync();
+        return queue.some(action => entities.includes(action.type.split('.')[0]));
+    }
+
+    /**
+     * The Supabase id of a row, or null while its insert is still queued
+     */
+    async resolveId(id) {
+        if (!isLocalId(id)) return id;
+        const idMap = await essentialStorage.getSyncIdMap();
+        return idMap[id] || null;
+    }
+
+    /**
+     * Latest profile changes that have not reached Supabase yet
+     */
+    async getPendingProfile() {
+        const queue = await essentialStorage.getPendingSync();
+        // The save being sent may be followed by a newer one
+        const action = queue.filter(a => a.type === 'profile.save').pop();
+        return action ? action.payload.profile : null;
+    }
+
+    /**
+     * Overlay queued achievement or challenge saves on rows loaded from Supabase
+     * @param {string} type - 'achievement.save' or 'challenge.save'
+     * @param {Array} rows - Rows as returned by macrooDatabase
+     */
+    async applyPendingRows(type, rows) {
+        const queue = await essentialStorage.getPendingSync();
+        // The save being sent and a newer one may both be queued; later rows win
+        return queue
+            .filter(action => action.type === type)
+            .reduce((merged, action) => mergeRows(type, merged, action.payload.rows.map(row => ({ ...row, pending: true }))), rows);
+    }
+}
+
+// Export singleton instance
+export default new SyncQueue();
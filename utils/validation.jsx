@@ -124,6 +124,26 @@ export const CommonSchemas = {
         ]
     },
 
+    signIn: {
+        email: [
+            (value) => ValidationRules.required(value, 'Email'),
+            (value) => ValidationRules.email(value)
+        ],
+        password: [
+            (value) => ValidationRules.required(value, 'Password')
+        ]
+    },
+
+    signUp: {
+        email: [
+            (value) => ValidationRules.required(value, 'Email'),
+            (value) => ValidationRules.email(value)
+        ],
+        password: [
+            (value) => ValidationRules.length(value, 8, 72, 'Password')
+        ]
+    },
+
     profile: {
         height: [
             (value) => value ? ValidationRules.range(value, 50, 300, 'Height (cm)') : null